@@ -0,0 +1,28 @@
+/**
+ * Authentication Configuration
+ *
+ * AUTH_MODE=local runs the whole API on local JWT (plus API keys) with no Firebase,
+ * for offline development and tests. AUTH_STRATEGIES overrides the strategy order.
+ */
+require('dotenv').config();
+
+const mode = process.env.AUTH_MODE === 'local' ? 'local' : 'firebase';
+
+const defaultStrategies = mode === 'local'
+  ? ['jwt', 'apiKey']
+  : ['jwt', 'firebase', 'apiKey'];
+
+let strategies = process.env.AUTH_STRATEGIES
+  ? process.env.AUTH_STRATEGIES.split(',').map(s => s.trim()).filter(Boolean)
+  : defaultStrategies;
+
+// Firebase is never consulted in local mode, whatever AUTH_STRATEGIES says
+if (mode === 'local') {
+  strategies = strategies.filter(name => name !== 'firebase');
+}
+
+module.exports = {
+  mode,
+  isLocalMode: mode === 'local',
+  strategies
+};
@@ -22,7 +22,34 @@ async function query(sql, params) {
   }
 }
 
+/**
+ * Run a task only if no other API process is running it, using a MySQL named lock
+ * held on one connection for the task's duration
+ *
+ * @returns {Promise<*>} The task's result, or null if another process holds the lock
+ */
+async function runExclusively(lockName, task) {
+  const connection = await pool.getConnection();
+
+  try {
+    const [[{ acquired }]] = await connection.query('SELECT GET_LOCK(?, 0) AS acquired', [lockName]);
+
+    if (acquired !== 1) {
+      return null;
+    }
+
+    try {
+      return await task();
+    } finally {
+      await connection.query('SELECT RELEASE_LOCK(?)', [lockName]);
+    }
+  } finally {
+    connection.release();
+  }
+}
+
 module.exports = {
   pool,
-  query
+  query,
+  runExclusively
 }; 
\ No newline at end of file
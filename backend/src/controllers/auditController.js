@@ -0,0 +1,111 @@
+const {
+  getAuditLogs,
+  exportAuditLogsCsv
+} = require('../services/auditLogService');
+
+/**
+ * Read the audit log filters from the query string
+ */
+const getAuditFilters = (queryParams) => {
+  const { projectId, action, actorId, impersonatorId, entityType, entityId, ipAddress, from, to } = queryParams;
+  
+  return { projectId, action, actorId, impersonatorId, entityType, entityId, ipAddress, from, to };
+};
+
+/**
+ * Check that any date filters are valid dates
+ */
+const hasInvalidDates = (filters) => {
+  return [filters.from, filters.to].some(value => value && isNaN(Date.parse(value)));
+};
+
+/**
+ * Map audit access errors to responses
+ */
+const handleAuditAccessError = (res, error) => {
+  if (error.message === 'Project ID is required') {
+    res.status(400).json({ success: false, message: error.message });
+    return true;
+  }
+  
+  if (error.message === 'You do not have permission to view this audit log') {
+    res.status(403).json({ success: false, message: error.message });
+    return true;
+  }
+  
+  return false;
+};
+
+/**
+ * List audit log entries (admins: all; project owners: their project)
+ */
+const listAuditLogs = async (req, res) => {
+  try {
+    const filters = getAuditFilters(req.query);
+    
+    if (hasInvalidDates(filters)) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be valid dates'
+      });
+    }
+    
+    const { entries, pagination } = await getAuditLogs(req.user.id, filters, {
+      page: req.query.page,
+      limit: req.query.limit
+    });
+    
+    res.status(200).json({
+      success: true,
+      entries,
+      pagination
+    });
+  } catch (error) {
+    console.error('Error fetching audit logs:', error);
+    
+    if (handleAuditAccessError(res, error)) return;
+    
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching audit logs',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Download audit log entries as CSV
+ */
+const exportAuditLogs = async (req, res) => {
+  try {
+    const filters = getAuditFilters(req.query);
+    
+    if (hasInvalidDates(filters)) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be valid dates'
+      });
+    }
+    
+    const csv = await exportAuditLogsCsv(req.user.id, filters);
+    
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="audit-log-${new Date().toISOString().slice(0, 10)}.csv"`);
+    res.status(200).send(csv);
+  } catch (error) {
+    console.error('Error exporting audit logs:', error);
+    
+    if (handleAuditAccessError(res, error)) return;
+    
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting audit logs',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  listAuditLogs,
+  exportAuditLogs
+};
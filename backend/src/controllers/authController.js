@@ -1,15 +1,228 @@
-const { admin } = require('../config/firebase');
 const { query } = require('../config/db');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const { 
   sendVerificationEmail, 
   sendPasswordResetEmail, 
-  sendOTPEmail 
+  sendOTPEmail,
+  sendMagicLinkEmail
 } = require('../services/emailService');
+const {
+  beginTOTPEnrollment,
+  confirmTOTPEnrollment,
+  verifyTOTP,
+  disableTOTP: disableTOTPService,
+  generateRecoveryCodes,
+  consumeRecoveryCode,
+  getTwoFactorMethods
+} = require('../services/twoFactorService');
+const {
+  createSession,
+  createImpersonationSession,
+  endImpersonationSession,
+  rotateSession,
+  getUserSessions,
+  revokeSession: revokeSessionService,
+  revokeAllSessions: revokeAllSessionsService
+} = require('../services/sessionService');
+const {
+  createIdentity,
+  deleteIdentity,
+  findIdentityByEmail,
+  verifyPassword,
+  updatePassword
+} = require('../services/identityService');
+const { unlockAccount: unlockAccountService } = require('../services/loginAttemptService');
+const { getAuditContext, recordAuditEvent } = require('../services/auditLogService');
 require('dotenv').config();
 
+// Emailed OTPs are valid for this long
+const OTP_EXPIRY_MINUTES = 10;
+
+/**
+ * Get the device details recorded against a session
+ */
+const getDeviceInfo = (req) => ({
+  userAgent: req.get('User-Agent'),
+  ipAddress: req.ip
+});
+
+/**
+ * Record a sign-in outcome or account security change against a user
+ */
+const auditAuthEvent = (req, action, userId, details = {}) => {
+  return recordAuditEvent(
+    { action, entityType: 'user', entityId: userId, ...details },
+    { ...getAuditContext(req), actorId: userId }
+  );
+};
+
+/**
+ * Hash a magic link token for storage
+ */
+const hashMagicLinkToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Email a fresh login OTP to the user, replacing any previous one
+ */
+const sendLoginOTP = async (user) => {
+  const newOtp = Math.floor(100000 + Math.random() * 900000).toString();
+  const hashedOTP = await bcrypt.hash(newOtp, 10);
+  const expiresAt = new Date();
+  expiresAt.setMinutes(expiresAt.getMinutes() + OTP_EXPIRY_MINUTES);
+  
+  await query(
+    'UPDATE two_factor_auth SET otp_secret = ?, otp_expires_at = ?, updated_at = NOW() WHERE user_id = ?',
+    [hashedOTP, expiresAt, user.id]
+  );
+  
+  await sendOTPEmail(user.email, newOtp);
+};
+
+/**
+ * Check an unexpired emailed login OTP, clearing it once used
+ */
+const verifyLoginOTP = async (userId, otp) => {
+  const otpData = await query(
+    'SELECT otp_secret FROM two_factor_auth WHERE user_id = ? AND otp_expires_at > NOW()',
+    [userId]
+  );
+  
+  if (!otpData.length || !otpData[0].otp_secret) {
+    return false;
+  }
+  
+  if (!(await bcrypt.compare(String(otp), otpData[0].otp_secret))) {
+    return false;
+  }
+  
+  // Only one concurrent sign-in can spend the code
+  const result = await query(
+    'UPDATE two_factor_auth SET otp_secret = NULL, otp_expires_at = NULL WHERE user_id = ? AND otp_secret = ?',
+    [userId, otpData[0].otp_secret]
+  );
+  
+  return result.affectedRows === 1;
+};
+
+/**
+ * List the second-factor methods a user can log in with
+ */
+const getAvailableMethods = (twoFactorMethods) => {
+  const methods = [];
+  
+  if (twoFactorMethods.totp) {
+    methods.push('totp');
+  }
+  
+  // Email OTP is always offered as a fallback once any 2FA is enabled
+  methods.push('email');
+  
+  if (twoFactorMethods.recoveryCodesRemaining > 0) {
+    methods.push('recovery_code');
+  }
+  
+  return methods;
+};
+
+/**
+ * Run the second-factor step of a sign-in
+ *
+ * Reads otp, method ('totp' or 'email') and recoveryCode from the request body.
+ * @returns {Promise<Object>} { passed, twoFactorEnabled } - when not passed, a response has been sent
+ */
+const runSecondFactorStep = async (req, res, user) => {
+  const { otp, method, recoveryCode } = req.body;
+
+  // Check which second factors the user has enabled
+  const twoFactorMethods = await getTwoFactorMethods(user.id);
+  const twoFactorEnabled = twoFactorMethods.email || twoFactorMethods.totp;
+  const useEmailOTP = !twoFactorMethods.totp || method === 'email';
+  
+  // If 2FA is enabled and no code provided, require second step
+  if (twoFactorEnabled && !otp && !recoveryCode) {
+    // Authenticator-app users only get an email code when they ask for the fallback
+    if (useEmailOTP) {
+      await sendLoginOTP(user);
+    }
+    
+    // Not a completed sign-in, so brute-force counters are left as they are
+    res.locals.authStepIncomplete = true;
+    
+    res.status(200).json({
+      success: true,
+      message: useEmailOTP ? 'OTP sent to your email' : 'Enter the code from your authenticator app',
+      requireOTP: true,
+      method: useEmailOTP ? 'email' : 'totp',
+      methods: getAvailableMethods(twoFactorMethods),
+      userId: user.id
+    });
+    return { passed: false, twoFactorEnabled };
+  }
+  
+  // If 2FA is enabled and a code is provided, verify it
+  if (twoFactorEnabled) {
+    let isValidCode;
+    
+    if (recoveryCode) {
+      isValidCode = await consumeRecoveryCode(user.id, recoveryCode);
+    } else if (useEmailOTP) {
+      isValidCode = await verifyLoginOTP(user.id, otp);
+    } else {
+      isValidCode = await verifyTOTP(user.id, otp);
+    }
+    
+    if (!isValidCode) {
+      await auditAuthEvent(req, 'auth.login_failed', user.id, {
+        metadata: { reason: 'invalid_second_factor', secondFactor: recoveryCode ? 'recovery_code' : (useEmailOTP ? 'email' : 'totp') }
+      });
+      
+      res.status(400).json({
+        success: false,
+        message: recoveryCode ? 'Invalid recovery code' : 'Invalid OTP'
+      });
+      return { passed: false, twoFactorEnabled };
+    }
+  }
+
+  return { passed: true, twoFactorEnabled };
+};
+
+/**
+ * Start a session for a fully authenticated user and send the sign-in response
+ *
+ * @param {Object} user - users row joined with the role name
+ * @param {string} signInMethod - 'password' or 'magic_link', for the audit log
+ */
+const completeSignIn = async (req, res, user, twoFactorEnabled, message, signInMethod) => {
+  const session = await createSession(
+    { id: user.id, email: user.email, role: user.role, emailVerified: user.email_verified === 1 },
+    getDeviceInfo(req)
+  );
+  
+  await auditAuthEvent(req, 'auth.login', user.id, {
+    metadata: { method: signInMethod, sessionId: session.sessionId, twoFactorEnabled }
+  });
+
+  res.status(200).json({
+    success: true,
+    message,
+    token: session.accessToken,
+    refreshToken: session.refreshToken,
+    expiresIn: session.expiresIn,
+    user: {
+      id: user.id,
+      email: user.email,
+      firstName: user.first_name,
+      lastName: user.last_name,
+      role: user.role,
+      phone: user.phone || null,
+      emailVerified: user.email_verified === 1,
+      twoFactorEnabled
+    }
+  });
+};
+
 /**
  * Register a new user
  */
@@ -34,20 +247,19 @@ const register = async (req, res) => {
       });
     }
 
-    // Create user in Firebase
-    const userRecord = await admin.auth().createUser({
+    // Create the user's credentials (Firebase, or local in AUTH_MODE=local)
+    const userRecord = await createIdentity({
       email,
       password,
-      displayName: `${firstName} ${lastName}`,
-      disabled: false
+      displayName: `${firstName} ${lastName}`
     });
 
     // Get role ID from database
     const roles = await query('SELECT id FROM roles WHERE name = ?', [role]);
     
     if (!roles.length) {
-      // If role doesn't exist, delete Firebase user and return error
-      await admin.auth().deleteUser(userRecord.uid);
+      // If role doesn't exist, delete the credentials and return error
+      await deleteIdentity(userRecord.uid);
       return res.status(400).json({
         success: false,
         message: 'Invalid role specified'
@@ -58,8 +270,8 @@ const register = async (req, res) => {
 
     // Insert user into our database
     await query(
-      'INSERT INTO users (id, email, first_name, last_name, phone, role_id) VALUES (?, ?, ?, ?, ?, ?)',
-      [userRecord.uid, email, firstName, lastName, phone, roleId]
+      'INSERT INTO users (id, email, password_hash, first_name, last_name, phone, role_id) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [userRecord.uid, email, userRecord.passwordHash, firstName, lastName, phone, roleId]
     );
 
     // Create profile based on role
@@ -102,15 +314,10 @@ const register = async (req, res) => {
       }
     }
 
-    // Generate JWT for initial authentication
-    const token = jwt.sign(
-      { 
-        uid: userRecord.uid, 
-        email, 
-        role 
-      }, 
-      process.env.JWT_SECRET, 
-      { expiresIn: process.env.TOKEN_EXPIRY || '24h' }
+    // Start a session for this device
+    const session = await createSession(
+      { id: userRecord.uid, email, role, emailVerified: skipEmailVerification },
+      getDeviceInfo(req)
     );
 
     // For development, automatically mark email as verified if skipping verification
@@ -125,7 +332,9 @@ const register = async (req, res) => {
         : skipEmailVerification
           ? 'User registered successfully. Email verification skipped for development.'
           : 'User registered successfully. Email verification service is unavailable.',
-      token,
+      token: session.accessToken,
+      refreshToken: session.refreshToken,
+      expiresIn: session.expiresIn,
       user: {
         id: userRecord.uid,
         email,
@@ -160,7 +369,7 @@ const register = async (req, res) => {
  */
 const login = async (req, res) => {
   try {
-    const { email, password, otp } = req.body;
+    const { email, password } = req.body;
 
     // Validate input
     if (!email || !password) {
@@ -170,8 +379,19 @@ const login = async (req, res) => {
       });
     }
 
-    // Sign in with Firebase
-    const signInResult = await admin.auth().getUserByEmail(email);
+    // Look up the user's credentials
+    const signInResult = await findIdentityByEmail(email);
+    
+    if (!(await verifyPassword(signInResult.uid, password))) {
+      await auditAuthEvent(req, 'auth.login_failed', signInResult.uid, {
+        metadata: { reason: 'invalid_password', method: 'password' }
+      });
+      
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid email or password'
+      });
+    }
     
     // Get user data from our database
     const users = await query(
@@ -191,99 +411,24 @@ const login = async (req, res) => {
     
     const user = users[0];
 
-    // Check if 2FA is enabled for the user
-    const twoFactorData = await query(
-      'SELECT otp_enabled FROM two_factor_auth WHERE user_id = ? AND otp_enabled = true',
-      [user.id]
-    );
-    
-    const twoFactorEnabled = twoFactorData.length > 0;
-    
-    // If 2FA is enabled and no OTP provided, send OTP and require second step
-    if (twoFactorEnabled && !otp) {
-      // Generate OTP
-      const newOtp = Math.floor(100000 + Math.random() * 900000).toString();
-      const hashedOTP = await bcrypt.hash(newOtp, 10);
-      
-      // Update OTP in database
-      if (await query('SELECT 1 FROM two_factor_auth WHERE user_id = ?', [user.id]).length) {
-        await query(
-          'UPDATE two_factor_auth SET otp_secret = ?, updated_at = NOW() WHERE user_id = ?',
-          [hashedOTP, user.id]
-        );
-      } else {
-        await query(
-          'INSERT INTO two_factor_auth (user_id, otp_secret, otp_enabled) VALUES (?, ?, true)',
-          [user.id, hashedOTP]
-        );
-      }
-      
-      // Send OTP via email
-      await sendOTPEmail(user.email, newOtp);
-      
-      return res.status(200).json({
-        success: true,
-        message: 'OTP sent to your email',
-        requireOTP: true,
-        userId: user.id
-      });
-    }
+    // Second factor, if the user has one enabled
+    const secondFactor = await runSecondFactorStep(req, res, user);
     
-    // If 2FA is enabled and OTP is provided, verify OTP
-    if (twoFactorEnabled && otp) {
-      const otpData = await query(
-        'SELECT otp_secret FROM two_factor_auth WHERE user_id = ?',
-        [user.id]
-      );
-      
-      if (!otpData.length) {
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid OTP'
-        });
-      }
-      
-      const isValidOTP = await bcrypt.compare(otp, otpData[0].otp_secret);
-      
-      if (!isValidOTP) {
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid OTP'
-        });
-      }
+    if (!secondFactor.passed) {
+      return;
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      {
-        uid: signInResult.uid,
-        email: signInResult.email,
-        role: user.role
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.TOKEN_EXPIRY || '24h' }
-    );
-
-    res.status(200).json({
-      success: true,
-      message: 'Login successful',
-      token,
-      user: {
-        id: user.id,
-        email: user.email,
-        firstName: user.first_name,
-        lastName: user.last_name,
-        role: user.role,
-        phone: user.phone || null,
-        emailVerified: user.email_verified === 1,
-        twoFactorEnabled
-      }
-    });
+    await completeSignIn(req, res, user, secondFactor.twoFactorEnabled, 'Login successful', 'password');
   } catch (error) {
     console.error('Login error:', error);
     
     // Handle Firebase-specific errors
     if (error.code === 'auth/user-not-found' || error.code === 'auth/wrong-password') {
+      await recordAuditEvent({
+        action: 'auth.login_failed',
+        metadata: { reason: 'unknown_user', method: 'password', email: req.body.email }
+      }, getAuditContext(req));
+      
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
@@ -299,186 +444,488 @@ const login = async (req, res) => {
 };
 
 /**
- * Verify email
+ * Replace a user's sign-in link with a new one and email it
  */
-const verifyEmail = async (req, res) => {
-  try {
-    const { token } = req.body;
+const issueMagicLink = async (user) => {
+  const magicToken = crypto.randomBytes(32).toString('hex');
+  const tokenExpiry = new Date();
+  tokenExpiry.setMinutes(tokenExpiry.getMinutes() + 15); // Token valid for 15 minutes
 
-    if (!token) {
-      return res.status(400).json({
-        success: false,
-        message: 'Verification token is required'
-      });
-    }
+  // Only the most recent link works
+  await query(
+    'DELETE FROM magic_link_tokens WHERE user_id = ?',
+    [user.id]
+  );
 
-    // Find token in database
-    const tokens = await query(
-      `SELECT * FROM email_verification_tokens 
-       WHERE token = ? AND expires_at > NOW()`,
-      [token]
-    );
+  await query(
+    'INSERT INTO magic_link_tokens (user_id, token_hash, expires_at) VALUES (?, ?, ?)',
+    [user.id, hashMagicLinkToken(magicToken), tokenExpiry]
+  );
 
-    if (!tokens.length) {
+  await sendMagicLinkEmail(user.email, magicToken);
+};
+
+/**
+ * Email a passwordless sign-in link
+ */
+const requestMagicLink = async (req, res) => {
+  // Same response whether or not the email is registered
+  const genericResponse = {
+    success: true,
+    message: 'If your email is registered, you will receive a sign-in link'
+  };
+
+  try {
+    const { email } = req.body;
+
+    if (!email) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid or expired verification token'
+        message: 'Email is required'
       });
     }
 
-    const userId = tokens[0].user_id;
+    let uid = null;
+    try {
+      uid = (await findIdentityByEmail(email)).uid;
+    } catch (error) {
+      if (error.code !== 'auth/user-not-found') {
+        throw error;
+      }
+    }
 
-    // Update user verification status
-    await query(
-      'UPDATE users SET email_verified = true WHERE id = ?',
-      [userId]
-    );
+    // Unknown emails run the same lookup, and the link is sent without waiting,
+    // so the response time does not reveal whether the email is registered
+    const users = await query('SELECT id, email FROM users WHERE id = ?', [uid]);
 
-    // Delete used token
-    await query(
-      'DELETE FROM email_verification_tokens WHERE token = ?',
-      [token]
-    );
+    if (users.length) {
+      issueMagicLink(users[0]).catch(error => {
+        console.error('Error sending magic link email:', error);
+      });
+    }
 
-    res.status(200).json({
-      success: true,
-      message: 'Email verified successfully'
-    });
+    res.status(200).json(genericResponse);
   } catch (error) {
-    console.error('Email verification error:', error);
+    console.error('Magic link request error:', error);
     res.status(500).json({
       success: false,
-      message: 'Error verifying email',
+      message: 'Error processing sign-in link request',
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
 };
 
 /**
- * Request password reset
+ * Sign in with a magic link token (plus a second factor if the user has 2FA)
  */
-const requestPasswordReset = async (req, res) => {
+const verifyMagicLink = async (req, res) => {
   try {
-    const { email } = req.body;
+    const { token } = req.body;
 
-    if (!email) {
+    if (!token) {
       return res.status(400).json({
         success: false,
-        message: 'Email is required'
+        message: 'Sign-in token is required'
       });
     }
 
-    // Get user from Firebase
-    const userRecord = await admin.auth().getUserByEmail(email);
+    const tokens = await query(
+      `SELECT * FROM magic_link_tokens 
+       WHERE token_hash = ? AND used_at IS NULL AND expires_at > NOW()`,
+      [hashMagicLinkToken(token)]
+    );
 
-    // Generate reset token
-    const resetToken = crypto.randomBytes(32).toString('hex');
-    const tokenExpiry = new Date();
-    tokenExpiry.setHours(tokenExpiry.getHours() + 1); // Token valid for 1 hour
+    if (!tokens.length) {
+      await recordAuditEvent({
+        action: 'auth.login_failed',
+        metadata: { reason: 'invalid_link', method: 'magic_link' }
+      }, getAuditContext(req));
+      
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired sign-in link'
+      });
+    }
 
-    // Delete any existing reset tokens for this user
-    await query(
-      'DELETE FROM password_reset_tokens WHERE user_id = ?',
-      [userRecord.uid]
+    const users = await query(
+      `SELECT u.*, r.name as role 
+       FROM users u 
+       JOIN roles r ON u.role_id = r.id 
+       WHERE u.id = ?`,
+      [tokens[0].user_id]
     );
 
-    // Save new token to database
-    await query(
-      'INSERT INTO password_reset_tokens (user_id, token, expires_at) VALUES (?, ?, ?)',
-      [userRecord.uid, resetToken, tokenExpiry]
-    );
+    if (!users.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired sign-in link'
+      });
+    }
 
-    // Send password reset email
-    await sendPasswordResetEmail(email, resetToken);
+    const user = users[0];
 
-    res.status(200).json({
-      success: true,
-      message: 'Password reset link sent to your email'
-    });
-  } catch (error) {
-    console.error('Password reset request error:', error);
-    
-    // Don't reveal if email exists for security
-    if (error.code === 'auth/user-not-found') {
-      return res.status(200).json({
-        success: true,
-        message: 'If your email is registered, you will receive a reset link'
+    // The link stays valid until the second factor (if any) is passed
+    const secondFactor = await runSecondFactorStep(req, res, user);
+
+    if (!secondFactor.passed) {
+      return;
+    }
+
+    // Mark the link used; a concurrent request that got here first wins
+    const result = await query(
+      'UPDATE magic_link_tokens SET used_at = NOW() WHERE id = ? AND used_at IS NULL',
+      [tokens[0].id]
+    );
+
+    if (!result.affectedRows) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired sign-in link'
       });
     }
-    
+
+    // Following the link proves the user controls the address
+    if (user.email_verified !== 1) {
+      await query('UPDATE users SET email_verified = true WHERE id = ?', [user.id]);
+      user.email_verified = 1;
+    }
+
+    await completeSignIn(req, res, user, secondFactor.twoFactorEnabled, 'Login successful', 'magic_link');
+  } catch (error) {
+    console.error('Magic link sign-in error:', error);
     res.status(500).json({
       success: false,
-      message: 'Error processing password reset request',
+      message: 'Error signing in with link',
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
 };
 
 /**
- * Reset password with token
+ * Exchange a refresh token for a new access token
  */
-const resetPassword = async (req, res) => {
+const refreshToken = async (req, res) => {
   try {
-    const { token, newPassword } = req.body;
+    const { refreshToken: token } = req.body;
 
-    if (!token || !newPassword) {
+    if (!token) {
       return res.status(400).json({
         success: false,
-        message: 'Token and new password are required'
+        message: 'Refresh token is required'
       });
     }
 
-    // Find token in database
-    const tokens = await query(
-      `SELECT * FROM password_reset_tokens 
-       WHERE token = ? AND expires_at > NOW()`,
-      [token]
-    );
+    const session = await rotateSession(token, getDeviceInfo(req));
 
-    if (!tokens.length) {
-      return res.status(400).json({
+    res.status(200).json({
+      success: true,
+      token: session.accessToken,
+      refreshToken: session.refreshToken,
+      expiresIn: session.expiresIn
+    });
+  } catch (error) {
+    console.error('Token refresh error:', error);
+
+    if (error.message === 'Invalid refresh token' ||
+        error.message === 'Session has expired or been revoked' ||
+        error.message.startsWith('Refresh token reuse detected')) {
+      return res.status(401).json({
         success: false,
-        message: 'Invalid or expired reset token'
+        message: error.message
       });
     }
 
-    const userId = tokens[0].user_id;
-
-    // Update password in Firebase
-    await admin.auth().updateUser(userId, {
-      password: newPassword
+    res.status(500).json({
+      success: false,
+      message: 'Error refreshing token',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
+  }
+};
 
-    // Delete used token
-    await query(
-      'DELETE FROM password_reset_tokens WHERE token = ?',
-      [token]
-    );
+/**
+ * Log out of the current session
+ */
+const logout = async (req, res) => {
+  try {
+    await revokeSessionService(req.user.id, req.user.sessionId);
 
     res.status(200).json({
       success: true,
-      message: 'Password updated successfully'
+      message: 'Logged out successfully'
     });
   } catch (error) {
-    console.error('Password reset error:', error);
+    console.error('Logout error:', error);
     res.status(500).json({
       success: false,
-      message: 'Error resetting password',
+      message: 'Error logging out',
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
 };
 
 /**
- * Generate OTP for two-factor authentication
+ * List the current user's active sessions
  */
-const generateOTP = async (req, res) => {
+const getSessions = async (req, res) => {
   try {
-    // Ensure user is authenticated
-    if (!req.user || !req.user.uid) {
-      return res.status(401).json({
-        success: false,
-        message: 'Authentication required'
+    const sessions = await getUserSessions(req.user.id, req.user.sessionId);
+
+    res.status(200).json({
+      success: true,
+      sessions
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching sessions',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Revoke one of the current user's sessions
+ */
+const revokeSession = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const result = await revokeSessionService(req.user.id, sessionId);
+
+    res.status(200).json(result);
+  } catch (error) {
+    console.error('Revoke session error:', error);
+
+    if (error.message === 'Session not found') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking session',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Revoke all of the current user's sessions (optionally keeping this one)
+ */
+const revokeAllSessions = async (req, res) => {
+  try {
+    const keepCurrent = req.query.keepCurrent === 'true';
+
+    const result = await revokeAllSessionsService(
+      req.user.id,
+      keepCurrent ? req.user.sessionId : null
+    );
+
+    res.status(200).json({
+      success: true,
+      message: keepCurrent ? 'All other sessions revoked' : 'All sessions revoked',
+      revoked: result.revoked
+    });
+  } catch (error) {
+    console.error('Revoke all sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking sessions',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Verify email
+ */
+const verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification token is required'
+      });
+    }
+
+    // Find token in database
+    const tokens = await query(
+      `SELECT * FROM email_verification_tokens 
+       WHERE token = ? AND expires_at > NOW()`,
+      [token]
+    );
+
+    if (!tokens.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification token'
+      });
+    }
+
+    const userId = tokens[0].user_id;
+
+    // Update user verification status
+    await query(
+      'UPDATE users SET email_verified = true WHERE id = ?',
+      [userId]
+    );
+
+    // Delete used token
+    await query(
+      'DELETE FROM email_verification_tokens WHERE token = ?',
+      [token]
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    console.error('Email verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error verifying email',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Request password reset
+ */
+const requestPasswordReset = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required'
+      });
+    }
+
+    // Get user's credentials
+    const userRecord = await findIdentityByEmail(email);
+
+    // Generate reset token
+    const resetToken = crypto.randomBytes(32).toString('hex');
+    const tokenExpiry = new Date();
+    tokenExpiry.setHours(tokenExpiry.getHours() + 1); // Token valid for 1 hour
+
+    // Delete any existing reset tokens for this user
+    await query(
+      'DELETE FROM password_reset_tokens WHERE user_id = ?',
+      [userRecord.uid]
+    );
+
+    // Save new token to database
+    await query(
+      'INSERT INTO password_reset_tokens (user_id, token, expires_at) VALUES (?, ?, ?)',
+      [userRecord.uid, resetToken, tokenExpiry]
+    );
+
+    // Send password reset email
+    await sendPasswordResetEmail(email, resetToken);
+    
+    await auditAuthEvent(req, 'auth.password_reset_requested', userRecord.uid);
+
+    res.status(200).json({
+      success: true,
+      message: 'Password reset link sent to your email'
+    });
+  } catch (error) {
+    console.error('Password reset request error:', error);
+    
+    // Don't reveal if email exists for security
+    if (error.code === 'auth/user-not-found') {
+      return res.status(200).json({
+        success: true,
+        message: 'If your email is registered, you will receive a reset link'
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Error processing password reset request',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Reset password with token
+ */
+const resetPassword = async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+
+    if (!token || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'Token and new password are required'
+      });
+    }
+
+    // Find token in database
+    const tokens = await query(
+      `SELECT * FROM password_reset_tokens 
+       WHERE token = ? AND expires_at > NOW()`,
+      [token]
+    );
+
+    if (!tokens.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset token'
+      });
+    }
+
+    const userId = tokens[0].user_id;
+
+    // Update password
+    await updatePassword(userId, newPassword);
+
+    // Delete used token
+    await query(
+      'DELETE FROM password_reset_tokens WHERE token = ?',
+      [token]
+    );
+
+    // A reset password invalidates every existing session
+    await revokeAllSessionsService(userId);
+    
+    await auditAuthEvent(req, 'auth.password_reset', userId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Password updated successfully'
+    });
+  } catch (error) {
+    console.error('Password reset error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error resetting password',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Generate OTP for two-factor authentication
+ */
+const generateOTP = async (req, res) => {
+  try {
+    // Ensure user is authenticated
+    if (!req.user || !req.user.id) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
       });
     }
 
@@ -488,32 +935,32 @@ const generateOTP = async (req, res) => {
     // Hash OTP for storage
     const hashedOTP = await bcrypt.hash(otp, 10);
     
-    // Set expiry (10 minutes from now)
+    // Set expiry (OTP_EXPIRY_MINUTES from now)
     const expiresAt = new Date();
-    expiresAt.setMinutes(expiresAt.getMinutes() + 10);
+    expiresAt.setMinutes(expiresAt.getMinutes() + OTP_EXPIRY_MINUTES);
     
     // Check if user already has 2FA record
     const existingRecord = await query(
       'SELECT * FROM two_factor_auth WHERE user_id = ?',
-      [req.user.uid]
+      [req.user.id]
     );
     
     if (existingRecord.length) {
       // Update existing record
       await query(
-        'UPDATE two_factor_auth SET otp_secret = ?, updated_at = NOW() WHERE user_id = ?',
-        [hashedOTP, req.user.uid]
+        'UPDATE two_factor_auth SET otp_secret = ?, otp_expires_at = ?, updated_at = NOW() WHERE user_id = ?',
+        [hashedOTP, expiresAt, req.user.id]
       );
     } else {
       // Create new record
       await query(
-        'INSERT INTO two_factor_auth (user_id, otp_secret, otp_enabled) VALUES (?, ?, false)',
-        [req.user.uid, hashedOTP]
+        'INSERT INTO two_factor_auth (user_id, otp_secret, otp_expires_at, otp_enabled) VALUES (?, ?, ?, false)',
+        [req.user.id, hashedOTP, expiresAt]
       );
     }
     
     // Get user email
-    const user = await query('SELECT email FROM users WHERE id = ?', [req.user.uid]);
+    const user = await query('SELECT email FROM users WHERE id = ?', [req.user.id]);
     
     if (!user.length) {
       return res.status(404).json({
@@ -547,7 +994,7 @@ const verifyOTP = async (req, res) => {
     const { otp } = req.body;
     
     // Ensure user is authenticated
-    if (!req.user || !req.user.uid) {
+    if (!req.user || !req.user.id) {
       return res.status(401).json({
         success: false,
         message: 'Authentication required'
@@ -564,7 +1011,7 @@ const verifyOTP = async (req, res) => {
     // Get user's stored OTP
     const twoFactorData = await query(
       'SELECT otp_secret FROM two_factor_auth WHERE user_id = ?',
-      [req.user.uid]
+      [req.user.id]
     );
     
     if (!twoFactorData.length) {
@@ -587,9 +1034,13 @@ const verifyOTP = async (req, res) => {
     // Enable 2FA for user
     await query(
       'UPDATE two_factor_auth SET otp_enabled = true WHERE user_id = ?',
-      [req.user.uid]
+      [req.user.id]
     );
     
+    await auditAuthEvent(req, 'auth.2fa_enabled', req.user.id, {
+      after: { method: 'email' }
+    });
+    
     res.status(200).json({
       success: true,
       message: 'OTP verified successfully. Two-factor authentication enabled.'
@@ -612,7 +1063,7 @@ const toggleTwoFactorAuth = async (req, res) => {
     const { enable } = req.body;
     
     // Ensure user is authenticated
-    if (!req.user || !req.user.uid) {
+    if (!req.user || !req.user.id) {
       return res.status(401).json({
         success: false,
         message: 'Authentication required'
@@ -629,21 +1080,28 @@ const toggleTwoFactorAuth = async (req, res) => {
     // Check if user already has 2FA record
     const existingRecord = await query(
       'SELECT * FROM two_factor_auth WHERE user_id = ?',
-      [req.user.uid]
+      [req.user.id]
     );
     
     if (existingRecord.length) {
       // Update existing record
       await query(
         'UPDATE two_factor_auth SET otp_enabled = ? WHERE user_id = ?',
-        [enable, req.user.uid]
+        [enable, req.user.id]
       );
     } else if (enable) {
       // Create new record with 2FA enabled
       await query(
         'INSERT INTO two_factor_auth (user_id, otp_enabled) VALUES (?, true)',
-        [req.user.uid]
+        [req.user.id]
       );
+    }
+    
+    if (existingRecord.length || enable) {
+      await auditAuthEvent(req, enable ? 'auth.2fa_enabled' : 'auth.2fa_disabled', req.user.id, {
+        before: { method: 'email', enabled: existingRecord.length ? !!existingRecord[0].otp_enabled : false },
+        after: { method: 'email', enabled: !!enable }
+      });
     } else {
       // No need to create a record if disabling and no record exists
       return res.status(200).json({
@@ -674,24 +1132,20 @@ const toggleTwoFactorAuth = async (req, res) => {
 const getTwoFactorStatus = async (req, res) => {
   try {
     // Ensure user is authenticated
-    if (!req.user || !req.user.uid) {
+    if (!req.user || !req.user.id) {
       return res.status(401).json({
         success: false,
         message: 'Authentication required'
       });
     }
     
-    // Get 2FA status
-    const result = await query(
-      'SELECT otp_enabled FROM two_factor_auth WHERE user_id = ?',
-      [req.user.uid]
-    );
-    
-    const isEnabled = result.length > 0 && result[0].otp_enabled;
+    // Get enrolled 2FA methods
+    const methods = await getTwoFactorMethods(req.user.id);
     
     res.status(200).json({
       success: true,
-      twoFactorEnabled: isEnabled
+      twoFactorEnabled: methods.email || methods.totp,
+      methods
     });
   } catch (error) {
     console.error('Get 2FA status error:', error);
@@ -703,6 +1157,376 @@ const getTwoFactorStatus = async (req, res) => {
   }
 };
 
+/**
+ * Start authenticator-app (TOTP) enrollment
+ */
+const setupTOTP = async (req, res) => {
+  try {
+    // Ensure user is authenticated
+    if (!req.user || !req.user.id) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+    
+    const user = await query('SELECT email FROM users WHERE id = ?', [req.user.id]);
+    
+    if (!user.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    const { secret, otpauthUrl } = await beginTOTPEnrollment(req.user.id, user[0].email);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with the first code it shows',
+      secret,
+      otpauthUrl
+    });
+  } catch (error) {
+    console.error('TOTP setup error:', error);
+    
+    if (error.message === 'Authenticator app is already enabled') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Error setting up authenticator app',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Confirm authenticator-app enrollment with its first code
+ */
+const confirmTOTP = async (req, res) => {
+  try {
+    const { code } = req.body;
+    
+    // Ensure user is authenticated
+    if (!req.user || !req.user.id) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+    
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Code is required'
+      });
+    }
+    
+    const recoveryCodes = await confirmTOTPEnrollment(req.user.id, code);
+    
+    if (!recoveryCodes) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid code'
+      });
+    }
+    
+    await auditAuthEvent(req, 'auth.2fa_enabled', req.user.id, {
+      after: { method: 'totp' }
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Authenticator app enabled. Store these recovery codes somewhere safe; they will not be shown again.',
+      recoveryCodes
+    });
+  } catch (error) {
+    console.error('TOTP confirmation error:', error);
+    
+    if (error.message === 'No authenticator app enrollment in progress' ||
+        error.message === 'Authenticator app is already enabled') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Error confirming authenticator app',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Disable the authenticator app (requires a current code or recovery code)
+ */
+const disableTOTP = async (req, res) => {
+  try {
+    const { code, recoveryCode } = req.body;
+    
+    // Ensure user is authenticated
+    if (!req.user || !req.user.id) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+    
+    if (!code && !recoveryCode) {
+      return res.status(400).json({
+        success: false,
+        message: 'An authenticator code or recovery code is required'
+      });
+    }
+    
+    const isValid = recoveryCode
+      ? await consumeRecoveryCode(req.user.id, recoveryCode)
+      : await verifyTOTP(req.user.id, code);
+    
+    if (!isValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid code'
+      });
+    }
+    
+    await disableTOTPService(req.user.id);
+    
+    await auditAuthEvent(req, 'auth.2fa_disabled', req.user.id, {
+      before: { method: 'totp' },
+      metadata: { verifiedWith: recoveryCode ? 'recovery_code' : 'totp' }
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Authenticator app disabled'
+    });
+  } catch (error) {
+    console.error('TOTP disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error disabling authenticator app',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Replace the user's recovery codes (requires a current authenticator code)
+ */
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+    
+    // Ensure user is authenticated
+    if (!req.user || !req.user.id) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+    
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Code is required'
+      });
+    }
+    
+    const isValid = await verifyTOTP(req.user.id, code);
+    
+    if (!isValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid code'
+      });
+    }
+    
+    const recoveryCodes = await generateRecoveryCodes(req.user.id);
+    
+    await auditAuthEvent(req, 'auth.recovery_codes_regenerated', req.user.id);
+    
+    res.status(200).json({
+      success: true,
+      message: 'New recovery codes generated. Previous codes no longer work.',
+      recoveryCodes
+    });
+  } catch (error) {
+    console.error('Recovery code generation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating recovery codes',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Unlock an account locked by brute-force protection (admin only)
+ */
+const unlockAccount = async (req, res) => {
+  try {
+    const { email } = req.body;
+    
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required'
+      });
+    }
+    
+    const result = await unlockAccountService(email);
+    
+    await recordAuditEvent({
+      action: 'auth.account_unlocked',
+      entityType: 'user',
+      metadata: { email }
+    }, getAuditContext(req));
+    
+    res.status(200).json(result);
+  } catch (error) {
+    console.error('Unlock account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error unlocking account',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Start a time-limited session acting as another user (admin only)
+ */
+const startImpersonation = async (req, res) => {
+  try {
+    const { userId, reason, durationMinutes } = req.body;
+    
+    if (!userId || !reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'User ID and reason are required'
+      });
+    }
+    
+    if (req.user.impersonatorId) {
+      return res.status(403).json({
+        success: false,
+        message: 'End the current impersonation session first'
+      });
+    }
+    
+    if (userId === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot impersonate yourself'
+      });
+    }
+    
+    const users = await query(
+      `SELECT u.*, r.name as role 
+       FROM users u 
+       JOIN roles r ON u.role_id = r.id 
+       WHERE u.id = ? AND u.deleted_at IS NULL`,
+      [userId]
+    );
+    
+    if (!users.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    const user = users[0];
+    
+    // Admin accounts can't be impersonated, so impersonation can't be used to escalate
+    if (user.role === 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Admin accounts cannot be impersonated'
+      });
+    }
+    
+    const session = await createImpersonationSession(
+      req.user.id,
+      { id: user.id, email: user.email, role: user.role, emailVerified: user.email_verified === 1 },
+      { durationMinutes, reason, ...getDeviceInfo(req) }
+    );
+    
+    await recordAuditEvent({
+      action: 'impersonation.started',
+      entityType: 'user',
+      entityId: user.id,
+      metadata: { sessionId: session.sessionId, reason, expiresAt: session.expiresAt }
+    }, { ...getAuditContext(req), actorId: user.id, impersonatorId: req.user.id });
+    
+    res.status(200).json({
+      success: true,
+      message: `Impersonating ${user.email}. Sensitive actions are disabled in this session.`,
+      token: session.accessToken,
+      expiresAt: session.expiresAt,
+      user: {
+        id: user.id,
+        email: user.email,
+        firstName: user.first_name,
+        lastName: user.last_name,
+        role: user.role
+      }
+    });
+  } catch (error) {
+    console.error('Start impersonation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error starting impersonation',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * End the impersonation session the request is made with
+ */
+const endImpersonation = async (req, res) => {
+  try {
+    if (!req.user.impersonatorId) {
+      return res.status(400).json({
+        success: false,
+        message: 'This is not an impersonation session'
+      });
+    }
+    
+    const session = await endImpersonationSession(req.user.sessionId);
+    
+    if (session) {
+      await recordAuditEvent({
+        action: 'impersonation.ended',
+        entityType: 'user',
+        entityId: session.user_id,
+        metadata: { sessionId: session.id }
+      }, getAuditContext(req));
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Impersonation ended'
+    });
+  } catch (error) {
+    console.error('End impersonation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error ending impersonation',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 /**
  * Change password (for authenticated users)
  */
@@ -711,7 +1535,7 @@ const changePassword = async (req, res) => {
     const { currentPassword, newPassword } = req.body;
     
     // Ensure user is authenticated
-    if (!req.user || !req.user.uid) {
+    if (!req.user || !req.user.id) {
       return res.status(401).json({
         success: false,
         message: 'Authentication required'
@@ -725,12 +1549,21 @@ const changePassword = async (req, res) => {
       });
     }
     
-    // Update password in Firebase
-    // Note: Firebase doesn't have a built-in way to verify the current password
-    // For proper verification, you may need to implement a custom solution
-    await admin.auth().updateUser(req.user.uid, {
-      password: newPassword
-    });
+    // Note: Firebase doesn't have a built-in way to verify the current password,
+    // so this check only applies in AUTH_MODE=local
+    if (!(await verifyPassword(req.user.id, currentPassword))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+    
+    await updatePassword(req.user.id, newPassword);
+    
+    // Sign out every other device; the current session stays active
+    await revokeAllSessionsService(req.user.id, req.user.sessionId);
+    
+    await auditAuthEvent(req, 'auth.password_changed', req.user.id);
     
     res.status(200).json({
       success: true,
@@ -757,6 +1590,13 @@ const changePassword = async (req, res) => {
 module.exports = {
   register,
   login,
+  requestMagicLink,
+  verifyMagicLink,
+  refreshToken,
+  logout,
+  getSessions,
+  revokeSession,
+  revokeAllSessions,
   verifyEmail,
   requestPasswordReset,
   resetPassword,
@@ -764,5 +1604,12 @@ module.exports = {
   verifyOTP,
   toggleTwoFactorAuth,
   getTwoFactorStatus,
+  setupTOTP,
+  confirmTOTP,
+  disableTOTP,
+  regenerateRecoveryCodes,
+  unlockAccount,
+  startImpersonation,
+  endImpersonation,
   changePassword
 }; 
\ No newline at end of file
@@ -0,0 +1,241 @@
+const {
+  generatePalettes,
+  checkContrast,
+  getFontPairings,
+  getBrandKits,
+  getBrandKit,
+  createBrandKit,
+  updateBrandKit,
+  deleteBrandKit,
+  addBrandKitLogo,
+  removeBrandKitLogo,
+  getBrandKitLogoFile,
+  exportBrandKit
+} = require('../services/brandKitService');
+const { getOrganizationId } = require('../services/organizationService');
+
+// Messages of brand kit service errors caused by invalid input
+const VALIDATION_ERRORS = [
+  'Colors must', 'Palette must', 'Harmony must', 'Typography must', 'Font style must',
+  'Voice', 'Brand kit name is required', 'A logo file is required', 'Only PNG', 'Logo variant must'
+];
+
+/**
+ * Map brand kit service errors to responses
+ */
+const handleBrandKitError = (res, error, fallbackMessage) => {
+  if (error.message === 'Brand kit not found or you do not have access to it' ||
+      error.message === 'Logo not found' || error.message === 'Font pairing not found') {
+    return res.status(404).json({ success: false, message: error.message });
+  }
+
+  if (VALIDATION_ERRORS.some(prefix => error.message.startsWith(prefix))) {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+
+  console.error(`${fallbackMessage}:`, error);
+
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+/**
+ * Generate color palettes from a base color or the business name
+ */
+const generateBrandPalettes = async (req, res) => {
+  try {
+    const { baseColor, harmony, businessName } = req.body;
+
+    const palettes = generatePalettes({ baseColor, harmony, seed: businessName });
+
+    res.status(200).json({ success: true, palettes });
+  } catch (error) {
+    handleBrandKitError(res, error, 'Error generating palettes');
+  }
+};
+
+/**
+ * Check the contrast between two colors
+ */
+const checkColorContrast = async (req, res) => {
+  try {
+    const { foreground, background } = req.body;
+
+    if (!foreground || !background) {
+      return res.status(400).json({
+        success: false,
+        message: 'Foreground and background colors are required'
+      });
+    }
+
+    res.status(200).json({ success: true, contrast: checkContrast(foreground, background) });
+  } catch (error) {
+    handleBrandKitError(res, error, 'Error checking contrast');
+  }
+};
+
+/**
+ * List font pairings (?style=playful|premium|technical|neutral)
+ */
+const listFontPairings = async (req, res) => {
+  try {
+    res.status(200).json({ success: true, pairings: getFontPairings(req.query.style) });
+  } catch (error) {
+    handleBrandKitError(res, error, 'Error fetching font pairings');
+  }
+};
+
+/**
+ * List the brand kits in the current workspace
+ */
+const listBrandKits = async (req, res) => {
+  try {
+    const brandKits = await getBrandKits(req.user.id, getOrganizationId(req));
+
+    res.status(200).json({ success: true, brandKits });
+  } catch (error) {
+    handleBrandKitError(res, error, 'Error fetching brand kits');
+  }
+};
+
+/**
+ * Get a brand kit
+ */
+const getBrandKitDetails = async (req, res) => {
+  try {
+    const brandKit = await getBrandKit(req.params.id, req.user.id);
+
+    res.status(200).json({ success: true, brandKit });
+  } catch (error) {
+    handleBrandKitError(res, error, 'Error fetching brand kit');
+  }
+};
+
+/**
+ * Create a brand kit
+ */
+const createNewBrandKit = async (req, res) => {
+  try {
+    const brandKit = await createBrandKit(req.user.id, req.body, getOrganizationId(req));
+
+    res.status(201).json({
+      success: true,
+      message: 'Brand kit created successfully',
+      brandKit
+    });
+  } catch (error) {
+    handleBrandKitError(res, error, 'Error creating brand kit');
+  }
+};
+
+/**
+ * Update a brand kit
+ */
+const updateExistingBrandKit = async (req, res) => {
+  try {
+    const brandKit = await updateBrandKit(req.params.id, req.user.id, req.body);
+
+    res.status(200).json({
+      success: true,
+      message: 'Brand kit updated successfully',
+      brandKit
+    });
+  } catch (error) {
+    handleBrandKitError(res, error, 'Error updating brand kit');
+  }
+};
+
+/**
+ * Delete a brand kit
+ */
+const deleteExistingBrandKit = async (req, res) => {
+  try {
+    const result = await deleteBrandKit(req.params.id, req.user.id);
+
+    res.status(200).json(result);
+  } catch (error) {
+    handleBrandKitError(res, error, 'Error deleting brand kit');
+  }
+};
+
+/**
+ * Upload a logo variant (multipart field "logo", body field "variant")
+ */
+const uploadBrandKitLogo = async (req, res) => {
+  try {
+    const logo = await addBrandKitLogo(req.params.id, req.user.id, req.file, req.body.variant || 'primary');
+
+    res.status(201).json({
+      success: true,
+      message: 'Logo uploaded successfully',
+      logo
+    });
+  } catch (error) {
+    handleBrandKitError(res, error, 'Error uploading logo');
+  }
+};
+
+/**
+ * Remove a logo
+ */
+const deleteBrandKitLogo = async (req, res) => {
+  try {
+    const result = await removeBrandKitLogo(req.params.id, req.params.logoId, req.user.id);
+
+    res.status(200).json(result);
+  } catch (error) {
+    handleBrandKitError(res, error, 'Error removing logo');
+  }
+};
+
+/**
+ * Download a logo file
+ */
+const downloadBrandKitLogo = async (req, res) => {
+  try {
+    const file = await getBrandKitLogoFile(req.params.id, req.params.logoId, req.user.id);
+
+    res.setHeader('Content-Type', file.mimeType);
+    // SVGs can carry scripts; never let the browser run them from our origin
+    res.setHeader('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'");
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.sendFile(file.path);
+  } catch (error) {
+    handleBrandKitError(res, error, 'Error downloading logo');
+  }
+};
+
+/**
+ * Export a brand kit as JSON (?download=true to get it as a file)
+ */
+const exportBrandKitJson = async (req, res) => {
+  try {
+    const brandKit = await exportBrandKit(req.params.id, req.user.id);
+
+    if (req.query.download === 'true') {
+      res.setHeader('Content-Disposition', `attachment; filename="brand-kit-${req.params.id}.json"`);
+    }
+
+    res.status(200).json(brandKit);
+  } catch (error) {
+    handleBrandKitError(res, error, 'Error exporting brand kit');
+  }
+};
+
+module.exports = {
+  generateBrandPalettes,
+  checkColorContrast,
+  listFontPairings,
+  listBrandKits,
+  getBrandKitDetails,
+  createNewBrandKit,
+  updateExistingBrandKit,
+  deleteExistingBrandKit,
+  uploadBrandKitLogo,
+  deleteBrandKitLogo,
+  downloadBrandKitLogo,
+  exportBrandKitJson
+};
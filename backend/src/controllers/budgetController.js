@@ -5,6 +5,7 @@
  */
 const budgetService = require('../services/budgetService');
 const financialReportService = require('../services/financialReportService');
+const { getOrganizationId } = require('../services/organizationService');
 const { validationResult } = require('express-validator');
 
 /**
@@ -15,7 +16,7 @@ const getBudgetCategories = async (req, res) => {
     const userId = req.user.id;
     const type = req.query.type; // income or expense
     
-    const categories = await budgetService.getBudgetCategories(userId, type);
+    const categories = await budgetService.getBudgetCategories(userId, type, getOrganizationId(req));
     
     res.json({ categories });
   } catch (error) {
@@ -35,7 +36,7 @@ const createBudgetCategory = async (req, res) => {
     }
     
     const userId = req.user.id;
-    const result = await budgetService.createBudgetCategory(userId, req.body);
+    const result = await budgetService.createBudgetCategory(userId, req.body, getOrganizationId(req));
     
     res.status(201).json(result);
   } catch (error) {
@@ -96,7 +97,7 @@ const createBudget = async (req, res) => {
     }
     
     const userId = req.user.id;
-    const result = await budgetService.createBudget(userId, req.body);
+    const result = await budgetService.createBudget(userId, req.body, getOrganizationId(req));
     
     res.status(201).json(result);
   } catch (error) {
@@ -111,7 +112,7 @@ const getUserBudgets = async (req, res) => {
   try {
     const userId = req.user.id;
     
-    const budgets = await budgetService.getUserBudgets(userId);
+    const budgets = await budgetService.getUserBudgets(userId, getOrganizationId(req));
     
     res.json({ budgets });
   } catch (error) {
@@ -256,7 +257,7 @@ const recordExpense = async (req, res) => {
       receiptImage
     };
     
-    const result = await budgetService.recordExpense(userId, expenseData);
+    const result = await budgetService.recordExpense(userId, expenseData, getOrganizationId(req));
     
     res.status(201).json(result);
   } catch (error) {
@@ -280,7 +281,7 @@ const recordIncome = async (req, res) => {
     
     const userId = req.user.id;
     
-    const result = await budgetService.recordIncome(userId, req.body);
+    const result = await budgetService.recordIncome(userId, req.body, getOrganizationId(req));
     
     res.status(201).json(result);
   } catch (error) {
@@ -304,7 +305,7 @@ const getUserExpenses = async (req, res) => {
       endDate,
       categoryId,
       limit
-    });
+    }, getOrganizationId(req));
     
     res.json({ expenses });
   } catch (error) {
@@ -325,7 +326,7 @@ const getUserIncome = async (req, res) => {
       endDate,
       categoryId,
       limit
-    });
+    }, getOrganizationId(req));
     
     res.json({ income });
   } catch (error) {
@@ -344,7 +345,7 @@ const getExpenseSummaryByCategory = async (req, res) => {
     const summary = await budgetService.getExpenseSummaryByCategory(userId, {
       startDate,
       endDate
-    });
+    }, getOrganizationId(req));
     
     res.json(summary);
   } catch (error) {
@@ -363,7 +364,7 @@ const getIncomeSummaryByCategory = async (req, res) => {
     const summary = await budgetService.getIncomeSummaryByCategory(userId, {
       startDate,
       endDate
-    });
+    }, getOrganizationId(req));
     
     res.json(summary);
   } catch (error) {
@@ -382,7 +383,7 @@ const getMonthlyExpenseSummary = async (req, res) => {
     const summary = await budgetService.getMonthlyExpenseSummary(userId, {
       startDate,
       endDate
-    });
+    }, getOrganizationId(req));
     
     res.json({ summary });
   } catch (error) {
@@ -401,7 +402,7 @@ const getMonthlyIncomeSummary = async (req, res) => {
     const summary = await budgetService.getMonthlyIncomeSummary(userId, {
       startDate,
       endDate
-    });
+    }, getOrganizationId(req));
     
     res.json({ summary });
   } catch (error) {
@@ -440,7 +441,7 @@ const getCashFlowAnalysis = async (req, res) => {
       startDate,
       endDate,
       period
-    });
+    }, getOrganizationId(req));
     
     res.json(analysis);
   } catch (error) {
@@ -459,7 +460,7 @@ const getFinancialKPIs = async (req, res) => {
     const kpis = await financialReportService.getFinancialKPIs(userId, {
       startDate,
       endDate
-    });
+    }, getOrganizationId(req));
     
     res.json(kpis);
   } catch (error) {
@@ -477,7 +478,7 @@ const getExpenseForecast = async (req, res) => {
     
     const forecast = await financialReportService.getExpenseForecast(userId, {
       months
-    });
+    }, getOrganizationId(req));
     
     res.json(forecast);
   } catch (error) {
@@ -5,6 +5,11 @@
  */
 const businessPlanService = require('../services/businessPlanService');
 const financialModelService = require('../services/financialModelService');
+const businessPlanExportService = require('../services/businessPlanExportService');
+const businessPlanRevisionService = require('../services/businessPlanRevisionService');
+const sharingService = require('../services/sharingService');
+const { getAuditContext } = require('../services/auditLogService');
+const { getOrganizationId } = require('../services/organizationService');
 const { validationResult } = require('express-validator');
 
 /**
@@ -50,7 +55,7 @@ const createBusinessPlan = async (req, res) => {
     }
     
     const userId = req.user.id;
-    const result = await businessPlanService.createBusinessPlan(userId, req.body);
+    const result = await businessPlanService.createBusinessPlan(userId, req.body, getOrganizationId(req));
     
     res.status(201).json(result);
   } catch (error) {
@@ -68,9 +73,10 @@ const getUserBusinessPlans = async (req, res) => {
   try {
     const userId = req.user.id;
     
-    const plans = await businessPlanService.getUserBusinessPlans(userId);
+    const plans = await businessPlanService.getUserBusinessPlans(userId, getOrganizationId(req));
+    const sharedWithMe = await businessPlanService.getSharedBusinessPlans(userId);
     
-    res.json({ plans });
+    res.json({ plans, sharedWithMe });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
@@ -138,7 +144,7 @@ const updateBusinessPlanSection = async (req, res) => {
     
     res.json(result);
   } catch (error) {
-    if (error.message.includes('Section not found')) {
+    if (error.message.includes('Section not found') || error.message.includes('Business plan not found')) {
       return res.status(404).json({ message: error.message });
     }
     res.status(500).json({ message: error.message });
@@ -182,7 +188,7 @@ const deleteBusinessPlanSection = async (req, res) => {
     
     res.json(result);
   } catch (error) {
-    if (error.message.includes('Section not found')) {
+    if (error.message.includes('Section not found') || error.message.includes('Business plan not found')) {
       return res.status(404).json({ message: error.message });
     }
     res.status(500).json({ message: error.message });
@@ -208,6 +214,191 @@ const deleteBusinessPlan = async (req, res) => {
   }
 };
 
+/**
+ * Export a business plan as a PDF, DOCX, Markdown or HTML file
+ */
+const exportBusinessPlan = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const planId = req.params.id;
+    
+    const { fileName, contentType, content } = await businessPlanExportService.exportBusinessPlan(
+      planId,
+      userId,
+      String(req.query.format || 'pdf').toLowerCase()
+    );
+    
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.send(content);
+  } catch (error) {
+    if (error.message.includes('Business plan not found')) {
+      return res.status(404).json({ message: error.message });
+    }
+    if (error.message.startsWith('Format must be one of')) {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * Map version history errors to responses
+ */
+const sendRevisionError = (res, error) => {
+  if (error.message.includes('Business plan not found') || error.message === 'Section not found' ||
+      error.message === 'Revision not found' || error.message === 'Snapshot not found' ||
+      error.message === 'Section is not part of that snapshot') {
+    return res.status(404).json({ message: error.message });
+  }
+  if (error.message.startsWith('Versions must be') || error.message === 'Snapshot name is required' ||
+      error.message.startsWith('Provide either')) {
+    return res.status(400).json({ message: error.message });
+  }
+  res.status(500).json({ message: error.message });
+};
+
+/**
+ * Get a section's revision history
+ */
+const getSectionRevisions = async (req, res) => {
+  try {
+    const history = await businessPlanRevisionService.getSectionRevisions(req.params.sectionId, req.user.id);
+    
+    res.json(history);
+  } catch (error) {
+    sendRevisionError(res, error);
+  }
+};
+
+/**
+ * Get one revision of a section
+ */
+const getSectionRevision = async (req, res) => {
+  try {
+    const revision = await businessPlanRevisionService.getSectionRevision(
+      req.params.sectionId,
+      req.params.revisionId,
+      req.user.id
+    );
+    
+    res.json({ revision });
+  } catch (error) {
+    sendRevisionError(res, error);
+  }
+};
+
+/**
+ * Diff two versions of a section (?from=&to= as "current", "revision:<id>" or "snapshot:<id>")
+ */
+const diffSectionVersions = async (req, res) => {
+  try {
+    const diff = await businessPlanRevisionService.diffSectionVersions(req.params.sectionId, req.user.id, {
+      from: req.query.from,
+      to: req.query.to || 'current'
+    });
+    
+    res.json({ diff });
+  } catch (error) {
+    sendRevisionError(res, error);
+  }
+};
+
+/**
+ * Restore a section from a revision or snapshot
+ */
+const restoreSection = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    const result = await businessPlanRevisionService.restoreSection(req.params.sectionId, req.user.id, req.body);
+    
+    res.json(result);
+  } catch (error) {
+    sendRevisionError(res, error);
+  }
+};
+
+/**
+ * Get a plan's snapshots
+ */
+const getPlanSnapshots = async (req, res) => {
+  try {
+    const snapshots = await businessPlanRevisionService.getPlanSnapshots(req.params.id, req.user.id);
+    
+    res.json({ snapshots });
+  } catch (error) {
+    sendRevisionError(res, error);
+  }
+};
+
+/**
+ * Take a named snapshot of a plan
+ */
+const createPlanSnapshot = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    const result = await businessPlanRevisionService.createPlanSnapshot(req.params.id, req.user.id, req.body);
+    
+    res.status(201).json(result);
+  } catch (error) {
+    sendRevisionError(res, error);
+  }
+};
+
+/**
+ * Get a snapshot with its sections
+ */
+const getPlanSnapshot = async (req, res) => {
+  try {
+    const snapshot = await businessPlanRevisionService.getPlanSnapshot(req.params.id, req.params.snapshotId, req.user.id);
+    
+    res.json({ snapshot });
+  } catch (error) {
+    sendRevisionError(res, error);
+  }
+};
+
+/**
+ * Compare a snapshot with another snapshot or the current plan (?against=<snapshot id>|current)
+ */
+const diffPlanSnapshot = async (req, res) => {
+  try {
+    const diff = await businessPlanRevisionService.diffPlanSnapshot(
+      req.params.id,
+      req.params.snapshotId,
+      req.user.id,
+      req.query.against || 'current'
+    );
+    
+    res.json({ diff });
+  } catch (error) {
+    sendRevisionError(res, error);
+  }
+};
+
+/**
+ * Roll a plan back to a snapshot
+ */
+const restorePlanSnapshot = async (req, res) => {
+  try {
+    const result = await businessPlanRevisionService.restorePlanSnapshot(req.params.id, req.params.snapshotId, req.user.id);
+    
+    res.json(result);
+  } catch (error) {
+    sendRevisionError(res, error);
+  }
+};
+
 /**
  * Create a financial model
  */
@@ -221,10 +412,13 @@ const createFinancialModel = async (req, res) => {
     
     const userId = req.user.id;
     
-    const result = await financialModelService.createFinancialModel(userId, req.body);
+    const result = await financialModelService.createFinancialModel(userId, req.body, getOrganizationId(req));
     
     res.status(201).json(result);
   } catch (error) {
+    if (error.message.includes('Business plan not found')) {
+      return res.status(404).json({ message: error.message });
+    }
     res.status(500).json({ message: error.message });
   }
 };
@@ -237,9 +431,10 @@ const getUserFinancialModels = async (req, res) => {
     const userId = req.user.id;
     const planId = req.query.planId;
     
-    const models = await financialModelService.getUserFinancialModels(userId, planId);
+    const models = await financialModelService.getUserFinancialModels(userId, planId, getOrganizationId(req));
+    const sharedWithMe = await financialModelService.getSharedFinancialModels(userId);
     
-    res.json({ models });
+    res.json({ models, sharedWithMe });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
@@ -308,6 +503,165 @@ const deleteFinancialModel = async (req, res) => {
   }
 };
 
+/**
+ * Map a sharing service error to a response
+ */
+const sendSharingError = (res, error) => {
+  if (error.message.includes('not found')) {
+    return res.status(404).json({ message: error.message });
+  }
+  if (error.message.includes('permission') || error.message.includes('cannot')) {
+    return res.status(403).json({ message: error.message });
+  }
+  if (error.message.includes('Role must be') || error.message.includes('expired') || error.message.includes('Invalid')) {
+    return res.status(400).json({ message: error.message });
+  }
+  res.status(500).json({ message: error.message });
+};
+
+/**
+ * Build the sharing and comment handlers for a shareable resource type
+ * ('business_plan' or 'financial_model'); the resource ID is req.params.id
+ */
+const createSharingHandlers = (resourceType) => ({
+  // Invite a collaborator by email
+  share: async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+      
+      const result = await sharingService.shareResource(
+        resourceType,
+        req.params.id,
+        req.user.id,
+        req.body,
+        getAuditContext(req)
+      );
+      
+      res.status(201).json(result);
+    } catch (error) {
+      sendSharingError(res, error);
+    }
+  },
+  
+  // List collaborators and pending invitations
+  getShares: async (req, res) => {
+    try {
+      const shares = await sharingService.getResourceShares(resourceType, req.params.id, req.user.id);
+      
+      res.json({ shares });
+    } catch (error) {
+      sendSharingError(res, error);
+    }
+  },
+  
+  // Change a collaborator's role
+  updateShare: async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+      
+      const result = await sharingService.updateShareRole(
+        resourceType,
+        req.params.id,
+        req.params.shareId,
+        req.user.id,
+        req.body.role,
+        getAuditContext(req)
+      );
+      
+      res.json(result);
+    } catch (error) {
+      sendSharingError(res, error);
+    }
+  },
+  
+  // Revoke a collaborator or invitation
+  revokeShare: async (req, res) => {
+    try {
+      const result = await sharingService.revokeShare(
+        resourceType,
+        req.params.id,
+        req.params.shareId,
+        req.user.id,
+        getAuditContext(req)
+      );
+      
+      res.json(result);
+    } catch (error) {
+      sendSharingError(res, error);
+    }
+  },
+  
+  // List comments
+  getComments: async (req, res) => {
+    try {
+      const comments = await sharingService.getComments(resourceType, req.params.id, req.user.id);
+      
+      res.json({ comments });
+    } catch (error) {
+      sendSharingError(res, error);
+    }
+  },
+  
+  // Add a comment
+  addComment: async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+      
+      const result = await sharingService.addComment(resourceType, req.params.id, req.user.id, req.body);
+      
+      res.status(201).json(result);
+    } catch (error) {
+      sendSharingError(res, error);
+    }
+  },
+  
+  // Delete a comment
+  deleteComment: async (req, res) => {
+    try {
+      const result = await sharingService.deleteComment(
+        resourceType,
+        req.params.id,
+        req.params.commentId,
+        req.user.id
+      );
+      
+      res.json(result);
+    } catch (error) {
+      sendSharingError(res, error);
+    }
+  }
+});
+
+const businessPlanSharing = createSharingHandlers('business_plan');
+const financialModelSharing = createSharingHandlers('financial_model');
+
+/**
+ * Accept an invitation to a shared business plan or financial model
+ */
+const acceptShareInvitation = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    const result = await sharingService.acceptShareInvitation(req.body.token, req.user.id, getAuditContext(req));
+    
+    res.json(result);
+  } catch (error) {
+    sendSharingError(res, error);
+  }
+};
+
 /**
  * Generate revenue projection
  */
@@ -395,6 +749,16 @@ module.exports = {
   addBusinessPlanSection,
   deleteBusinessPlanSection,
   deleteBusinessPlan,
+  exportBusinessPlan,
+  getSectionRevisions,
+  getSectionRevision,
+  diffSectionVersions,
+  restoreSection,
+  getPlanSnapshots,
+  createPlanSnapshot,
+  getPlanSnapshot,
+  diffPlanSnapshot,
+  restorePlanSnapshot,
   createFinancialModel,
   getUserFinancialModels,
   getFinancialModelDetails,
@@ -403,5 +767,20 @@ module.exports = {
   generateRevenueProjection,
   generateExpenseProjection,
   generateCashFlowProjection,
-  generateBreakEvenAnalysis
+  generateBreakEvenAnalysis,
+  acceptShareInvitation,
+  shareBusinessPlan: businessPlanSharing.share,
+  getBusinessPlanShares: businessPlanSharing.getShares,
+  updateBusinessPlanShare: businessPlanSharing.updateShare,
+  revokeBusinessPlanShare: businessPlanSharing.revokeShare,
+  getBusinessPlanComments: businessPlanSharing.getComments,
+  addBusinessPlanComment: businessPlanSharing.addComment,
+  deleteBusinessPlanComment: businessPlanSharing.deleteComment,
+  shareFinancialModel: financialModelSharing.share,
+  getFinancialModelShares: financialModelSharing.getShares,
+  updateFinancialModelShare: financialModelSharing.updateShare,
+  revokeFinancialModelShare: financialModelSharing.revokeShare,
+  getFinancialModelComments: financialModelSharing.getComments,
+  addFinancialModelComment: financialModelSharing.addComment,
+  deleteFinancialModelComment: financialModelSharing.deleteComment
 }; 
\ No newline at end of file
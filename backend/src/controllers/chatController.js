@@ -6,6 +6,7 @@
 const chatService = require('../services/chatService');
 const { validateRequest } = require('../middleware/validation');
 const { handleError } = require('../utils/errorHandler');
+const { getOrganizationId } = require('../services/organizationService');
 
 /**
  * Create a new chat channel
@@ -29,7 +30,7 @@ const createChannel = async (req, res) => {
       description,
       isDirect,
       participants
-    });
+    }, getOrganizationId(req));
 
     res.status(201).json(result);
   } catch (error) {
@@ -93,7 +94,7 @@ const getChannelMessages = async (req, res) => {
 const getUserChannels = async (req, res) => {
   try {
     const userId = req.user.id;
-    const channels = await chatService.getUserChannels(userId);
+    const channels = await chatService.getUserChannels(userId, getOrganizationId(req));
     res.json(channels);
   } catch (error) {
     handleError(res, error);
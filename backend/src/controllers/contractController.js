@@ -8,7 +8,7 @@ const {
   getUserContracts
 } = require('../services/contractService');
 
-const { hasPermission } = require('../services/permissionService');
+const { getAuditContext } = require('../services/auditLogService');
 
 /**
  * Create a new contract
@@ -26,18 +26,8 @@ const createNewContract = async (req, res) => {
       });
     }
     
-    // Check if user has permission to manage contracts
-    const canManageContracts = await hasPermission(req.user.uid, 'manage_contracts', projectId);
-    
-    if (!canManageContracts) {
-      return res.status(403).json({
-        success: false,
-        message: 'You do not have permission to create contracts for this project'
-      });
-    }
-    
     // Create contract
-    const result = await createContract(projectId, req.user.uid, contractData);
+    const result = await createContract(projectId, req.user.id, contractData);
     
     res.status(201).json({
       success: true,
@@ -78,7 +68,7 @@ const getContract = async (req, res) => {
     }
     
     // Get contract details
-    const contract = await getContractDetails(contractId, req.user.uid);
+    const contract = await getContractDetails(contractId, req.user.id);
     
     res.status(200).json({
       success: true,
@@ -118,7 +108,7 @@ const updateContract = async (req, res) => {
     }
     
     // Update contract status
-    const result = await updateContractStatus(contractId, req.user.uid, status);
+    const result = await updateContractStatus(contractId, req.user.id, status, getAuditContext(req));
     
     res.status(200).json({
       success: true,
@@ -158,7 +148,7 @@ const addMilestoneToContract = async (req, res) => {
     }
     
     // Add milestone
-    const result = await addMilestone(contractId, req.user.uid, milestoneData);
+    const result = await addMilestone(contractId, req.user.id, milestoneData);
     
     res.status(201).json({
       success: true,
@@ -199,7 +189,7 @@ const updateMilestone = async (req, res) => {
     }
     
     // Update milestone status
-    const result = await updateMilestoneStatus(milestoneId, req.user.uid, status);
+    const result = await updateMilestoneStatus(milestoneId, req.user.id, status, getAuditContext(req));
     
     res.status(200).json({
       success: true,
@@ -239,18 +229,8 @@ const processContractPayment = async (req, res) => {
       });
     }
     
-    // Check if user has permission to process payments
-    const canProcessPayments = await hasPermission(req.user.uid, 'process_payments');
-    
-    if (!canProcessPayments) {
-      return res.status(403).json({
-        success: false,
-        message: 'You do not have permission to process payments'
-      });
-    }
-    
     // Process payment
-    const result = await processPayment(contractId, req.user.uid, paymentData);
+    const result = await processPayment(contractId, req.user.id, paymentData, getAuditContext(req));
     
     res.status(200).json({
       success: true,
@@ -282,7 +262,7 @@ const processContractPayment = async (req, res) => {
 const getMyContracts = async (req, res) => {
   try {
     // Get contracts
-    const contracts = await getUserContracts(req.user.uid);
+    const contracts = await getUserContracts(req.user.id);
     
     res.status(200).json({
       success: true,
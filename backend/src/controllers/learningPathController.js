@@ -0,0 +1,172 @@
+const {
+  initializeLearningPaths,
+  getPathProgress,
+  getLearningPath,
+  startLearningPath,
+  getTutorialQuiz,
+  submitQuizAttempt,
+  getUserCertificates,
+  renderCertificate,
+  verifyCertificate
+} = require('../services/learningPathService');
+const { initializeTutorials } = require('../services/tutorialService');
+
+/**
+ * Map learning path service errors to responses
+ */
+const handleLearningPathError = (res, error, fallbackMessage) => {
+  if (error.message === 'Learning path not found' || error.message === 'This tutorial has no quiz' ||
+      error.message === 'Certificate not found') {
+    return res.status(404).json({ success: false, message: error.message });
+  }
+
+  if (error.message.startsWith('Complete the prerequisite paths first') ||
+      error.message.startsWith('Finish watching the tutorial')) {
+    return res.status(403).json({ success: false, message: error.message });
+  }
+
+  if (error.message.startsWith('Answers must')) {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+
+  if (error.message.startsWith('Wait ')) {
+    return res.status(429).json({ success: false, message: error.message });
+  }
+
+  console.error(`${fallbackMessage}:`, error);
+
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+/**
+ * List learning paths with the user's progress
+ */
+const listLearningPaths = async (req, res) => {
+  try {
+    // Make sure we have sample tutorials and paths
+    await initializeTutorials();
+    await initializeLearningPaths();
+
+    const learningPaths = await getPathProgress(req.user.id);
+
+    res.status(200).json({ success: true, learningPaths });
+  } catch (error) {
+    handleLearningPathError(res, error, 'Error fetching learning paths');
+  }
+};
+
+/**
+ * Get a learning path with its steps
+ */
+const getLearningPathDetails = async (req, res) => {
+  try {
+    const learningPath = await getLearningPath(req.params.id, req.user.id);
+
+    res.status(200).json({ success: true, learningPath });
+  } catch (error) {
+    handleLearningPathError(res, error, 'Error fetching learning path');
+  }
+};
+
+/**
+ * Start a learning path
+ */
+const startPath = async (req, res) => {
+  try {
+    const learningPath = await startLearningPath(req.params.id, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Learning path started',
+      learningPath
+    });
+  } catch (error) {
+    handleLearningPathError(res, error, 'Error starting learning path');
+  }
+};
+
+/**
+ * Get a tutorial's quiz
+ */
+const getQuiz = async (req, res) => {
+  try {
+    const quiz = await getTutorialQuiz(req.params.id, req.user.id);
+
+    res.status(200).json({ success: true, quiz });
+  } catch (error) {
+    handleLearningPathError(res, error, 'Error fetching quiz');
+  }
+};
+
+/**
+ * Submit answers to a tutorial's quiz
+ */
+const submitQuiz = async (req, res) => {
+  try {
+    const result = await submitQuizAttempt(req.params.id, req.user.id, req.body.answers);
+
+    res.status(200).json({
+      success: true,
+      message: result.passed ? 'Quiz passed' : `Quiz not passed; ${result.passPercent}% is needed`,
+      ...result
+    });
+  } catch (error) {
+    handleLearningPathError(res, error, 'Error submitting quiz');
+  }
+};
+
+/**
+ * List the user's certificates
+ */
+const listCertificates = async (req, res) => {
+  try {
+    const certificates = await getUserCertificates(req.user.id);
+
+    res.status(200).json({ success: true, certificates });
+  } catch (error) {
+    handleLearningPathError(res, error, 'Error fetching certificates');
+  }
+};
+
+/**
+ * Download a certificate as an HTML file
+ */
+const downloadCertificate = async (req, res) => {
+  try {
+    const { fileName, html } = await renderCertificate(req.params.id, req.user.id);
+
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.status(200).send(html);
+  } catch (error) {
+    handleLearningPathError(res, error, 'Error downloading certificate');
+  }
+};
+
+/**
+ * Verify a certificate by its code (no authentication)
+ */
+const verifyCertificateCode = async (req, res) => {
+  try {
+    const result = await verifyCertificate(req.params.code);
+
+    res.status(result.valid ? 200 : 404).json({ success: result.valid, ...result });
+  } catch (error) {
+    handleLearningPathError(res, error, 'Error verifying certificate');
+  }
+};
+
+module.exports = {
+  listLearningPaths,
+  getLearningPathDetails,
+  startPath,
+  getQuiz,
+  submitQuiz,
+  listCertificates,
+  downloadCertificate,
+  verifyCertificateCode
+};
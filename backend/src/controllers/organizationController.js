@@ -0,0 +1,197 @@
+const {
+  createOrganization,
+  getUserOrganizations,
+  getOrganizationDetails,
+  updateOrganization,
+  deleteOrganization,
+  addOrganizationMember,
+  updateOrganizationMember,
+  removeOrganizationMember
+} = require('../services/organizationService');
+
+const { getAuditContext } = require('../services/auditLogService');
+
+/**
+ * Map organization service errors to responses
+ */
+const handleOrganizationError = (res, error, fallbackMessage) => {
+  if (error.message === 'Organization not found' || error.message === 'User not found' || error.message === 'Member not found in this organization') {
+    return res.status(404).json({ success: false, message: error.message });
+  }
+  
+  if (error.message.includes('permission') || error.message.startsWith('Only owners')) {
+    return res.status(403).json({ success: false, message: error.message });
+  }
+  
+  if (error.message.startsWith('Role must be') || error.message.includes('already a member') ||
+      error.message.includes('at least one owner') || error.message === 'Organization name is required') {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  
+  console.error(`${fallbackMessage}:`, error);
+  
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+/**
+ * Create an organization
+ */
+const createNewOrganization = async (req, res) => {
+  try {
+    const { name } = req.body;
+    
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Organization name is required'
+      });
+    }
+    
+    const result = await createOrganization(req.user.id, { name }, getAuditContext(req));
+    
+    res.status(201).json(result);
+  } catch (error) {
+    handleOrganizationError(res, error, 'Error creating organization');
+  }
+};
+
+/**
+ * List the current user's organizations
+ */
+const getMyOrganizations = async (req, res) => {
+  try {
+    const organizations = await getUserOrganizations(req.user.id);
+    
+    res.status(200).json({
+      success: true,
+      organizations
+    });
+  } catch (error) {
+    handleOrganizationError(res, error, 'Error fetching organizations');
+  }
+};
+
+/**
+ * Get an organization and its members
+ */
+const getOrganization = async (req, res) => {
+  try {
+    const organization = await getOrganizationDetails(req.params.id, req.user.id);
+    
+    res.status(200).json({
+      success: true,
+      organization
+    });
+  } catch (error) {
+    handleOrganizationError(res, error, 'Error fetching organization');
+  }
+};
+
+/**
+ * Rename an organization
+ */
+const updateOrganizationDetails = async (req, res) => {
+  try {
+    const result = await updateOrganization(req.params.id, req.user.id, req.body, getAuditContext(req));
+    
+    res.status(200).json(result);
+  } catch (error) {
+    handleOrganizationError(res, error, 'Error updating organization');
+  }
+};
+
+/**
+ * Delete an organization
+ */
+const deleteOrganizationById = async (req, res) => {
+  try {
+    const result = await deleteOrganization(req.params.id, req.user.id, getAuditContext(req));
+    
+    res.status(200).json(result);
+  } catch (error) {
+    handleOrganizationError(res, error, 'Error deleting organization');
+  }
+};
+
+/**
+ * Add a user to an organization by email
+ */
+const addMember = async (req, res) => {
+  try {
+    const { email, role } = req.body;
+    
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required'
+      });
+    }
+    
+    const result = await addOrganizationMember(req.params.id, req.user.id, { email, role }, getAuditContext(req));
+    
+    res.status(201).json(result);
+  } catch (error) {
+    handleOrganizationError(res, error, 'Error adding organization member');
+  }
+};
+
+/**
+ * Change a member's role
+ */
+const updateMemberRole = async (req, res) => {
+  try {
+    const { role } = req.body;
+    
+    if (!role) {
+      return res.status(400).json({
+        success: false,
+        message: 'Role is required'
+      });
+    }
+    
+    const result = await updateOrganizationMember(
+      req.params.id,
+      req.user.id,
+      req.params.userId,
+      role,
+      getAuditContext(req)
+    );
+    
+    res.status(200).json(result);
+  } catch (error) {
+    handleOrganizationError(res, error, 'Error updating organization member');
+  }
+};
+
+/**
+ * Remove a member, or leave the organization (own user ID)
+ */
+const removeMember = async (req, res) => {
+  try {
+    const result = await removeOrganizationMember(
+      req.params.id,
+      req.user.id,
+      req.params.userId,
+      getAuditContext(req)
+    );
+    
+    res.status(200).json(result);
+  } catch (error) {
+    handleOrganizationError(res, error, 'Error removing organization member');
+  }
+};
+
+module.exports = {
+  createNewOrganization,
+  getMyOrganizations,
+  getOrganization,
+  updateOrganizationDetails,
+  deleteOrganizationById,
+  addMember,
+  updateMemberRole,
+  removeMember
+};
@@ -7,6 +7,9 @@ const { validationResult } = require('express-validator');
 const projectService = require('../services/projectService');
 const taskService = require('../services/taskService');
 const kanbanService = require('../services/kanbanService');
+const permissionService = require('../services/permissionService');
+const { getAuditContext } = require('../services/auditLogService');
+const { getOrganizationId } = require('../services/organizationService');
 
 /**
  * Get project templates
@@ -52,7 +55,7 @@ const createProject = async (req, res) => {
     
     const userId = req.user.id;
     
-    const result = await projectService.createProject(userId, req.body);
+    const result = await projectService.createProject(userId, req.body, getOrganizationId(req));
     
     res.status(201).json(result);
   } catch (error) {
@@ -68,7 +71,7 @@ const getUserProjects = async (req, res) => {
     const userId = req.user.id;
     const status = req.query.status; // Filter by status if provided
     
-    const projects = await projectService.getUserProjects(userId, status);
+    const projects = await projectService.getUserProjects(userId, status, getOrganizationId(req));
     
     res.json({ projects });
   } catch (error) {
@@ -153,7 +156,7 @@ const addProjectMember = async (req, res) => {
     const userId = req.user.id;
     const projectId = req.params.id;
     
-    const result = await projectService.addProjectMember(projectId, userId, req.body);
+    const result = await projectService.addProjectMember(projectId, userId, req.body, getAuditContext(req));
     
     res.status(201).json(result);
   } catch (error) {
@@ -188,7 +191,7 @@ const updateProjectMember = async (req, res) => {
       memberId
     };
     
-    const result = await projectService.updateProjectMember(projectId, userId, memberData);
+    const result = await projectService.updateProjectMember(projectId, userId, memberData, getAuditContext(req));
     
     res.json(result);
   } catch (error) {
@@ -211,7 +214,7 @@ const removeProjectMember = async (req, res) => {
     const projectId = req.params.id;
     const memberId = req.params.memberId;
     
-    const result = await projectService.removeProjectMember(projectId, userId, memberId);
+    const result = await projectService.removeProjectMember(projectId, userId, memberId, getAuditContext(req));
     
     res.json(result);
   } catch (error) {
@@ -225,6 +228,212 @@ const removeProjectMember = async (req, res) => {
   }
 };
 
+/**
+ * Map a permission or project role service error to a response
+ */
+const sendPermissionError = (res, error) => {
+  if (error.message.includes('does not exist') || error.message.includes('Unknown permissions') || error.message.includes('already exists')) {
+    return res.status(400).json({ message: error.message });
+  }
+  if (error.message.includes('permission')) {
+    return res.status(403).json({ message: error.message });
+  }
+  if (error.message.includes('not found')) {
+    return res.status(404).json({ message: error.message });
+  }
+  res.status(500).json({ message: error.message });
+};
+
+/**
+ * Get the permission catalog
+ */
+const getPermissionCatalog = async (req, res) => {
+  try {
+    const permissions = await permissionService.getAllPermissions();
+    
+    res.json({ permissions });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * Get the default permissions of a platform role
+ */
+const getRolePermissions = async (req, res) => {
+  try {
+    const permissions = await permissionService.getRolePermissions(req.params.roleName);
+    
+    res.json({ role: req.params.roleName, permissions });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * Get a user's project-specific permissions
+ */
+const getMemberPermissions = async (req, res) => {
+  try {
+    const projectId = req.params.id;
+    const targetUserId = req.params.userId;
+    
+    const result = await permissionService.getUserProjectPermissions(targetUserId, projectId);
+    
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * Grant a permission to a user on a project
+ */
+const grantMemberPermission = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    const userId = req.user.id;
+    const projectId = req.params.id;
+    
+    const result = await permissionService.grantProjectPermission(
+      projectId,
+      req.params.userId,
+      req.body.permission,
+      userId,
+      getAuditContext(req)
+    );
+    
+    res.json(result);
+  } catch (error) {
+    sendPermissionError(res, error);
+  }
+};
+
+/**
+ * Revoke a permission from a user on a project
+ */
+const revokeMemberPermission = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const projectId = req.params.id;
+    
+    const result = await permissionService.revokeProjectPermission(
+      projectId,
+      req.params.userId,
+      req.params.permission,
+      userId,
+      getAuditContext(req)
+    );
+    
+    res.json(result);
+  } catch (error) {
+    sendPermissionError(res, error);
+  }
+};
+
+/**
+ * Get a project's custom roles
+ */
+const getProjectRoles = async (req, res) => {
+  try {
+    const roles = await permissionService.getProjectRoles(req.params.id);
+    
+    res.json({ roles });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * Create a custom project role
+ */
+const createProjectRole = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    const userId = req.user.id;
+    const projectId = req.params.id;
+    
+    const result = await permissionService.createProjectRole(projectId, userId, req.body, getAuditContext(req));
+    
+    res.status(201).json(result);
+  } catch (error) {
+    sendPermissionError(res, error);
+  }
+};
+
+/**
+ * Update a custom project role
+ */
+const updateProjectRole = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    const userId = req.user.id;
+    const projectId = req.params.id;
+    const roleId = req.params.roleId;
+    
+    const result = await permissionService.updateProjectRole(projectId, roleId, userId, req.body, getAuditContext(req));
+    
+    res.json(result);
+  } catch (error) {
+    sendPermissionError(res, error);
+  }
+};
+
+/**
+ * Delete a custom project role
+ */
+const deleteProjectRole = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const projectId = req.params.id;
+    const roleId = req.params.roleId;
+    
+    const result = await permissionService.deleteProjectRole(projectId, roleId, userId, getAuditContext(req));
+    
+    res.json(result);
+  } catch (error) {
+    sendPermissionError(res, error);
+  }
+};
+
+/**
+ * Assign a custom role to a project member (roleId null clears it)
+ */
+const assignMemberProjectRole = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const projectId = req.params.id;
+    const memberId = req.params.memberId;
+    
+    const result = await permissionService.assignProjectRole(
+      projectId,
+      memberId,
+      req.body.roleId || null,
+      userId,
+      getAuditContext(req)
+    );
+    
+    res.json(result);
+  } catch (error) {
+    sendPermissionError(res, error);
+  }
+};
+
 /**
  * Create a project milestone
  */
@@ -579,6 +788,16 @@ module.exports = {
   addProjectMember,
   updateProjectMember,
   removeProjectMember,
+  getPermissionCatalog,
+  getRolePermissions,
+  getMemberPermissions,
+  grantMemberPermission,
+  revokeMemberPermission,
+  getProjectRoles,
+  createProjectRole,
+  updateProjectRole,
+  deleteProjectRole,
+  assignMemberProjectRole,
   createMilestone,
   updateMilestone,
   deleteMilestone,
@@ -1,26 +1,52 @@
 const { query } = require('../config/db');
 const { generateBusinessNames } = require('../services/businessNameService');
-const { generateTaglines } = require('../services/taglineService');
+const {
+  generateTaglines,
+  saveTaglineSuggestion,
+  getTaglineHistory,
+  voteOnTagline,
+  setTaglineFavorite,
+  getTaglineShortlist,
+  exportTaglineShortlistCsv,
+  selectTagline
+} = require('../services/taglineService');
 const { 
   checkDomainAvailability, 
+  checkDomainsInBulk,
   generateDomainSuggestions 
 } = require('../services/domainService');
+const { checkHandles, summarizeAvailability } = require('../services/handleService');
+const {
+  getWatchlist,
+  addToWatchlist,
+  removeFromWatchlist
+} = require('../services/domainWatchService');
 const {
   getAllTutorials,
   getTutorialsByCategory: getTutorialsByCategoryService,
   getTutorialById,
   getUserProgress,
   updateUserProgress,
-  getRecommendedTutorials,
   initializeTutorials
 } = require('../services/tutorialService');
+const { getRecommendedTutorials } = require('../services/tutorialRecommendationService');
+const { getTutorialEngagement } = require('../services/tutorialAnalyticsService');
+const {
+  initializeLearningPaths,
+  getPathProgress,
+  completeFinishedPaths
+} = require('../services/learningPathService');
+const { getOrganizationId } = require('../services/organizationService');
 
 /**
  * Generate business name suggestions
+ *
+ * Accepts optional filters: style (compound, invented, descriptive), maxLength,
+ * excludeWords, limit and seed.
  */
 const generateBusinessNameSuggestions = async (req, res) => {
   try {
-    const { industry, keywords } = req.body;
+    const { industry, keywords, style, maxLength, excludeWords, limit, seed } = req.body;
     
     // Validate input
     if (!industry || !keywords) {
@@ -30,21 +56,44 @@ const generateBusinessNameSuggestions = async (req, res) => {
       });
     }
     
-    // Generate business names using the service
-    const names = await generateBusinessNames(industry, keywords);
+    // Generate and score business names using the service
+    const result = await generateBusinessNames(industry, keywords, {
+      style,
+      maxLength,
+      excludeWords,
+      limit,
+      seed
+    });
+    const names = result.suggestions.map(suggestion => suggestion.name);
+    
+    // One availability summary per name, combining its domain and handles
+    await Promise.all(result.suggestions.map(async suggestion => {
+      const handles = await checkHandles(suggestion.name);
+      suggestion.availability = summarizeAvailability(suggestion.domain, handles);
+    }));
     
     // Save to database
-    const result = await query(
+    const saved = await query(
       'INSERT INTO business_name_suggestions (user_id, industry, keywords, generated_names) VALUES (?, ?, ?, ?)',
-      [req.user.uid, industry, keywords, JSON.stringify(names)]
+      [req.user.id, industry, Array.isArray(keywords) ? keywords.join(', ') : keywords, JSON.stringify(names)]
     );
     
     res.status(200).json({
       success: true,
-      suggestionId: result.insertId,
-      names
+      suggestionId: saved.insertId,
+      provider: result.provider,
+      seed: result.seed,
+      names,
+      suggestions: result.suggestions
     });
   } catch (error) {
+    if (error.message.startsWith('Style must be') || error.message.startsWith('Max length must be')) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
     console.error('Error generating business names:', error);
     res.status(500).json({
       success: false,
@@ -61,7 +110,7 @@ const getPreviousBusinessNames = async (req, res) => {
   try {
     const suggestions = await query(
       'SELECT id, industry, keywords, generated_names, selected_name, created_at FROM business_name_suggestions WHERE user_id = ? ORDER BY created_at DESC',
-      [req.user.uid]
+      [req.user.id]
     );
     
     // Parse the JSON strings
@@ -103,7 +152,7 @@ const saveSelectedBusinessName = async (req, res) => {
     // Check if the suggestion belongs to the user
     const suggestions = await query(
       'SELECT id FROM business_name_suggestions WHERE id = ? AND user_id = ?',
-      [suggestionId, req.user.uid]
+      [suggestionId, req.user.id]
     );
     
     if (!suggestions.length) {
@@ -138,7 +187,7 @@ const saveSelectedBusinessName = async (req, res) => {
  */
 const generateTaglineSuggestions = async (req, res) => {
   try {
-    const { businessName, keywords } = req.body;
+    const { businessName, keywords, tone, length, count } = req.body;
     
     // Validate input
     if (!businessName || !keywords) {
@@ -149,20 +198,30 @@ const generateTaglineSuggestions = async (req, res) => {
     }
     
     // Generate taglines using the service
-    const taglines = await generateTaglines(businessName, keywords);
-    
-    // Save to database
-    const result = await query(
-      'INSERT INTO tagline_suggestions (user_id, business_name, keywords, generated_taglines) VALUES (?, ?, ?, ?)',
-      [req.user.uid, businessName, keywords, JSON.stringify(taglines)]
-    );
+    const taglines = await generateTaglines(businessName, keywords, { tone, length, count });
+    
+    // Save to the current workspace
+    const suggestionId = await saveTaglineSuggestion(req.user.id, {
+      businessName,
+      keywords,
+      tone,
+      length,
+      taglines
+    }, getOrganizationId(req));
     
     res.status(200).json({
       success: true,
-      suggestionId: result.insertId,
+      suggestionId,
       taglines
     });
   } catch (error) {
+    if (error.message.startsWith('Tone must be') || error.message.startsWith('Length must be')) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('Error generating taglines:', error);
     res.status(500).json({
       success: false,
@@ -173,21 +232,11 @@ const generateTaglineSuggestions = async (req, res) => {
 };
 
 /**
- * Get previous tagline suggestions for a user
+ * Get previous tagline suggestions in the current workspace, with vote tallies
  */
 const getPreviousTaglines = async (req, res) => {
   try {
-    const suggestions = await query(
-      'SELECT id, business_name, keywords, generated_taglines, selected_tagline, created_at FROM tagline_suggestions WHERE user_id = ? ORDER BY created_at DESC',
-      [req.user.uid]
-    );
-    
-    // Parse the JSON strings
-    suggestions.forEach(suggestion => {
-      if (suggestion.generated_taglines) {
-        suggestion.generated_taglines = JSON.parse(suggestion.generated_taglines);
-      }
-    });
+    const suggestions = await getTaglineHistory(req.user.id, getOrganizationId(req));
     
     res.status(200).json({
       success: true,
@@ -203,6 +252,114 @@ const getPreviousTaglines = async (req, res) => {
   }
 };
 
+/**
+ * Map tagline service errors to responses
+ */
+const sendTaglineError = (res, error, message) => {
+  if (error.message === 'Suggestion not found or you do not have access to it' ||
+      error.message === 'Tagline not found in this suggestion') {
+    return res.status(404).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  if (error.message.startsWith('Vote must be')) {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+/**
+ * Upvote, downvote or clear a vote on a tagline
+ */
+const voteTagline = async (req, res) => {
+  try {
+    const { taglineIndex, vote } = req.body;
+
+    if (taglineIndex === undefined || vote === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Tagline index and vote are required'
+      });
+    }
+
+    const result = await voteOnTagline(req.params.id, taglineIndex, req.user.id, vote);
+
+    res.status(200).json(result);
+  } catch (error) {
+    sendTaglineError(res, error, 'Error voting on tagline');
+  }
+};
+
+/**
+ * Add a tagline to the user's favorites
+ */
+const favoriteTagline = async (req, res) => {
+  try {
+    const { taglineIndex } = req.body;
+
+    if (taglineIndex === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Tagline index is required'
+      });
+    }
+
+    const result = await setTaglineFavorite(req.params.id, taglineIndex, req.user.id, true);
+
+    res.status(200).json(result);
+  } catch (error) {
+    sendTaglineError(res, error, 'Error saving favorite tagline');
+  }
+};
+
+/**
+ * Remove a tagline from the user's favorites
+ */
+const unfavoriteTagline = async (req, res) => {
+  try {
+    const result = await setTaglineFavorite(req.params.id, req.params.index, req.user.id, false);
+
+    res.status(200).json(result);
+  } catch (error) {
+    sendTaglineError(res, error, 'Error removing favorite tagline');
+  }
+};
+
+/**
+ * Get the team's shortlist for a suggestion (?format=csv to download it)
+ */
+const getTaglineShortlistForReview = async (req, res) => {
+  try {
+    if (req.query.format === 'csv') {
+      const csv = await exportTaglineShortlistCsv(req.params.id, req.user.id);
+
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="tagline-shortlist-${req.params.id}.csv"`);
+      return res.status(200).send(csv);
+    }
+
+    const shortlist = await getTaglineShortlist(req.params.id, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      ...shortlist
+    });
+  } catch (error) {
+    sendTaglineError(res, error, 'Error fetching tagline shortlist');
+  }
+};
+
 /**
  * Save selected tagline
  */
@@ -218,74 +375,92 @@ const saveSelectedTagline = async (req, res) => {
       });
     }
     
-    // Check if the suggestion belongs to the user
-    const suggestions = await query(
-      'SELECT id FROM tagline_suggestions WHERE id = ? AND user_id = ?',
-      [suggestionId, req.user.uid]
-    );
+    const result = await selectTagline(suggestionId, req.user.id, selectedTagline);
     
-    if (!suggestions.length) {
-      return res.status(404).json({
+    res.status(200).json(result);
+  } catch (error) {
+    sendTaglineError(res, error, 'Error saving selected tagline');
+  }
+};
+
+/**
+ * Check domain availability
+ */
+const checkDomain = async (req, res) => {
+  try {
+    const { domain } = req.body;
+    
+    // Validate input
+    if (!domain) {
+      return res.status(400).json({
         success: false,
-        message: 'Suggestion not found or does not belong to you'
+        message: 'Domain name is required'
       });
     }
     
-    // Update the selected tagline
-    await query(
-      'UPDATE tagline_suggestions SET selected_tagline = ? WHERE id = ?',
-      [selectedTagline, suggestionId]
-    );
+    // Check domain availability using the service (recorded in the user's history)
+    const result = await checkDomainAvailability(domain, { userId: req.user.id });
     
     res.status(200).json({
       success: true,
-      message: 'Selected tagline saved successfully'
+      ...result
     });
   } catch (error) {
-    console.error('Error saving selected tagline:', error);
+    if (error.message === 'Invalid domain name') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    console.error('Error checking domain:', error);
     res.status(500).json({
       success: false,
-      message: 'Error saving selected tagline',
+      message: 'Error checking domain availability',
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
 };
 
 /**
- * Check domain availability
+ * Check a business name's availability as a social handle, package and app name
  */
-const checkDomain = async (req, res) => {
+const checkHandleAvailability = async (req, res) => {
   try {
-    const { domain } = req.body;
+    const { name, platforms } = req.body;
     
     // Validate input
-    if (!domain) {
+    if (!name || !String(name).trim()) {
       return res.status(400).json({
         success: false,
-        message: 'Domain name is required'
+        message: 'Name is required'
       });
     }
     
-    // Check domain availability using the service
-    const result = await checkDomainAvailability(domain);
+    const selected = Array.isArray(platforms)
+      ? platforms
+      : String(platforms || '').split(',').map(p => p.trim()).filter(Boolean);
     
-    // Save to database
-    await query(
-      'INSERT INTO domain_availability (user_id, domain_name, available, tld) VALUES (?, ?, ?, ?)',
-      [req.user.uid, result.domain, result.available, result.tld]
-    );
+    const handles = await checkHandles(String(name).trim(), { platforms: selected });
     
     res.status(200).json({
       success: true,
-      domain: result.domain,
-      available: result.available,
-      tld: result.tld
+      name: String(name).trim(),
+      handles,
+      summary: summarizeAvailability(null, handles)
     });
   } catch (error) {
-    console.error('Error checking domain:', error);
+    if (error.message.startsWith('Platform must be')) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    console.error('Error checking handles:', error);
     res.status(500).json({
       success: false,
-      message: 'Error checking domain availability',
+      message: 'Error checking handle availability',
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
@@ -306,22 +481,21 @@ const getDomainSuggestions = async (req, res) => {
       });
     }
     
-    // Generate domain suggestions using the service
-    const suggestions = await generateDomainSuggestions(businessName);
-    
-    // Save results to database
-    for (const suggestion of suggestions) {
-      await query(
-        'INSERT INTO domain_availability (user_id, domain_name, available, tld) VALUES (?, ?, ?, ?)',
-        [req.user.uid, suggestion.domain, suggestion.available, suggestion.tld]
-      );
-    }
+    // Generate domain suggestions using the service (recorded in the user's history)
+    const suggestions = await generateDomainSuggestions(businessName, { userId: req.user.id });
     
     res.status(200).json({
       success: true,
       suggestions
     });
   } catch (error) {
+    if (error.message === 'Invalid domain name') {
+      return res.status(400).json({
+        success: false,
+        message: 'Business name must contain letters or numbers'
+      });
+    }
+    
     console.error('Error generating domain suggestions:', error);
     res.status(500).json({
       success: false,
@@ -337,8 +511,8 @@ const getDomainSuggestions = async (req, res) => {
 const getDomainHistory = async (req, res) => {
   try {
     const history = await query(
-      'SELECT domain_name, available, tld, checked_at FROM domain_availability WHERE user_id = ? ORDER BY checked_at DESC',
-      [req.user.uid]
+      'SELECT domain_name, available, status, registration_expires_at, provider, tld, checked_at FROM domain_availability WHERE user_id = ? ORDER BY checked_at DESC',
+      [req.user.id]
     );
     
     res.status(200).json({
@@ -355,6 +529,109 @@ const getDomainHistory = async (req, res) => {
   }
 };
 
+/**
+ * Check up to 100 domains at once
+ */
+const bulkCheckDomains = async (req, res) => {
+  try {
+    const { domains } = req.body;
+    
+    const results = await checkDomainsInBulk(domains, { userId: req.user.id });
+    
+    res.status(200).json({
+      success: true,
+      results
+    });
+  } catch (error) {
+    if (error.message.startsWith('Domains must be') || error.message.startsWith('A bulk check is limited')) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    console.error('Error bulk checking domains:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error checking domain availability',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get the user's domain watchlist
+ */
+const getDomainWatchlist = async (req, res) => {
+  try {
+    const watchlist = await getWatchlist(req.user.id);
+    
+    res.status(200).json({
+      success: true,
+      watchlist
+    });
+  } catch (error) {
+    console.error('Error fetching domain watchlist:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching domain watchlist',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Watch domains, e.g. from the user's domain history or suggestions
+ */
+const addDomainsToWatchlist = async (req, res) => {
+  try {
+    const { domains } = req.body;
+    
+    const result = await addToWatchlist(req.user.id, domains);
+    
+    res.status(201).json(result);
+  } catch (error) {
+    if (error.message.startsWith('Domains must be') || error.message.startsWith('At most')) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    console.error('Error adding domains to watchlist:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error adding domains to watchlist',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Stop watching a domain
+ */
+const removeDomainFromWatchlist = async (req, res) => {
+  try {
+    const result = await removeFromWatchlist(req.user.id, req.params.id);
+    
+    res.status(200).json(result);
+  } catch (error) {
+    if (error.message === 'Watched domain not found') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    console.error('Error removing domain from watchlist:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing domain from watchlist',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 /**
  * Get all video tutorials
  */
@@ -438,7 +715,7 @@ const getTutorialWithProgress = async (req, res) => {
     }
     
     // Get user's progress on this tutorial
-    const progress = await getUserProgress(req.user.uid, id);
+    const progress = await getUserProgress(req.user.id, id);
     
     res.status(200).json({
       success: true,
@@ -457,10 +734,13 @@ const getTutorialWithProgress = async (req, res) => {
 
 /**
  * Update tutorial progress
+ *
+ * Body: { tutorialId, position, completed, segments } where position is the resume
+ * point and segments the [start, end] ranges (in seconds) watched since the last update.
  */
 const updateTutorialProgress = async (req, res) => {
   try {
-    const { tutorialId, position, completed } = req.body;
+    const { tutorialId, position, completed, segments } = req.body;
     
     if (!tutorialId || position === undefined) {
       return res.status(400).json({
@@ -471,14 +751,32 @@ const updateTutorialProgress = async (req, res) => {
     
     // Update progress
     const result = await updateUserProgress(
-      req.user.uid, 
+      req.user.id, 
       tutorialId, 
       position, 
-      completed || false
+      completed || false,
+      segments
     );
     
-    res.status(200).json(result);
+    // Finishing a tutorial may finish a learning path
+    const certificates = result.progress.completed ? await completeFinishedPaths(req.user.id) : [];
+    
+    res.status(200).json({ ...result, certificates });
   } catch (error) {
+    if (error.message === 'Tutorial not found') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    if (error.message.startsWith('Segments must be')) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
     console.error('Error updating tutorial progress:', error);
     res.status(500).json({
       success: false,
@@ -488,20 +786,61 @@ const updateTutorialProgress = async (req, res) => {
   }
 };
 
+/**
+ * Get engagement analytics for tutorials (?tutorialId=, ?since=)
+ */
+const getTutorialAnalytics = async (req, res) => {
+  try {
+    const { tutorialId, since } = req.query;
+    
+    const tutorials = await getTutorialEngagement({ tutorialId, since });
+    
+    res.status(200).json({
+      success: true,
+      tutorials
+    });
+  } catch (error) {
+    if (error.message === 'Since must be a valid date') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    console.error('Error fetching tutorial analytics:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching tutorial analytics',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 /**
  * Get recommended tutorials for the user
  */
 const getRecommendedTutorialsForUser = async (req, res) => {
   try {
-    // Make sure we have sample tutorials
+    // Make sure we have sample tutorials and learning paths
     await initializeTutorials();
-    
-    // Get recommendations based on user's role and progress
-    const recommendations = await getRecommendedTutorials(req.user.uid);
+    await initializeLearningPaths();
+    
+    // Paths the user has started or can start, with their progress
+    const learningPaths = (await getPathProgress(req.user.id))
+      .filter(path => path.status !== 'locked');
+    
+    // Rank tutorials against the user's compliance items, plans, budgets, tasks,
+    // skills, watch history and learning paths
+    const recommendations = await getRecommendedTutorials(req.user.id, {
+      organizationId: getOrganizationId(req),
+      learningPaths,
+      limit: Math.min(parseInt(req.query.limit, 10) || 5, 20)
+    });
     
     res.status(200).json({
       success: true,
-      recommendations
+      recommendations,
+      learningPaths
     });
   } catch (error) {
     console.error('Error fetching recommended tutorials:', error);
@@ -520,12 +859,22 @@ module.exports = {
   generateTaglineSuggestions,
   getPreviousTaglines,
   saveSelectedTagline,
+  voteTagline,
+  favoriteTagline,
+  unfavoriteTagline,
+  getTaglineShortlistForReview,
   checkDomain,
+  checkHandleAvailability,
   getDomainSuggestions,
   getDomainHistory,
+  bulkCheckDomains,
+  getDomainWatchlist,
+  addDomainsToWatchlist,
+  removeDomainFromWatchlist,
   getTutorials,
   getTutorialsByCategory,
   getTutorialWithProgress,
   updateTutorialProgress,
-  getRecommendedTutorialsForUser
+  getRecommendedTutorialsForUser,
+  getTutorialAnalytics
 }; 
\ No newline at end of file
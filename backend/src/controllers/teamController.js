@@ -11,23 +11,14 @@ const {
   findTeamMatches
 } = require('../services/teamService');
 
-const { hasPermission } = require('../services/permissionService');
+const { getAuditContext } = require('../services/auditLogService');
+const { getOrganizationId } = require('../services/organizationService');
 
 /**
  * Create a new project
  */
 const createNewProject = async (req, res) => {
   try {
-    // Check if user has permission to create projects
-    const canCreateProject = await hasPermission(req.user.uid, 'create_project');
-    
-    if (!canCreateProject) {
-      return res.status(403).json({
-        success: false,
-        message: 'You do not have permission to create projects'
-      });
-    }
-    
     const {
       name,
       description,
@@ -45,13 +36,13 @@ const createNewProject = async (req, res) => {
     }
     
     // Create project
-    const result = await createProject(req.user.uid, {
+    const result = await createProject(req.user.id, {
       name,
       description,
       budget,
       startDate,
       endDate
-    });
+    }, getOrganizationId(req));
     
     res.status(201).json({
       success: true,
@@ -129,18 +120,8 @@ const updateProjectDetails = async (req, res) => {
       });
     }
     
-    // Check if user has permission to edit this project
-    const canEditProject = await hasPermission(req.user.uid, 'edit_project', id);
-    
-    if (!canEditProject) {
-      return res.status(403).json({
-        success: false,
-        message: 'You do not have permission to edit this project'
-      });
-    }
-    
     // Update project
-    await updateProject(id, req.user.uid, {
+    await updateProject(id, req.user.id, {
       name,
       description,
       budget,
@@ -187,7 +168,7 @@ const addSkillsToProject = async (req, res) => {
     }
     
     // Add skills
-    await addProjectSkills(id, req.user.uid, skills);
+    await addProjectSkills(id, req.user.id, skills);
     
     res.status(200).json({
       success: true,
@@ -226,7 +207,7 @@ const removeSkillFromProject = async (req, res) => {
     }
     
     // Remove skill
-    await removeProjectSkill(projectId, req.user.uid, skillId);
+    await removeProjectSkill(projectId, req.user.id, skillId);
     
     res.status(200).json({
       success: true,
@@ -265,18 +246,8 @@ const inviteUser = async (req, res) => {
       });
     }
     
-    // Check if user has permission to invite team members
-    const canInvite = await hasPermission(req.user.uid, 'invite_team_members', projectId);
-    
-    if (!canInvite) {
-      return res.status(403).json({
-        success: false,
-        message: 'You do not have permission to invite team members'
-      });
-    }
-    
     // Invite user
-    await inviteUserToProject(projectId, req.user.uid, userId, role, message);
+    await inviteUserToProject(projectId, req.user.id, userId, role, message);
     
     res.status(200).json({
       success: true,
@@ -314,7 +285,7 @@ const inviteUser = async (req, res) => {
 const getPendingInvitations = async (req, res) => {
   try {
     // Get invitations
-    const invitations = await getUserInvitations(req.user.uid);
+    const invitations = await getUserInvitations(req.user.id);
     
     res.status(200).json({
       success: true,
@@ -346,7 +317,7 @@ const respondToTeamInvitation = async (req, res) => {
     }
     
     // Respond to invitation
-    const result = await respondToInvitation(invitationId, req.user.uid, accept);
+    const result = await respondToInvitation(invitationId, req.user.id, accept, getAuditContext(req));
     
     res.status(200).json({
       success: true,
@@ -385,7 +356,7 @@ const removeTeamMemberFromProject = async (req, res) => {
     }
     
     // Remove team member
-    await removeTeamMember(projectId, req.user.uid, memberId);
+    await removeTeamMember(projectId, req.user.id, memberId, getAuditContext(req));
     
     res.status(200).json({
       success: true,
@@ -424,16 +395,6 @@ const findTeamMatchesForProject = async (req, res) => {
       });
     }
     
-    // Check if user has permission to view this project
-    const canView = await hasPermission(req.user.uid, 'view_team_reports', projectId);
-    
-    if (!canView) {
-      return res.status(403).json({
-        success: false,
-        message: 'You do not have permission to view team matches for this project'
-      });
-    }
-    
     // Find matches
     const matches = await findTeamMatches(projectId, limit ? parseInt(limit) : 10);
     
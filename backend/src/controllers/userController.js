@@ -9,17 +9,50 @@ const {
   addPortfolioItem,
   updatePortfolioItem,
   deletePortfolioItem,
-  searchUsersBySkills
+  searchUsersBySkills,
+  requestEmailChange,
+  confirmEmailChange,
+  revertEmailChange
 } = require('../services/userProfileService');
 
+const {
+  AVAILABLE_SCOPES,
+  createApiKey,
+  getUserApiKeys,
+  revokeApiKey
+} = require('../services/apiKeyService');
+
+const {
+  exportUserData,
+  getPendingDeletion,
+  requestAccountDeletion,
+  cancelAccountDeletion
+} = require('../services/accountDataService');
+
 const { query } = require('../config/db');
+const { validationResult } = require('express-validator');
+
+/**
+ * Reject account-level actions (API keys, email, data export and deletion) from
+ * requests that are themselves using an API key
+ */
+const rejectApiKeyPrincipal = (req, res, message = 'API keys cannot be managed using an API key') => {
+  if (req.user.authMethod === 'apiKey') {
+    res.status(403).json({
+      success: false,
+      message
+    });
+    return true;
+  }
+  return false;
+};
 
 /**
  * Get current user profile
  */
 const getCurrentUserProfile = async (req, res) => {
   try {
-    const profile = await getExtendedProfile(req.user.uid);
+    const profile = await getExtendedProfile(req.user.id);
     
     res.status(200).json({
       success: true,
@@ -89,7 +122,7 @@ const updateProfile = async (req, res) => {
     }
     
     // Update basic profile
-    await updateBasicProfile(req.user.uid, {
+    await updateBasicProfile(req.user.id, {
       firstName,
       lastName,
       phone,
@@ -133,7 +166,7 @@ const updateEntrepreneurProfileDetails = async (req, res) => {
     }
     
     // Update entrepreneur profile
-    await updateEntrepreneurProfile(req.user.uid, {
+    await updateEntrepreneurProfile(req.user.id, {
       companyName,
       industry,
       companySize,
@@ -178,7 +211,7 @@ const updateFreelancerProfileDetails = async (req, res) => {
     }
     
     // Update freelancer profile
-    await updateFreelancerProfile(req.user.uid, {
+    await updateFreelancerProfile(req.user.id, {
       headline,
       bio,
       hourlyRate,
@@ -238,7 +271,7 @@ const updateUserSkillList = async (req, res) => {
     }
     
     // Update skills
-    await updateUserSkills(req.user.uid, skills);
+    await updateUserSkills(req.user.id, skills);
     
     res.status(200).json({
       success: true,
@@ -269,7 +302,7 @@ const removeSkillFromUser = async (req, res) => {
     }
     
     // Remove skill
-    await removeUserSkill(req.user.uid, skillId);
+    await removeUserSkill(req.user.id, skillId);
     
     res.status(200).json({
       success: true,
@@ -307,7 +340,7 @@ const addPortfolioItemToUser = async (req, res) => {
     }
     
     // Add portfolio item
-    await addPortfolioItem(req.user.uid, {
+    await addPortfolioItem(req.user.id, {
       title,
       description,
       imageUrl,
@@ -353,7 +386,7 @@ const updatePortfolioItemById = async (req, res) => {
     }
     
     // Update portfolio item
-    await updatePortfolioItem(req.user.uid, itemId, {
+    await updatePortfolioItem(req.user.id, itemId, {
       title,
       description,
       imageUrl,
@@ -399,7 +432,7 @@ const deletePortfolioItemById = async (req, res) => {
     }
     
     // Delete portfolio item
-    await deletePortfolioItem(req.user.uid, itemId);
+    await deletePortfolioItem(req.user.id, itemId);
     
     res.status(200).json({
       success: true,
@@ -454,6 +487,400 @@ const searchUsers = async (req, res) => {
   }
 };
 
+/**
+ * Request a change of account email (requires the current password)
+ */
+const requestEmailChangeForUser = async (req, res) => {
+  try {
+    if (rejectApiKeyPrincipal(req, res, 'Email cannot be changed using an API key')) return;
+    
+    const { newEmail, currentPassword } = req.body;
+    
+    // Validate input
+    if (!newEmail || !currentPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'New email and current password are required'
+      });
+    }
+    
+    if (typeof newEmail !== 'string' || !validationResult(req).isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid email address'
+      });
+    }
+    
+    const result = await requestEmailChange(req.user.id, newEmail.trim(), currentPassword);
+    
+    res.status(200).json(result);
+  } catch (error) {
+    console.error('Error requesting email change:', error);
+    
+    if (error.message === 'Current password is incorrect') {
+      return res.status(401).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    if (error.message === 'Email already in use' || error.message.startsWith('New email must')) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    if (error.message === 'User not found') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Error requesting email change',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Confirm an email change from the link sent to the new address
+ */
+const confirmEmailChangeRequest = async (req, res) => {
+  try {
+    const { token } = req.body;
+    
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Token is required'
+      });
+    }
+    
+    const result = await confirmEmailChange(token);
+    
+    res.status(200).json(result);
+  } catch (error) {
+    console.error('Error confirming email change:', error);
+    
+    if (error.message === 'Invalid or expired confirmation link' || error.message === 'Email already in use') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Error confirming email change',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Revert an email change from the link sent to the old address
+ */
+const revertEmailChangeRequest = async (req, res) => {
+  try {
+    const { token } = req.body;
+    
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Token is required'
+      });
+    }
+    
+    const result = await revertEmailChange(token);
+    
+    res.status(200).json(result);
+  } catch (error) {
+    console.error('Error reverting email change:', error);
+    
+    if (error.message === 'Invalid or expired revert link') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    if (error.message === 'User not found') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Error reverting email change',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Download everything the platform holds about the current user
+ */
+const exportMyData = async (req, res) => {
+  try {
+    if (rejectApiKeyPrincipal(req, res, 'Personal data cannot be exported using an API key')) return;
+    
+    const format = req.query.format || 'json';
+    
+    if (!['json', 'zip'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Format must be json or zip'
+      });
+    }
+    
+    const { filename, contentType, content } = await exportUserData(req.user.id, format);
+    
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.status(200).send(content);
+  } catch (error) {
+    console.error('Error exporting user data:', error);
+    
+    if (error.message === 'User not found') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting user data',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get the current user's scheduled account deletion, if any
+ */
+const getAccountDeletionStatus = async (req, res) => {
+  try {
+    const deletion = await getPendingDeletion(req.user.id);
+    
+    res.status(200).json({
+      success: true,
+      scheduled: !!deletion,
+      deletion: deletion ? {
+        requestedAt: deletion.requested_at,
+        scheduledFor: deletion.scheduled_for
+      } : null
+    });
+  } catch (error) {
+    console.error('Error fetching account deletion status:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching account deletion status',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Schedule deletion of the current user's account
+ */
+const scheduleAccountDeletion = async (req, res) => {
+  try {
+    if (rejectApiKeyPrincipal(req, res, 'Accounts cannot be deleted using an API key')) return;
+    
+    const { currentPassword, reason } = req.body;
+    
+    if (!currentPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'Current password is required'
+      });
+    }
+    
+    const result = await requestAccountDeletion(req.user.id, currentPassword, reason || null);
+    
+    res.status(200).json(result);
+  } catch (error) {
+    console.error('Error scheduling account deletion:', error);
+    
+    if (error.message === 'Current password is incorrect') {
+      return res.status(401).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    if (error.message === 'Account deletion is already scheduled') {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    if (error.message === 'User not found') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Error scheduling account deletion',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Cancel the current user's scheduled account deletion
+ */
+const cancelScheduledAccountDeletion = async (req, res) => {
+  try {
+    if (rejectApiKeyPrincipal(req, res, 'Account deletion cannot be managed using an API key')) return;
+    
+    const result = await cancelAccountDeletion(req.user.id);
+    
+    res.status(200).json(result);
+  } catch (error) {
+    console.error('Error cancelling account deletion:', error);
+    
+    if (error.message === 'No account deletion is scheduled') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Error cancelling account deletion',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get the scopes an API key can be granted
+ */
+const getApiKeyScopes = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    scopes: AVAILABLE_SCOPES
+  });
+};
+
+/**
+ * Get the current user's API keys
+ */
+const getApiKeys = async (req, res) => {
+  try {
+    if (rejectApiKeyPrincipal(req, res)) return;
+    
+    const apiKeys = await getUserApiKeys(req.user.id);
+    
+    res.status(200).json({
+      success: true,
+      apiKeys
+    });
+  } catch (error) {
+    console.error('Error fetching API keys:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching API keys',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Create an API key for the current user
+ */
+const createApiKeyForUser = async (req, res) => {
+  try {
+    if (rejectApiKeyPrincipal(req, res)) return;
+    
+    const { name, scopes, expiresAt } = req.body;
+    
+    // Validate input
+    if (!name || !Array.isArray(scopes) || !scopes.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Name and at least one scope are required'
+      });
+    }
+    
+    if (expiresAt && isNaN(Date.parse(expiresAt))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Expiry date must be a valid date'
+      });
+    }
+    
+    const result = await createApiKey(req.user.id, { name, scopes, expiresAt });
+    
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Copy it now; it will not be shown again.',
+      apiKey: result.apiKey,
+      key: result.key
+    });
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    
+    if (error.message.startsWith('Invalid scopes') ||
+        error.message === 'Expiry date must be in the future' ||
+        error.message.startsWith('You can have at most')) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Error creating API key',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Revoke one of the current user's API keys
+ */
+const revokeApiKeyById = async (req, res) => {
+  try {
+    if (rejectApiKeyPrincipal(req, res)) return;
+    
+    const { keyId } = req.params;
+    
+    const result = await revokeApiKey(req.user.id, keyId);
+    
+    res.status(200).json(result);
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    
+    if (error.message === 'API key not found') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking API key',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 module.exports = {
   getCurrentUserProfile,
   getUserProfileById,
@@ -466,5 +893,16 @@ module.exports = {
   addPortfolioItemToUser,
   updatePortfolioItemById,
   deletePortfolioItemById,
-  searchUsers
+  searchUsers,
+  requestEmailChangeForUser,
+  confirmEmailChangeRequest,
+  revertEmailChangeRequest,
+  exportMyData,
+  getAccountDeletionStatus,
+  scheduleAccountDeletion,
+  cancelScheduledAccountDeletion,
+  getApiKeyScopes,
+  getApiKeys,
+  createApiKeyForUser,
+  revokeApiKeyById
 }; 
\ No newline at end of file
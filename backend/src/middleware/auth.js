@@ -1,42 +1,92 @@
 /**
  * Authentication Middleware
  * 
- * Verifies the JWT token and adds the user to the request object
+ * Runs the request through the configured authentication strategies and sets
+ * req.user to the normalized principal (see strategies/principal.js)
  */
-const admin = require('../config/firebase');
+const authConfig = require('../config/auth');
+const { checkScope } = require('./scopes');
+const { auditImpersonatedWrites } = require('./impersonation');
+const { applyOrganizationContext } = require('./organization');
+
+const registry = {
+  jwt: require('./strategies/jwtStrategy'),
+  firebase: require('./strategies/firebaseStrategy'),
+  apiKey: require('./strategies/apiKeyStrategy')
+};
 
 /**
- * Middleware to authenticate requests using Firebase Auth
+ * Build an authentication middleware that tries the given strategies in order
+ *
+ * A strategy returns null when the credential is not its kind, so the next one
+ * gets a turn; it throws when the credential is its kind but invalid. Scoped
+ * principals (API keys) are then checked against req.requiredScope, the selected
+ * organization is resolved (see organization.js), and writes made under an
+ * impersonation token are audited.
+ *
+ * @param {string[]} strategyNames - Strategy names from the registry
  */
-const authenticate = async (req, res, next) => {
-  try {
-    const authHeader = req.headers.authorization;
-
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      throw new Error('No token provided');
+const authenticateWith = (strategyNames) => {
+  const strategies = strategyNames.map(name => {
+    if (!registry[name]) {
+      throw new Error(`Unknown authentication strategy: ${name}`);
     }
+    return registry[name];
+  });
+
+  return async (req, res, next) => {
+    try {
+      for (const strategy of strategies) {
+        if (!strategy.canHandle(req)) {
+          continue;
+        }
+
+        const principal = await strategy.authenticate(req);
+
+        if (principal) {
+          const scopeError = checkScope(principal, req);
+
+          if (scopeError) {
+            return res.status(403).json({
+              success: false,
+              message: scopeError,
+              requiredScope: req.requiredScope || null
+            });
+          }
+
+          req.user = principal;
 
-    const token = authHeader.split(' ')[1];
-    const decodedToken = await admin.auth().verifyIdToken(token);
-
-    // Add user info to request
-    req.user = {
-      id: decodedToken.uid,
-      email: decodedToken.email,
-      emailVerified: decodedToken.email_verified,
-      role: decodedToken.role || 'user'
-    };
-
-    next();
-  } catch (error) {
-    res.status(401).json({
-      success: false,
-      message: 'Unauthorized',
-      error: error.message
-    });
-  }
+          const organizationError = await applyOrganizationContext(req);
+
+          if (organizationError) {
+            return res.status(organizationError.status).json({
+              success: false,
+              message: organizationError.message
+            });
+          }
+
+          auditImpersonatedWrites(req, res);
+          return next();
+        }
+      }
+
+      throw new Error('No valid credentials provided');
+    } catch (error) {
+      res.status(401).json({
+        success: false,
+        message: 'Unauthorized',
+        error: error.message
+      });
+    }
+  };
 };
 
+/**
+ * Middleware to authenticate requests with every configured strategy
+ */
+const authenticate = authenticateWith(authConfig.strategies);
+
 module.exports = {
-  authenticate
-}; 
\ No newline at end of file
+  authenticate,
+  authenticateWith
+};
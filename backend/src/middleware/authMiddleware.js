@@ -1,78 +1,22 @@
-const { admin } = require('../config/firebase');
-const jwt = require('jsonwebtoken');
 const { query } = require('../config/db');
-require('dotenv').config();
+const { authenticateWith } = require('./auth');
 
 /**
  * Middleware to verify Firebase token
  */
-const verifyFirebaseToken = async (req, res, next) => {
-  try {
-    const authHeader = req.headers.authorization;
-    
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ 
-        success: false, 
-        message: 'Access denied. No token provided.' 
-      });
-    }
-
-    const token = authHeader.split(' ')[1];
-    
-    // Verify the Firebase token
-    const decodedToken = await admin.auth().verifyIdToken(token);
-    
-    // Add the user data to the request object
-    req.user = decodedToken;
-    
-    next();
-  } catch (error) {
-    console.error('Error verifying Firebase token:', error);
-    return res.status(401).json({ 
-      success: false, 
-      message: 'Invalid token.' 
-    });
-  }
-};
+const verifyFirebaseToken = authenticateWith(['firebase']);
 
 /**
- * Middleware to verify JWT token
+ * Middleware to verify JWT token and its backing session
  */
-const verifyToken = (req, res, next) => {
-  try {
-    const authHeader = req.headers.authorization;
-    
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ 
-        success: false, 
-        message: 'Access denied. No token provided.' 
-      });
-    }
-
-    const token = authHeader.split(' ')[1];
-    
-    // Verify the JWT
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    // Add the user data to the request object
-    req.user = decoded;
-    
-    next();
-  } catch (error) {
-    console.error('Error verifying JWT:', error);
-    return res.status(401).json({ 
-      success: false, 
-      message: 'Invalid token.' 
-    });
-  }
-};
+const verifyToken = authenticateWith(['jwt']);
 
 /**
  * Check if user has admin role
  */
 const isAdmin = async (req, res, next) => {
   try {
-    if (!req.user || !req.user.uid) {
+    if (!req.user || !req.user.id) {
       return res.status(401).json({ 
         success: false, 
         message: 'User not authenticated.' 
@@ -82,7 +26,7 @@ const isAdmin = async (req, res, next) => {
     // Check if user is admin in our database
     const user = await query(
       'SELECT r.name AS role FROM users u JOIN roles r ON u.role_id = r.id WHERE u.id = ?', 
-      [req.user.uid]
+      [req.user.id]
     );
 
     if (!user.length || user[0].role !== 'admin') {
@@ -108,7 +52,7 @@ const isAdmin = async (req, res, next) => {
 const hasRole = (roleNames) => {
   return async (req, res, next) => {
     try {
-      if (!req.user || !req.user.uid) {
+      if (!req.user || !req.user.id) {
         return res.status(401).json({ 
           success: false, 
           message: 'User not authenticated.' 
@@ -118,7 +62,7 @@ const hasRole = (roleNames) => {
       // Check if user has one of the required roles
       const user = await query(
         'SELECT r.name AS role FROM users u JOIN roles r ON u.role_id = r.id WHERE u.id = ?', 
-        [req.user.uid]
+        [req.user.id]
       );
 
       if (!user.length || !roleNames.includes(user[0].role)) {
@@ -0,0 +1,154 @@
+/**
+ * Brute-Force Protection Middleware
+ *
+ * Rejects attempts while the account or IP is in a progressive delay or locked out.
+ * Each allowed attempt is counted as a failure before it runs, and the count is
+ * given back once the response shows it did not fail.
+ */
+const {
+  buildKey,
+  checkAttempt,
+  reserveAttempt,
+  releaseAttempt,
+  resetAttempts
+} = require('../services/loginAttemptService');
+const { sendAccountLockedEmail } = require('../services/emailService');
+const { query } = require('../config/db');
+
+// Responses that count as a failed attempt
+const FAILURE_STATUSES = [400, 401];
+
+/**
+ * Tell the owner of a locked account, if the submitted email belongs to one
+ *
+ * The lockout key comes from the request body, so mail only goes to an address
+ * stored for a registered user, never to whatever was submitted.
+ */
+const notifyAccountLocked = async (account, lockedUntil) => {
+  const users = await query(
+    'SELECT email FROM users WHERE email = ? AND deleted_at IS NULL',
+    [String(account).trim()]
+  );
+
+  if (users.length) {
+    await sendAccountLockedEmail(users[0].email, lockedUntil);
+  }
+};
+
+/**
+ * Settle an attempt's reservations once its outcome is known
+ *
+ * @param {Object} reservations - reserveAttempt results by scope
+ */
+const recordOutcome = async (keys, reservations, account, res, options) => {
+  const failed = options.countAllAttempts || FAILURE_STATUSES.includes(res.statusCode);
+
+  if (failed) {
+    if (reservations.account && reservations.account.lockedNow && options.notifyOnLock) {
+      await notifyAccountLocked(account, reservations.account.lockedUntil);
+    }
+    return;
+  }
+
+  for (const [scope, key] of Object.entries(keys)) {
+    // A completed sign-in clears the account's counter. Controllers set
+    // res.locals.authStepIncomplete when a 2xx only asks for the next factor.
+    if (scope === 'account' && res.statusCode < 300 && !res.locals.authStepIncomplete) {
+      await resetAttempts(key);
+    } else {
+      await releaseAttempt(key, { unlock: reservations[scope].lockedNow });
+    }
+  }
+};
+
+/**
+ * Reject an attempt that is delayed or locked out
+ */
+const sendTooManyAttempts = (res, locked, retryAfter) => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    message: locked
+      ? 'Too many failed attempts. Access is temporarily locked, please try again later.'
+      : `Too many failed attempts. Please wait ${retryAfter} seconds before trying again.`,
+    retryAfter
+  });
+};
+
+/**
+ * Build brute-force protection for an authentication endpoint
+ *
+ * @param {Object} options
+ * @param {string} options.namespace - Counter namespace; endpoints sharing one share lockouts
+ * @param {Function} [options.accountFrom] - Returns the account email for a request, if known
+ * @param {boolean} [options.countAllAttempts] - Count every attempt, for endpoints that always succeed
+ * @param {boolean} [options.notifyOnLock] - Email the account owner when the account gets locked
+ */
+const protectAuthEndpoint = (options) => {
+  const settings = {
+    accountFrom: null,
+    countAllAttempts: false,
+    notifyOnLock: true,
+    ...options
+  };
+
+  return async (req, res, next) => {
+    try {
+      const account = settings.accountFrom ? settings.accountFrom(req) : null;
+
+      const keys = { ip: buildKey(settings.namespace, 'ip', req.ip) };
+      if (account) {
+        keys.account = buildKey(settings.namespace, 'account', account);
+      }
+
+      const state = await checkAttempt(Object.values(keys));
+
+      if (!state.allowed) {
+        return sendTooManyAttempts(res, state.locked, state.retryAfter);
+      }
+
+      const reservations = {};
+      for (const [scope, key] of Object.entries(keys)) {
+        reservations[scope] = await reserveAttempt(key, scope);
+      }
+
+      // Another attempt locked a key while this one was being checked
+      const lockedOut = Object.entries(reservations).filter(([, reservation]) => !reservation.allowed);
+
+      if (lockedOut.length) {
+        for (const [scope, key] of Object.entries(keys)) {
+          await releaseAttempt(key, { unlock: reservations[scope].lockedNow });
+        }
+
+        const lockedUntil = Math.max(...lockedOut.map(([, reservation]) => new Date(reservation.lockedUntil).getTime()));
+        return sendTooManyAttempts(res, true, Math.max(Math.ceil((lockedUntil - Date.now()) / 1000), 1));
+      }
+
+      res.on('finish', () => {
+        recordOutcome(keys, reservations, account, res, settings).catch(error => {
+          console.error('Error recording authentication attempt:', error);
+        });
+      });
+
+      next();
+    } catch (error) {
+      console.error('Error checking authentication attempts:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Internal server error when checking authentication attempts.'
+      });
+    }
+  };
+};
+
+/**
+ * Account identifiers for the standard endpoints
+ */
+const accountFromBody = (req) => (req.body && typeof req.body.email === 'string' ? req.body.email : null);
+const accountFromUser = (req) => (req.user ? req.user.email : null);
+
+module.exports = {
+  protectAuthEndpoint,
+  accountFromBody,
+  accountFromUser
+};
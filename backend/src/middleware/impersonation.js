@@ -0,0 +1,51 @@
+/**
+ * Impersonation Middleware
+ *
+ * Guards for requests made with an admin impersonation token
+ * (principals with an impersonatorId).
+ */
+const { getAuditContext, recordAuditEvent } = require('../services/auditLogService');
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Reject sensitive actions (credentials, 2FA, payments) while impersonating
+ */
+const blockDuringImpersonation = (req, res, next) => {
+  if (req.user && req.user.impersonatorId) {
+    return res.status(403).json({
+      success: false,
+      message: 'This action is not allowed while impersonating a user'
+    });
+  }
+
+  next();
+};
+
+/**
+ * Write every state-changing request made while impersonating to the audit log
+ */
+const auditImpersonatedWrites = (req, res) => {
+  if (!req.user.impersonatorId || SAFE_METHODS.includes(req.method)) {
+    return;
+  }
+
+  res.on('finish', () => {
+    recordAuditEvent({
+      action: 'impersonation.request',
+      entityType: 'user',
+      entityId: req.user.id,
+      metadata: {
+        method: req.method,
+        path: req.originalUrl,
+        statusCode: res.statusCode,
+        sessionId: req.user.sessionId
+      }
+    }, getAuditContext(req));
+  });
+};
+
+module.exports = {
+  blockDuringImpersonation,
+  auditImpersonatedWrites
+};
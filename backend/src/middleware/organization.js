@@ -0,0 +1,50 @@
+/**
+ * Organization Context
+ *
+ * The organization switcher: clients select a workspace with the
+ * X-Organization-Id header (or an organizationId query parameter). The
+ * authentication pipeline resolves it into req.organization = { id, role };
+ * without one, requests act on the user's personal workspace.
+ */
+const { getMembership, WRITE_ROLES } = require('../services/organizationService');
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Resolve the organization a request is scoped to
+ *
+ * @returns {Promise<Object|null>} An error { status, message }, or null if the request may proceed
+ */
+const applyOrganizationContext = async (req) => {
+  const selected = req.get('X-Organization-Id') || req.query.organizationId;
+
+  req.organization = null;
+
+  if (!selected) {
+    return null;
+  }
+
+  const organizationId = parseInt(selected, 10);
+
+  if (!organizationId || String(organizationId) !== String(selected).trim()) {
+    return { status: 400, message: 'Invalid organization ID' };
+  }
+
+  const membership = await getMembership(organizationId, req.user.id);
+
+  if (!membership) {
+    return { status: 403, message: 'You are not a member of this organization' };
+  }
+
+  // Viewers can browse an organization but not change it
+  if (!READ_METHODS.includes(req.method) && !WRITE_ROLES.includes(membership.role)) {
+    return { status: 403, message: 'Organization viewers cannot make changes' };
+  }
+
+  req.organization = { id: organizationId, role: membership.role };
+  return null;
+};
+
+module.exports = {
+  applyOrganizationContext
+};
@@ -0,0 +1,95 @@
+/**
+ * Permission Middleware
+ *
+ * Declarative RBAC checks for routes, backed by permissionService.hasPermission.
+ * Must run after authenticate.
+ *
+ *   requirePermission('create_project')
+ *   requirePermission('edit_project', { projectFrom: 'params.id' })
+ *   requirePermission('manage_tasks', { projectFrom: 'params.id', via: 'task' })
+ */
+const { hasPermission, resolveProjectId } = require('../services/permissionService');
+
+// Names used in error messages for each `via` entity
+const ENTITY_LABELS = {
+  task: 'Task',
+  subtask: 'Subtask',
+  taskComment: 'Comment',
+  timeEntry: 'Time entry',
+  taskDependency: 'Dependency',
+  milestone: 'Milestone',
+  board: 'Board',
+  column: 'Column',
+  contract: 'Contract',
+  contractMilestone: 'Milestone'
+};
+
+/**
+ * Read a dotted path (e.g. 'params.id') from the request
+ */
+const readRequestValue = (req, path) => {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), req);
+};
+
+/**
+ * Require a permission, optionally scoped to the project the request targets
+ *
+ * @param {string} permissionName - Permission name (see the permissions table)
+ * @param {Object} options
+ * @param {string} options.projectFrom - Request path holding the project ID, or with `via` the entity ID
+ * @param {string} options.via - Entity the ID belongs to, resolved to its project (e.g. 'task', 'board')
+ */
+const requirePermission = (permissionName, options = {}) => {
+  const { projectFrom, via } = options;
+  const label = via ? ENTITY_LABELS[via] || via : 'Project';
+
+  return async (req, res, next) => {
+    try {
+      let projectId = null;
+
+      if (projectFrom) {
+        const id = readRequestValue(req, projectFrom);
+
+        if (id === undefined || id === null || id === '') {
+          return res.status(400).json({
+            success: false,
+            message: `${label} ID is required`
+          });
+        }
+
+        projectId = via ? await resolveProjectId(via, id) : id;
+
+        if (!projectId) {
+          return res.status(404).json({
+            success: false,
+            message: `${label} not found`
+          });
+        }
+      }
+
+      const allowed = await hasPermission(req.user.id, permissionName, projectId);
+
+      if (!allowed) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to perform this action',
+          requiredPermission: permissionName
+        });
+      }
+
+      req.projectId = projectId;
+      next();
+    } catch (error) {
+      console.error(`Error checking permission ${permissionName}:`, error);
+      res.status(500).json({
+        success: false,
+        message: 'Error checking permissions',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  };
+};
+
+module.exports = {
+  requirePermission
+};
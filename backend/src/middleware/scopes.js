@@ -0,0 +1,49 @@
+/**
+ * API Scope Middleware
+ *
+ * Routers are mounted with apiScope('<resource>'), which marks the scope a request
+ * needs: '<resource>:read' for GET/HEAD/OPTIONS and '<resource>:write' otherwise.
+ * The authentication pipeline enforces it for scoped credentials (API keys).
+ */
+const { scopeSatisfies } = require('../services/apiKeyService');
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Mark the API scope required by the routes below this middleware
+ *
+ * @param {string} resource - Scope resource (e.g. 'tasks')
+ */
+const apiScope = (resource) => (req, res, next) => {
+  const access = READ_METHODS.includes(req.method) ? 'read' : 'write';
+  req.requiredScope = `${resource}:${access}`;
+  next();
+};
+
+/**
+ * Check a principal against the scope the current route requires
+ *
+ * @returns {string|null} An error message, or null if the request is allowed
+ */
+const checkScope = (principal, req) => {
+  // Interactive logins are not scoped
+  if (!principal.scopes) {
+    return null;
+  }
+
+  // Scoped credentials only reach routes that declare a scope
+  if (!req.requiredScope) {
+    return 'API keys cannot be used for this endpoint';
+  }
+
+  if (!scopeSatisfies(principal.scopes, req.requiredScope)) {
+    return `API key is missing the required scope: ${req.requiredScope}`;
+  }
+
+  return null;
+};
+
+module.exports = {
+  apiScope,
+  checkScope
+};
@@ -0,0 +1,39 @@
+/**
+ * API Key Strategy
+ *
+ * Accepts user-created API keys (see apiKeyService) sent in the X-API-Key header.
+ * The request acts as the key's owner, limited to the key's scopes.
+ */
+const { findActiveApiKey } = require('../../services/apiKeyService');
+const { createPrincipal } = require('./principal');
+
+const name = 'apiKey';
+
+const canHandle = (req) => !!req.get('X-API-Key');
+
+/**
+ * @returns {Promise<Object>} A principal
+ * @throws {Error} If the key is unknown, expired or revoked
+ */
+const authenticate = async (req) => {
+  const key = await findActiveApiKey(req.get('X-API-Key'));
+
+  if (!key) {
+    throw new Error('Invalid API key');
+  }
+
+  return createPrincipal({
+    id: key.user_id,
+    email: key.email,
+    emailVerified: key.email_verified === 1,
+    role: key.role,
+    authMethod: name,
+    scopes: key.scopes
+  });
+};
+
+module.exports = {
+  name,
+  canHandle,
+  authenticate
+};
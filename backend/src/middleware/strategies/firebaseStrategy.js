@@ -0,0 +1,37 @@
+/**
+ * Firebase Strategy
+ *
+ * Accepts Firebase ID tokens. Skipped entirely when Firebase is not configured,
+ * so the mock auth in config/firebase can never authenticate a request.
+ */
+const { admin, firebaseApp } = require('../../config/firebase');
+const { createPrincipal, findUserForPrincipal, getBearerToken } = require('./principal');
+
+const name = 'firebase';
+
+const canHandle = (req) => !!firebaseApp && !!getBearerToken(req);
+
+/**
+ * @returns {Promise<Object>} A principal
+ * @throws {Error} If the ID token is invalid or expired
+ */
+const authenticate = async (req) => {
+  const decodedToken = await admin.auth().verifyIdToken(getBearerToken(req));
+
+  // Role and email come from our database so they match the other strategies
+  const user = await findUserForPrincipal(decodedToken.uid);
+
+  return createPrincipal({
+    id: decodedToken.uid,
+    email: user ? user.email : decodedToken.email,
+    emailVerified: decodedToken.email_verified || (!!user && user.email_verified === 1),
+    role: user ? user.role : decodedToken.role || null,
+    authMethod: name
+  });
+};
+
+module.exports = {
+  name,
+  canHandle,
+  authenticate
+};
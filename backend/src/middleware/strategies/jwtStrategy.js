@@ -0,0 +1,50 @@
+/**
+ * Local JWT Strategy
+ *
+ * Accepts access tokens issued by sessionService and checks the backing session
+ */
+const jwt = require('jsonwebtoken');
+const { touchSession } = require('../../services/sessionService');
+const { createPrincipal, getBearerToken } = require('./principal');
+require('dotenv').config();
+
+const name = 'jwt';
+
+const canHandle = (req) => !!getBearerToken(req);
+
+/**
+ * @returns {Promise<Object|null>} A principal, or null if the token is not a local JWT
+ * @throws {Error} If the token is a local JWT but invalid, expired or revoked
+ */
+const authenticate = async (req) => {
+  const token = getBearerToken(req);
+  const decoded = jwt.decode(token, { complete: true });
+
+  // Tokens signed by someone else (e.g. Firebase, RS256) belong to another strategy
+  if (!decoded || decoded.header.alg !== 'HS256') {
+    return null;
+  }
+
+  const payload = jwt.verify(token, process.env.JWT_SECRET, { algorithms: ['HS256'] });
+
+  // Reject tokens whose session was revoked, expired or never existed
+  if (!payload.sid || !(await touchSession(payload.sid))) {
+    throw new Error('Session has expired or been revoked');
+  }
+
+  return createPrincipal({
+    id: payload.uid,
+    email: payload.email,
+    emailVerified: payload.email_verified,
+    role: payload.role,
+    authMethod: name,
+    sessionId: payload.sid,
+    impersonatorId: payload.act ? payload.act.sub : null
+  });
+};
+
+module.exports = {
+  name,
+  canHandle,
+  authenticate
+};
@@ -0,0 +1,75 @@
+/**
+ * Authenticated Principal
+ *
+ * Every authentication strategy resolves to this shape, which is what
+ * controllers read from req.user.
+ */
+const { query } = require('../../config/db');
+
+/**
+ * Build a normalized principal
+ *
+ * @param {Object} options
+ * @param {string} options.id - User ID (Firebase UID or local user ID)
+ * @param {string} options.email - User email
+ * @param {boolean} options.emailVerified - Whether the email is verified
+ * @param {string} options.role - Platform role name (e.g. 'entrepreneur')
+ * @param {string} options.authMethod - Strategy that authenticated the request
+ * @param {string} [options.sessionId] - Session backing a local JWT
+ * @param {string[]} [options.scopes] - Scopes granted to the credential (null = unrestricted)
+ * @param {string} [options.impersonatorId] - Admin acting as this user, if impersonating
+ * @returns {Object} The principal
+ */
+const createPrincipal = ({
+  id,
+  email = null,
+  emailVerified = false,
+  role = null,
+  authMethod,
+  sessionId = null,
+  scopes = null,
+  impersonatorId = null
+}) => ({
+  id,
+  email,
+  emailVerified: !!emailVerified,
+  role,
+  authMethod,
+  sessionId,
+  scopes,
+  impersonatorId
+});
+
+/**
+ * Look up the stored user details used to fill in a principal
+ */
+const findUserForPrincipal = async (userId) => {
+  const users = await query(
+    `SELECT u.id, u.email, u.email_verified, r.name AS role
+     FROM users u
+     LEFT JOIN roles r ON u.role_id = r.id
+     WHERE u.id = ? AND u.deleted_at IS NULL`,
+    [userId]
+  );
+
+  return users.length ? users[0] : null;
+};
+
+/**
+ * Extract a Bearer token from the Authorization header
+ */
+const getBearerToken = (req) => {
+  const authHeader = req.headers.authorization;
+
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return null;
+  }
+
+  return authHeader.split(' ')[1] || null;
+};
+
+module.exports = {
+  createPrincipal,
+  findUserForPrincipal,
+  getBearerToken
+};
@@ -0,0 +1,17 @@
+-- Authenticator-app (TOTP) columns alongside the existing email OTP
+ALTER TABLE two_factor_auth
+    ADD COLUMN totp_secret VARCHAR(64) NULL AFTER otp_enabled,
+    ADD COLUMN totp_enabled BOOLEAN DEFAULT FALSE AFTER totp_secret,
+    ADD COLUMN totp_last_step BIGINT NULL AFTER totp_enabled,
+    ADD COLUMN totp_confirmed_at TIMESTAMP NULL AFTER totp_last_step;
+
+-- Single-use recovery codes (stored as bcrypt hashes)
+CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id VARCHAR(128) NOT NULL,
+    code_hash VARCHAR(255) NOT NULL,
+    used_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX (user_id)
+);
@@ -0,0 +1,3 @@
+-- Local password hashes for AUTH_MODE=local (unused when Firebase holds credentials)
+ALTER TABLE users
+    ADD COLUMN password_hash VARCHAR(255) NULL AFTER email;
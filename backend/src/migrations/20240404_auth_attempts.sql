@@ -0,0 +1,12 @@
+-- Failed authentication attempt counters and temporary lockouts.
+-- attempt_key is "<namespace>:<account|ip>:<identifier>", e.g. "auth:account:jane@example.com"
+CREATE TABLE IF NOT EXISTS auth_attempts (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    attempt_key VARCHAR(320) NOT NULL,
+    failure_count INT NOT NULL DEFAULT 0,
+    last_failed_at TIMESTAMP NULL,
+    locked_until TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY attempt_key_unique (attempt_key)
+);
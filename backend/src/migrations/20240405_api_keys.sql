@@ -0,0 +1,16 @@
+-- User-created API keys (personal access tokens) for integrations
+CREATE TABLE IF NOT EXISTS api_keys (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id VARCHAR(128) NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    key_prefix VARCHAR(16) NOT NULL,  -- First characters of the key, shown so users can tell keys apart
+    key_hash CHAR(64) NOT NULL,       -- SHA-256 of the full key
+    scopes JSON NOT NULL,             -- e.g. ["tasks:read", "budget:write"]
+    expires_at TIMESTAMP NULL,
+    last_used_at TIMESTAMP NULL,
+    revoked_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    UNIQUE KEY api_key_hash_unique (key_hash),
+    INDEX (user_id)
+);
@@ -0,0 +1,18 @@
+-- Pending and completed email-address changes; tokens are stored as SHA-256 hashes
+CREATE TABLE IF NOT EXISTS email_change_requests (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id VARCHAR(128) NOT NULL,
+    old_email VARCHAR(255) NOT NULL,
+    new_email VARCHAR(255) NOT NULL,
+    confirm_token_hash CHAR(64) NOT NULL,
+    revert_token_hash CHAR(64) NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    revert_expires_at TIMESTAMP NOT NULL,
+    confirmed_at TIMESTAMP NULL,
+    reverted_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    UNIQUE KEY (confirm_token_hash),
+    UNIQUE KEY (revert_token_hash),
+    INDEX (user_id)
+);
@@ -0,0 +1,17 @@
+-- Deleted accounts keep an anonymized users row so shared history survives
+ALTER TABLE users
+    ADD COLUMN deleted_at TIMESTAMP NULL AFTER email_verified;
+
+-- Scheduled account deletions (carried out after a grace period)
+CREATE TABLE IF NOT EXISTS account_deletion_requests (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id VARCHAR(128) NOT NULL,
+    reason TEXT NULL,
+    requested_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    scheduled_for TIMESTAMP NOT NULL,
+    cancelled_at TIMESTAMP NULL,
+    completed_at TIMESTAMP NULL,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX (user_id),
+    INDEX (scheduled_for)
+);
@@ -0,0 +1,10 @@
+-- Impersonation sessions are ordinary sessions for the target user, tagged with the admin behind them
+ALTER TABLE user_sessions
+    ADD COLUMN impersonator_id VARCHAR(128) NULL AFTER user_id,
+    ADD COLUMN impersonation_reason VARCHAR(255) NULL AFTER impersonator_id,
+    ADD INDEX (impersonator_id);
+
+-- The real actor when an audited action happened during impersonation
+ALTER TABLE audit_logs
+    ADD COLUMN impersonator_id VARCHAR(128) NULL AFTER actor_id,
+    ADD INDEX (impersonator_id);
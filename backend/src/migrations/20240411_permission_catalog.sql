@@ -0,0 +1,22 @@
+-- Permissions enforced by requirePermission on the project, task, kanban, contract, budget and business plan routes
+INSERT IGNORE INTO permissions (name, description) VALUES
+    ('view_project', 'Can view projects they belong to'),
+    ('manage_project_members', 'Can add, update and remove project members'),
+    ('manage_milestones', 'Can create, edit and delete project milestones'),
+    ('manage_tasks', 'Can create, edit and delete tasks'),
+    ('comment_on_tasks', 'Can comment on tasks'),
+    ('track_time', 'Can track time against tasks'),
+    ('manage_kanban_boards', 'Can create and edit kanban boards and columns'),
+    ('view_contracts', 'Can view contracts'),
+    ('update_contract_status', 'Can update the status of contracts and contract milestones'),
+    ('manage_budgets', 'Can manage budgets, expenses and income'),
+    ('view_financial_reports', 'Can view financial analysis and reports'),
+    ('manage_business_plans', 'Can create and edit business plans'),
+    ('manage_financial_models', 'Can create and edit financial models and projections');
+
+-- Entrepreneurs and admins hold every permission; freelancers and team members can work on projects they join
+INSERT IGNORE INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id
+FROM roles r, permissions p
+WHERE r.name IN ('entrepreneur', 'admin')
+   OR (r.name IN ('freelancer', 'team_member') AND p.name IN ('manage_own_profile', 'view_project', 'manage_tasks', 'comment_on_tasks', 'track_time', 'manage_kanban_boards', 'view_contracts', 'update_contract_status', 'manage_budgets', 'view_financial_reports', 'manage_business_plans', 'manage_financial_models'));
@@ -0,0 +1,26 @@
+-- Named permission bundles defined by a project's owner (e.g. "Finance reviewer")
+CREATE TABLE IF NOT EXISTS project_roles (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    project_id INT NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    description VARCHAR(255),
+    created_by VARCHAR(128) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+    UNIQUE KEY project_role_name_unique (project_id, name)
+);
+
+CREATE TABLE IF NOT EXISTS project_role_permissions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    project_role_id INT NOT NULL,
+    permission_id INT NOT NULL,
+    FOREIGN KEY (project_role_id) REFERENCES project_roles(id) ON DELETE CASCADE,
+    FOREIGN KEY (permission_id) REFERENCES permissions(id) ON DELETE CASCADE,
+    UNIQUE KEY project_role_permission_unique (project_role_id, permission_id)
+);
+
+-- A member keeps their fixed role (owner/manager/member/viewer) and may also hold one custom role
+ALTER TABLE project_members
+    ADD COLUMN custom_role_id INT NULL AFTER role,
+    ADD FOREIGN KEY (custom_role_id) REFERENCES project_roles(id) ON DELETE SET NULL;
@@ -0,0 +1,62 @@
+-- Collaborators on business plans and financial models. Invitations are sent by email and
+-- bound to the account that accepts them (user_id stays NULL until then).
+CREATE TABLE IF NOT EXISTS business_plan_shares (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    plan_id INT NOT NULL,
+    email VARCHAR(255) NOT NULL,
+    user_id VARCHAR(128) NULL,
+    role ENUM('viewer', 'commenter', 'editor') NOT NULL DEFAULT 'viewer',
+    invited_by VARCHAR(128) NOT NULL,
+    token_hash CHAR(64) NULL UNIQUE,
+    token_expires_at DATETIME NULL,
+    accepted_at DATETIME NULL,
+    revoked_at DATETIME NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (plan_id) REFERENCES business_plans(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX (plan_id, email),
+    INDEX (user_id)
+);
+
+CREATE TABLE IF NOT EXISTS financial_model_shares (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    model_id INT NOT NULL,
+    email VARCHAR(255) NOT NULL,
+    user_id VARCHAR(128) NULL,
+    role ENUM('viewer', 'commenter', 'editor') NOT NULL DEFAULT 'viewer',
+    invited_by VARCHAR(128) NOT NULL,
+    token_hash CHAR(64) NULL UNIQUE,
+    token_expires_at DATETIME NULL,
+    accepted_at DATETIME NULL,
+    revoked_at DATETIME NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (model_id) REFERENCES financial_models(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX (model_id, email),
+    INDEX (user_id)
+);
+
+-- Comments left by owners, commenters and editors
+CREATE TABLE IF NOT EXISTS business_plan_comments (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    plan_id INT NOT NULL,
+    section_id INT NULL,
+    user_id VARCHAR(128) NOT NULL,
+    comment TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (plan_id) REFERENCES business_plans(id) ON DELETE CASCADE,
+    FOREIGN KEY (section_id) REFERENCES business_plan_sections(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS financial_model_comments (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    model_id INT NOT NULL,
+    user_id VARCHAR(128) NOT NULL,
+    comment TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (model_id) REFERENCES financial_models(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
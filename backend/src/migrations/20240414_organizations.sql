@@ -0,0 +1,60 @@
+-- Organizations (workspaces) shared by several users, e.g. a startup's founders
+CREATE TABLE IF NOT EXISTS organizations (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(150) NOT NULL,
+    created_by VARCHAR(128) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (created_by) REFERENCES users(id)
+);
+
+CREATE TABLE IF NOT EXISTS organization_members (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    organization_id INT NOT NULL,
+    user_id VARCHAR(128) NOT NULL,
+    role ENUM('owner', 'admin', 'member', 'viewer') NOT NULL DEFAULT 'member',
+    joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (organization_id) REFERENCES organizations(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    UNIQUE KEY organization_member_unique (organization_id, user_id),
+    INDEX (user_id)
+);
+
+-- Records with an organization_id belong to that organization; NULL means the creator's personal workspace.
+-- Deleting an organization hands its records back to their creators.
+ALTER TABLE projects
+    ADD COLUMN organization_id INT NULL,
+    ADD FOREIGN KEY (organization_id) REFERENCES organizations(id) ON DELETE SET NULL;
+
+ALTER TABLE budgets
+    ADD COLUMN organization_id INT NULL AFTER user_id,
+    ADD FOREIGN KEY (organization_id) REFERENCES organizations(id) ON DELETE SET NULL;
+
+ALTER TABLE budget_categories
+    ADD COLUMN organization_id INT NULL AFTER user_id,
+    ADD FOREIGN KEY (organization_id) REFERENCES organizations(id) ON DELETE SET NULL;
+
+ALTER TABLE expenses
+    ADD COLUMN organization_id INT NULL AFTER user_id,
+    ADD FOREIGN KEY (organization_id) REFERENCES organizations(id) ON DELETE SET NULL;
+
+ALTER TABLE income_records
+    ADD COLUMN organization_id INT NULL AFTER user_id,
+    ADD FOREIGN KEY (organization_id) REFERENCES organizations(id) ON DELETE SET NULL;
+
+ALTER TABLE business_plans
+    ADD COLUMN organization_id INT NULL AFTER user_id,
+    ADD FOREIGN KEY (organization_id) REFERENCES organizations(id) ON DELETE SET NULL;
+
+ALTER TABLE financial_models
+    ADD COLUMN organization_id INT NULL AFTER user_id,
+    ADD FOREIGN KEY (organization_id) REFERENCES organizations(id) ON DELETE SET NULL;
+
+ALTER TABLE document_template_usage
+    ADD COLUMN organization_id INT NULL AFTER user_id,
+    ADD FOREIGN KEY (organization_id) REFERENCES organizations(id) ON DELETE SET NULL;
+
+ALTER TABLE chat_channels
+    ADD COLUMN organization_id INT NULL AFTER created_by,
+    ADD FOREIGN KEY (organization_id) REFERENCES organizations(id) ON DELETE SET NULL;
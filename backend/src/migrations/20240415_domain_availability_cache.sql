@@ -0,0 +1,13 @@
+-- Domain lookups are cached in domain_availability: each row records one check with
+-- its outcome and when it stops being trusted. Lookups made without a user (e.g. while
+-- scoring name suggestions) are stored with user_id NULL.
+ALTER TABLE domain_availability
+    MODIFY user_id VARCHAR(128) NULL,
+    ADD COLUMN status ENUM('registered', 'available', 'premium', 'unknown') NOT NULL DEFAULT 'unknown' AFTER available,
+    ADD COLUMN provider VARCHAR(20) NULL AFTER status,
+    ADD COLUMN expires_at DATETIME NULL AFTER checked_at,
+    ADD INDEX idx_domain_availability_cache (domain_name, expires_at);
+
+UPDATE domain_availability
+SET status = IF(available, 'available', 'registered'), provider = 'mock'
+WHERE available IS NOT NULL;
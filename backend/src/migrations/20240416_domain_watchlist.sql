@@ -0,0 +1,23 @@
+-- Registration expiry dates reported by the registries
+ALTER TABLE domain_availability
+    ADD COLUMN registration_expires_at DATETIME NULL AFTER status;
+
+-- Domains a user is watching; a scheduled job re-checks them and alerts the user
+-- when their availability or registration expiry changes
+CREATE TABLE IF NOT EXISTS domain_watchlist (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id VARCHAR(128) NOT NULL,
+    domain_name VARCHAR(255) NOT NULL,
+    tld VARCHAR(20) NOT NULL,
+    last_status ENUM('registered', 'available', 'premium', 'unknown') NOT NULL DEFAULT 'unknown',
+    last_registration_expires_at DATETIME NULL,
+    last_checked_at DATETIME NULL,
+    last_changed_at DATETIME NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    UNIQUE KEY uq_domain_watchlist_user_domain (user_id, domain_name),
+    INDEX (last_checked_at)
+);
+
+INSERT INTO notification_types (name, description, template_subject, template_body, importance) VALUES
+('domain_watch_changed', 'A watched domain has changed', 'Domain update: {{domain}}', 'Hello {{user_name}}, {{domain}} has changed: {{change_summary}}.', 'high');
@@ -0,0 +1,32 @@
+-- Tagline suggestions made with an organization selected are shared with its members,
+-- who vote on and favorite individual taglines (identified by their position in
+-- generated_taglines) to build a shortlist before one is selected.
+ALTER TABLE tagline_suggestions
+    ADD COLUMN organization_id INT NULL AFTER user_id,
+    ADD COLUMN tone VARCHAR(20) NULL AFTER keywords,
+    ADD COLUMN length VARCHAR(10) NULL AFTER tone,
+    ADD FOREIGN KEY (organization_id) REFERENCES organizations(id) ON DELETE SET NULL;
+
+CREATE TABLE IF NOT EXISTS tagline_votes (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    suggestion_id INT NOT NULL,
+    tagline_index INT NOT NULL,
+    user_id VARCHAR(128) NOT NULL,
+    vote TINYINT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (suggestion_id) REFERENCES tagline_suggestions(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    UNIQUE KEY tagline_vote_unique (suggestion_id, tagline_index, user_id)
+);
+
+CREATE TABLE IF NOT EXISTS tagline_favorites (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    suggestion_id INT NOT NULL,
+    tagline_index INT NOT NULL,
+    user_id VARCHAR(128) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (suggestion_id) REFERENCES tagline_suggestions(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    UNIQUE KEY tagline_favorite_unique (suggestion_id, tagline_index, user_id)
+);
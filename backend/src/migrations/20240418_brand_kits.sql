@@ -0,0 +1,33 @@
+-- Brand kits: a startup's color palette, typography, logo files and voice and tone notes.
+-- Like other workspace records, kits with an organization_id are shared with its members.
+CREATE TABLE IF NOT EXISTS brand_kits (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id VARCHAR(128) NOT NULL,
+    organization_id INT NULL,
+    name VARCHAR(150) NOT NULL,
+    business_name VARCHAR(255) NULL,
+    tagline VARCHAR(255) NULL,
+    palette JSON NULL,
+    typography JSON NULL,
+    voice JSON NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (organization_id) REFERENCES organizations(id) ON DELETE SET NULL,
+    INDEX (organization_id)
+);
+
+-- Logo files for a kit; file_path is relative to the upload directory (see utils/fileStorage)
+CREATE TABLE IF NOT EXISTS brand_kit_logos (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    brand_kit_id INT NOT NULL,
+    variant ENUM('primary', 'secondary', 'icon', 'wordmark', 'monochrome', 'inverse') NOT NULL DEFAULT 'primary',
+    file_path VARCHAR(500) NOT NULL,
+    file_name VARCHAR(255) NOT NULL,
+    mime_type VARCHAR(100) NOT NULL,
+    file_size INT NOT NULL,
+    uploaded_by VARCHAR(128) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (brand_kit_id) REFERENCES brand_kits(id) ON DELETE CASCADE,
+    FOREIGN KEY (uploaded_by) REFERENCES users(id) ON DELETE SET NULL
+);
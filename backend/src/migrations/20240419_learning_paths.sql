@@ -0,0 +1,81 @@
+-- Learning paths: ordered sequences of video tutorials. A path can require other
+-- paths to be completed before a user starts it.
+CREATE TABLE IF NOT EXISTS learning_paths (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    slug VARCHAR(100) NOT NULL UNIQUE,
+    title VARCHAR(255) NOT NULL,
+    description TEXT,
+    audience ENUM('entrepreneur', 'freelancer') NULL, -- NULL means everyone
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS learning_path_steps (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    path_id INT NOT NULL,
+    tutorial_id INT NOT NULL,
+    position INT NOT NULL,
+    FOREIGN KEY (path_id) REFERENCES learning_paths(id) ON DELETE CASCADE,
+    FOREIGN KEY (tutorial_id) REFERENCES video_tutorials(id) ON DELETE CASCADE,
+    UNIQUE KEY learning_path_step_unique (path_id, tutorial_id),
+    UNIQUE KEY learning_path_position_unique (path_id, position)
+);
+
+CREATE TABLE IF NOT EXISTS learning_path_prerequisites (
+    path_id INT NOT NULL,
+    prerequisite_path_id INT NOT NULL,
+    PRIMARY KEY (path_id, prerequisite_path_id),
+    FOREIGN KEY (path_id) REFERENCES learning_paths(id) ON DELETE CASCADE,
+    FOREIGN KEY (prerequisite_path_id) REFERENCES learning_paths(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS learning_path_enrollments (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id VARCHAR(128) NOT NULL,
+    path_id INT NOT NULL,
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP NULL,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (path_id) REFERENCES learning_paths(id) ON DELETE CASCADE,
+    UNIQUE KEY learning_path_enrollment_unique (user_id, path_id)
+);
+
+-- Multiple-choice questions; options is a JSON array and correct_option an index into it
+CREATE TABLE IF NOT EXISTS tutorial_quiz_questions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    tutorial_id INT NOT NULL,
+    position INT NOT NULL DEFAULT 0,
+    question TEXT NOT NULL,
+    options JSON NOT NULL,
+    correct_option INT NOT NULL,
+    explanation TEXT,
+    FOREIGN KEY (tutorial_id) REFERENCES video_tutorials(id) ON DELETE CASCADE,
+    INDEX (tutorial_id)
+);
+
+CREATE TABLE IF NOT EXISTS tutorial_quiz_attempts (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id VARCHAR(128) NOT NULL,
+    tutorial_id INT NOT NULL,
+    answers JSON NOT NULL,
+    score INT NOT NULL, -- Percentage of correct answers
+    passed BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (tutorial_id) REFERENCES video_tutorials(id) ON DELETE CASCADE,
+    INDEX (user_id, tutorial_id)
+);
+
+-- Certificates keep the recipient name and path title as issued, so they verify the same later
+CREATE TABLE IF NOT EXISTS learning_path_certificates (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id VARCHAR(128) NOT NULL,
+    path_id INT NOT NULL,
+    verification_code VARCHAR(32) NOT NULL UNIQUE,
+    recipient_name VARCHAR(255) NOT NULL,
+    path_title VARCHAR(255) NOT NULL,
+    issued_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (path_id) REFERENCES learning_paths(id) ON DELETE CASCADE,
+    UNIQUE KEY learning_path_certificate_unique (user_id, path_id)
+);
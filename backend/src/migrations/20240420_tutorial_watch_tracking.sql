@@ -0,0 +1,24 @@
+-- Watch tracking for tutorials: which parts of a video a user has watched (merged
+-- [start, end] second ranges), how far they got, and total time spent watching
+-- including rewatches. last_watched_position remains the resume position.
+ALTER TABLE user_tutorial_progress
+    ADD COLUMN watched_segments JSON NULL AFTER last_watched_position,
+    ADD COLUMN watched_seconds INT NOT NULL DEFAULT 0 AFTER watched_segments,
+    ADD COLUMN total_watch_seconds INT NOT NULL DEFAULT 0 AFTER watched_seconds,
+    ADD COLUMN furthest_position INT NOT NULL DEFAULT 0 AFTER total_watch_seconds,
+    ADD COLUMN last_watched_at TIMESTAMP NULL AFTER furthest_position,
+    ADD INDEX (tutorial_id, completed);
+
+-- Earlier progress only has a position; completed tutorials were watched to the end
+UPDATE user_tutorial_progress p
+JOIN video_tutorials t ON p.tutorial_id = t.id
+SET p.furthest_position = IF(p.completed = 1 AND t.duration IS NOT NULL, t.duration, p.last_watched_position);
+
+-- Engagement analytics are for the content team only
+INSERT IGNORE INTO permissions (name, description) VALUES
+    ('view_tutorial_analytics', 'Can view tutorial engagement analytics');
+
+INSERT IGNORE INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id
+FROM roles r, permissions p
+WHERE r.name = 'admin' AND p.name = 'view_tutorial_analytics';
@@ -0,0 +1,51 @@
+-- Version history for business plans: a revision is kept every time a section is
+-- created, saved or restored, and named snapshots pin the revision of each section.
+-- section_id has no foreign key so the history of a deleted section is kept and a
+-- snapshot can bring the section back with its original id.
+CREATE TABLE IF NOT EXISTS business_plan_section_revisions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    plan_id INT NOT NULL,
+    section_id INT NOT NULL,
+    revision_number INT NOT NULL,
+    section_type VARCHAR(50) NOT NULL,
+    title VARCHAR(255) NOT NULL,
+    content TEXT,
+    sort_order INT DEFAULT 0,
+    author_id VARCHAR(128) NULL,
+    restored_from_revision_id INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (plan_id) REFERENCES business_plans(id) ON DELETE CASCADE,
+    FOREIGN KEY (author_id) REFERENCES users(id) ON DELETE SET NULL,
+    UNIQUE KEY section_revision_unique (section_id, revision_number),
+    INDEX (plan_id)
+);
+
+CREATE TABLE IF NOT EXISTS business_plan_snapshots (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    plan_id INT NOT NULL,
+    name VARCHAR(150) NOT NULL,
+    description TEXT,
+    plan_title VARCHAR(255) NOT NULL,
+    created_by VARCHAR(128) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (plan_id) REFERENCES business_plans(id) ON DELETE CASCADE,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE TABLE IF NOT EXISTS business_plan_snapshot_sections (
+    snapshot_id INT NOT NULL,
+    revision_id INT NOT NULL,
+    PRIMARY KEY (snapshot_id, revision_id),
+    FOREIGN KEY (snapshot_id) REFERENCES business_plan_snapshots(id) ON DELETE CASCADE,
+    FOREIGN KEY (revision_id) REFERENCES business_plan_section_revisions(id) ON DELETE CASCADE
+);
+
+-- Existing sections start their history at their current content, credited to the plan owner
+INSERT INTO business_plan_section_revisions
+    (plan_id, section_id, revision_number, section_type, title, content, sort_order, author_id, created_at)
+SELECT bps.plan_id, bps.id, 1, bps.section_type, bps.title, bps.content, bps.sort_order, bp.user_id, bps.updated_at
+FROM business_plan_sections bps
+JOIN business_plans bp ON bps.plan_id = bp.id
+WHERE NOT EXISTS (
+    SELECT 1 FROM business_plan_section_revisions r WHERE r.section_id = bps.id
+);
@@ -0,0 +1,3 @@
+-- Emailed OTPs expire; codes issued before this column existed are no longer accepted
+ALTER TABLE two_factor_auth
+    ADD COLUMN otp_expires_at TIMESTAMP NULL AFTER otp_secret;
@@ -159,7 +159,20 @@ INSERT INTO permissions (name, description) VALUES
 ('view_team_reports', 'Can view team reports and analytics'),
 ('edit_project', 'Can edit project details'),
 ('delete_project', 'Can delete projects'),
-('manage_own_profile', 'Can manage own profile');
+('manage_own_profile', 'Can manage own profile'),
+('view_project', 'Can view projects they belong to'),
+('manage_project_members', 'Can add, update and remove project members'),
+('manage_milestones', 'Can create, edit and delete project milestones'),
+('manage_tasks', 'Can create, edit and delete tasks'),
+('comment_on_tasks', 'Can comment on tasks'),
+('track_time', 'Can track time against tasks'),
+('manage_kanban_boards', 'Can create and edit kanban boards and columns'),
+('view_contracts', 'Can view contracts'),
+('update_contract_status', 'Can update the status of contracts and contract milestones'),
+('manage_budgets', 'Can manage budgets, expenses and income'),
+('view_financial_reports', 'Can view financial analysis and reports'),
+('manage_business_plans', 'Can create and edit business plans'),
+('manage_financial_models', 'Can create and edit financial models and projections');
 
 -- Role Permissions (many-to-many relationship between roles and permissions)
 CREATE TABLE IF NOT EXISTS role_permissions (
@@ -176,10 +189,8 @@ CREATE TABLE IF NOT EXISTS role_permissions (
 INSERT INTO role_permissions (role_id, permission_id)
 SELECT r.id, p.id
 FROM roles r, permissions p
-WHERE (r.name = 'entrepreneur' AND p.name IN ('create_project', 'invite_team_members', 'manage_contracts', 'process_payments', 'view_team_reports', 'edit_project', 'delete_project', 'manage_own_profile'))
-   OR (r.name = 'freelancer' AND p.name IN ('manage_own_profile'))
-   OR (r.name = 'team_member' AND p.name IN ('manage_own_profile'))
-   OR (r.name = 'admin' AND p.name IN ('create_project', 'invite_team_members', 'manage_contracts', 'process_payments', 'view_team_reports', 'edit_project', 'delete_project', 'manage_own_profile'));
+WHERE r.name IN ('entrepreneur', 'admin')
+   OR (r.name IN ('freelancer', 'team_member') AND p.name IN ('manage_own_profile', 'view_project', 'manage_tasks', 'comment_on_tasks', 'track_time', 'manage_kanban_boards', 'view_contracts', 'update_contract_status', 'manage_budgets', 'view_financial_reports', 'manage_business_plans', 'manage_financial_models'));
 
 -- Project-specific user permissions (overrides for specific users on specific projects)
 CREATE TABLE IF NOT EXISTS project_user_permissions (
@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const auditController = require('../controllers/auditController');
+const { authenticate } = require('../middleware/auth');
+
+// All routes require authentication
+router.use(authenticate);
+
+// Audit log routes (admins, or project owners with ?projectId=)
+router.get('/', auditController.listAuditLogs);
+router.get('/export', auditController.exportAuditLogs);
+
+module.exports = router;
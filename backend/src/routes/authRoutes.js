@@ -2,19 +2,65 @@ const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
 const { authenticate } = require('../middleware/auth');
+const { verifyToken, isAdmin } = require('../middleware/authMiddleware');
+const { blockDuringImpersonation } = require('../middleware/impersonation');
+const {
+  protectAuthEndpoint,
+  accountFromBody,
+  accountFromUser
+} = require('../middleware/bruteForce');
+
+// Brute-force protection. Sign-in and second-factor checks share one namespace,
+// so failures on any of them count towards the same account lockout.
+const protectSignIn = protectAuthEndpoint({ namespace: 'auth', accountFrom: accountFromBody });
+const protectSecondFactor = protectAuthEndpoint({ namespace: 'auth', accountFrom: accountFromUser });
+const protectResetRequest = protectAuthEndpoint({
+  namespace: 'password_reset_request',
+  accountFrom: accountFromBody,
+  countAllAttempts: true,
+  notifyOnLock: false
+});
+const protectPasswordReset = protectAuthEndpoint({ namespace: 'password_reset' });
+const protectMagicLinkRequest = protectAuthEndpoint({
+  namespace: 'magic_link_request',
+  accountFrom: accountFromBody,
+  countAllAttempts: true,
+  notifyOnLock: false
+});
+const protectMagicLinkSignIn = protectAuthEndpoint({ namespace: 'magic_link' });
 
 // Public routes
 router.post('/register', authController.register);
-router.post('/login', authController.login);
+router.post('/login', protectSignIn, authController.login);
+router.post('/magic-link', protectMagicLinkRequest, authController.requestMagicLink);
+router.post('/magic-link/verify', protectMagicLinkSignIn, authController.verifyMagicLink);
 router.post('/verify-email', authController.verifyEmail);
-router.post('/request-password-reset', authController.requestPasswordReset);
-router.post('/reset-password', authController.resetPassword);
+router.post('/request-password-reset', protectResetRequest, authController.requestPasswordReset);
+router.post('/reset-password', protectPasswordReset, authController.resetPassword);
+router.post('/refresh-token', authController.refreshToken);
 
-// Protected routes (require authentication)
-router.post('/generate-otp', authenticate, authController.generateOTP);
-router.post('/verify-otp', authenticate, authController.verifyOTP);
-router.post('/toggle-2fa', authenticate, authController.toggleTwoFactorAuth);
+// Protected routes (require authentication; 2FA changes are blocked while impersonating)
+router.post('/generate-otp', authenticate, blockDuringImpersonation, authController.generateOTP);
+router.post('/verify-otp', authenticate, blockDuringImpersonation, protectSecondFactor, authController.verifyOTP);
+router.post('/toggle-2fa', authenticate, blockDuringImpersonation, authController.toggleTwoFactorAuth);
 router.get('/2fa-status', authenticate, authController.getTwoFactorStatus);
-router.post('/change-password', authenticate, authController.changePassword);
+router.post('/2fa/totp/setup', authenticate, blockDuringImpersonation, authController.setupTOTP);
+router.post('/2fa/totp/confirm', authenticate, blockDuringImpersonation, protectSecondFactor, authController.confirmTOTP);
+router.post('/2fa/totp/disable', authenticate, blockDuringImpersonation, protectSecondFactor, authController.disableTOTP);
+router.post('/2fa/recovery-codes', authenticate, blockDuringImpersonation, protectSecondFactor, authController.regenerateRecoveryCodes);
+
+// Session management (sessions are bound to local JWT access tokens)
+router.post('/change-password', verifyToken, blockDuringImpersonation, authController.changePassword);
+router.post('/logout', verifyToken, authController.logout);
+router.get('/sessions', verifyToken, authController.getSessions);
+router.delete('/sessions', verifyToken, blockDuringImpersonation, authController.revokeAllSessions);
+router.delete('/sessions/:sessionId', verifyToken, blockDuringImpersonation, authController.revokeSession);
+
+// Admin routes
+router.post('/admin/unlock-account', authenticate, isAdmin, authController.unlockAccount);
+router.post('/admin/impersonate', authenticate, isAdmin, authController.startImpersonation);
+
+// Impersonation (called with the impersonation token)
+router.post('/impersonation/end', verifyToken, authController.endImpersonation);
 
-module.exports = router; 
\ No newline at end of file
+module.exports = router;
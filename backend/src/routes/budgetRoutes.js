@@ -8,6 +8,7 @@ const router = express.Router();
 const { check } = require('express-validator');
 const budgetController = require('../controllers/budgetController');
 const { authenticate } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
 const upload = require('../middleware/multerConfig');
 
 /**
@@ -16,7 +17,7 @@ const upload = require('../middleware/multerConfig');
 // @route   GET /api/budget/categories
 // @desc    Get all budget categories for user
 // @access  Private
-router.get('/categories', authenticate, budgetController.getBudgetCategories);
+router.get('/categories', authenticate, requirePermission('manage_budgets'), budgetController.getBudgetCategories);
 
 // @route   POST /api/budget/categories
 // @desc    Create a budget category
@@ -25,6 +26,7 @@ router.post(
   '/categories',
   [
     authenticate,
+    requirePermission('manage_budgets'),
     [
       check('name', 'Category name is required').not().isEmpty(),
       check('type', 'Category type must be income or expense').isIn(['income', 'expense'])
@@ -40,6 +42,7 @@ router.put(
   '/categories/:id',
   [
     authenticate,
+    requirePermission('manage_budgets'),
     [
       check('name', 'Category name is required').not().isEmpty()
     ]
@@ -50,7 +53,7 @@ router.put(
 // @route   DELETE /api/budget/categories/:id
 // @desc    Delete a budget category
 // @access  Private
-router.delete('/categories/:id', authenticate, budgetController.deleteBudgetCategory);
+router.delete('/categories/:id', authenticate, requirePermission('manage_budgets'), budgetController.deleteBudgetCategory);
 
 /**
  * Budget Routes
@@ -58,7 +61,7 @@ router.delete('/categories/:id', authenticate, budgetController.deleteBudgetCate
 // @route   GET /api/budget
 // @desc    Get all budgets for user
 // @access  Private
-router.get('/', authenticate, budgetController.getUserBudgets);
+router.get('/', authenticate, requirePermission('manage_budgets'), budgetController.getUserBudgets);
 
 // @route   POST /api/budget
 // @desc    Create a budget
@@ -67,6 +70,7 @@ router.post(
   '/',
   [
     authenticate,
+    requirePermission('manage_budgets'),
     [
       check('title', 'Budget title is required').not().isEmpty(),
       check('startDate', 'Start date is required').not().isEmpty(),
@@ -79,7 +83,7 @@ router.post(
 // @route   GET /api/budget/:id
 // @desc    Get budget details
 // @access  Private
-router.get('/:id', authenticate, budgetController.getBudgetDetails);
+router.get('/:id', authenticate, requirePermission('manage_budgets'), budgetController.getBudgetDetails);
 
 // @route   PUT /api/budget/:id
 // @desc    Update a budget
@@ -88,6 +92,7 @@ router.put(
   '/:id',
   [
     authenticate,
+    requirePermission('manage_budgets'),
     [
       check('title', 'Budget title is required').not().isEmpty(),
       check('startDate', 'Start date is required').not().isEmpty(),
@@ -104,6 +109,7 @@ router.post(
   '/:id/items',
   [
     authenticate,
+    requirePermission('manage_budgets'),
     [
       check('categoryId', 'Category ID is required').not().isEmpty(),
       check('amount', 'Amount is required').isNumeric()
@@ -119,6 +125,7 @@ router.put(
   '/items/:itemId',
   [
     authenticate,
+    requirePermission('manage_budgets'),
     [
       check('amount', 'Amount is required').isNumeric()
     ]
@@ -129,12 +136,12 @@ router.put(
 // @route   DELETE /api/budget/items/:itemId
 // @desc    Delete a budget item
 // @access  Private
-router.delete('/items/:itemId', authenticate, budgetController.deleteBudgetItem);
+router.delete('/items/:itemId', authenticate, requirePermission('manage_budgets'), budgetController.deleteBudgetItem);
 
 // @route   GET /api/budget/:id/report
 // @desc    Get budget vs actual report
 // @access  Private
-router.get('/:id/report', authenticate, budgetController.getBudgetVsActualReport);
+router.get('/:id/report', authenticate, requirePermission('view_financial_reports'), budgetController.getBudgetVsActualReport);
 
 /**
  * Expense Routes
@@ -146,6 +153,7 @@ router.post(
   '/expenses',
   [
     authenticate,
+    requirePermission('manage_budgets'),
     upload.single('receipt'), // Handle file uploads
     [
       check('categoryId', 'Category ID is required').not().isEmpty(),
@@ -159,17 +167,17 @@ router.post(
 // @route   GET /api/budget/expenses
 // @desc    Get user expenses
 // @access  Private
-router.get('/expenses', authenticate, budgetController.getUserExpenses);
+router.get('/expenses', authenticate, requirePermission('manage_budgets'), budgetController.getUserExpenses);
 
 // @route   GET /api/budget/expenses/summary
 // @desc    Get expense summary by category
 // @access  Private
-router.get('/expenses/summary', authenticate, budgetController.getExpenseSummaryByCategory);
+router.get('/expenses/summary', authenticate, requirePermission('view_financial_reports'), budgetController.getExpenseSummaryByCategory);
 
 // @route   GET /api/budget/expenses/monthly
 // @desc    Get monthly expense summary
 // @access  Private
-router.get('/expenses/monthly', authenticate, budgetController.getMonthlyExpenseSummary);
+router.get('/expenses/monthly', authenticate, requirePermission('view_financial_reports'), budgetController.getMonthlyExpenseSummary);
 
 /**
  * Income Routes
@@ -181,6 +189,7 @@ router.post(
   '/income',
   [
     authenticate,
+    requirePermission('manage_budgets'),
     [
       check('categoryId', 'Category ID is required').not().isEmpty(),
       check('amount', 'Amount is required').isNumeric(),
@@ -193,17 +202,17 @@ router.post(
 // @route   GET /api/budget/income
 // @desc    Get user income
 // @access  Private
-router.get('/income', authenticate, budgetController.getUserIncome);
+router.get('/income', authenticate, requirePermission('manage_budgets'), budgetController.getUserIncome);
 
 // @route   GET /api/budget/income/summary
 // @desc    Get income summary by category
 // @access  Private
-router.get('/income/summary', authenticate, budgetController.getIncomeSummaryByCategory);
+router.get('/income/summary', authenticate, requirePermission('view_financial_reports'), budgetController.getIncomeSummaryByCategory);
 
 // @route   GET /api/budget/income/monthly
 // @desc    Get monthly income summary
 // @access  Private
-router.get('/income/monthly', authenticate, budgetController.getMonthlyIncomeSummary);
+router.get('/income/monthly', authenticate, requirePermission('view_financial_reports'), budgetController.getMonthlyIncomeSummary);
 
 /**
  * Financial Analysis Routes
@@ -211,17 +220,17 @@ router.get('/income/monthly', authenticate, budgetController.getMonthlyIncomeSum
 // @route   GET /api/budget/analysis/cashflow
 // @desc    Get cash flow analysis
 // @access  Private
-router.get('/analysis/cashflow', authenticate, budgetController.getCashFlowAnalysis);
+router.get('/analysis/cashflow', authenticate, requirePermission('view_financial_reports'), budgetController.getCashFlowAnalysis);
 
 // @route   GET /api/budget/analysis/kpis
 // @desc    Get financial KPIs
 // @access  Private
-router.get('/analysis/kpis', authenticate, budgetController.getFinancialKPIs);
+router.get('/analysis/kpis', authenticate, requirePermission('view_financial_reports'), budgetController.getFinancialKPIs);
 
 // @route   GET /api/budget/analysis/forecast
 // @desc    Get expense forecast
 // @access  Private
-router.get('/analysis/forecast', authenticate, budgetController.getExpenseForecast);
+router.get('/analysis/forecast', authenticate, requirePermission('view_financial_reports'), budgetController.getExpenseForecast);
 
 module.exports = router; 
  
\ No newline at end of file
@@ -8,6 +8,7 @@ const router = express.Router();
 const { check } = require('express-validator');
 const businessPlanController = require('../controllers/businessPlanController');
 const { authenticate } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
 
 /**
  * Business Plan Template Routes
@@ -15,12 +16,12 @@ const { authenticate } = require('../middleware/auth');
 // @route   GET /api/business-plan/templates
 // @desc    Get all business plan templates
 // @access  Private
-router.get('/templates', authenticate, businessPlanController.getBusinessPlanTemplates);
+router.get('/templates', authenticate, requirePermission('manage_business_plans'), businessPlanController.getBusinessPlanTemplates);
 
 // @route   GET /api/business-plan/templates/:id
 // @desc    Get template details
 // @access  Private
-router.get('/templates/:id', authenticate, businessPlanController.getTemplateDetails);
+router.get('/templates/:id', authenticate, requirePermission('manage_business_plans'), businessPlanController.getTemplateDetails);
 
 /**
  * Business Plan Routes
@@ -28,7 +29,7 @@ router.get('/templates/:id', authenticate, businessPlanController.getTemplateDet
 // @route   GET /api/business-plan
 // @desc    Get user's business plans
 // @access  Private
-router.get('/', authenticate, businessPlanController.getUserBusinessPlans);
+router.get('/', authenticate, requirePermission('manage_business_plans'), businessPlanController.getUserBusinessPlans);
 
 // @route   POST /api/business-plan
 // @desc    Create a new business plan
@@ -37,6 +38,7 @@ router.post(
   '/',
   [
     authenticate,
+    requirePermission('manage_business_plans'),
     [
       check('title', 'Title is required').not().isEmpty()
     ]
@@ -47,7 +49,7 @@ router.post(
 // @route   GET /api/business-plan/:id
 // @desc    Get business plan details
 // @access  Private
-router.get('/:id', authenticate, businessPlanController.getBusinessPlanDetails);
+router.get('/:id', authenticate, requirePermission('manage_business_plans'), businessPlanController.getBusinessPlanDetails);
 
 // @route   PUT /api/business-plan/:id
 // @desc    Update business plan
@@ -56,6 +58,7 @@ router.put(
   '/:id',
   [
     authenticate,
+    requirePermission('manage_business_plans'),
     [
       check('title', 'Title is required').not().isEmpty()
     ]
@@ -66,7 +69,12 @@ router.put(
 // @route   DELETE /api/business-plan/:id
 // @desc    Delete business plan
 // @access  Private
-router.delete('/:id', authenticate, businessPlanController.deleteBusinessPlan);
+router.delete('/:id', authenticate, requirePermission('manage_business_plans'), businessPlanController.deleteBusinessPlan);
+
+// @route   GET /api/business-plan/:id/export
+// @desc    Export a business plan (?format=pdf|docx|md|html, default pdf)
+// @access  Private (owner and collaborators)
+router.get('/:id/export', authenticate, requirePermission('manage_business_plans'), businessPlanController.exportBusinessPlan);
 
 /**
  * Business Plan Section Routes
@@ -78,6 +86,7 @@ router.post(
   '/:id/sections',
   [
     authenticate,
+    requirePermission('manage_business_plans'),
     [
       check('title', 'Section title is required').not().isEmpty(),
       check('order', 'Section order is required').isNumeric()
@@ -93,6 +102,7 @@ router.put(
   '/sections/:sectionId',
   [
     authenticate,
+    requirePermission('manage_business_plans'),
     [
       check('title', 'Section title is required').not().isEmpty()
     ]
@@ -103,7 +113,160 @@ router.put(
 // @route   DELETE /api/business-plan/sections/:sectionId
 // @desc    Delete business plan section
 // @access  Private
-router.delete('/sections/:sectionId', authenticate, businessPlanController.deleteBusinessPlanSection);
+router.delete('/sections/:sectionId', authenticate, requirePermission('manage_business_plans'), businessPlanController.deleteBusinessPlanSection);
+
+/**
+ * Business Plan Version History Routes
+ */
+// @route   GET /api/business-plan/sections/:sectionId/revisions
+// @desc    Get a section's revisions (including deleted sections)
+// @access  Private (owner and collaborators)
+router.get('/sections/:sectionId/revisions', authenticate, requirePermission('manage_business_plans'), businessPlanController.getSectionRevisions);
+
+// @route   GET /api/business-plan/sections/:sectionId/revisions/:revisionId
+// @desc    Get a revision with its content
+// @access  Private (owner and collaborators)
+router.get('/sections/:sectionId/revisions/:revisionId', authenticate, requirePermission('manage_business_plans'), businessPlanController.getSectionRevision);
+
+// @route   GET /api/business-plan/sections/:sectionId/diff
+// @desc    Diff two versions of a section (?from=&to= as current, revision:<id> or snapshot:<id>)
+// @access  Private (owner and collaborators)
+router.get('/sections/:sectionId/diff', authenticate, requirePermission('manage_business_plans'), businessPlanController.diffSectionVersions);
+
+// @route   POST /api/business-plan/sections/:sectionId/restore
+// @desc    Restore a section from a revision or snapshot
+// @access  Private (owner and editors)
+router.post(
+  '/sections/:sectionId/restore',
+  [
+    authenticate,
+    requirePermission('manage_business_plans'),
+    [
+      check('revisionId', 'Revision ID must be a number').optional().isInt(),
+      check('snapshotId', 'Snapshot ID must be a number').optional().isInt()
+    ]
+  ],
+  businessPlanController.restoreSection
+);
+
+// @route   GET /api/business-plan/:id/snapshots
+// @desc    Get a plan's snapshots
+// @access  Private (owner and collaborators)
+router.get('/:id/snapshots', authenticate, requirePermission('manage_business_plans'), businessPlanController.getPlanSnapshots);
+
+// @route   POST /api/business-plan/:id/snapshots
+// @desc    Take a named snapshot of a plan
+// @access  Private (owner and editors)
+router.post(
+  '/:id/snapshots',
+  [
+    authenticate,
+    requirePermission('manage_business_plans'),
+    [
+      check('name', 'Snapshot name is required').not().isEmpty(),
+      check('name', 'Snapshot name must be at most 150 characters').isLength({ max: 150 })
+    ]
+  ],
+  businessPlanController.createPlanSnapshot
+);
+
+// @route   GET /api/business-plan/:id/snapshots/:snapshotId
+// @desc    Get a snapshot with its sections
+// @access  Private (owner and collaborators)
+router.get('/:id/snapshots/:snapshotId', authenticate, requirePermission('manage_business_plans'), businessPlanController.getPlanSnapshot);
+
+// @route   GET /api/business-plan/:id/snapshots/:snapshotId/diff
+// @desc    Compare a snapshot with another snapshot or the current plan (?against=<snapshot id>|current)
+// @access  Private (owner and collaborators)
+router.get('/:id/snapshots/:snapshotId/diff', authenticate, requirePermission('manage_business_plans'), businessPlanController.diffPlanSnapshot);
+
+// @route   POST /api/business-plan/:id/snapshots/:snapshotId/restore
+// @desc    Roll a plan back to a snapshot (the current state is snapshotted first)
+// @access  Private (owner and editors)
+router.post('/:id/snapshots/:snapshotId/restore', authenticate, requirePermission('manage_business_plans'), businessPlanController.restorePlanSnapshot);
+
+/**
+ * Business Plan Sharing Routes
+ */
+// @route   GET /api/business-plan/:id/shares
+// @desc    Get collaborators and pending invitations
+// @access  Private (owner)
+router.get('/:id/shares', authenticate, requirePermission('manage_business_plans'), businessPlanController.getBusinessPlanShares);
+
+// @route   POST /api/business-plan/:id/shares
+// @desc    Invite a collaborator by email
+// @access  Private (owner)
+router.post(
+  '/:id/shares',
+  [
+    authenticate,
+    requirePermission('manage_business_plans'),
+    [
+      check('email', 'A valid email is required').isEmail(),
+      check('role', 'Role must be viewer, commenter, or editor').optional().isIn(['viewer', 'commenter', 'editor'])
+    ]
+  ],
+  businessPlanController.shareBusinessPlan
+);
+
+// @route   PUT /api/business-plan/:id/shares/:shareId
+// @desc    Change a collaborator's role
+// @access  Private (owner)
+router.put(
+  '/:id/shares/:shareId',
+  [
+    authenticate,
+    requirePermission('manage_business_plans'),
+    [
+      check('role', 'Role must be viewer, commenter, or editor').isIn(['viewer', 'commenter', 'editor'])
+    ]
+  ],
+  businessPlanController.updateBusinessPlanShare
+);
+
+// @route   DELETE /api/business-plan/:id/shares/:shareId
+// @desc    Revoke a collaborator or invitation (collaborators may revoke their own)
+// @access  Private
+router.delete('/:id/shares/:shareId', authenticate, requirePermission('manage_business_plans'), businessPlanController.revokeBusinessPlanShare);
+
+// @route   GET /api/business-plan/:id/comments
+// @desc    Get comments
+// @access  Private (owner and collaborators)
+router.get('/:id/comments', authenticate, requirePermission('manage_business_plans'), businessPlanController.getBusinessPlanComments);
+
+// @route   POST /api/business-plan/:id/comments
+// @desc    Add a comment
+// @access  Private (owner, commenters and editors)
+router.post(
+  '/:id/comments',
+  [
+    authenticate,
+    requirePermission('manage_business_plans'),
+    [
+      check('comment', 'Comment text is required').not().isEmpty()
+    ]
+  ],
+  businessPlanController.addBusinessPlanComment
+);
+
+// @route   DELETE /api/business-plan/:id/comments/:commentId
+// @desc    Delete a comment
+// @access  Private (author or owner)
+router.delete('/:id/comments/:commentId', authenticate, requirePermission('manage_business_plans'), businessPlanController.deleteBusinessPlanComment);
+
+// @route   POST /api/business-plan/shares/accept
+// @desc    Accept an invitation to a shared business plan or financial model
+// @access  Private
+router.post(
+  '/shares/accept',
+  [
+    authenticate,
+    [
+      check('token', 'Invitation token is required').not().isEmpty()
+    ]
+  ],
+  businessPlanController.acceptShareInvitation
+);
 
 /**
  * Financial Model Routes
@@ -111,7 +274,7 @@ router.delete('/sections/:sectionId', authenticate, businessPlanController.delet
 // @route   GET /api/business-plan/models
 // @desc    Get user's financial models
 // @access  Private
-router.get('/models', authenticate, businessPlanController.getUserFinancialModels);
+router.get('/models', authenticate, requirePermission('manage_financial_models'), businessPlanController.getUserFinancialModels);
 
 // @route   POST /api/business-plan/models
 // @desc    Create a financial model
@@ -120,6 +283,7 @@ router.post(
   '/models',
   [
     authenticate,
+    requirePermission('manage_financial_models'),
     [
       check('title', 'Title is required').not().isEmpty(),
       check('modelType', 'Model type is required').not().isEmpty()
@@ -131,7 +295,7 @@ router.post(
 // @route   GET /api/business-plan/models/:id
 // @desc    Get financial model details
 // @access  Private
-router.get('/models/:id', authenticate, businessPlanController.getFinancialModelDetails);
+router.get('/models/:id', authenticate, requirePermission('manage_financial_models'), businessPlanController.getFinancialModelDetails);
 
 // @route   PUT /api/business-plan/models/:id
 // @desc    Update financial model
@@ -140,6 +304,7 @@ router.put(
   '/models/:id',
   [
     authenticate,
+    requirePermission('manage_financial_models'),
     [
       check('title', 'Title is required').not().isEmpty()
     ]
@@ -150,7 +315,76 @@ router.put(
 // @route   DELETE /api/business-plan/models/:id
 // @desc    Delete financial model
 // @access  Private
-router.delete('/models/:id', authenticate, businessPlanController.deleteFinancialModel);
+router.delete('/models/:id', authenticate, requirePermission('manage_financial_models'), businessPlanController.deleteFinancialModel);
+
+/**
+ * Financial Model Sharing Routes
+ */
+// @route   GET /api/business-plan/models/:id/shares
+// @desc    Get collaborators and pending invitations
+// @access  Private (owner)
+router.get('/models/:id/shares', authenticate, requirePermission('manage_financial_models'), businessPlanController.getFinancialModelShares);
+
+// @route   POST /api/business-plan/models/:id/shares
+// @desc    Invite a collaborator by email
+// @access  Private (owner)
+router.post(
+  '/models/:id/shares',
+  [
+    authenticate,
+    requirePermission('manage_financial_models'),
+    [
+      check('email', 'A valid email is required').isEmail(),
+      check('role', 'Role must be viewer, commenter, or editor').optional().isIn(['viewer', 'commenter', 'editor'])
+    ]
+  ],
+  businessPlanController.shareFinancialModel
+);
+
+// @route   PUT /api/business-plan/models/:id/shares/:shareId
+// @desc    Change a collaborator's role
+// @access  Private (owner)
+router.put(
+  '/models/:id/shares/:shareId',
+  [
+    authenticate,
+    requirePermission('manage_financial_models'),
+    [
+      check('role', 'Role must be viewer, commenter, or editor').isIn(['viewer', 'commenter', 'editor'])
+    ]
+  ],
+  businessPlanController.updateFinancialModelShare
+);
+
+// @route   DELETE /api/business-plan/models/:id/shares/:shareId
+// @desc    Revoke a collaborator or invitation (collaborators may revoke their own)
+// @access  Private
+router.delete('/models/:id/shares/:shareId', authenticate, requirePermission('manage_financial_models'), businessPlanController.revokeFinancialModelShare);
+
+// @route   GET /api/business-plan/models/:id/comments
+// @desc    Get comments
+// @access  Private (owner and collaborators)
+router.get('/models/:id/comments', authenticate, requirePermission('manage_financial_models'), businessPlanController.getFinancialModelComments);
+
+// @route   POST /api/business-plan/models/:id/comments
+// @desc    Add a comment
+// @access  Private (owner, commenters and editors)
+router.post(
+  '/models/:id/comments',
+  [
+    authenticate,
+    requirePermission('manage_financial_models'),
+    [
+      check('comment', 'Comment text is required').not().isEmpty()
+    ]
+  ],
+  businessPlanController.addFinancialModelComment
+);
+
+// @route   DELETE /api/business-plan/models/:id/comments/:commentId
+// @desc    Delete a comment
+// @access  Private (author or owner)
+router.delete('/models/:id/comments/:commentId', authenticate, requirePermission('manage_financial_models'), businessPlanController.deleteFinancialModelComment);
 
 /**
  * Financial Projection Routes
@@ -162,6 +396,7 @@ router.post(
   '/projections/revenue',
   [
     authenticate,
+    requirePermission('manage_financial_models'),
     [
       check('initialRevenue', 'Initial revenue is required').isNumeric(),
       check('growthRate', 'Growth rate is required').isNumeric(),
@@ -178,6 +413,7 @@ router.post(
   '/projections/expenses',
   [
     authenticate,
+    requirePermission('manage_financial_models'),
     [
       check('initialExpenses', 'Initial expenses is required').isNumeric(),
       check('growthRate', 'Growth rate is required').isNumeric(),
@@ -194,6 +430,7 @@ router.post(
   '/projections/cashflow',
   [
     authenticate,
+    requirePermission('manage_financial_models'),
     [
       check('initialCash', 'Initial cash is required').isNumeric(),
       check('timeframe', 'Timeframe is required').isNumeric()
@@ -209,6 +446,7 @@ router.post(
   '/analysis/breakeven',
   [
     authenticate,
+    requirePermission('manage_financial_models'),
     [
       check('fixedCosts', 'Fixed costs are required').isNumeric(),
       check('variableCostPerUnit', 'Variable cost per unit is required').isNumeric(),
@@ -2,23 +2,25 @@ const express = require('express');
 const router = express.Router();
 const contractController = require('../controllers/contractController');
 const { authenticate } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { blockDuringImpersonation } = require('../middleware/impersonation');
 
 // All routes require authentication
 router.use(authenticate);
 
 // Contract routes
-router.post('/projects/:projectId/contracts', contractController.createNewContract);
-router.get('/contracts/:contractId', contractController.getContract);
-router.put('/contracts/:contractId', contractController.updateContract);
+router.post('/projects/:projectId/contracts', requirePermission('manage_contracts', { projectFrom: 'params.projectId' }), contractController.createNewContract);
+router.get('/contracts/:contractId', requirePermission('view_contracts', { projectFrom: 'params.contractId', via: 'contract' }), contractController.getContract);
+router.put('/contracts/:contractId', requirePermission('update_contract_status', { projectFrom: 'params.contractId', via: 'contract' }), contractController.updateContract);
 
 // Milestone routes
-router.post('/contracts/:contractId/milestones', contractController.addMilestoneToContract);
-router.put('/milestones/:milestoneId', contractController.updateMilestone);
+router.post('/contracts/:contractId/milestones', requirePermission('manage_contracts', { projectFrom: 'params.contractId', via: 'contract' }), contractController.addMilestoneToContract);
+router.put('/milestones/:milestoneId', requirePermission('update_contract_status', { projectFrom: 'params.milestoneId', via: 'contractMilestone' }), contractController.updateMilestone);
 
 // Payment routes
-router.post('/contracts/:contractId/payments', contractController.processContractPayment);
+router.post('/contracts/:contractId/payments', blockDuringImpersonation, requirePermission('process_payments', { projectFrom: 'params.contractId', via: 'contract' }), contractController.processContractPayment);
 
 // User contracts
-router.get('/my-contracts', contractController.getMyContracts);
+router.get('/my-contracts', requirePermission('view_contracts'), contractController.getMyContracts);
 
 module.exports = router; 
\ No newline at end of file
@@ -99,7 +99,7 @@ router.post('/', authenticate, async (req, res, next) => {
             startDate,
             endDate,
             categoryId,
-            createdBy: req.user.user_id,
+            createdBy: req.user.id,
             isPublic,
             maxParticipants,
             registrationDeadline,
@@ -163,7 +163,7 @@ router.post('/:id/register', authenticate, async (req, res, next) => {
         const { notes } = req.body;
         const event = await eventService.registerForEvent(
             req.params.id,
-            req.user.user_id,
+            req.user.id,
             notes
         );
         res.json(event);
@@ -181,7 +181,7 @@ router.put('/:id/registration-status', authenticate, async (req, res, next) => {
 
         const event = await eventService.updateRegistrationStatus(
             req.params.id,
-            req.user.user_id,
+            req.user.id,
             status
         );
         res.json(event);
@@ -192,7 +192,7 @@ router.put('/:id/registration-status', authenticate, async (req, res, next) => {
 
 router.delete('/:id/register', authenticate, async (req, res, next) => {
     try {
-        await eventService.cancelRegistration(req.params.id, req.user.user_id);
+        await eventService.cancelRegistration(req.params.id, req.user.id);
         res.json({ success: true });
     } catch (error) {
         next(error);
@@ -4,6 +4,7 @@ const multer = require('multer');
 const { authenticate } = require('../middleware/auth');
 const expenseService = require('../services/expenseService');
 const { ValidationError } = require('../utils/errors');
+const { getOrganizationId } = require('../services/organizationService');
 
 // Configure multer for file upload
 const upload = multer({
@@ -39,7 +40,7 @@ router.get('/', authenticate, async (req, res, next) => {
             categoryId,
             minAmount: minAmount ? parseFloat(minAmount) : null,
             maxAmount: maxAmount ? parseFloat(maxAmount) : null
-        });
+        }, getOrganizationId(req));
         res.json(expenses);
     } catch (error) {
         next(error);
@@ -73,7 +74,8 @@ router.post('/', authenticate, upload.single('receipt'), async (req, res, next)
                 description,
                 date: date || new Date()
             },
-            req.file
+            req.file,
+            getOrganizationId(req)
         );
         
         res.status(201).json(expense);
@@ -3,6 +3,7 @@ const router = express.Router();
 const { authenticate } = require('../middleware/auth');
 const legalService = require('../services/legalService');
 const { ValidationError } = require('../utils/errors');
+const { getOrganizationId } = require('../services/organizationService');
 
 // Legal Resources Routes
 router.get('/resources', authenticate, async (req, res, next) => {
@@ -77,7 +78,8 @@ router.post('/templates/:id/generate', authenticate, async (req, res, next) => {
         const document = await legalService.generateDocument(
             req.params.id,
             req.user.id,
-            variables
+            variables,
+            getOrganizationId(req)
         );
         
         res.status(201).json(document);
@@ -86,6 +88,15 @@ router.post('/templates/:id/generate', authenticate, async (req, res, next) => {
     }
 });
 
+router.get('/documents', authenticate, async (req, res, next) => {
+    try {
+        const documents = await legalService.getGeneratedDocuments(req.user.id, getOrganizationId(req));
+        res.json(documents);
+    } catch (error) {
+        next(error);
+    }
+});
+
 // Compliance Management Routes
 router.get('/compliance/categories', authenticate, async (req, res, next) => {
     try {
@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const organizationController = require('../controllers/organizationController');
+const { authenticate } = require('../middleware/auth');
+
+// All routes require authentication
+router.use(authenticate);
+
+// Organization routes
+router.post('/', organizationController.createNewOrganization);
+router.get('/', organizationController.getMyOrganizations);
+router.get('/:id', organizationController.getOrganization);
+router.put('/:id', organizationController.updateOrganizationDetails);
+router.delete('/:id', organizationController.deleteOrganizationById);
+
+// Member routes (DELETE with your own user ID to leave)
+router.post('/:id/members', organizationController.addMember);
+router.put('/:id/members/:userId', organizationController.updateMemberRole);
+router.delete('/:id/members/:userId', organizationController.removeMember);
+
+module.exports = router;
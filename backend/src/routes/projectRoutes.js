@@ -8,6 +8,7 @@ const router = express.Router();
 const { check } = require('express-validator');
 const projectController = require('../controllers/projectController');
 const { authenticate } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
 
 /**
  * Project Template Routes
@@ -15,12 +16,12 @@ const { authenticate } = require('../middleware/auth');
 // @route   GET /api/projects/templates
 // @desc    Get all project templates
 // @access  Private
-router.get('/templates', authenticate, projectController.getProjectTemplates);
+router.get('/templates', authenticate, requirePermission('view_project'), projectController.getProjectTemplates);
 
 // @route   GET /api/projects/templates/:id
 // @desc    Get template details
 // @access  Private
-router.get('/templates/:id', authenticate, projectController.getTemplateDetails);
+router.get('/templates/:id', authenticate, requirePermission('view_project'), projectController.getTemplateDetails);
 
 /**
  * Project Routes
@@ -28,7 +29,7 @@ router.get('/templates/:id', authenticate, projectController.getTemplateDetails)
 // @route   GET /api/projects
 // @desc    Get all projects for user
 // @access  Private
-router.get('/', authenticate, projectController.getUserProjects);
+router.get('/', authenticate, requirePermission('view_project'), projectController.getUserProjects);
 
 // @route   POST /api/projects
 // @desc    Create a new project
@@ -37,6 +38,7 @@ router.post(
   '/',
   [
     authenticate,
+    requirePermission('create_project'),
     [
       check('title', 'Project title is required').not().isEmpty()
     ]
@@ -47,7 +49,7 @@ router.post(
 // @route   GET /api/projects/:id
 // @desc    Get project details
 // @access  Private
-router.get('/:id', authenticate, projectController.getProjectDetails);
+router.get('/:id', authenticate, requirePermission('view_project', { projectFrom: 'params.id' }), projectController.getProjectDetails);
 
 // @route   PUT /api/projects/:id
 // @desc    Update a project
@@ -56,6 +58,7 @@ router.put(
   '/:id',
   [
     authenticate,
+    requirePermission('edit_project', { projectFrom: 'params.id' }),
     [
       check('title', 'Project title is required').not().isEmpty()
     ]
@@ -66,7 +69,7 @@ router.put(
 // @route   DELETE /api/projects/:id
 // @desc    Delete a project
 // @access  Private
-router.delete('/:id', authenticate, projectController.deleteProject);
+router.delete('/:id', authenticate, requirePermission('delete_project', { projectFrom: 'params.id' }), projectController.deleteProject);
 
 /**
  * Project Members Routes
@@ -78,6 +81,7 @@ router.post(
   '/:id/members',
   [
     authenticate,
+    requirePermission('manage_project_members', { projectFrom: 'params.id' }),
     [
       check('memberId', 'Member ID is required').not().isEmpty(),
       check('role', 'Role must be owner, manager, member, or viewer')
@@ -95,6 +99,7 @@ router.put(
   '/:id/members/:memberId',
   [
     authenticate,
+    requirePermission('manage_project_members', { projectFrom: 'params.id' }),
     [
       check('role', 'Role must be owner, manager, member, or viewer')
         .isIn(['owner', 'manager', 'member', 'viewer'])
@@ -106,7 +111,95 @@ router.put(
 // @route   DELETE /api/projects/:id/members/:memberId
 // @desc    Remove a member from a project
 // @access  Private
-router.delete('/:id/members/:memberId', authenticate, projectController.removeProjectMember);
+router.delete('/:id/members/:memberId', authenticate, requirePermission('manage_project_members', { projectFrom: 'params.id' }), projectController.removeProjectMember);
+
+/**
+ * Project Permission Routes
+ */
+// @route   GET /api/projects/:id/permissions
+// @desc    Get the permission catalog
+// @access  Private
+router.get('/:id/permissions', authenticate, requirePermission('view_project', { projectFrom: 'params.id' }), projectController.getPermissionCatalog);
+
+// @route   GET /api/projects/:id/permissions/roles/:roleName
+// @desc    Get the default permissions of a platform role
+// @access  Private
+router.get('/:id/permissions/roles/:roleName', authenticate, requirePermission('view_project', { projectFrom: 'params.id' }), projectController.getRolePermissions);
+
+// @route   GET /api/projects/:id/permissions/users/:userId
+// @desc    Get a user's permissions on a project
+// @access  Private
+router.get('/:id/permissions/users/:userId', authenticate, requirePermission('manage_project_members', { projectFrom: 'params.id' }), projectController.getMemberPermissions);
+
+// @route   POST /api/projects/:id/permissions/users/:userId
+// @desc    Grant a permission to a user on a project
+// @access  Private (project owner)
+router.post(
+  '/:id/permissions/users/:userId',
+  [
+    authenticate,
+    requirePermission('manage_project_members', { projectFrom: 'params.id' }),
+    [
+      check('permission', 'Permission is required').not().isEmpty()
+    ]
+  ],
+  projectController.grantMemberPermission
+);
+
+// @route   DELETE /api/projects/:id/permissions/users/:userId/:permission
+// @desc    Revoke a permission from a user on a project
+// @access  Private (project owner)
+router.delete('/:id/permissions/users/:userId/:permission', authenticate, requirePermission('manage_project_members', { projectFrom: 'params.id' }), projectController.revokeMemberPermission);
+
+/**
+ * Custom Project Role Routes
+ */
+// @route   GET /api/projects/:id/roles
+// @desc    Get a project's custom roles
+// @access  Private
+router.get('/:id/roles', authenticate, requirePermission('view_project', { projectFrom: 'params.id' }), projectController.getProjectRoles);
+
+// @route   POST /api/projects/:id/roles
+// @desc    Create a custom project role
+// @access  Private (project owner)
+router.post(
+  '/:id/roles',
+  [
+    authenticate,
+    requirePermission('manage_project_members', { projectFrom: 'params.id' }),
+    [
+      check('name', 'Role name is required').not().isEmpty(),
+      check('permissions', 'Permissions must be an array of permission names').optional().isArray()
+    ]
+  ],
+  projectController.createProjectRole
+);
+
+// @route   PUT /api/projects/:id/roles/:roleId
+// @desc    Update a custom project role
+// @access  Private (project owner)
+router.put(
+  '/:id/roles/:roleId',
+  [
+    authenticate,
+    requirePermission('manage_project_members', { projectFrom: 'params.id' }),
+    [
+      check('name', 'Role name cannot be empty').optional().not().isEmpty(),
+      check('permissions', 'Permissions must be an array of permission names').optional().isArray()
+    ]
+  ],
+  projectController.updateProjectRole
+);
+
+// @route   DELETE /api/projects/:id/roles/:roleId
+// @desc    Delete a custom project role
+// @access  Private (project owner)
+router.delete('/:id/roles/:roleId', authenticate, requirePermission('manage_project_members', { projectFrom: 'params.id' }), projectController.deleteProjectRole);
+
+// @route   PUT /api/projects/:id/members/:memberId/custom-role
+// @desc    Assign a custom role to a project member
+// @access  Private (project owner)
+router.put('/:id/members/:memberId/custom-role', authenticate, requirePermission('manage_project_members', { projectFrom: 'params.id' }), projectController.assignMemberProjectRole);
 
 /**
  * Project Milestone Routes
@@ -118,6 +211,7 @@ router.post(
   '/:id/milestones',
   [
     authenticate,
+    requirePermission('manage_milestones', { projectFrom: 'params.id' }),
     [
       check('title', 'Milestone title is required').not().isEmpty()
     ]
@@ -132,6 +226,7 @@ router.put(
   '/milestones/:milestoneId',
   [
     authenticate,
+    requirePermission('manage_milestones', { projectFrom: 'params.milestoneId', via: 'milestone' }),
     [
       check('title', 'Milestone title is required').not().isEmpty()
     ]
@@ -142,7 +237,7 @@ router.put(
 // @route   DELETE /api/projects/milestones/:milestoneId
 // @desc    Delete a project milestone
 // @access  Private
-router.delete('/milestones/:milestoneId', authenticate, projectController.deleteMilestone);
+router.delete('/milestones/:milestoneId', authenticate, requirePermission('manage_milestones', { projectFrom: 'params.milestoneId', via: 'milestone' }), projectController.deleteMilestone);
 
 /**
  * Project Tasks Routes
@@ -150,7 +245,7 @@ router.delete('/milestones/:milestoneId', authenticate, projectController.delete
 // @route   GET /api/projects/:id/tasks
 // @desc    Get all tasks for a project with filtering
 // @access  Private
-router.get('/:id/tasks', authenticate, projectController.getProjectTasks);
+router.get('/:id/tasks', authenticate, requirePermission('view_project', { projectFrom: 'params.id' }), projectController.getProjectTasks);
 
 /**
  * Kanban Board Routes
@@ -158,7 +253,7 @@ router.get('/:id/tasks', authenticate, projectController.getProjectTasks);
 // @route   GET /api/projects/:id/boards
 // @desc    Get all kanban boards for a project
 // @access  Private
-router.get('/:id/boards', authenticate, projectController.getProjectKanbanBoards);
+router.get('/:id/boards', authenticate, requirePermission('view_project', { projectFrom: 'params.id' }), projectController.getProjectKanbanBoards);
 
 // @route   POST /api/projects/:id/boards
 // @desc    Create a kanban board
@@ -167,6 +262,7 @@ router.post(
   '/:id/boards',
   [
     authenticate,
+    requirePermission('manage_kanban_boards', { projectFrom: 'params.id' }),
     [
       check('title', 'Board title is required').not().isEmpty()
     ]
@@ -177,7 +273,7 @@ router.post(
 // @route   GET /api/projects/boards/:boardId
 // @desc    Get kanban board details
 // @access  Private
-router.get('/boards/:boardId', authenticate, projectController.getKanbanBoard);
+router.get('/boards/:boardId', authenticate, requirePermission('view_project', { projectFrom: 'params.boardId', via: 'board' }), projectController.getKanbanBoard);
 
 // @route   PUT /api/projects/boards/:boardId
 // @desc    Update a kanban board
@@ -186,6 +282,7 @@ router.put(
   '/boards/:boardId',
   [
     authenticate,
+    requirePermission('manage_kanban_boards', { projectFrom: 'params.boardId', via: 'board' }),
     [
       check('title', 'Board title is required').not().isEmpty()
     ]
@@ -196,7 +293,7 @@ router.put(
 // @route   DELETE /api/projects/boards/:boardId
 // @desc    Delete a kanban board
 // @access  Private
-router.delete('/boards/:boardId', authenticate, projectController.deleteKanbanBoard);
+router.delete('/boards/:boardId', authenticate, requirePermission('manage_kanban_boards', { projectFrom: 'params.boardId', via: 'board' }), projectController.deleteKanbanBoard);
 
 /**
  * Kanban Column Routes
@@ -208,6 +305,7 @@ router.post(
   '/boards/:boardId/columns',
   [
     authenticate,
+    requirePermission('manage_kanban_boards', { projectFrom: 'params.boardId', via: 'board' }),
     [
       check('title', 'Column title is required').not().isEmpty()
     ]
@@ -222,6 +320,7 @@ router.put(
   '/columns/:columnId',
   [
     authenticate,
+    requirePermission('manage_kanban_boards', { projectFrom: 'params.columnId', via: 'column' }),
     [
       check('title', 'Column title is required').not().isEmpty()
     ]
@@ -232,7 +331,7 @@ router.put(
 // @route   DELETE /api/projects/columns/:columnId
 // @desc    Delete a kanban column
 // @access  Private
-router.delete('/columns/:columnId', authenticate, projectController.deleteKanbanColumn);
+router.delete('/columns/:columnId', authenticate, requirePermission('manage_kanban_boards', { projectFrom: 'params.columnId', via: 'column' }), projectController.deleteKanbanColumn);
 
 // @route   PUT /api/projects/boards/:boardId/columns/reorder
 // @desc    Reorder columns in a board
@@ -241,6 +340,7 @@ router.put(
   '/boards/:boardId/columns/reorder',
   [
     authenticate,
+    requirePermission('manage_kanban_boards', { projectFrom: 'params.boardId', via: 'board' }),
     [
       check('columnIds', 'Column IDs array is required').isArray()
     ]
@@ -255,6 +355,7 @@ router.put(
   '/tasks/:taskId/move',
   [
     authenticate,
+    requirePermission('manage_tasks', { projectFrom: 'params.taskId', via: 'task' }),
     [
       check('columnId', 'Column ID is required').not().isEmpty(),
       check('position', 'Position is required').isNumeric()
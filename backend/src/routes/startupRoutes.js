@@ -1,9 +1,34 @@
 const express = require('express');
 const router = express.Router();
+const multer = require('multer');
 const startupController = require('../controllers/startupController');
+const brandKitController = require('../controllers/brandKitController');
+const learningPathController = require('../controllers/learningPathController');
 const { authenticate } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
 
-// All routes require authentication
+// Logos are kept in memory and written through utils/fileStorage
+const logoUpload = multer({
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+    files: 1
+  }
+});
+
+// Reject oversized or malformed uploads with a 400 instead of the generic error handler
+const uploadLogo = (req, res, next) => {
+  logoUpload.single('logo')(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    next();
+  });
+};
+
+// Anyone can check a certificate's verification code
+router.get('/certificates/verify/:code', learningPathController.verifyCertificateCode);
+
+// All other routes require authentication
 router.use(authenticate);
 
 // Business Name Suggestions
@@ -15,17 +40,52 @@ router.post('/business-name/select', startupController.saveSelectedBusinessName)
 router.post('/tagline/generate', startupController.generateTaglineSuggestions);
 router.get('/tagline/history', startupController.getPreviousTaglines);
 router.post('/tagline/select', startupController.saveSelectedTagline);
+router.post('/tagline/:id/votes', startupController.voteTagline);
+router.post('/tagline/:id/favorites', startupController.favoriteTagline);
+router.delete('/tagline/:id/favorites/:index', startupController.unfavoriteTagline);
+router.get('/tagline/:id/shortlist', startupController.getTaglineShortlistForReview);
 
 // Domain Availability
 router.post('/domain/check', startupController.checkDomain);
 router.post('/domain/suggestions', startupController.getDomainSuggestions);
 router.get('/domain/history', startupController.getDomainHistory);
+router.post('/domain/bulk-check', startupController.bulkCheckDomains);
+router.get('/domain/watchlist', startupController.getDomainWatchlist);
+router.post('/domain/watchlist', startupController.addDomainsToWatchlist);
+router.delete('/domain/watchlist/:id', startupController.removeDomainFromWatchlist);
+
+// Social Handle and App Name Availability
+router.post('/handles/check', startupController.checkHandleAvailability);
+
+// Brand Kits
+router.post('/brand-kits/palettes', brandKitController.generateBrandPalettes);
+router.post('/brand-kits/contrast', brandKitController.checkColorContrast);
+router.get('/brand-kits/font-pairings', brandKitController.listFontPairings);
+router.get('/brand-kits', brandKitController.listBrandKits);
+router.post('/brand-kits', brandKitController.createNewBrandKit);
+router.get('/brand-kits/:id', brandKitController.getBrandKitDetails);
+router.put('/brand-kits/:id', brandKitController.updateExistingBrandKit);
+router.delete('/brand-kits/:id', brandKitController.deleteExistingBrandKit);
+router.get('/brand-kits/:id/export', brandKitController.exportBrandKitJson);
+router.post('/brand-kits/:id/logos', uploadLogo, brandKitController.uploadBrandKitLogo);
+router.delete('/brand-kits/:id/logos/:logoId', brandKitController.deleteBrandKitLogo);
+router.get('/brand-kits/:id/logos/:logoId/file', brandKitController.downloadBrandKitLogo);
 
 // Video Tutorials
 router.get('/tutorials', startupController.getTutorials);
 router.get('/tutorials/category/:category', startupController.getTutorialsByCategory);
+router.get('/tutorials/recommended', startupController.getRecommendedTutorialsForUser);
+router.get('/tutorials/analytics', requirePermission('view_tutorial_analytics'), startupController.getTutorialAnalytics);
 router.get('/tutorials/:id', startupController.getTutorialWithProgress);
 router.post('/tutorials/progress', startupController.updateTutorialProgress);
-router.get('/tutorials/recommended', startupController.getRecommendedTutorialsForUser);
+router.get('/tutorials/:id/quiz', learningPathController.getQuiz);
+router.post('/tutorials/:id/quiz', learningPathController.submitQuiz);
+
+// Learning Paths and Certificates
+router.get('/learning-paths', learningPathController.listLearningPaths);
+router.get('/learning-paths/:id', learningPathController.getLearningPathDetails);
+router.post('/learning-paths/:id/start', learningPathController.startPath);
+router.get('/certificates', learningPathController.listCertificates);
+router.get('/certificates/:id/download', learningPathController.downloadCertificate);
 
 module.exports = router; 
\ No newline at end of file
@@ -8,6 +8,7 @@ const router = express.Router();
 const { check } = require('express-validator');
 const taskController = require('../controllers/taskController');
 const { authenticate } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
 
 /**
  * Task Routes
@@ -19,6 +20,7 @@ router.post(
   '/',
   [
     authenticate,
+    requirePermission('manage_tasks', { projectFrom: 'body.projectId' }),
     [
       check('projectId', 'Project ID is required').not().isEmpty(),
       check('title', 'Task title is required').not().isEmpty()
@@ -30,7 +32,7 @@ router.post(
 // @route   GET /api/tasks/:id
 // @desc    Get task details
 // @access  Private
-router.get('/:id', authenticate, taskController.getTaskDetails);
+router.get('/:id', authenticate, requirePermission('view_project', { projectFrom: 'params.id', via: 'task' }), taskController.getTaskDetails);
 
 // @route   PUT /api/tasks/:id
 // @desc    Update a task
@@ -39,6 +41,7 @@ router.put(
   '/:id',
   [
     authenticate,
+    requirePermission('manage_tasks', { projectFrom: 'params.id', via: 'task' }),
     [
       check('title', 'Task title is required').not().isEmpty()
     ]
@@ -49,7 +52,7 @@ router.put(
 // @route   DELETE /api/tasks/:id
 // @desc    Delete a task
 // @access  Private
-router.delete('/:id', authenticate, taskController.deleteTask);
+router.delete('/:id', authenticate, requirePermission('manage_tasks', { projectFrom: 'params.id', via: 'task' }), taskController.deleteTask);
 
 /**
  * Subtask Routes
@@ -61,6 +64,7 @@ router.post(
   '/:id/subtasks',
   [
     authenticate,
+    requirePermission('manage_tasks', { projectFrom: 'params.id', via: 'task' }),
     [
       check('title', 'Subtask title is required').not().isEmpty()
     ]
@@ -75,6 +79,7 @@ router.put(
   '/subtasks/:subtaskId',
   [
     authenticate,
+    requirePermission('manage_tasks', { projectFrom: 'params.subtaskId', via: 'subtask' }),
     [
       check('title', 'Subtask title is required').not().isEmpty()
     ]
@@ -85,7 +90,7 @@ router.put(
 // @route   DELETE /api/tasks/subtasks/:subtaskId
 // @desc    Delete a subtask
 // @access  Private
-router.delete('/subtasks/:subtaskId', authenticate, taskController.deleteSubtask);
+router.delete('/subtasks/:subtaskId', authenticate, requirePermission('manage_tasks', { projectFrom: 'params.subtaskId', via: 'subtask' }), taskController.deleteSubtask);
 
 /**
  * Task Comment Routes
@@ -97,6 +102,7 @@ router.post(
   '/:id/comments',
   [
     authenticate,
+    requirePermission('comment_on_tasks', { projectFrom: 'params.id', via: 'task' }),
     [
       check('comment', 'Comment text is required').not().isEmpty()
     ]
@@ -107,7 +113,7 @@ router.post(
 // @route   DELETE /api/tasks/comments/:commentId
 // @desc    Delete a task comment
 // @access  Private
-router.delete('/comments/:commentId', authenticate, taskController.deleteTaskComment);
+router.delete('/comments/:commentId', authenticate, requirePermission('comment_on_tasks', { projectFrom: 'params.commentId', via: 'taskComment' }), taskController.deleteTaskComment);
 
 /**
  * Time Tracking Routes
@@ -115,12 +121,12 @@ router.delete('/comments/:commentId', authenticate, taskController.deleteTaskCom
 // @route   POST /api/tasks/:id/time/start
 // @desc    Start time tracking for a task
 // @access  Private
-router.post('/:id/time/start', authenticate, taskController.startTimeTracking);
+router.post('/:id/time/start', authenticate, requirePermission('track_time', { projectFrom: 'params.id', via: 'task' }), taskController.startTimeTracking);
 
 // @route   PUT /api/tasks/time/:timeEntryId/stop
 // @desc    Stop time tracking for a task
 // @access  Private
-router.put('/time/:timeEntryId/stop', authenticate, taskController.stopTimeTracking);
+router.put('/time/:timeEntryId/stop', authenticate, requirePermission('track_time', { projectFrom: 'params.timeEntryId', via: 'timeEntry' }), taskController.stopTimeTracking);
 
 /**
  * Task Dependency Routes
@@ -132,6 +138,7 @@ router.post(
   '/:id/dependencies',
   [
     authenticate,
+    requirePermission('manage_tasks', { projectFrom: 'params.id', via: 'task' }),
     [
       check('dependsOnTaskId', 'Dependency task ID is required').not().isEmpty()
     ]
@@ -142,6 +149,6 @@ router.post(
 // @route   DELETE /api/tasks/dependencies/:dependencyId
 // @desc    Remove a task dependency
 // @access  Private
-router.delete('/dependencies/:dependencyId', authenticate, taskController.removeTaskDependency);
+router.delete('/dependencies/:dependencyId', authenticate, requirePermission('manage_tasks', { projectFrom: 'params.dependencyId', via: 'taskDependency' }), taskController.removeTaskDependency);
 
 module.exports = router; 
\ No newline at end of file
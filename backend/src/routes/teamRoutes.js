@@ -2,28 +2,29 @@ const express = require('express');
 const router = express.Router();
 const teamController = require('../controllers/teamController');
 const { authenticate } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
 
 // All routes require authentication
 router.use(authenticate);
 
 // Project routes
-router.post('/projects', teamController.createNewProject);
-router.get('/projects/:id', teamController.getProject);
-router.put('/projects/:id', teamController.updateProjectDetails);
+router.post('/projects', requirePermission('create_project'), teamController.createNewProject);
+router.get('/projects/:id', requirePermission('view_project', { projectFrom: 'params.id' }), teamController.getProject);
+router.put('/projects/:id', requirePermission('edit_project', { projectFrom: 'params.id' }), teamController.updateProjectDetails);
 
 // Project skills routes
-router.post('/projects/:id/skills', teamController.addSkillsToProject);
-router.delete('/projects/:projectId/skills/:skillId', teamController.removeSkillFromProject);
+router.post('/projects/:id/skills', requirePermission('edit_project', { projectFrom: 'params.id' }), teamController.addSkillsToProject);
+router.delete('/projects/:projectId/skills/:skillId', requirePermission('edit_project', { projectFrom: 'params.projectId' }), teamController.removeSkillFromProject);
 
 // Team invitation routes
-router.post('/projects/:projectId/invite', teamController.inviteUser);
+router.post('/projects/:projectId/invite', requirePermission('invite_team_members', { projectFrom: 'params.projectId' }), teamController.inviteUser);
 router.get('/invitations', teamController.getPendingInvitations);
 router.post('/invitations/:invitationId/respond', teamController.respondToTeamInvitation);
 
 // Team member routes
-router.delete('/projects/:projectId/members/:memberId', teamController.removeTeamMemberFromProject);
+router.delete('/projects/:projectId/members/:memberId', requirePermission('manage_project_members', { projectFrom: 'params.projectId' }), teamController.removeTeamMemberFromProject);
 
 // Team matching routes
-router.get('/projects/:projectId/matches', teamController.findTeamMatchesForProject);
+router.get('/projects/:projectId/matches', requirePermission('view_team_reports', { projectFrom: 'params.projectId' }), teamController.findTeamMatchesForProject);
 
 module.exports = router; 
\ No newline at end of file
@@ -1,9 +1,15 @@
 const express = require('express');
 const router = express.Router();
+const { check } = require('express-validator');
 const userController = require('../controllers/userController');
 const { authenticate } = require('../middleware/auth');
+const { blockDuringImpersonation } = require('../middleware/impersonation');
 
-// All routes require authentication
+// Email change links (the token is the credential)
+router.post('/email/confirm', userController.confirmEmailChangeRequest);
+router.post('/email/revert', userController.revertEmailChangeRequest);
+
+// All other routes require authentication
 router.use(authenticate);
 
 // User profile routes
@@ -23,7 +29,29 @@ router.post('/portfolio', userController.addPortfolioItemToUser);
 router.put('/portfolio/:itemId', userController.updatePortfolioItemById);
 router.delete('/portfolio/:itemId', userController.deletePortfolioItemById);
 
+// Email change routes
+router.post(
+  '/email/change',
+  [
+    blockDuringImpersonation,
+    check('newEmail', 'Invalid email address').optional().trim().isEmail()
+  ],
+  userController.requestEmailChangeForUser
+);
+
+// Personal data routes
+router.get('/me/export', blockDuringImpersonation, userController.exportMyData);
+router.get('/me/deletion', userController.getAccountDeletionStatus);
+router.post('/me/deletion', blockDuringImpersonation, userController.scheduleAccountDeletion);
+router.delete('/me/deletion', blockDuringImpersonation, userController.cancelScheduledAccountDeletion);
+
 // User search routes
 router.post('/search', userController.searchUsers);
 
+// API key routes
+router.get('/api-keys/scopes', userController.getApiKeyScopes);
+router.get('/api-keys', userController.getApiKeys);
+router.post('/api-keys', blockDuringImpersonation, userController.createApiKeyForUser);
+router.delete('/api-keys/:keyId', blockDuringImpersonation, userController.revokeApiKeyById);
+
 module.exports = router; 
\ No newline at end of file
@@ -1,6 +1,10 @@
 const express = require('express');
 const cors = require('cors');
 require('dotenv').config();
+const { apiScope } = require('./middleware/scopes');
+const { processDueAccountDeletions } = require('./services/accountDataService');
+const { processDomainWatchlist } = require('./services/domainWatchService');
+const { runExclusively } = require('./config/db');
 
 // Initialize app
 const app = express();
@@ -17,16 +21,20 @@ app.get('/', (req, res) => {
 });
 
 // Routes
+// apiScope marks the scope an API key needs; /api/auth has none, so keys can't use it
 app.use('/api/auth', require('./routes/authRoutes'));
-app.use('/api/startup', require('./routes/startupRoutes'));
-app.use('/api/users', require('./routes/userRoutes'));
-app.use('/api/team', require('./routes/teamRoutes'));
-app.use('/api/contracts', require('./routes/contractRoutes'));
-app.use('/api/budget', require('./routes/budgetRoutes'));
-app.use('/api/business-plan', require('./routes/businessPlanRoutes'));
-app.use('/api/projects', require('./routes/projectRoutes'));
-app.use('/api/tasks', require('./routes/taskRoutes'));
-app.use('/api/chat', require('./routes/chatRoutes'));
+app.use('/api/startup', apiScope('startup'), require('./routes/startupRoutes'));
+app.use('/api/users', apiScope('users'), require('./routes/userRoutes'));
+app.use('/api/team', apiScope('team'), require('./routes/teamRoutes'));
+app.use('/api/contracts', apiScope('contracts'), require('./routes/contractRoutes'));
+app.use('/api/budget', apiScope('budget'), require('./routes/budgetRoutes'));
+app.use('/api/business-plan', apiScope('business_plan'), require('./routes/businessPlanRoutes'));
+app.use('/api/projects', apiScope('projects'), require('./routes/projectRoutes'));
+app.use('/api/tasks', apiScope('tasks'), require('./routes/taskRoutes'));
+app.use('/api/chat', apiScope('chat'), require('./routes/chatRoutes'));
+app.use('/api/organizations', apiScope('organizations'), require('./routes/organizationRoutes'));
+// No API key scope: the audit log is only readable with a user session
+app.use('/api/audit-logs', require('./routes/auditRoutes'));
 // Add more routes as we implement them...
 
 // Error handling middleware
@@ -39,6 +47,19 @@ app.use((err, req, res, next) => {
   });
 });
 
+// Carry out account deletions whose grace period has ended (in one API process at a time)
+const ACCOUNT_DELETION_SWEEP_MS = 60 * 60 * 1000;
+setInterval(() => {
+  runExclusively('headstart:account_deletion_sweep', processDueAccountDeletions).catch(error => console.error('Account deletion sweep failed:', error));
+}, ACCOUNT_DELETION_SWEEP_MS).unref();
+
+// Re-check watched domains that are due and alert users to changes. Every API
+// process schedules the sweep, but only one runs it at a time.
+const DOMAIN_WATCH_SWEEP_MS = 15 * 60 * 1000;
+setInterval(() => {
+  runExclusively('headstart:domain_watch_sweep', processDomainWatchlist).catch(error => console.error('Domain watchlist sweep failed:', error));
+}, DOMAIN_WATCH_SWEEP_MS).unref();
+
 // Start server
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
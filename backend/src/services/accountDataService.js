@@ -0,0 +1,311 @@
+/**
+ * Account Data Service
+ *
+ * Personal data export and account deletion. Deletion is scheduled with a grace
+ * period; when it runs, private data is removed and rows other users depend on
+ * (chat messages, contracts, tasks, organization records) stay attached to an
+ * anonymized user record.
+ */
+const { query } = require('../config/db');
+const { confirmPassword, deleteIdentity } = require('./identityService');
+const { revokeAllSessions } = require('./sessionService');
+const { sendAccountDeletionScheduledEmail } = require('./emailService');
+const { createZip } = require('../utils/zipArchive');
+require('dotenv').config();
+
+const DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || 30;
+
+// Sections of the export, each a query returning the user's rows (every ? is the user ID)
+const EXPORT_SECTIONS = {
+  skills: `SELECT s.name, s.category, us.proficiency_level
+     FROM user_skills us
+     JOIN skills s ON us.skill_id = s.id
+     WHERE us.user_id = ?`,
+  portfolio: 'SELECT * FROM portfolio_items WHERE user_id = ?',
+  businessPlans: 'SELECT * FROM business_plans WHERE user_id = ?',
+  businessPlanSections: `SELECT bps.* FROM business_plan_sections bps
+     JOIN business_plans bp ON bps.plan_id = bp.id
+     WHERE bp.user_id = ?`,
+  financialModels: 'SELECT * FROM financial_models WHERE user_id = ?',
+  budgetCategories: 'SELECT * FROM budget_categories WHERE user_id = ?',
+  budgets: 'SELECT * FROM budgets WHERE user_id = ?',
+  budgetItems: `SELECT bi.* FROM budget_items bi
+     JOIN budgets b ON bi.budget_id = b.id
+     WHERE b.user_id = ?`,
+  expenses: 'SELECT * FROM expenses WHERE user_id = ?',
+  income: 'SELECT * FROM income_records WHERE user_id = ?',
+  financialGoals: 'SELECT * FROM financial_goals WHERE user_id = ?',
+  tasks: 'SELECT * FROM tasks WHERE creator_id = ? OR assignee_id = ?',
+  taskComments: 'SELECT * FROM task_comments WHERE user_id = ?',
+  businessPlanComments: 'SELECT * FROM business_plan_comments WHERE user_id = ?',
+  businessPlanRevisions: 'SELECT * FROM business_plan_section_revisions WHERE author_id = ?',
+  businessPlanSnapshots: 'SELECT * FROM business_plan_snapshots WHERE created_by = ?',
+  financialModelComments: 'SELECT * FROM financial_model_comments WHERE user_id = ?',
+  timeEntries: 'SELECT * FROM time_entries WHERE user_id = ?',
+  chatMessages: 'SELECT * FROM chat_messages WHERE sender_id = ?',
+  contracts: 'SELECT * FROM contracts WHERE freelancer_id = ? OR client_id = ?',
+  notifications: 'SELECT * FROM notifications WHERE user_id = ?',
+  domainWatchlist: 'SELECT * FROM domain_watchlist WHERE user_id = ?',
+  taglineVotes: 'SELECT * FROM tagline_votes WHERE user_id = ?',
+  taglineFavorites: 'SELECT * FROM tagline_favorites WHERE user_id = ?',
+  brandKits: 'SELECT * FROM brand_kits WHERE user_id = ?',
+  learningPaths: 'SELECT * FROM learning_path_enrollments WHERE user_id = ?',
+  quizAttempts: 'SELECT * FROM tutorial_quiz_attempts WHERE user_id = ?',
+  certificates: 'SELECT * FROM learning_path_certificates WHERE user_id = ?'
+};
+
+// Private data removed outright when an account is deleted (children first).
+// Records filed under an organization belong to the team and stay with the
+// anonymized user, as do personal categories that team records still use
+// (deleting a category cascades to every expense, income record and budget item in it).
+const DELETED_ON_ERASURE = [
+  'DELETE FROM business_plan_shares WHERE user_id = ?',
+  'DELETE FROM financial_model_shares WHERE user_id = ?',
+  'DELETE bps FROM business_plan_sections bps JOIN business_plans bp ON bps.plan_id = bp.id WHERE bp.user_id = ? AND bp.organization_id IS NULL',
+  'DELETE FROM business_plans WHERE user_id = ? AND organization_id IS NULL',
+  'DELETE FROM financial_models WHERE user_id = ? AND organization_id IS NULL',
+  'DELETE FROM financial_reports WHERE user_id = ?',
+  'DELETE FROM financial_goals WHERE user_id = ?',
+  'DELETE bi FROM budget_items bi JOIN budgets b ON bi.budget_id = b.id WHERE b.user_id = ? AND b.organization_id IS NULL',
+  'DELETE FROM budgets WHERE user_id = ? AND organization_id IS NULL',
+  'DELETE FROM expenses WHERE user_id = ? AND organization_id IS NULL',
+  'DELETE FROM income_records WHERE user_id = ? AND organization_id IS NULL',
+  `DELETE FROM budget_categories
+   WHERE user_id = ? AND organization_id IS NULL
+     AND NOT EXISTS (SELECT 1 FROM expenses e WHERE e.category_id = budget_categories.id)
+     AND NOT EXISTS (SELECT 1 FROM income_records i WHERE i.category_id = budget_categories.id)
+     AND NOT EXISTS (SELECT 1 FROM budget_items bi WHERE bi.category_id = budget_categories.id)`,
+  'DELETE FROM portfolio_items WHERE user_id = ?',
+  'DELETE FROM user_skills WHERE user_id = ?',
+  'DELETE FROM entrepreneur_profiles WHERE user_id = ?',
+  'DELETE FROM freelancer_profiles WHERE user_id = ?',
+  'DELETE FROM notifications WHERE user_id = ?',
+  'DELETE FROM user_notification_preferences WHERE user_id = ?',
+  'DELETE FROM user_status WHERE user_id = ?',
+  'DELETE FROM business_name_suggestions WHERE user_id = ?',
+  'DELETE FROM tagline_votes WHERE user_id = ?',
+  'DELETE FROM tagline_favorites WHERE user_id = ?',
+  'DELETE FROM tagline_suggestions WHERE user_id = ?',
+  'DELETE FROM domain_availability WHERE user_id = ?',
+  'DELETE FROM domain_watchlist WHERE user_id = ?',
+  'DELETE FROM brand_kits WHERE user_id = ? AND organization_id IS NULL',
+  'DELETE FROM user_tutorial_progress WHERE user_id = ?',
+  'DELETE FROM tutorial_quiz_attempts WHERE user_id = ?',
+  'DELETE FROM learning_path_enrollments WHERE user_id = ?',
+  'DELETE FROM learning_path_certificates WHERE user_id = ?',
+  'DELETE FROM two_factor_recovery_codes WHERE user_id = ?',
+  'DELETE FROM two_factor_auth WHERE user_id = ?',
+  'DELETE FROM api_keys WHERE user_id = ?',
+  'DELETE FROM magic_link_tokens WHERE user_id = ?',
+  'DELETE FROM email_change_requests WHERE user_id = ?',
+  'DELETE FROM email_verification_tokens WHERE user_id = ?',
+  'DELETE FROM password_reset_tokens WHERE user_id = ?'
+];
+
+/**
+ * Assemble everything the platform holds about a user
+ */
+const collectUserData = async (userId) => {
+  const users = await query(
+    `SELECT u.id, u.email, u.first_name, u.last_name, u.profile_picture, u.phone,
+            u.email_verified, u.created_at, u.updated_at, r.name AS role
+     FROM users u
+     LEFT JOIN roles r ON u.role_id = r.id
+     WHERE u.id = ? AND u.deleted_at IS NULL`,
+    [userId]
+  );
+
+  if (!users.length) {
+    throw new Error('User not found');
+  }
+
+  const entrepreneurProfiles = await query('SELECT * FROM entrepreneur_profiles WHERE user_id = ?', [userId]);
+  const freelancerProfiles = await query('SELECT * FROM freelancer_profiles WHERE user_id = ?', [userId]);
+
+  const data = {
+    exportedAt: new Date().toISOString(),
+    profile: {
+      ...users[0],
+      entrepreneurProfile: entrepreneurProfiles[0] || null,
+      freelancerProfile: freelancerProfiles[0] || null
+    }
+  };
+
+  for (const [section, sql] of Object.entries(EXPORT_SECTIONS)) {
+    data[section] = await query(sql, sql.match(/\?/g).map(() => userId));
+  }
+
+  return data;
+};
+
+/**
+ * Build a downloadable export of a user's data
+ * @param {string} userId - User ID
+ * @param {string} format - 'json' or 'zip' (one JSON file per section)
+ * @returns {Promise<Object>} { filename, contentType, content }
+ */
+const exportUserData = async (userId, format = 'json') => {
+  const data = await collectUserData(userId);
+  const baseName = `headstart-data-${new Date().toISOString().slice(0, 10)}`;
+
+  if (format === 'zip') {
+    const { exportedAt, ...sections } = data;
+    const files = Object.entries(sections).map(([section, rows]) => ({
+      name: `${section}.json`,
+      content: JSON.stringify(rows, null, 2)
+    }));
+
+    files.unshift({
+      name: 'README.txt',
+      content: `Personal data export for user ${userId}, generated ${exportedAt}.\nEach file holds one section of your data as JSON.\n`
+    });
+
+    return {
+      filename: `${baseName}.zip`,
+      contentType: 'application/zip',
+      content: createZip(files)
+    };
+  }
+
+  return {
+    filename: `${baseName}.json`,
+    contentType: 'application/json',
+    content: JSON.stringify(data, null, 2)
+  };
+};
+
+/**
+ * Get the pending deletion request for a user, if any
+ */
+const getPendingDeletion = async (userId) => {
+  const requests = await query(
+    `SELECT id, requested_at, scheduled_for
+     FROM account_deletion_requests
+     WHERE user_id = ? AND cancelled_at IS NULL AND completed_at IS NULL`,
+    [userId]
+  );
+
+  return requests.length ? requests[0] : null;
+};
+
+/**
+ * Schedule a user's account for deletion after the grace period
+ */
+const requestAccountDeletion = async (userId, currentPassword, reason = null) => {
+  const users = await query('SELECT email FROM users WHERE id = ? AND deleted_at IS NULL', [userId]);
+
+  if (!users.length) {
+    throw new Error('User not found');
+  }
+
+  if (!(await confirmPassword(userId, currentPassword))) {
+    throw new Error('Current password is incorrect');
+  }
+
+  if (await getPendingDeletion(userId)) {
+    throw new Error('Account deletion is already scheduled');
+  }
+
+  const scheduledFor = new Date();
+  scheduledFor.setDate(scheduledFor.getDate() + DELETION_GRACE_DAYS);
+
+  await query(
+    'INSERT INTO account_deletion_requests (user_id, reason, scheduled_for) VALUES (?, ?, ?)',
+    [userId, reason, scheduledFor]
+  );
+
+  await sendAccountDeletionScheduledEmail(users[0].email, scheduledFor);
+
+  return {
+    success: true,
+    message: `Your account will be deleted on ${scheduledFor.toUTCString()}. Sign in and cancel before then to keep it.`,
+    scheduledFor
+  };
+};
+
+/**
+ * Cancel a scheduled account deletion
+ */
+const cancelAccountDeletion = async (userId) => {
+  const result = await query(
+    `UPDATE account_deletion_requests SET cancelled_at = NOW()
+     WHERE user_id = ? AND cancelled_at IS NULL AND completed_at IS NULL`,
+    [userId]
+  );
+
+  if (!result.affectedRows) {
+    throw new Error('No account deletion is scheduled');
+  }
+
+  return { success: true, message: 'Account deletion cancelled' };
+};
+
+/**
+ * Erase a user's personal data, anonymizing the user record itself
+ *
+ * The users row is kept (scrubbed) so chat messages, contracts, tasks and time
+ * entries that other users rely on are not cascaded away.
+ */
+const anonymizeUser = async (userId) => {
+  await revokeAllSessions(userId);
+
+  for (const sql of DELETED_ON_ERASURE) {
+    await query(sql, [userId]);
+  }
+
+  // Leave any channels, but keep the messages they sent
+  await query('DELETE FROM chat_channel_members WHERE user_id = ?', [userId]);
+
+  await query(
+    `UPDATE users
+     SET email = ?, first_name = 'Deleted', last_name = 'User', phone = NULL,
+         profile_picture = NULL, password_hash = NULL, email_verified = false,
+         deleted_at = NOW(), updated_at = NOW()
+     WHERE id = ?`,
+    [`deleted-${userId}@deleted.invalid`, userId]
+  );
+
+  try {
+    await deleteIdentity(userId);
+  } catch (error) {
+    // The credential record may already be gone
+    if (error.code !== 'auth/user-not-found') {
+      throw error;
+    }
+  }
+};
+
+/**
+ * Carry out deletions whose grace period has ended (to be called by a cron job)
+ */
+const processDueAccountDeletions = async () => {
+  const dueRequests = await query(
+    `SELECT id, user_id FROM account_deletion_requests
+     WHERE cancelled_at IS NULL AND completed_at IS NULL AND scheduled_for <= NOW()`
+  );
+
+  let processed = 0;
+
+  for (const request of dueRequests) {
+    try {
+      await anonymizeUser(request.user_id);
+      await query(
+        'UPDATE account_deletion_requests SET completed_at = NOW() WHERE id = ?',
+        [request.id]
+      );
+      processed++;
+    } catch (error) {
+      console.error(`Error deleting account ${request.user_id}:`, error);
+    }
+  }
+
+  return { success: true, processed };
+};
+
+module.exports = {
+  exportUserData,
+  getPendingDeletion,
+  requestAccountDeletion,
+  cancelAccountDeletion,
+  processDueAccountDeletions
+};
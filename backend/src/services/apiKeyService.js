@@ -0,0 +1,182 @@
+/**
+ * API Key Service
+ *
+ * Manages user-created personal access tokens for integrations. Only a SHA-256
+ * hash of each key is stored; the key itself is shown once, at creation.
+ */
+const crypto = require('crypto');
+const { query } = require('../config/db');
+
+const KEY_PREFIX = 'hs_';
+const MAX_KEYS_PER_USER = 25;
+
+// Resources a key can be scoped to; each has a :read and a :write scope
+const SCOPE_RESOURCES = [
+  'startup',
+  'users',
+  'team',
+  'contracts',
+  'budget',
+  'business_plan',
+  'projects',
+  'tasks',
+  'chat',
+  'events',
+  'expenses',
+  'legal',
+  'organizations'
+];
+
+const AVAILABLE_SCOPES = SCOPE_RESOURCES.reduce((scopes, resource) => {
+  scopes.push(`${resource}:read`, `${resource}:write`);
+  return scopes;
+}, []);
+
+const hashKey = (apiKey) => crypto.createHash('sha256').update(apiKey).digest('hex');
+
+/**
+ * Check whether a granted scope list satisfies a required scope (write implies read)
+ */
+const scopeSatisfies = (grantedScopes, requiredScope) => {
+  if (grantedScopes.includes(requiredScope)) {
+    return true;
+  }
+
+  const [resource, access] = requiredScope.split(':');
+  return access === 'read' && grantedScopes.includes(`${resource}:write`);
+};
+
+/**
+ * Shape a stored key for API responses (never includes the hash)
+ */
+const formatApiKey = (row) => ({
+  id: row.id,
+  name: row.name,
+  prefix: row.key_prefix,
+  scopes: typeof row.scopes === 'string' ? JSON.parse(row.scopes) : row.scopes,
+  expiresAt: row.expires_at,
+  lastUsedAt: row.last_used_at,
+  createdAt: row.created_at
+});
+
+/**
+ * Create a new API key for a user
+ *
+ * @param {string} userId - Owner of the key
+ * @param {Object} keyData - { name, scopes, expiresAt }
+ * @returns {Promise<Object>} { apiKey, key } - apiKey is the plain-text key, shown only once
+ */
+const createApiKey = async (userId, keyData) => {
+  const { name, scopes, expiresAt } = keyData;
+
+  const invalidScopes = scopes.filter(scope => !AVAILABLE_SCOPES.includes(scope));
+
+  if (invalidScopes.length) {
+    throw new Error(`Invalid scopes: ${invalidScopes.join(', ')}`);
+  }
+
+  if (expiresAt && new Date(expiresAt) <= new Date()) {
+    throw new Error('Expiry date must be in the future');
+  }
+
+  const existing = await query(
+    'SELECT COUNT(*) AS count FROM api_keys WHERE user_id = ? AND revoked_at IS NULL',
+    [userId]
+  );
+
+  if (existing[0].count >= MAX_KEYS_PER_USER) {
+    throw new Error(`You can have at most ${MAX_KEYS_PER_USER} active API keys`);
+  }
+
+  const apiKey = `${KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+  const keyPrefix = apiKey.slice(0, KEY_PREFIX.length + 8);
+  const uniqueScopes = [...new Set(scopes)];
+
+  const result = await query(
+    `INSERT INTO api_keys (user_id, name, key_prefix, key_hash, scopes, expires_at)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [userId, name, keyPrefix, hashKey(apiKey), JSON.stringify(uniqueScopes), expiresAt ? new Date(expiresAt) : null]
+  );
+
+  const keys = await query('SELECT * FROM api_keys WHERE id = ?', [result.insertId]);
+
+  return {
+    apiKey,
+    key: formatApiKey(keys[0])
+  };
+};
+
+/**
+ * List a user's active (not revoked) API keys
+ */
+const getUserApiKeys = async (userId) => {
+  const keys = await query(
+    `SELECT id, name, key_prefix, scopes, expires_at, last_used_at, created_at
+     FROM api_keys
+     WHERE user_id = ? AND revoked_at IS NULL
+     ORDER BY created_at DESC`,
+    [userId]
+  );
+
+  return keys.map(formatApiKey);
+};
+
+/**
+ * Revoke one of a user's API keys
+ */
+const revokeApiKey = async (userId, keyId) => {
+  const result = await query(
+    'UPDATE api_keys SET revoked_at = NOW() WHERE id = ? AND user_id = ? AND revoked_at IS NULL',
+    [keyId, userId]
+  );
+
+  if (!result.affectedRows) {
+    throw new Error('API key not found');
+  }
+
+  return { success: true, message: 'API key revoked successfully' };
+};
+
+/**
+ * Resolve a presented API key to its stored record and owner
+ *
+ * @returns {Promise<Object|null>} The key with user details, or null if unknown, expired or revoked
+ */
+const findActiveApiKey = async (apiKey) => {
+  const keys = await query(
+    `SELECT k.id, k.user_id, k.scopes, u.email, u.email_verified, r.name AS role
+     FROM api_keys k
+     JOIN users u ON k.user_id = u.id
+     LEFT JOIN roles r ON u.role_id = r.id
+     WHERE k.key_hash = ?
+       AND k.revoked_at IS NULL
+       AND (k.expires_at IS NULL OR k.expires_at > NOW())`,
+    [hashKey(apiKey)]
+  );
+
+  if (!keys.length) {
+    return null;
+  }
+
+  const key = keys[0];
+
+  // Only write once a minute to avoid an UPDATE on every request
+  await query(
+    'UPDATE api_keys SET last_used_at = NOW() WHERE id = ? AND (last_used_at IS NULL OR last_used_at < NOW() - INTERVAL 1 MINUTE)',
+    [key.id]
+  );
+
+  return {
+    ...key,
+    scopes: typeof key.scopes === 'string' ? JSON.parse(key.scopes) : key.scopes
+  };
+};
+
+module.exports = {
+  AVAILABLE_SCOPES,
+  scopeSatisfies,
+  createApiKey,
+  getUserApiKeys,
+  revokeApiKey,
+  findActiveApiKey
+};
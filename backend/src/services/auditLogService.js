@@ -0,0 +1,303 @@
+/**
+ * Audit Log Service
+ *
+ * Append-only record of security-relevant actions: who did what, from where,
+ * to which entity, with a before/after summary of the change.
+ */
+const { query } = require('../config/db');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const MAX_EXPORT_ROWS = 10000;
+
+const CSV_COLUMNS = [
+  'id',
+  'created_at',
+  'action',
+  'actor_id',
+  'actor_email',
+  'impersonator_id',
+  'ip_address',
+  'user_agent',
+  'entity_type',
+  'entity_id',
+  'project_id',
+  'before_state',
+  'after_state',
+  'metadata'
+];
+
+/**
+ * Build the audit context (actor and origin) for a request
+ *
+ * During impersonation actorId is the impersonated user and impersonatorId the admin.
+ */
+const getAuditContext = (req) => ({
+  actorId: req.user ? req.user.id : null,
+  impersonatorId: req.user ? req.user.impersonatorId || null : null,
+  ipAddress: req.ip || null,
+  userAgent: req.get('User-Agent') || null
+});
+
+/**
+ * Append an entry to the audit log
+ *
+ * Failures are logged rather than thrown, so auditing never breaks the action itself.
+ *
+ * @param {Object} event - { action, entityType, entityId, projectId, before, after, metadata }
+ * @param {Object} context - { actorId, impersonatorId, ipAddress, userAgent } (see getAuditContext)
+ */
+const recordAuditEvent = async (event, context = {}) => {
+  const {
+    action,
+    entityType = null,
+    entityId = null,
+    projectId = null,
+    before = null,
+    after = null,
+    metadata = null
+  } = event;
+
+  try {
+    await query(
+      `INSERT INTO audit_logs
+        (actor_id, impersonator_id, action, entity_type, entity_id, project_id, ip_address, user_agent, before_state, after_state, metadata)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        context.actorId || null,
+        context.impersonatorId || null,
+        action,
+        entityType,
+        entityId === null ? null : String(entityId),
+        projectId,
+        context.ipAddress || null,
+        context.userAgent ? String(context.userAgent).slice(0, 255) : null,
+        before === null ? null : JSON.stringify(before),
+        after === null ? null : JSON.stringify(after),
+        metadata === null ? null : JSON.stringify(metadata)
+      ]
+    );
+  } catch (error) {
+    console.error(`Error recording audit event ${action}:`, error);
+  }
+};
+
+/**
+ * Check that a user may read audit entries, returning the project they are limited to
+ *
+ * Admins may read everything; project owners may read their own project's entries.
+ */
+const resolveAuditScope = async (viewerId, projectId) => {
+  const viewers = await query(
+    'SELECT r.name AS role FROM users u JOIN roles r ON u.role_id = r.id WHERE u.id = ?',
+    [viewerId]
+  );
+
+  if (viewers.length && viewers[0].role === 'admin') {
+    return { isAdmin: true, projectId: projectId || null };
+  }
+
+  if (!projectId) {
+    throw new Error('Project ID is required');
+  }
+
+  const projects = await query(
+    'SELECT 1 FROM projects WHERE id = ? AND owner_id = ?',
+    [projectId, viewerId]
+  );
+
+  if (!projects.length) {
+    throw new Error('You do not have permission to view this audit log');
+  }
+
+  return { isAdmin: false, projectId };
+};
+
+/**
+ * Build the WHERE clause for audit log filters
+ */
+const buildAuditFilters = (filters, projectId) => {
+  const conditions = [];
+  const params = [];
+
+  if (projectId) {
+    conditions.push('a.project_id = ?');
+    params.push(projectId);
+  }
+
+  if (filters.action) {
+    // A trailing * matches a family of actions, e.g. "auth.*"
+    if (filters.action.endsWith('*')) {
+      conditions.push('a.action LIKE ?');
+      params.push(`${filters.action.slice(0, -1).replace(/[\\%_]/g, '\\$&')}%`);
+    } else {
+      conditions.push('a.action = ?');
+      params.push(filters.action);
+    }
+  }
+
+  if (filters.actorId) {
+    conditions.push('a.actor_id = ?');
+    params.push(filters.actorId);
+  }
+
+  if (filters.impersonatorId) {
+    conditions.push('a.impersonator_id = ?');
+    params.push(filters.impersonatorId);
+  }
+
+  if (filters.entityType) {
+    conditions.push('a.entity_type = ?');
+    params.push(filters.entityType);
+  }
+
+  if (filters.entityId) {
+    conditions.push('a.entity_id = ?');
+    params.push(String(filters.entityId));
+  }
+
+  if (filters.ipAddress) {
+    conditions.push('a.ip_address = ?');
+    params.push(filters.ipAddress);
+  }
+
+  if (filters.from) {
+    conditions.push('a.created_at >= ?');
+    params.push(new Date(filters.from));
+  }
+
+  if (filters.to) {
+    conditions.push('a.created_at <= ?');
+    params.push(new Date(filters.to));
+  }
+
+  return {
+    where: conditions.length ? `WHERE ${conditions.join(' AND ')}` : '',
+    params
+  };
+};
+
+/**
+ * Parse a stored JSON column
+ */
+const parseJsonColumn = (value) => {
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  return typeof value === 'string' ? JSON.parse(value) : value;
+};
+
+/**
+ * Shape a stored entry for API responses
+ */
+const formatAuditEntry = (row) => ({
+  id: row.id,
+  action: row.action,
+  actor: row.actor_id ? { id: row.actor_id, email: row.actor_email } : null,
+  impersonatorId: row.impersonator_id,
+  ipAddress: row.ip_address,
+  userAgent: row.user_agent,
+  entityType: row.entity_type,
+  entityId: row.entity_id,
+  projectId: row.project_id,
+  before: parseJsonColumn(row.before_state),
+  after: parseJsonColumn(row.after_state),
+  metadata: parseJsonColumn(row.metadata),
+  createdAt: row.created_at
+});
+
+/**
+ * Query the audit log, newest first
+ *
+ * @param {string} viewerId - User reading the log
+ * @param {Object} filters - { projectId, action, actorId, impersonatorId, entityType, entityId, ipAddress, from, to }
+ * @param {Object} pagination - { page, limit }
+ */
+const getAuditLogs = async (viewerId, filters = {}, pagination = {}) => {
+  const scope = await resolveAuditScope(viewerId, filters.projectId);
+  const { where, params } = buildAuditFilters(filters, scope.projectId);
+
+  const page = Math.max(parseInt(pagination.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(pagination.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const offset = (page - 1) * limit;
+
+  const totals = await query(`SELECT COUNT(*) AS total FROM audit_logs a ${where}`, params);
+
+  const rows = await query(
+    `SELECT a.*, u.email AS actor_email
+     FROM audit_logs a
+     LEFT JOIN users u ON a.actor_id = u.id
+     ${where}
+     ORDER BY a.created_at DESC, a.id DESC
+     LIMIT ${limit} OFFSET ${offset}`,
+    params
+  );
+
+  const total = totals[0].total;
+
+  return {
+    entries: rows.map(formatAuditEntry),
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    }
+  };
+};
+
+/**
+ * Escape a value for CSV, neutralising spreadsheet formulas
+ */
+const toCsvValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text) && isNaN(Number(text))) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Export audit entries matching the filters as CSV (capped at MAX_EXPORT_ROWS)
+ */
+const exportAuditLogsCsv = async (viewerId, filters = {}) => {
+  const scope = await resolveAuditScope(viewerId, filters.projectId);
+  const { where, params } = buildAuditFilters(filters, scope.projectId);
+
+  const rows = await query(
+    `SELECT a.*, u.email AS actor_email
+     FROM audit_logs a
+     LEFT JOIN users u ON a.actor_id = u.id
+     ${where}
+     ORDER BY a.created_at DESC, a.id DESC
+     LIMIT ${MAX_EXPORT_ROWS}`,
+    params
+  );
+
+  const lines = [CSV_COLUMNS.join(',')];
+
+  for (const row of rows) {
+    lines.push(CSV_COLUMNS.map(column => {
+      const value = row[column];
+      return toCsvValue(value !== null && typeof value === 'object' && !(value instanceof Date)
+        ? JSON.stringify(value)
+        : value);
+    }).join(','));
+  }
+
+  return lines.join('\r\n');
+};
+
+module.exports = {
+  getAuditContext,
+  recordAuditEvent,
+  getAuditLogs,
+  exportAuditLogsCsv
+};
@@ -0,0 +1,729 @@
+/**
+ * Brand Kit Service
+ *
+ * Keeps a startup's brand identity once its name and tagline are chosen: a color
+ * palette with contrast checks, a font pairing, logo files (stored through
+ * utils/fileStorage) and voice and tone notes. Kits live in the workspace like
+ * other records and export as one JSON document for frontends and decks.
+ */
+const { query } = require('../config/db');
+const { uploadFile, getFilePath, deleteFile } = require('../utils/fileStorage');
+const { workspaceCondition, recordAccessCondition } = require('./organizationService');
+const { TAGLINE_TONES } = require('./taglineService');
+
+const PALETTE_HARMONIES = ['complementary', 'analogous', 'triadic', 'split-complementary', 'monochromatic'];
+const PALETTE_ROLES = ['primary', 'secondary', 'accent', 'background', 'text'];
+const LOGO_VARIANTS = ['primary', 'secondary', 'icon', 'wordmark', 'monochrome', 'inverse'];
+const LOGO_MIME_TYPES = ['image/png', 'image/jpeg', 'image/svg+xml', 'image/webp'];
+
+// WCAG 2 contrast thresholds
+const CONTRAST_AA = 4.5;
+const CONTRAST_AA_LARGE = 3;
+const CONTRAST_AAA = 7;
+
+const WHITE = '#FFFFFF';
+
+const MAX_VOICE_ITEMS = 20;
+const MAX_VOICE_ITEM_LENGTH = 200;
+const MAX_VOICE_SUMMARY_LENGTH = 1000;
+
+// Google Fonts pairings, grouped by the same tones as taglines
+const FONT_PAIRINGS = [
+  { id: 'inter-source-serif', style: 'neutral', heading: { family: 'Inter', category: 'sans-serif', weights: [600, 700] }, body: { family: 'Source Serif 4', category: 'serif', weights: [400, 600] } },
+  { id: 'montserrat-open-sans', style: 'neutral', heading: { family: 'Montserrat', category: 'sans-serif', weights: [600, 700] }, body: { family: 'Open Sans', category: 'sans-serif', weights: [400, 600] } },
+  { id: 'work-sans-merriweather', style: 'neutral', heading: { family: 'Work Sans', category: 'sans-serif', weights: [600, 700] }, body: { family: 'Merriweather', category: 'serif', weights: [400, 700] } },
+  { id: 'fredoka-nunito', style: 'playful', heading: { family: 'Fredoka', category: 'sans-serif', weights: [500, 600] }, body: { family: 'Nunito', category: 'sans-serif', weights: [400, 700] } },
+  { id: 'baloo-karla', style: 'playful', heading: { family: 'Baloo 2', category: 'display', weights: [600, 700] }, body: { family: 'Karla', category: 'sans-serif', weights: [400, 700] } },
+  { id: 'comfortaa-lato', style: 'playful', heading: { family: 'Comfortaa', category: 'display', weights: [600, 700] }, body: { family: 'Lato', category: 'sans-serif', weights: [400, 700] } },
+  { id: 'playfair-source-sans', style: 'premium', heading: { family: 'Playfair Display', category: 'serif', weights: [500, 700] }, body: { family: 'Source Sans 3', category: 'sans-serif', weights: [400, 600] } },
+  { id: 'cormorant-proza', style: 'premium', heading: { family: 'Cormorant Garamond', category: 'serif', weights: [500, 700] }, body: { family: 'Proza Libre', category: 'sans-serif', weights: [400, 600] } },
+  { id: 'libre-baskerville-montserrat', style: 'premium', heading: { family: 'Libre Baskerville', category: 'serif', weights: [400, 700] }, body: { family: 'Montserrat', category: 'sans-serif', weights: [400, 500] } },
+  { id: 'space-grotesk-ibm-plex', style: 'technical', heading: { family: 'Space Grotesk', category: 'sans-serif', weights: [500, 700] }, body: { family: 'IBM Plex Sans', category: 'sans-serif', weights: [400, 600] } },
+  { id: 'jetbrains-mono-inter', style: 'technical', heading: { family: 'JetBrains Mono', category: 'monospace', weights: [600, 700] }, body: { family: 'Inter', category: 'sans-serif', weights: [400, 600] } },
+  { id: 'roboto-roboto-mono', style: 'technical', heading: { family: 'Roboto', category: 'sans-serif', weights: [500, 700] }, body: { family: 'Roboto Mono', category: 'monospace', weights: [400, 500] } }
+];
+
+/**
+ * Normalize a hex color ('#abc', 'aabbcc', ...) to '#AABBCC'
+ */
+const normalizeHex = (input) => {
+  const match = String(input || '').trim().match(/^#?([0-9a-f]{3}|[0-9a-f]{6})$/i);
+
+  if (!match) {
+    throw new Error('Colors must be hex values like #1A2B3C');
+  }
+
+  const hex = match[1].length === 3
+    ? match[1].split('').map(c => c + c).join('')
+    : match[1];
+
+  return `#${hex.toUpperCase()}`;
+};
+
+const hexToRgb = (hex) => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+
+const rgbToHex = (rgb) => `#${rgb.map(v => Math.round(v).toString(16).padStart(2, '0')).join('').toUpperCase()}`;
+
+/**
+ * Convert a hex color to [hue 0-360, saturation 0-100, lightness 0-100]
+ */
+const hexToHsl = (hex) => {
+  const [r, g, b] = hexToRgb(hex).map(v => v / 255);
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const l = (max + min) / 2;
+  let h = 0;
+  let s = 0;
+
+  if (max !== min) {
+    const d = max - min;
+    s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+
+    if (max === r) h = (g - b) / d + (g < b ? 6 : 0);
+    else if (max === g) h = (b - r) / d + 2;
+    else h = (r - g) / d + 4;
+
+    h *= 60;
+  }
+
+  return [h, s * 100, l * 100];
+};
+
+const hslToHex = ([h, s, l]) => {
+  const hue = ((h % 360) + 360) % 360;
+  const sat = Math.min(Math.max(s, 0), 100) / 100;
+  const light = Math.min(Math.max(l, 0), 100) / 100;
+  const a = sat * Math.min(light, 1 - light);
+  const f = (n) => {
+    const k = (n + hue / 30) % 12;
+    return (light - a * Math.max(-1, Math.min(k - 3, 9 - k, 1))) * 255;
+  };
+
+  return rgbToHex([f(0), f(8), f(4)]);
+};
+
+/**
+ * WCAG relative luminance of a color
+ */
+const luminance = (hex) => {
+  const [r, g, b] = hexToRgb(hex).map(v => {
+    const c = v / 255;
+    return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+  });
+
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+};
+
+/**
+ * Contrast ratio between two colors, from 1 to 21
+ */
+const contrastRatio = (foreground, background) => {
+  const [lighter, darker] = [luminance(foreground), luminance(background)].sort((a, b) => b - a);
+  return Math.round(((lighter + 0.05) / (darker + 0.05)) * 100) / 100;
+};
+
+/**
+ * Check a foreground and background color against the WCAG thresholds
+ *
+ * @returns {Object} { foreground, background, ratio, aa, aaLarge, aaa }
+ */
+const checkContrast = (foreground, background) => {
+  const fg = normalizeHex(foreground);
+  const bg = normalizeHex(background);
+  const ratio = contrastRatio(fg, bg);
+
+  return {
+    foreground: fg,
+    background: bg,
+    ratio,
+    aa: ratio >= CONTRAST_AA,
+    aaLarge: ratio >= CONTRAST_AA_LARGE,
+    aaa: ratio >= CONTRAST_AAA
+  };
+};
+
+/**
+ * Pick the palette's text color or white, whichever reads better on a color
+ */
+const labelColorFor = (hex, textColor) => (contrastRatio(WHITE, hex) >= contrastRatio(textColor, hex) ? WHITE : textColor);
+
+/**
+ * Describe a palette: each color with the label color to use on it, plus the
+ * contrast checks that matter for UI (body text, links, button labels)
+ *
+ * @param {Object} colors - Map of role to hex; primary, background and text are required
+ * @returns {Object} { harmony, colors, checks, accessible }
+ */
+const describePalette = (colors, harmony = null) => {
+  if (!colors || typeof colors !== 'object' || Array.isArray(colors)) {
+    throw new Error('Palette must map roles to colors');
+  }
+
+  const unknownRoles = Object.keys(colors).filter(role => !PALETTE_ROLES.includes(role));
+
+  if (unknownRoles.length) {
+    throw new Error(`Palette must only use the roles: ${PALETTE_ROLES.join(', ')}`);
+  }
+
+  if (!colors.primary || !colors.background || !colors.text) {
+    throw new Error('Palette must include primary, background and text colors');
+  }
+
+  if (harmony !== null && !PALETTE_HARMONIES.includes(harmony)) {
+    throw new Error(`Harmony must be one of: ${PALETTE_HARMONIES.join(', ')}`);
+  }
+
+  const normalized = {};
+  PALETTE_ROLES.forEach(role => {
+    if (colors[role]) {
+      normalized[role] = normalizeHex(colors[role]);
+    }
+  });
+
+  const checks = [
+    { usage: 'Body text on background', ...checkContrast(normalized.text, normalized.background) },
+    { usage: 'Primary on background', ...checkContrast(normalized.primary, normalized.background) }
+  ];
+
+  ['primary', 'secondary', 'accent'].forEach(role => {
+    if (normalized[role]) {
+      checks.push({
+        usage: `Label on ${role}`,
+        ...checkContrast(labelColorFor(normalized[role], normalized.text), normalized[role])
+      });
+    }
+  });
+
+  return {
+    harmony,
+    colors: Object.entries(normalized).map(([role, hex]) => ({
+      role,
+      hex,
+      labelColor: labelColorFor(hex, normalized.text)
+    })),
+    checks,
+    // Body text and labels need AA; the primary color on the background is often large or decorative
+    accessible: checks.every(check => (check.usage === 'Primary on background' ? check.aaLarge : check.aa))
+  };
+};
+
+/**
+ * Describe a palette sent by a client, either a map of role to color
+ * ({ primary, secondary, ... }) or { harmony, colors } as returned by generatePalettes
+ */
+const paletteFromInput = (input) => {
+  if (!input || typeof input !== 'object') {
+    throw new Error('Palette must map roles to colors');
+  }
+
+  const { harmony = null, ...roles } = input;
+  const colors = Array.isArray(input.colors)
+    ? Object.fromEntries(input.colors.map(color => [color.role, color.hex]))
+    : input.colors || roles;
+
+  return describePalette(colors, harmony);
+};
+
+/**
+ * Darken a color until a label (white or the text color) reaches AA on it
+ */
+const ensureLabelContrast = (hsl, textColor) => {
+  const [h, s] = hsl;
+  let l = hsl[2];
+
+  while (l > 10) {
+    const hex = hslToHex([h, s, l]);
+    if (contrastRatio(labelColorFor(hex, textColor), hex) >= CONTRAST_AA) {
+      return hex;
+    }
+    l -= 4;
+  }
+
+  return hslToHex([h, s, l]);
+};
+
+// Hue offsets (and lightness shifts) of the secondary and accent colors per harmony
+const HARMONY_OFFSETS = {
+  complementary: { secondary: [180, 0], accent: [180, 15] },
+  analogous: { secondary: [30, 0], accent: [-30, 10] },
+  triadic: { secondary: [120, 0], accent: [240, 0] },
+  'split-complementary': { secondary: [150, 0], accent: [210, 0] },
+  monochromatic: { secondary: [0, 18], accent: [0, -15] }
+};
+
+/**
+ * Hash a string to a hue, so the same business name always gets the same base color
+ */
+const hueFromText = (text) => {
+  let hash = 0x811c9dc5;
+
+  for (const char of String(text).toLowerCase()) {
+    hash ^= char.charCodeAt(0);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+
+  return hash % 360;
+};
+
+/**
+ * Generate color palettes around a base color
+ *
+ * @param {Object} options
+ * @param {string} options.baseColor - Hex base color; without one it is derived from options.seed
+ * @param {string} options.harmony - One of PALETTE_HARMONIES (default all of them)
+ * @param {string} options.seed - Text to derive the base color from, e.g. the business name
+ * @returns {Object[]} Palettes as returned by describePalette, accessible ones first
+ */
+const generatePalettes = ({ baseColor, harmony, seed } = {}) => {
+  if (harmony && !PALETTE_HARMONIES.includes(harmony)) {
+    throw new Error(`Harmony must be one of: ${PALETTE_HARMONIES.join(', ')}`);
+  }
+
+  const base = baseColor ? hexToHsl(normalizeHex(baseColor)) : [hueFromText(seed || 'brand'), 65, 45];
+  const [h, s] = base;
+
+  // Tinted near-white background and near-black text in the base hue
+  const background = hslToHex([h, Math.min(s, 30), 97]);
+  const text = hslToHex([h, Math.min(s, 25), 12]);
+
+  return (harmony ? [harmony] : PALETTE_HARMONIES)
+    .map(name => {
+      const offsets = HARMONY_OFFSETS[name];
+      const shade = ([hueOffset, lightShift]) => ensureLabelContrast([h + hueOffset, s, base[2] + lightShift], text);
+
+      return describePalette({
+        primary: ensureLabelContrast(base, text),
+        secondary: shade(offsets.secondary),
+        accent: shade(offsets.accent),
+        background,
+        text
+      }, name);
+    })
+    .sort((a, b) => Number(b.accessible) - Number(a.accessible));
+};
+
+/**
+ * Build a Google Fonts stylesheet URL for a pairing
+ */
+const googleFontsUrl = (heading, body) => {
+  const families = [heading, body]
+    .filter((font, index, fonts) => fonts.findIndex(other => other.family === font.family) === index)
+    .map(font => `family=${font.family.replace(/ /g, '+')}:wght@${[...new Set(font.weights)].sort((a, b) => a - b).join(';')}`);
+
+  return `https://fonts.googleapis.com/css2?${families.join('&')}&display=swap`;
+};
+
+/**
+ * Get the font pairings, optionally for one style
+ */
+const getFontPairings = (style) => {
+  if (style && !TAGLINE_TONES.includes(style)) {
+    throw new Error(`Font style must be one of: ${TAGLINE_TONES.join(', ')}`);
+  }
+
+  return FONT_PAIRINGS
+    .filter(pairing => !style || pairing.style === style)
+    .map(pairing => ({ ...pairing, googleFontsUrl: googleFontsUrl(pairing.heading, pairing.body) }));
+};
+
+/**
+ * Validate typography: either { pairingId } or custom { heading, body } fonts
+ */
+const normalizeTypography = (typography) => {
+  if (!typography || typeof typography !== 'object') {
+    throw new Error('Typography must be an object');
+  }
+
+  if (typography.pairingId) {
+    const pairing = FONT_PAIRINGS.find(p => p.id === typography.pairingId);
+
+    if (!pairing) {
+      throw new Error('Font pairing not found');
+    }
+
+    return {
+      pairingId: pairing.id,
+      source: 'google',
+      heading: pairing.heading,
+      body: pairing.body,
+      googleFontsUrl: googleFontsUrl(pairing.heading, pairing.body)
+    };
+  }
+
+  const toFont = (font, role) => {
+    const family = font && String(font.family || '').trim();
+
+    if (!family || !/^[\w\s-]{1,100}$/.test(family)) {
+      throw new Error(`Typography must include a valid ${role} font family`);
+    }
+
+    const weights = Array.isArray(font.weights) && font.weights.length
+      ? font.weights.map(w => parseInt(w, 10)).filter(w => w >= 100 && w <= 900 && w % 100 === 0)
+      : [400, 700];
+
+    return { family, category: font.category || null, weights: weights.length ? weights : [400, 700] };
+  };
+
+  return {
+    pairingId: null,
+    source: 'custom',
+    heading: toFont(typography.heading, 'heading'),
+    body: toFont(typography.body, 'body'),
+    googleFontsUrl: null
+  };
+};
+
+/**
+ * Validate voice and tone notes
+ */
+const normalizeVoice = (voice) => {
+  if (!voice || typeof voice !== 'object') {
+    throw new Error('Voice must be an object');
+  }
+
+  if (voice.tone && !TAGLINE_TONES.includes(voice.tone)) {
+    throw new Error(`Voice tone must be one of: ${TAGLINE_TONES.join(', ')}`);
+  }
+
+  if (voice.summary && String(voice.summary).length > MAX_VOICE_SUMMARY_LENGTH) {
+    throw new Error(`Voice summary must be at most ${MAX_VOICE_SUMMARY_LENGTH} characters`);
+  }
+
+  const toList = (items, field) => {
+    if (items === undefined || items === null) {
+      return [];
+    }
+
+    if (!Array.isArray(items) || items.length > MAX_VOICE_ITEMS ||
+        items.some(item => typeof item !== 'string' || item.length > MAX_VOICE_ITEM_LENGTH)) {
+      throw new Error(`Voice ${field} must be a list of at most ${MAX_VOICE_ITEMS} notes of up to ${MAX_VOICE_ITEM_LENGTH} characters`);
+    }
+
+    return items.map(item => item.trim()).filter(Boolean);
+  };
+
+  return {
+    tone: voice.tone || null,
+    summary: voice.summary ? String(voice.summary).trim() : null,
+    traits: toList(voice.traits, 'traits'),
+    do: toList(voice.do, 'do'),
+    dont: toList(voice.dont, 'dont'),
+    sampleCopy: toList(voice.sampleCopy, 'sampleCopy')
+  };
+};
+
+const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+/**
+ * Get a brand kit the user can see (or, with write, change)
+ */
+const getAccessibleKit = async (kitId, userId, { write = false } = {}) => {
+  const access = recordAccessCondition(userId, '', { write });
+  const kits = await query(
+    `SELECT id, user_id, organization_id, name, business_name, tagline, palette, typography, voice, created_at, updated_at
+     FROM brand_kits
+     WHERE id = ? AND ${access.sql}`,
+    [kitId, ...access.params]
+  );
+
+  if (!kits.length) {
+    throw new Error('Brand kit not found or you do not have access to it');
+  }
+
+  const kit = kits[0];
+  kit.palette = parseJson(kit.palette);
+  kit.typography = parseJson(kit.typography);
+  kit.voice = parseJson(kit.voice);
+
+  return kit;
+};
+
+/**
+ * URL a logo file is served from (it is only readable by people with access to the kit)
+ */
+const logoUrl = (kitId, logoId) => `/api/startup/brand-kits/${kitId}/logos/${logoId}/file`;
+
+const getKitLogos = async (kitId) => {
+  const logos = await query(
+    `SELECT id, variant, file_name, mime_type, file_size, uploaded_by, created_at
+     FROM brand_kit_logos
+     WHERE brand_kit_id = ?
+     ORDER BY FIELD(variant, ${LOGO_VARIANTS.map(() => '?').join(', ')}), created_at`,
+    [kitId, ...LOGO_VARIANTS]
+  );
+
+  return logos.map(logo => ({ ...logo, url: logoUrl(kitId, logo.id) }));
+};
+
+/**
+ * Get the brand kits in a workspace
+ */
+const getBrandKits = async (userId, organizationId = null) => {
+  const workspace = workspaceCondition(userId, organizationId, 'bk.');
+
+  return query(
+    `SELECT bk.id, bk.name, bk.business_name, bk.tagline, bk.created_at, bk.updated_at,
+            (SELECT COUNT(*) FROM brand_kit_logos bkl WHERE bkl.brand_kit_id = bk.id) as logo_count
+     FROM brand_kits bk
+     WHERE ${workspace.sql}
+     ORDER BY bk.updated_at DESC`,
+    workspace.params
+  );
+};
+
+/**
+ * Get a brand kit with its logos
+ */
+const getBrandKit = async (kitId, userId) => {
+  const kit = await getAccessibleKit(kitId, userId);
+
+  return { ...kit, logos: await getKitLogos(kit.id) };
+};
+
+/**
+ * Create a brand kit
+ *
+ * The business name and tagline default to the latest selected ones, and the kit
+ * starts with a palette derived from the name and a pairing matching the voice tone.
+ * @param {Object} data - { name, businessName, tagline, palette, typography, voice }
+ */
+const createBrandKit = async (userId, data, organizationId = null) => {
+  let { businessName, tagline } = data;
+
+  if (!businessName) {
+    const names = await query(
+      `SELECT selected_name FROM business_name_suggestions
+       WHERE user_id = ? AND selected_name IS NOT NULL
+       ORDER BY created_at DESC LIMIT 1`,
+      [userId]
+    );
+    businessName = names.length ? names[0].selected_name : null;
+  }
+
+  if (!tagline) {
+    const workspace = workspaceCondition(userId, organizationId);
+    const taglines = await query(
+      `SELECT selected_tagline FROM tagline_suggestions
+       WHERE ${workspace.sql} AND selected_tagline IS NOT NULL
+       ORDER BY created_at DESC LIMIT 1`,
+      workspace.params
+    );
+    tagline = taglines.length ? taglines[0].selected_tagline : null;
+  }
+
+  const name = String(data.name || businessName || '').trim();
+
+  if (!name || name.length > 150) {
+    throw new Error('Brand kit name is required (up to 150 characters)');
+  }
+
+  const voice = normalizeVoice(data.voice || {});
+  const palette = data.palette
+    ? paletteFromInput(data.palette)
+    : generatePalettes({ seed: businessName || name, harmony: 'complementary' })[0];
+  const typography = data.typography
+    ? normalizeTypography(data.typography)
+    : normalizeTypography({ pairingId: getFontPairings(voice.tone || 'neutral')[0].id });
+
+  const result = await query(
+    `INSERT INTO brand_kits (user_id, organization_id, name, business_name, tagline, palette, typography, voice)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [userId, organizationId, name, businessName || null, tagline || null,
+      JSON.stringify(palette), JSON.stringify(typography), JSON.stringify(voice)]
+  );
+
+  return getBrandKit(result.insertId, userId);
+};
+
+/**
+ * Update a brand kit's details, palette, typography or voice
+ *
+ * Contrast checks are recalculated for a new palette.
+ */
+const updateBrandKit = async (kitId, userId, data) => {
+  const kit = await getAccessibleKit(kitId, userId, { write: true });
+  const updates = {};
+
+  if (data.name !== undefined) {
+    const name = String(data.name || '').trim();
+    if (!name || name.length > 150) {
+      throw new Error('Brand kit name is required (up to 150 characters)');
+    }
+    updates.name = name;
+  }
+
+  if (data.businessName !== undefined) updates.business_name = data.businessName || null;
+  if (data.tagline !== undefined) updates.tagline = data.tagline || null;
+
+  if (data.palette !== undefined) updates.palette = JSON.stringify(paletteFromInput(data.palette));
+
+  if (data.typography !== undefined) updates.typography = JSON.stringify(normalizeTypography(data.typography));
+  if (data.voice !== undefined) updates.voice = JSON.stringify(normalizeVoice(data.voice));
+
+  const fields = Object.keys(updates);
+
+  if (fields.length) {
+    await query(
+      `UPDATE brand_kits SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+      [...fields.map(field => updates[field]), kit.id]
+    );
+  }
+
+  return getBrandKit(kit.id, userId);
+};
+
+/**
+ * Delete a brand kit and its logo files
+ */
+const deleteBrandKit = async (kitId, userId) => {
+  const kit = await getAccessibleKit(kitId, userId, { write: true });
+  const logos = await query('SELECT file_path FROM brand_kit_logos WHERE brand_kit_id = ?', [kit.id]);
+
+  await query('DELETE FROM brand_kits WHERE id = ?', [kit.id]);
+  await Promise.all(logos.map(logo => deleteFile(logo.file_path)));
+
+  return {
+    success: true,
+    message: 'Brand kit deleted successfully'
+  };
+};
+
+/**
+ * Upload a logo file to a brand kit
+ *
+ * @param {Object} file - The file object from multer (memory storage)
+ * @param {string} variant - One of LOGO_VARIANTS
+ */
+const addBrandKitLogo = async (kitId, userId, file, variant = 'primary') => {
+  const kit = await getAccessibleKit(kitId, userId, { write: true });
+
+  if (!file) {
+    throw new Error('A logo file is required');
+  }
+
+  if (!LOGO_MIME_TYPES.includes(file.mimetype)) {
+    throw new Error('Only PNG, JPEG, SVG and WebP logos are supported');
+  }
+
+  if (!LOGO_VARIANTS.includes(variant)) {
+    throw new Error(`Logo variant must be one of: ${LOGO_VARIANTS.join(', ')}`);
+  }
+
+  const filePath = await uploadFile(file, `brand-kits/${kit.id}`);
+
+  const result = await query(
+    `INSERT INTO brand_kit_logos (brand_kit_id, variant, file_path, file_name, mime_type, file_size, uploaded_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [kit.id, variant, filePath, file.originalname, file.mimetype, file.size, userId]
+  );
+
+  return {
+    id: result.insertId,
+    variant,
+    file_name: file.originalname,
+    mime_type: file.mimetype,
+    file_size: file.size,
+    url: logoUrl(kit.id, result.insertId)
+  };
+};
+
+/**
+ * Get a logo row of a kit the user can access
+ */
+const getKitLogo = async (kitId, logoId, userId, options) => {
+  const kit = await getAccessibleKit(kitId, userId, options);
+  const logos = await query(
+    'SELECT id, file_path, file_name, mime_type FROM brand_kit_logos WHERE id = ? AND brand_kit_id = ?',
+    [logoId, kit.id]
+  );
+
+  if (!logos.length) {
+    throw new Error('Logo not found');
+  }
+
+  return logos[0];
+};
+
+/**
+ * Remove a logo from a brand kit
+ */
+const removeBrandKitLogo = async (kitId, logoId, userId) => {
+  const logo = await getKitLogo(kitId, logoId, userId, { write: true });
+
+  await query('DELETE FROM brand_kit_logos WHERE id = ?', [logo.id]);
+  await deleteFile(logo.file_path);
+
+  return {
+    success: true,
+    message: 'Logo removed successfully'
+  };
+};
+
+/**
+ * Get a logo's file for download
+ *
+ * @returns {Promise<Object>} { path, fileName, mimeType }
+ */
+const getBrandKitLogoFile = async (kitId, logoId, userId) => {
+  const logo = await getKitLogo(kitId, logoId, userId);
+  const filePath = getFilePath(logo.file_path);
+
+  if (!filePath) {
+    throw new Error('Logo not found');
+  }
+
+  return { path: filePath, fileName: logo.file_name, mimeType: logo.mime_type };
+};
+
+/**
+ * Export a brand kit as one JSON document
+ *
+ * Besides the full palette and typography, "tokens" gives flat color and font
+ * values that frontends can map straight to CSS variables or theme settings.
+ */
+const exportBrandKit = async (kitId, userId) => {
+  const kit = await getBrandKit(kitId, userId);
+  const palette = kit.palette || { colors: [], checks: [] };
+
+  return {
+    format: 'headstart-brand-kit',
+    version: 1,
+    exportedAt: new Date().toISOString(),
+    name: kit.name,
+    businessName: kit.business_name,
+    tagline: kit.tagline,
+    tokens: {
+      color: Object.fromEntries(palette.colors.map(color => [color.role, color.hex])),
+      font: kit.typography
+        ? { heading: kit.typography.heading.family, body: kit.typography.body.family }
+        : {}
+    },
+    palette,
+    typography: kit.typography,
+    logos: kit.logos.map(logo => ({
+      variant: logo.variant,
+      fileName: logo.file_name,
+      mimeType: logo.mime_type,
+      url: logo.url
+    })),
+    voice: kit.voice,
+    updatedAt: kit.updated_at
+  };
+};
+
+module.exports = {
+  PALETTE_HARMONIES,
+  LOGO_VARIANTS,
+  checkContrast,
+  generatePalettes,
+  getFontPairings,
+  getBrandKits,
+  getBrandKit,
+  createBrandKit,
+  updateBrandKit,
+  deleteBrandKit,
+  addBrandKitLogo,
+  removeBrandKitLogo,
+  getBrandKitLogoFile,
+  exportBrandKit
+};
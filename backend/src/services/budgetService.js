@@ -4,13 +4,15 @@
  * Handles budget management, expense tracking, and financial reporting
  */
 const { query } = require('../config/db');
+const { workspaceCondition, recordAccessCondition } = require('./organizationService');
 
 /**
- * Get all budget categories for a user
+ * Get all budget categories in a workspace (the user's own, or an organization's)
  */
-const getBudgetCategories = async (userId, type = null) => {
-  let sql = 'SELECT * FROM budget_categories WHERE user_id = ?';
-  const params = [userId];
+const getBudgetCategories = async (userId, type = null, organizationId = null) => {
+  const workspace = workspaceCondition(userId, organizationId);
+  let sql = `SELECT * FROM budget_categories WHERE ${workspace.sql}`;
+  const params = [...workspace.params];
   
   if (type) {
     sql += ' AND type = ?';
@@ -27,17 +29,18 @@ const getBudgetCategories = async (userId, type = null) => {
 /**
  * Create a new budget category
  */
-const createBudgetCategory = async (userId, categoryData) => {
+const createBudgetCategory = async (userId, categoryData, organizationId = null) => {
   const { name, description, type, color, icon } = categoryData;
   
   if (!name || !type) {
     throw new Error('Category name and type are required');
   }
   
-  // Check if category already exists
+  // Check if category already exists in the workspace
+  const workspace = workspaceCondition(userId, organizationId);
   const existingCategories = await query(
-    'SELECT id FROM budget_categories WHERE user_id = ? AND name = ? AND type = ?',
-    [userId, name, type]
+    `SELECT id FROM budget_categories WHERE ${workspace.sql} AND name = ? AND type = ?`,
+    [...workspace.params, name, type]
   );
   
   if (existingCategories.length > 0) {
@@ -46,8 +49,8 @@ const createBudgetCategory = async (userId, categoryData) => {
   
   // Create category
   const result = await query(
-    'INSERT INTO budget_categories (user_id, name, description, type, color, icon) VALUES (?, ?, ?, ?, ?, ?)',
-    [userId, name, description || '', type, color || '#808080', icon || '']
+    'INSERT INTO budget_categories (user_id, organization_id, name, description, type, color, icon) VALUES (?, ?, ?, ?, ?, ?, ?)',
+    [userId, organizationId, name, description || '', type, color || '#808080', icon || '']
   );
   
   return {
@@ -63,10 +66,11 @@ const createBudgetCategory = async (userId, categoryData) => {
 const updateBudgetCategory = async (categoryId, userId, categoryData) => {
   const { name, description, color, icon } = categoryData;
   
-  // Check if category exists and belongs to user
+  // Check if category exists and the user can change it
+  const access = recordAccessCondition(userId, '', { write: true });
   const categories = await query(
-    'SELECT id FROM budget_categories WHERE id = ? AND user_id = ?',
-    [categoryId, userId]
+    `SELECT id FROM budget_categories WHERE id = ? AND ${access.sql}`,
+    [categoryId, ...access.params]
   );
   
   if (!categories.length) {
@@ -89,10 +93,11 @@ const updateBudgetCategory = async (categoryId, userId, categoryData) => {
  * Delete budget category
  */
 const deleteBudgetCategory = async (categoryId, userId) => {
-  // Check if category exists and belongs to user
+  // Check if category exists and the user can change it
+  const access = recordAccessCondition(userId, '', { write: true });
   const categories = await query(
-    'SELECT id FROM budget_categories WHERE id = ? AND user_id = ?',
-    [categoryId, userId]
+    `SELECT id FROM budget_categories WHERE id = ? AND ${access.sql}`,
+    [categoryId, ...access.params]
   );
   
   if (!categories.length) {
@@ -134,7 +139,7 @@ const deleteBudgetCategory = async (categoryId, userId) => {
 /**
  * Create a new budget
  */
-const createBudget = async (userId, budgetData) => {
+const createBudget = async (userId, budgetData, organizationId = null) => {
   const { title, description, startDate, endDate, items } = budgetData;
   
   if (!title || !startDate || !endDate) {
@@ -143,8 +148,8 @@ const createBudget = async (userId, budgetData) => {
   
   // Create budget
   const result = await query(
-    'INSERT INTO budgets (user_id, title, description, start_date, end_date) VALUES (?, ?, ?, ?, ?)',
-    [userId, title, description || '', startDate, endDate]
+    'INSERT INTO budgets (user_id, organization_id, title, description, start_date, end_date) VALUES (?, ?, ?, ?, ?, ?)',
+    [userId, organizationId, title, description || '', startDate, endDate]
   );
   
   const budgetId = result.insertId;
@@ -169,15 +174,16 @@ const createBudget = async (userId, budgetData) => {
 };
 
 /**
- * Get all budgets for a user
+ * Get all budgets in a workspace (the user's own, or an organization's)
  */
-const getUserBudgets = async (userId) => {
+const getUserBudgets = async (userId, organizationId = null) => {
+  const workspace = workspaceCondition(userId, organizationId);
   const budgets = await query(
-    `SELECT id, title, description, start_date, end_date, is_active, created_at 
+    `SELECT id, organization_id, title, description, start_date, end_date, is_active, created_at 
      FROM budgets 
-     WHERE user_id = ? 
+     WHERE ${workspace.sql} 
      ORDER BY start_date DESC`,
-    [userId]
+    workspace.params
   );
   
   return budgets;
@@ -188,11 +194,12 @@ const getUserBudgets = async (userId) => {
  */
 const getBudgetDetails = async (budgetId, userId) => {
   // Get budget details
+  const access = recordAccessCondition(userId);
   const budgets = await query(
-    `SELECT id, title, description, start_date, end_date, is_active, created_at 
+    `SELECT id, organization_id, title, description, start_date, end_date, is_active, created_at 
      FROM budgets 
-     WHERE id = ? AND user_id = ?`,
-    [budgetId, userId]
+     WHERE id = ? AND ${access.sql}`,
+    [budgetId, ...access.params]
   );
   
   if (!budgets.length) {
@@ -237,10 +244,11 @@ const getBudgetDetails = async (budgetId, userId) => {
 const updateBudget = async (budgetId, userId, budgetData) => {
   const { title, description, startDate, endDate, isActive } = budgetData;
   
-  // Check if budget exists and belongs to user
+  // Check if budget exists and the user can change it
+  const access = recordAccessCondition(userId, '', { write: true });
   const budgets = await query(
-    'SELECT id FROM budgets WHERE id = ? AND user_id = ?',
-    [budgetId, userId]
+    `SELECT id, user_id, organization_id FROM budgets WHERE id = ? AND ${access.sql}`,
+    [budgetId, ...access.params]
   );
   
   if (!budgets.length) {
@@ -269,20 +277,22 @@ const addBudgetItem = async (budgetId, userId, itemData) => {
     throw new Error('Category ID and amount are required');
   }
   
-  // Check if budget exists and belongs to user
+  // Check if budget exists and the user can change it
+  const access = recordAccessCondition(userId, '', { write: true });
   const budgets = await query(
-    'SELECT id FROM budgets WHERE id = ? AND user_id = ?',
-    [budgetId, userId]
+    `SELECT id, user_id, organization_id FROM budgets WHERE id = ? AND ${access.sql}`,
+    [budgetId, ...access.params]
   );
   
   if (!budgets.length) {
     throw new Error('Budget not found or you do not have permission to update it');
   }
   
-  // Check if category exists and belongs to user
+  // Check the category is in the same workspace as the budget
+  const workspace = workspaceCondition(budgets[0].user_id, budgets[0].organization_id);
   const categories = await query(
-    'SELECT id FROM budget_categories WHERE id = ? AND user_id = ?',
-    [categoryId, userId]
+    `SELECT id FROM budget_categories WHERE id = ? AND ${workspace.sql}`,
+    [categoryId, ...workspace.params]
   );
   
   if (!categories.length) {
@@ -308,13 +318,14 @@ const addBudgetItem = async (budgetId, userId, itemData) => {
 const updateBudgetItem = async (itemId, userId, itemData) => {
   const { amount, description } = itemData;
   
-  // Check if item exists and belongs to user's budget
+  // Check if item exists and the user can change its budget
+  const access = recordAccessCondition(userId, 'b.', { write: true });
   const items = await query(
     `SELECT bi.id 
      FROM budget_items bi
      JOIN budgets b ON bi.budget_id = b.id
-     WHERE bi.id = ? AND b.user_id = ?`,
-    [itemId, userId]
+     WHERE bi.id = ? AND ${access.sql}`,
+    [itemId, ...access.params]
   );
   
   if (!items.length) {
@@ -337,13 +348,14 @@ const updateBudgetItem = async (itemId, userId, itemData) => {
  * Delete budget item
  */
 const deleteBudgetItem = async (itemId, userId) => {
-  // Check if item exists and belongs to user's budget
+  // Check if item exists and the user can change its budget
+  const access = recordAccessCondition(userId, 'b.', { write: true });
   const items = await query(
     `SELECT bi.id 
      FROM budget_items bi
      JOIN budgets b ON bi.budget_id = b.id
-     WHERE bi.id = ? AND b.user_id = ?`,
-    [itemId, userId]
+     WHERE bi.id = ? AND ${access.sql}`,
+    [itemId, ...access.params]
   );
   
   if (!items.length) {
@@ -365,17 +377,18 @@ const deleteBudgetItem = async (itemId, userId) => {
 /**
  * Record an expense
  */
-const recordExpense = async (userId, expenseData) => {
+const recordExpense = async (userId, expenseData, organizationId = null) => {
   const { categoryId, amount, description, expenseDate, receiptImage } = expenseData;
   
   if (!categoryId || !amount || !expenseDate) {
     throw new Error('Category, amount, and date are required');
   }
   
-  // Check if category exists and belongs to user
+  // Check if category exists in the workspace
+  const workspace = workspaceCondition(userId, organizationId);
   const categories = await query(
-    'SELECT id, type FROM budget_categories WHERE id = ? AND user_id = ?',
-    [categoryId, userId]
+    `SELECT id, type FROM budget_categories WHERE id = ? AND ${workspace.sql}`,
+    [categoryId, ...workspace.params]
   );
   
   if (!categories.length) {
@@ -389,8 +402,8 @@ const recordExpense = async (userId, expenseData) => {
   
   // Record expense
   const result = await query(
-    'INSERT INTO expenses (user_id, category_id, amount, description, expense_date, receipt_image) VALUES (?, ?, ?, ?, ?, ?)',
-    [userId, categoryId, amount, description || '', expenseDate, receiptImage || null]
+    'INSERT INTO expenses (user_id, organization_id, category_id, amount, description, expense_date, receipt_image) VALUES (?, ?, ?, ?, ?, ?, ?)',
+    [userId, organizationId, categoryId, amount, description || '', expenseDate, receiptImage || null]
   );
   
   return {
@@ -403,17 +416,18 @@ const recordExpense = async (userId, expenseData) => {
 /**
  * Record income
  */
-const recordIncome = async (userId, incomeData) => {
+const recordIncome = async (userId, incomeData, organizationId = null) => {
   const { categoryId, amount, description, incomeDate } = incomeData;
   
   if (!categoryId || !amount || !incomeDate) {
     throw new Error('Category, amount, and date are required');
   }
   
-  // Check if category exists and belongs to user
+  // Check if category exists in the workspace
+  const workspace = workspaceCondition(userId, organizationId);
   const categories = await query(
-    'SELECT id, type FROM budget_categories WHERE id = ? AND user_id = ?',
-    [categoryId, userId]
+    `SELECT id, type FROM budget_categories WHERE id = ? AND ${workspace.sql}`,
+    [categoryId, ...workspace.params]
   );
   
   if (!categories.length) {
@@ -427,8 +441,8 @@ const recordIncome = async (userId, incomeData) => {
   
   // Record income
   const result = await query(
-    'INSERT INTO income_records (user_id, category_id, amount, description, income_date) VALUES (?, ?, ?, ?, ?)',
-    [userId, categoryId, amount, description || '', incomeDate]
+    'INSERT INTO income_records (user_id, organization_id, category_id, amount, description, income_date) VALUES (?, ?, ?, ?, ?, ?)',
+    [userId, organizationId, categoryId, amount, description || '', incomeDate]
   );
   
   return {
@@ -441,14 +455,15 @@ const recordIncome = async (userId, incomeData) => {
 /**
  * Get user expenses
  */
-const getUserExpenses = async (userId, { startDate, endDate, categoryId, limit } = {}) => {
+const getUserExpenses = async (userId, { startDate, endDate, categoryId, limit } = {}, organizationId = null) => {
+  const workspace = workspaceCondition(userId, organizationId, 'e.');
   let sql = `
     SELECT e.*, bc.name as category_name, bc.color, bc.icon
     FROM expenses e
     JOIN budget_categories bc ON e.category_id = bc.id
-    WHERE e.user_id = ?
+    WHERE ${workspace.sql}
   `;
-  const params = [userId];
+  const params = [...workspace.params];
   
   if (startDate) {
     sql += ' AND e.expense_date >= ?';
@@ -480,14 +495,15 @@ const getUserExpenses = async (userId, { startDate, endDate, categoryId, limit }
 /**
  * Get user income records
  */
-const getUserIncome = async (userId, { startDate, endDate, categoryId, limit } = {}) => {
+const getUserIncome = async (userId, { startDate, endDate, categoryId, limit } = {}, organizationId = null) => {
+  const workspace = workspaceCondition(userId, organizationId, 'i.');
   let sql = `
     SELECT i.*, bc.name as category_name, bc.color, bc.icon
     FROM income_records i
     JOIN budget_categories bc ON i.category_id = bc.id
-    WHERE i.user_id = ?
+    WHERE ${workspace.sql}
   `;
-  const params = [userId];
+  const params = [...workspace.params];
   
   if (startDate) {
     sql += ' AND i.income_date >= ?';
@@ -519,7 +535,8 @@ const getUserIncome = async (userId, { startDate, endDate, categoryId, limit } =
 /**
  * Generate expense summary by category
  */
-const getExpenseSummaryByCategory = async (userId, { startDate, endDate } = {}) => {
+const getExpenseSummaryByCategory = async (userId, { startDate, endDate } = {}, organizationId = null) => {
+  const workspace = workspaceCondition(userId, organizationId, 'e.');
   let sql = `
     SELECT 
       bc.id as category_id, 
@@ -530,9 +547,9 @@ const getExpenseSummaryByCategory = async (userId, { startDate, endDate } = {})
       COUNT(e.id) as transaction_count
     FROM expenses e
     JOIN budget_categories bc ON e.category_id = bc.id
-    WHERE e.user_id = ?
+    WHERE ${workspace.sql}
   `;
-  const params = [userId];
+  const params = [...workspace.params];
   
   if (startDate) {
     sql += ' AND e.expense_date >= ?';
@@ -570,7 +587,8 @@ const getExpenseSummaryByCategory = async (userId, { startDate, endDate } = {})
 /**
  * Generate income summary by category
  */
-const getIncomeSummaryByCategory = async (userId, { startDate, endDate } = {}) => {
+const getIncomeSummaryByCategory = async (userId, { startDate, endDate } = {}, organizationId = null) => {
+  const workspace = workspaceCondition(userId, organizationId, 'i.');
   let sql = `
     SELECT 
       bc.id as category_id, 
@@ -581,9 +599,9 @@ const getIncomeSummaryByCategory = async (userId, { startDate, endDate } = {}) =
       COUNT(i.id) as transaction_count
     FROM income_records i
     JOIN budget_categories bc ON i.category_id = bc.id
-    WHERE i.user_id = ?
+    WHERE ${workspace.sql}
   `;
-  const params = [userId];
+  const params = [...workspace.params];
   
   if (startDate) {
     sql += ' AND i.income_date >= ?';
@@ -621,7 +639,7 @@ const getIncomeSummaryByCategory = async (userId, { startDate, endDate } = {}) =
 /**
  * Generate monthly expense summary
  */
-const getMonthlyExpenseSummary = async (userId, { startDate, endDate } = {}) => {
+const getMonthlyExpenseSummary = async (userId, { startDate, endDate } = {}, organizationId = null) => {
   // Default to last 12 months if no dates provided
   if (!startDate && !endDate) {
     endDate = new Date();
@@ -630,14 +648,15 @@ const getMonthlyExpenseSummary = async (userId, { startDate, endDate } = {}) =>
     startDate.setDate(1);
   }
   
+  const workspace = workspaceCondition(userId, organizationId, 'e.');
   let sql = `
     SELECT 
       DATE_FORMAT(e.expense_date, '%Y-%m-01') as month,
       SUM(e.amount) as total_amount
     FROM expenses e
-    WHERE e.user_id = ?
+    WHERE ${workspace.sql}
   `;
-  const params = [userId];
+  const params = [...workspace.params];
   
   if (startDate) {
     sql += ' AND e.expense_date >= ?';
@@ -659,7 +678,7 @@ const getMonthlyExpenseSummary = async (userId, { startDate, endDate } = {}) =>
 /**
  * Generate monthly income summary
  */
-const getMonthlyIncomeSummary = async (userId, { startDate, endDate } = {}) => {
+const getMonthlyIncomeSummary = async (userId, { startDate, endDate } = {}, organizationId = null) => {
   // Default to last 12 months if no dates provided
   if (!startDate && !endDate) {
     endDate = new Date();
@@ -668,14 +687,15 @@ const getMonthlyIncomeSummary = async (userId, { startDate, endDate } = {}) => {
     startDate.setDate(1);
   }
   
+  const workspace = workspaceCondition(userId, organizationId, 'i.');
   let sql = `
     SELECT 
       DATE_FORMAT(i.income_date, '%Y-%m-01') as month,
       SUM(i.amount) as total_amount
     FROM income_records i
-    WHERE i.user_id = ?
+    WHERE ${workspace.sql}
   `;
-  const params = [userId];
+  const params = [...workspace.params];
   
   if (startDate) {
     sql += ' AND i.income_date >= ?';
@@ -698,10 +718,11 @@ const getMonthlyIncomeSummary = async (userId, { startDate, endDate } = {}) => {
  * Generate budget vs actual report
  */
 const getBudgetVsActualReport = async (userId, budgetId) => {
-  // Check if budget exists and belongs to user
+  // Check if budget exists and the user can see it
+  const access = recordAccessCondition(userId);
   const budgets = await query(
-    'SELECT id, start_date, end_date FROM budgets WHERE id = ? AND user_id = ?',
-    [budgetId, userId]
+    `SELECT id, user_id, organization_id, start_date, end_date FROM budgets WHERE id = ? AND ${access.sql}`,
+    [budgetId, ...access.params]
   );
   
   if (!budgets.length) {
@@ -712,6 +733,11 @@ const getBudgetVsActualReport = async (userId, budgetId) => {
   const startDate = budget.start_date;
   const endDate = budget.end_date;
   
+  // Actuals come from the budget's workspace
+  const expenseWorkspace = workspaceCondition(budget.user_id, budget.organization_id, 'e.');
+  const incomeWorkspace = workspaceCondition(budget.user_id, budget.organization_id, 'i.');
+  const categoryWorkspace = workspaceCondition(budget.user_id, budget.organization_id);
+  
   // Get budget items
   const budgetItems = await query(
     `SELECT bi.category_id, bc.name as category_name, bc.type as category_type, 
@@ -727,17 +753,17 @@ const getBudgetVsActualReport = async (userId, budgetId) => {
   const expenses = await query(
     `SELECT e.category_id, SUM(e.amount) as actual_amount
      FROM expenses e
-     WHERE e.user_id = ? AND e.expense_date BETWEEN ? AND ?
+     WHERE ${expenseWorkspace.sql} AND e.expense_date BETWEEN ? AND ?
      GROUP BY e.category_id`,
-    [userId, startDate, endDate]
+    [...expenseWorkspace.params, startDate, endDate]
   );
   
   const income = await query(
     `SELECT i.category_id, SUM(i.amount) as actual_amount
      FROM income_records i
-     WHERE i.user_id = ? AND i.income_date BETWEEN ? AND ?
+     WHERE ${incomeWorkspace.sql} AND i.income_date BETWEEN ? AND ?
      GROUP BY i.category_id`,
-    [userId, startDate, endDate]
+    [...incomeWorkspace.params, startDate, endDate]
   );
   
   // Create a map of actual amounts by category ID
@@ -779,10 +805,10 @@ const getBudgetVsActualReport = async (userId, budgetId) => {
   // Add categories that have actual amounts but no budget
   const budgetedCategoryIds = budgetItems.map(item => item.category_id);
   
-  // Get all user categories
+  // Get all categories in the workspace
   const allCategories = await query(
-    'SELECT id, name, type, color, icon FROM budget_categories WHERE user_id = ?',
-    [userId]
+    `SELECT id, name, type, color, icon FROM budget_categories WHERE ${categoryWorkspace.sql}`,
+    categoryWorkspace.params
   );
   
   allCategories.forEach(category => {
@@ -1,79 +1,315 @@
 /**
  * Business Name Generation Service
- * 
- * In a production environment, this would connect to the OpenAI API
- * For now, we're using a mock implementation
+ *
+ * Candidates come from a pluggable provider (see nameProviders/): the seeded
+ * word-list generator by default, or an LLM with NAME_PROVIDER=llm. Every
+ * suggestion is filtered and scored on length, pronounceability, uniqueness
+ * against earlier suggestions and domain availability.
  */
+const { query } = require('../config/db');
+const { checkDomainAvailability } = require('./domainService');
+require('dotenv').config();
 
-// A simple algorithm to generate business name suggestions based on industry and keywords
-const generateBusinessNames = async (industry, keywords) => {
-  const keywordList = keywords.split(',').map(k => k.trim());
-  
-  // Basic prefixes and suffixes by industry
-  const industryPrefixes = {
-    'technology': ['Tech', 'Digi', 'Cyber', 'Quantum', 'Nexus'],
-    'food': ['Tasty', 'Savory', 'Fresh', 'Gourmet', 'Delish'],
-    'healthcare': ['Care', 'Heal', 'Vital', 'Well', 'Life'],
-    'education': ['Learn', 'Edu', 'Smart', 'Bright', 'Mind'],
-    'finance': ['Wealth', 'Capital', 'Prosper', 'Asset', 'Fund'],
-    'retail': ['Shop', 'Store', 'Market', 'Retail', 'Mart'],
-    'default': ['Nova', 'Prime', 'Elite', 'Peak', 'Apex']
-  };
-  
-  const industrySuffixes = {
-    'technology': ['Systems', 'Solutions', 'Tech', 'Labs', 'AI'],
-    'food': ['Eats', 'Kitchen', 'Bites', 'Cuisine', 'Plate'],
-    'healthcare': ['Health', 'Care', 'Med', 'Clinic', 'Wellness'],
-    'education': ['Academy', 'School', 'Learning', 'Education', 'Institute'],
-    'finance': ['Finance', 'Invest', 'Wealth', 'Capital', 'Money'],
-    'retail': ['Shop', 'Mart', 'Store', 'Market', 'Retail'],
-    'default': ['Group', 'Co', 'Inc', 'Collective', 'Enterprise']
+const providers = {
+  seeded: require('./nameProviders/seededProvider'),
+  llm: require('./nameProviders/llmProvider')
+};
+
+const NAME_STYLES = ['compound', 'invented', 'descriptive'];
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 30;
+
+// Candidates requested per suggestion returned, so filtering still leaves enough
+const CANDIDATE_MULTIPLIER = 4;
+
+// Weight of each score component in the overall score
+const SCORE_WEIGHTS = {
+  length: 0.2,
+  pronounceability: 0.3,
+  uniqueness: 0.25,
+  domain: 0.25
+};
+
+// Domain lookups run this many at a time, and candidates not checked within the
+// deadline are scored as 'unknown' (late answers still fill the domain cache)
+const DOMAIN_CHECK_CONCURRENCY = 5;
+const DOMAIN_CHECK_DEADLINE_MS = 10000;
+
+/**
+ * Split a comma-separated string (or array) into trimmed, non-empty words
+ */
+const toWordList = (value) => {
+  const words = Array.isArray(value) ? value : String(value || '').split(',');
+  return words.map(word => String(word).trim()).filter(Boolean);
+};
+
+/**
+ * Get the configured provider, or the seeded one if it is unknown or unconfigured
+ */
+const getProvider = () => {
+  const provider = providers[process.env.NAME_PROVIDER];
+  return provider && provider.isConfigured() ? provider : providers.seeded;
+};
+
+/**
+ * Strip a name down to the letters and digits a domain would use
+ */
+const toSlug = (name) => name.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Score a name's length: 6-10 letters is ideal
+ */
+const scoreLength = (name) => {
+  const length = toSlug(name).length;
+
+  if (length >= 6 && length <= 10) {
+    return 1;
+  }
+
+  return length < 6
+    ? Math.max(0, 1 - (6 - length) * 0.2)
+    : Math.max(0, 1 - (length - 10) * 0.1);
+};
+
+/**
+ * Score how easy a name is to say, from its vowel ratio and letter clusters
+ */
+const scorePronounceability = (name) => {
+  const letters = name.toLowerCase().replace(/[^a-z]/g, '');
+
+  if (!letters) {
+    return 0;
+  }
+
+  const vowels = (letters.match(/[aeiouy]/g) || []).length;
+  const ratio = vowels / letters.length;
+  const ratioScore = ratio >= 0.3 && ratio <= 0.55
+    ? 1
+    : Math.max(0, 1 - Math.abs(ratio - (ratio < 0.3 ? 0.3 : 0.55)) * 3);
+
+  const longestConsonants = Math.max(0, ...(letters.match(/[^aeiouy]+/g) || []).map(run => run.length));
+  const longestVowels = Math.max(0, ...(letters.match(/[aeiouy]+/g) || []).map(run => run.length));
+  const clusterPenalty = Math.max(0, longestConsonants - 2) * 0.25 + Math.max(0, longestVowels - 2) * 0.25;
+
+  return Math.max(0, ratioScore * 0.5 + Math.max(0, 1 - clusterPenalty) * 0.5);
+};
+
+/**
+ * Find which names were already suggested or chosen by anyone
+ *
+ * @returns {Promise<Object>} { selected: Set, generated: Set } of lowercase names
+ */
+const findExistingNames = async (names) => {
+  if (!names.length) {
+    return { selected: new Set(), generated: new Set() };
+  }
+
+  const lowered = names.map(name => name.toLowerCase());
+  const placeholders = lowered.map(() => '?').join(', ');
+
+  const selectedRows = await query(
+    `SELECT DISTINCT LOWER(selected_name) as name
+     FROM business_name_suggestions
+     WHERE LOWER(selected_name) IN (${placeholders})`,
+    lowered
+  );
+
+  const generatedRows = await query(
+    `SELECT DISTINCT LOWER(jt.name) as name
+     FROM business_name_suggestions s,
+          JSON_TABLE(s.generated_names, '$[*]' COLUMNS (name VARCHAR(255) PATH '$')) jt
+     WHERE LOWER(jt.name) IN (${placeholders})`,
+    lowered
+  );
+
+  return {
+    selected: new Set(selectedRows.map(row => row.name)),
+    generated: new Set(generatedRows.map(row => row.name))
   };
-  
-  // Get prefixes and suffixes for the given industry or use default
-  const prefixes = industryPrefixes[industry.toLowerCase()] || industryPrefixes.default;
-  const suffixes = industrySuffixes[industry.toLowerCase()] || industrySuffixes.default;
-  
-  // Generate business names using combinations of prefixes, keywords, and suffixes
-  const names = [];
-  
-  // Method 1: Prefix + Keyword
-  keywordList.forEach(keyword => {
-    const prefix = prefixes[Math.floor(Math.random() * prefixes.length)];
-    names.push(`${prefix}${keyword.charAt(0).toUpperCase() + keyword.slice(1)}`);
-  });
-  
-  // Method 2: Keyword + Suffix
-  keywordList.forEach(keyword => {
-    const suffix = suffixes[Math.floor(Math.random() * suffixes.length)];
-    names.push(`${keyword.charAt(0).toUpperCase() + keyword.slice(1)}${suffix}`);
-  });
-  
-  // Method 3: Prefix + Modified Keyword
-  keywordList.forEach(keyword => {
-    const prefix = prefixes[Math.floor(Math.random() * prefixes.length)];
-    // Take first 3-4 chars of keyword
-    const shortKeyword = keyword.substring(0, 3 + Math.floor(Math.random() * 2));
-    names.push(`${prefix}${shortKeyword.charAt(0).toUpperCase() + shortKeyword.slice(1)}`);
-  });
-  
-  // Method 4: Combined Keywords
-  if (keywordList.length >= 2) {
-    for (let i = 0; i < keywordList.length - 1; i++) {
-      const firstWord = keywordList[i].charAt(0).toUpperCase() + keywordList[i].slice(1, 3);
-      const secondWord = keywordList[i+1].charAt(0).toUpperCase() + keywordList[i+1].slice(1);
-      names.push(`${firstWord}${secondWord}`);
+};
+
+/**
+ * Resolve with the promise's value, or with null once the deadline passes
+ */
+const beforeDeadline = (promise, deadline) => new Promise((resolve, reject) => {
+  const timer = setTimeout(() => resolve(null), Math.max(deadline - Date.now(), 0));
+
+  promise.then(
+    value => {
+      clearTimeout(timer);
+      resolve(value);
+    },
+    error => {
+      clearTimeout(timer);
+      reject(error);
+    }
+  );
+});
+
+/**
+ * Score a name's domain: .com available is best, an alternative TLD is second best,
+ * and premium (available at a price) counts for half
+ * @param {string} name - Candidate name
+ * @param {number} deadline - Time (ms since epoch) after which remaining TLDs are skipped
+ */
+const scoreDomain = async (name, deadline) => {
+  const slug = toSlug(name);
+
+  if (!slug) {
+    return { score: 0, domain: null, status: 'unknown' };
+  }
+
+  let best = { score: 0, domain: `${slug}.com`, status: 'unknown' };
+
+  for (const [tld, score] of [['.com', 1], ['.io', 0.5], ['.co', 0.5]]) {
+    const result = Date.now() < deadline
+      ? await beforeDeadline(checkDomainAvailability(`${slug}${tld}`), deadline)
+      : null;
+
+    if (!result) {
+      break;
+    }
+
+    if (result.status === 'available') {
+      return { score, domain: result.domain, status: result.status };
+    }
+
+    if (tld === '.com') {
+      best.status = result.status;
+    }
+
+    if (result.status === 'premium' && score / 2 > best.score) {
+      best = { score: score / 2, domain: result.domain, status: result.status };
     }
   }
-  
-  // Method 5: Industry-specific names
-  names.push(`${industry.charAt(0).toUpperCase() + industry.slice(1)}Hub`);
-  names.push(`${industry.charAt(0).toUpperCase() + industry.slice(1)}Pro`);
-  
-  // Randomize the order
-  return names.sort(() => 0.5 - Math.random()).slice(0, 10);
+
+  return best;
+};
+
+/**
+ * Score a batch of candidates, returning the best `limit` of them
+ *
+ * Domain lookups are the slow part, so only the candidates ranked highest on the
+ * other components (twice as many as needed) are checked, a few at a time and
+ * within DOMAIN_CHECK_DEADLINE_MS overall.
+ */
+const scoreCandidates = async (candidates, limit) => {
+  const existing = await findExistingNames(candidates.map(candidate => candidate.name));
+
+  const combine = (scores) => Object.keys(scores)
+    .reduce((total, component) => total + scores[component] * SCORE_WEIGHTS[component], 0);
+
+  const ranked = candidates
+    .map(candidate => {
+      const key = candidate.name.toLowerCase();
+      const scores = {
+        length: scoreLength(candidate.name),
+        pronounceability: scorePronounceability(candidate.name),
+        // Names someone has chosen are taken; names merely suggested before are less fresh
+        uniqueness: existing.selected.has(key) ? 0 : existing.generated.has(key) ? 0.5 : 1
+      };
+
+      return { candidate, scores, partial: combine(scores) };
+    })
+    .sort((a, b) => b.partial - a.partial)
+    .slice(0, limit * 2);
+
+  const deadline = Date.now() + DOMAIN_CHECK_DEADLINE_MS;
+  const scored = [];
+  let next = 0;
+
+  const worker = async () => {
+    while (next < ranked.length) {
+      const { candidate, scores } = ranked[next++];
+      const domain = await scoreDomain(candidate.name, deadline);
+      const allScores = { ...scores, domain: domain.score };
+
+      scored.push({
+        name: candidate.name,
+        style: candidate.style,
+        score: Math.round(combine(allScores) * 100),
+        scores: Object.fromEntries(Object.entries(allScores).map(([component, value]) => [component, Math.round(value * 100)])),
+        domain: { name: domain.domain, status: domain.status }
+      });
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(DOMAIN_CHECK_CONCURRENCY, ranked.length) }, worker));
+
+  return scored
+    .sort((a, b) => b.score - a.score || a.name.localeCompare(b.name))
+    .slice(0, limit);
+};
+
+/**
+ * Generate scored business name suggestions
+ *
+ * @param {string} industry - Industry, e.g. 'technology'
+ * @param {string|string[]} keywords - Keywords, comma-separated or as a list
+ * @param {Object} options
+ * @param {string|string[]} options.style - Limit to these styles (see NAME_STYLES)
+ * @param {number} options.maxLength - Longest name allowed, in characters
+ * @param {string|string[]} options.excludeWords - Drop names containing any of these words
+ * @param {number} options.limit - Number of suggestions (default 10, max 30)
+ * @param {string|number} options.seed - Varies the seeded provider's output; same seed, same names
+ * @returns {Promise<Object>} { provider, seed, suggestions }
+ */
+const generateBusinessNames = async (industry, keywords, options = {}) => {
+  const keywordList = toWordList(keywords);
+  const styles = options.style ? toWordList(options.style).map(style => style.toLowerCase()) : NAME_STYLES;
+  const excludeWords = toWordList(options.excludeWords).map(word => word.toLowerCase());
+  const maxLength = options.maxLength ? parseInt(options.maxLength, 10) : null;
+  const limit = Math.min(Math.max(parseInt(options.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const seed = options.seed !== undefined && options.seed !== null && options.seed !== '' ? String(options.seed) : '0';
+
+  const invalidStyles = styles.filter(style => !NAME_STYLES.includes(style));
+
+  if (invalidStyles.length) {
+    throw new Error(`Style must be one of: ${NAME_STYLES.join(', ')}`);
+  }
+
+  if (maxLength !== null && (isNaN(maxLength) || maxLength < 3)) {
+    throw new Error('Max length must be a number of at least 3');
+  }
+
+  const request = { industry, keywords: keywordList, styles, count: limit * CANDIDATE_MULTIPLIER, seed };
+  let provider = getProvider();
+  let candidates;
+
+  try {
+    candidates = await provider.generate(request);
+  } catch (error) {
+    // Fall back to the seeded generator rather than failing the request
+    console.error(`Error generating names with the ${provider.name} provider:`, error);
+    provider = providers.seeded;
+    candidates = await provider.generate(request);
+  }
+
+  const seen = new Set();
+
+  const filtered = candidates.filter(candidate => {
+    const key = candidate.name.toLowerCase();
+
+    if (seen.has(key)) {
+      return false;
+    }
+
+    seen.add(key);
+
+    return styles.includes(candidate.style)
+      && (maxLength === null || candidate.name.length <= maxLength)
+      && !excludeWords.some(word => key.includes(word));
+  });
+
+  return {
+    provider: provider.name,
+    seed,
+    suggestions: await scoreCandidates(filtered, limit)
+  };
 };
 
 module.exports = {
+  NAME_STYLES,
   generateBusinessNames
-}; 
\ No newline at end of file
+};
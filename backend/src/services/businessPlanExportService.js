@@ -0,0 +1,861 @@
+/**
+ * Business Plan Export Service
+ *
+ * Renders a business plan as a document to hand to investors: a cover page with
+ * the business name, tagline and logo from the workspace's brand kit, a table of
+ * contents, the sections in order and the financial models attached to the plan
+ * as tables and bar charts. Formats: PDF, DOCX, Markdown and HTML.
+ */
+const fs = require('fs');
+const Handlebars = require('handlebars');
+const { query } = require('../config/db');
+const { getBusinessPlanDetails } = require('./businessPlanService');
+const { workspaceCondition } = require('./organizationService');
+const { getFilePath } = require('../utils/fileStorage');
+const { readRasterImage } = require('../utils/rasterImage');
+const { createZip } = require('../utils/zipArchive');
+const { createPdfDocument, measureText, wrapText } = require('../utils/pdfDocument');
+const {
+  DEFAULT_COLORS,
+  layoutBarChart,
+  renderBarChartSvg,
+  renderBarChartPng
+} = require('../utils/barChart');
+
+const EXPORT_FORMATS = {
+  pdf: { contentType: 'application/pdf', extension: 'pdf' },
+  docx: { contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', extension: 'docx' },
+  md: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+  html: { contentType: 'text/html; charset=utf-8', extension: 'html' }
+};
+
+// Logo variants to put on the cover, most suitable first
+const COVER_LOGO_VARIANTS = ['primary', 'wordmark', 'secondary', 'icon', 'monochrome', 'inverse'];
+
+// Projection fields worth charting, in order of preference; at most three are drawn
+const CHART_FIELDS = ['revenue', 'expenses', 'totalCosts', 'profit', 'cashFlow', 'cashBalance', 'units'];
+const MAX_CHART_SERIES = 3;
+
+// Running totals keep their last value when monthly rows are rolled up into years
+const BALANCE_FIELDS = ['cashBalance', 'balance', 'breakEvenReached'];
+
+// Projections longer than this many rows are summarized by year
+const MAX_MONTHLY_ROWS = 12;
+
+const parseJson = (value) => {
+  if (!value) return null;
+  if (typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+};
+
+const isScalar = (value) => value === null || ['string', 'number', 'boolean'].includes(typeof value);
+
+/**
+ * Turn a camelCase or snake_case key into a label ("cashBalance" -> "Cash balance")
+ */
+const humanize = (key) => {
+  const words = String(key).replace(/_/g, ' ').replace(/([a-z0-9])([A-Z])/g, '$1 $2').toLowerCase().trim();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (typeof value === 'number') return value.toLocaleString('en-US', { maximumFractionDigits: 2 });
+  return String(value);
+};
+
+/**
+ * Split section text into headings, paragraphs and bullet lists
+ *
+ * Sections are plain text; lines starting with # are read as subheadings and
+ * lines starting with -, * or a number as list items.
+ */
+const toBlocks = (content) => {
+  const blocks = [];
+  let paragraph = [];
+
+  const flush = () => {
+    if (paragraph.length) blocks.push({ type: 'paragraph', text: paragraph.join(' ') });
+    paragraph = [];
+  };
+
+  for (const rawLine of String(content || '').split(/\r?\n/)) {
+    const line = rawLine.trim().replace(/\*\*(.+?)\*\*|__(.+?)__/g, '$1$2');
+    const heading = line.match(/^#{1,6}\s+(.*)$/);
+    const item = line.match(/^(?:[-*•]|\d+[.)])\s+(.*)$/);
+
+    if (!line) {
+      flush();
+    } else if (heading) {
+      flush();
+      blocks.push({ type: 'heading', text: heading[1] });
+    } else if (item) {
+      flush();
+      const last = blocks[blocks.length - 1];
+      if (last && last.type === 'list') {
+        last.items.push(item[1]);
+      } else {
+        blocks.push({ type: 'list', items: [item[1]] });
+      }
+    } else {
+      paragraph.push(line);
+    }
+  }
+
+  flush();
+
+  return blocks;
+};
+
+/**
+ * Sum monthly projection rows into one row per year
+ */
+const rollUpByYear = (rows) => {
+  const years = new Map();
+
+  for (const row of rows) {
+    const total = years.get(row.year) || { year: `Year ${row.year}` };
+
+    for (const [key, value] of Object.entries(row)) {
+      if (['year', 'month', 'monthName'].includes(key)) continue;
+
+      if (BALANCE_FIELDS.includes(key) || typeof value !== 'number') {
+        total[key] = value;
+      } else {
+        total[key] = Math.round(((total[key] || 0) + value) * 100) / 100;
+      }
+    }
+
+    years.set(row.year, total);
+  }
+
+  return [...years.values()];
+};
+
+/**
+ * Describe a financial model's data and assumptions as tables and charts
+ *
+ * Models store free-form JSON; projections saved from the projection endpoints
+ * have { projection: [...monthly rows], summary: {...} }. Scalar values become a
+ * key figures table and arrays of rows become tables with a chart.
+ */
+const describeFinancialModel = (model) => {
+  const data = parseJson(model.data) || {};
+  const assumptions = parseJson(model.assumptions) || {};
+  const tables = [];
+
+  const keyFigures = [
+    ...Object.entries(data).filter(([, value]) => isScalar(value)),
+    ...Object.entries(parseJson(data.summary) || {}).filter(([, value]) => isScalar(value))
+  ];
+
+  if (keyFigures.length) {
+    tables.push({
+      title: 'Key figures',
+      columns: ['Item', 'Value'],
+      rows: keyFigures.map(([key, value]) => [humanize(key), formatValue(value)]),
+      chart: null
+    });
+  }
+
+  for (const [key, value] of Object.entries(data)) {
+    if (!Array.isArray(value) || !value.length || !value.every(row => row && typeof row === 'object' && !Array.isArray(row))) {
+      continue;
+    }
+
+    const byYear = value.length > MAX_MONTHLY_ROWS && value.every(row => Number.isFinite(row.year));
+    const rows = byYear ? rollUpByYear(value) : value;
+    const fields = [...new Set(rows.flatMap(row => Object.keys(row).filter(field => isScalar(row[field]))))]
+      .filter(field => !(field === 'month' && rows.some(row => row.monthName)));
+
+    const labelField = fields.find(field => rows.every(row => typeof row[field] === 'string'));
+    const numericFields = fields.filter(field =>
+      field !== 'month' && field !== 'year' && rows.every(row => row[field] === undefined || typeof row[field] === 'number'));
+    const charted = CHART_FIELDS.filter(field => numericFields.includes(field));
+    const series = (charted.length ? charted : numericFields).slice(0, MAX_CHART_SERIES);
+
+    tables.push({
+      title: `${humanize(key)}${byYear ? ' (yearly totals)' : ''}`,
+      columns: fields.map(humanize),
+      rows: rows.map(row => fields.map(field => formatValue(row[field]))),
+      chart: series.length && rows.length > 1
+        ? {
+          labels: rows.map((row, index) => (labelField ? String(row[labelField]).slice(0, 10) : String(index + 1))),
+          series: series.map(field => ({ name: humanize(field), values: rows.map(row => Number(row[field])) }))
+        }
+        : null
+    });
+  }
+
+  const assumptionRows = Object.entries(assumptions).filter(([, value]) => isScalar(value));
+
+  if (assumptionRows.length) {
+    tables.push({
+      title: 'Assumptions',
+      columns: ['Assumption', 'Value'],
+      rows: assumptionRows.map(([key, value]) => [humanize(key), formatValue(value)]),
+      chart: null
+    });
+  }
+
+  return {
+    id: model.id,
+    title: model.title,
+    description: model.description || '',
+    type: model.type,
+    tables
+  };
+};
+
+/**
+ * Cover details from the latest brand kit in the plan's workspace, falling back
+ * to the owner's selected business name and tagline
+ */
+const getCover = async (plan) => {
+  const kits = await query(
+    `SELECT id, business_name, tagline, palette, typography FROM brand_kits
+     WHERE ${plan.organization_id ? 'organization_id = ?' : 'user_id = ? AND organization_id IS NULL'}
+     ORDER BY updated_at DESC LIMIT 1`,
+    [plan.organization_id || plan.user_id]
+  );
+  const kit = kits[0] || null;
+
+  let businessName = kit && kit.business_name;
+  let tagline = kit && kit.tagline;
+
+  if (!businessName) {
+    const names = await query(
+      `SELECT selected_name FROM business_name_suggestions
+       WHERE user_id = ? AND selected_name IS NOT NULL
+       ORDER BY created_at DESC LIMIT 1`,
+      [plan.user_id]
+    );
+    businessName = names.length ? names[0].selected_name : plan.title;
+  }
+
+  if (!tagline) {
+    const workspace = workspaceCondition(plan.user_id, plan.organization_id);
+    const taglines = await query(
+      `SELECT selected_tagline FROM tagline_suggestions
+       WHERE ${workspace.sql} AND selected_tagline IS NOT NULL
+       ORDER BY created_at DESC LIMIT 1`,
+      workspace.params
+    );
+    tagline = taglines.length ? taglines[0].selected_tagline : '';
+  }
+
+  let logo = null;
+
+  if (kit) {
+    const logos = await query(
+      `SELECT file_path, mime_type FROM brand_kit_logos
+       WHERE brand_kit_id = ?
+       ORDER BY FIELD(variant, ${COVER_LOGO_VARIANTS.map(() => '?').join(', ')}), created_at DESC
+       LIMIT 1`,
+      [kit.id, ...COVER_LOGO_VARIANTS]
+    );
+    const filePath = logos.length ? getFilePath(logos[0].file_path) : null;
+
+    if (filePath && fs.existsSync(filePath)) {
+      const buffer = await fs.promises.readFile(filePath);
+      // PDF and DOCX can only embed PNG and JPEG logos; HTML and Markdown take any
+      logo = { mimeType: logos[0].mime_type, buffer, raster: readRasterImage(buffer) };
+    }
+  }
+
+  const palette = kit ? parseJson(kit.palette) : null;
+  const colorFor = (role) => {
+    const match = palette && Array.isArray(palette.colors) ? palette.colors.find(color => color.role === role) : null;
+    return match ? match.hex : null;
+  };
+  const brandColors = ['primary', 'secondary', 'accent'].map(colorFor).filter(Boolean);
+  const typography = kit ? parseJson(kit.typography) : null;
+
+  return {
+    businessName,
+    tagline: tagline || '',
+    logo,
+    accentColor: brandColors[0] || DEFAULT_COLORS[0],
+    chartColors: brandColors.length ? [...brandColors, ...DEFAULT_COLORS] : DEFAULT_COLORS,
+    fonts: typography && typography.heading && typography.body
+      ? { heading: typography.heading.family, body: typography.body.family }
+      : null
+  };
+};
+
+/**
+ * Collect everything an export needs
+ */
+const getExportDocument = async (planId, userId) => {
+  // Checks the user can view the plan and returns sections in sort_order
+  const plan = await getBusinessPlanDetails(planId, userId);
+
+  const owners = await query('SELECT user_id, organization_id FROM business_plans WHERE id = ?', [planId]);
+  const cover = await getCover({ ...owners[0], title: plan.title });
+
+  // Models attached to a plan are part of it, so anyone who can view the plan sees them
+  const models = await query(
+    `SELECT id, title, description, type, data, assumptions
+     FROM financial_models
+     WHERE plan_id = ?
+     ORDER BY created_at, id`,
+    [planId]
+  );
+
+  const sections = plan.sections.map((section, index) => ({
+    anchor: `section-${index + 1}`,
+    title: section.title,
+    content: section.content || '',
+    blocks: toBlocks(section.content)
+  }));
+
+  const financials = models.map((model, index) => ({
+    anchor: `financials-${index + 1}`,
+    ...describeFinancialModel(model)
+  }));
+
+  return {
+    plan,
+    cover,
+    sections,
+    financials,
+    contents: [
+      ...sections.map(section => ({ anchor: section.anchor, title: section.title })),
+      ...financials.map(model => ({ anchor: model.anchor, title: `Financials: ${model.title}` }))
+    ],
+    preparedOn: new Date().toISOString().slice(0, 10)
+  };
+};
+
+const dataUri = (mimeType, buffer) => `data:${mimeType};base64,${buffer.toString('base64')}`;
+
+/**
+ * Render as Markdown; the logo and charts are embedded as data URIs
+ */
+const renderMarkdown = (doc) => {
+  const cell = (value) => String(value).replace(/\|/g, '\\|').replace(/\s+/g, ' ');
+  const lines = [`# ${doc.cover.businessName}`, ''];
+
+  if (doc.cover.tagline) lines.push(`*${doc.cover.tagline}*`, '');
+  if (doc.cover.logo) lines.push(`![${doc.cover.businessName} logo](${dataUri(doc.cover.logo.mimeType, doc.cover.logo.buffer)})`, '');
+
+  lines.push(`**${doc.plan.title}**`, '', `Prepared ${doc.preparedOn}`, '', '---', '', '## Contents', '');
+  doc.contents.forEach((entry, index) => lines.push(`${index + 1}. [${entry.title}](#${entry.anchor})`));
+  lines.push('');
+
+  for (const section of doc.sections) {
+    lines.push('---', '', `<a id="${section.anchor}"></a>`, '', `## ${section.title}`, '');
+    if (section.content.trim()) lines.push(section.content.trim(), '');
+  }
+
+  for (const model of doc.financials) {
+    lines.push('---', '', `<a id="${model.anchor}"></a>`, '', `## Financials: ${model.title}`, '');
+    if (model.description) lines.push(model.description, '');
+
+    for (const table of model.tables) {
+      lines.push(`### ${table.title}`, '');
+      lines.push(`| ${table.columns.map(cell).join(' | ')} |`);
+      lines.push(`| ${table.columns.map(() => '---').join(' | ')} |`);
+      table.rows.forEach(row => lines.push(`| ${row.map(cell).join(' | ')} |`));
+      lines.push('');
+
+      if (table.chart) {
+        const png = renderBarChartPng(table.chart, { colors: doc.cover.chartColors });
+        lines.push(`![${table.title} chart: ${table.chart.series.map(series => series.name).join(', ')}](${dataUri('image/png', png)})`, '');
+      }
+    }
+  }
+
+  return lines.join('\n');
+};
+
+const htmlTemplate = Handlebars.compile(`<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>{{plan.title}} - {{cover.businessName}}</title>
+  <style>
+    body { font-family: {{#if fonts}}'{{fonts.body}}', {{/if}}Georgia, 'Times New Roman', serif; color: #212121; max-width: 820px; margin: 0 auto; padding: 40px; line-height: 1.5; }
+    h1, h2, h3 { font-family: {{#if fonts}}'{{fonts.heading}}', {{/if}}Arial, sans-serif; }
+    h2 { border-bottom: 3px solid {{cover.accentColor}}; padding-bottom: 4px; }
+    .cover { min-height: 90vh; display: flex; flex-direction: column; justify-content: center; align-items: center; text-align: center; border-top: 12px solid {{cover.accentColor}}; }
+    .cover img { max-width: 240px; max-height: 160px; margin-bottom: 32px; }
+    .cover h1 { font-size: 44px; margin: 0; }
+    .tagline { font-size: 20px; color: #616161; font-style: italic; }
+    .plan-title { font-size: 24px; margin-top: 48px; }
+    .prepared { color: #757575; font-family: Arial, sans-serif; font-size: 13px; }
+    .page { page-break-before: always; }
+    table { border-collapse: collapse; width: 100%; margin: 12px 0; font-family: Arial, sans-serif; font-size: 12px; }
+    th, td { border: 1px solid #e0e0e0; padding: 4px 8px; text-align: left; }
+    th { background: #f5f5f5; }
+    svg { max-width: 100%; height: auto; }
+  </style>
+</head>
+<body>
+  <div class="cover">
+    {{#if logoSrc}}<img src="{{logoSrc}}" alt="{{cover.businessName}} logo">{{/if}}
+    <h1>{{cover.businessName}}</h1>
+    {{#if cover.tagline}}<p class="tagline">{{cover.tagline}}</p>{{/if}}
+    <p class="plan-title">{{plan.title}}</p>
+    <p class="prepared">Prepared {{preparedOn}}</p>
+  </div>
+  <div class="page">
+    <h2>Contents</h2>
+    <ol>
+      {{#each contents}}<li><a href="#{{anchor}}">{{title}}</a></li>
+      {{/each}}
+    </ol>
+  </div>
+  {{#each sections}}
+  <section id="{{anchor}}"{{#if @first}} class="page"{{/if}}>
+    <h2>{{title}}</h2>
+    {{#each blocks}}
+    {{#if isHeading}}<h3>{{text}}</h3>{{/if}}
+    {{#if isParagraph}}<p>{{text}}</p>{{/if}}
+    {{#if isList}}<ul>{{#each items}}<li>{{this}}</li>{{/each}}</ul>{{/if}}
+    {{/each}}
+  </section>
+  {{/each}}
+  {{#each financials}}
+  <section id="{{anchor}}" class="page">
+    <h2>Financials: {{title}}</h2>
+    {{#if description}}<p>{{description}}</p>{{/if}}
+    {{#each tables}}
+    <h3>{{title}}</h3>
+    {{#if chartSvg}}{{{chartSvg}}}{{/if}}
+    <table>
+      <thead><tr>{{#each columns}}<th>{{this}}</th>{{/each}}</tr></thead>
+      <tbody>{{#each rows}}<tr>{{#each this}}<td>{{this}}</td>{{/each}}</tr>{{/each}}</tbody>
+    </table>
+    {{/each}}
+  </section>
+  {{/each}}
+</body>
+</html>
+`);
+
+/**
+ * Render as a standalone HTML page (print it to get a PDF in the browser's layout)
+ */
+const renderHtml = (doc) => htmlTemplate({
+  ...doc,
+  fonts: doc.cover.fonts,
+  logoSrc: doc.cover.logo ? dataUri(doc.cover.logo.mimeType, doc.cover.logo.buffer) : null,
+  sections: doc.sections.map(section => ({
+    ...section,
+    blocks: section.blocks.map(block => ({
+      ...block,
+      isHeading: block.type === 'heading',
+      isParagraph: block.type === 'paragraph',
+      isList: block.type === 'list'
+    }))
+  })),
+  financials: doc.financials.map(model => ({
+    ...model,
+    tables: model.tables.map(table => ({
+      ...table,
+      chartSvg: table.chart ? renderBarChartSvg(table.chart, { colors: doc.cover.chartColors }) : null
+    }))
+  }))
+});
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  // Control characters are not allowed in XML
+  .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+
+const EMU_PER_INCH = 914400;
+
+const DOCX_STYLES = (fonts, accentColor) => `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+  <w:docDefaults>
+    <w:rPrDefault><w:rPr><w:rFonts w:ascii="${escapeXml(fonts ? fonts.body : 'Calibri')}" w:hAnsi="${escapeXml(fonts ? fonts.body : 'Calibri')}" w:cs="Arial"/><w:sz w:val="22"/></w:rPr></w:rPrDefault>
+    <w:pPrDefault><w:pPr><w:spacing w:after="160" w:line="276" w:lineRule="auto"/></w:pPr></w:pPrDefault>
+  </w:docDefaults>
+  <w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/></w:style>
+  <w:style w:type="paragraph" w:styleId="Title"><w:name w:val="Title"/><w:basedOn w:val="Normal"/><w:pPr><w:jc w:val="center"/><w:spacing w:before="480" w:after="120"/></w:pPr><w:rPr><w:rFonts w:ascii="${escapeXml(fonts ? fonts.heading : 'Calibri Light')}" w:hAnsi="${escapeXml(fonts ? fonts.heading : 'Calibri Light')}"/><w:b/><w:sz w:val="64"/></w:rPr></w:style>
+  <w:style w:type="paragraph" w:styleId="Subtitle"><w:name w:val="Subtitle"/><w:basedOn w:val="Normal"/><w:pPr><w:jc w:val="center"/></w:pPr><w:rPr><w:i/><w:color w:val="616161"/><w:sz w:val="32"/></w:rPr></w:style>
+  <w:style w:type="paragraph" w:styleId="Heading1"><w:name w:val="heading 1"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:pPr><w:keepNext/><w:spacing w:before="360" w:after="120"/><w:pBdr><w:bottom w:val="single" w:sz="12" w:space="4" w:color="${accentColor.replace('#', '')}"/></w:pBdr><w:outlineLvl w:val="0"/></w:pPr><w:rPr><w:rFonts w:ascii="${escapeXml(fonts ? fonts.heading : 'Calibri Light')}" w:hAnsi="${escapeXml(fonts ? fonts.heading : 'Calibri Light')}"/><w:b/><w:sz w:val="36"/></w:rPr></w:style>
+  <w:style w:type="paragraph" w:styleId="Heading2"><w:name w:val="heading 2"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:pPr><w:keepNext/><w:spacing w:before="240" w:after="80"/><w:outlineLvl w:val="1"/></w:pPr><w:rPr><w:rFonts w:ascii="${escapeXml(fonts ? fonts.heading : 'Calibri Light')}" w:hAnsi="${escapeXml(fonts ? fonts.heading : 'Calibri Light')}"/><w:b/><w:sz w:val="28"/></w:rPr></w:style>
+  <w:style w:type="character" w:styleId="Hyperlink"><w:name w:val="Hyperlink"/><w:rPr><w:color w:val="0563C1"/><w:u w:val="single"/></w:rPr></w:style>
+</w:styles>`;
+
+/**
+ * Render as a Word document, assembled from Office Open XML parts
+ */
+const renderDocx = (doc) => {
+  const media = [];
+  const body = [];
+  let drawingId = 0;
+  let bookmarkId = 0;
+
+  const run = (text, props = '') => `<w:r>${props ? `<w:rPr>${props}</w:rPr>` : ''}<w:t xml:space="preserve">${escapeXml(text)}</w:t></w:r>`;
+  const paragraph = (content, props = '') => `<w:p>${props ? `<w:pPr>${props}</w:pPr>` : ''}${content}</w:p>`;
+  const pageBreak = '<w:p><w:r><w:br w:type="page"/></w:r></w:p>';
+
+  const heading = (text, anchor, level = 1) => {
+    bookmarkId += 1;
+    const bookmark = anchor
+      ? `<w:bookmarkStart w:id="${bookmarkId}" w:name="${anchor.replace(/-/g, '_')}"/><w:bookmarkEnd w:id="${bookmarkId}"/>`
+      : '';
+    return paragraph(`${bookmark}${run(text)}`, `<w:pStyle w:val="Heading${level}"/>`);
+  };
+
+  const image = (buffer, extension, widthPx, heightPx, maxWidthIn, maxHeightIn) => {
+    media.push({ name: `image${media.length + 1}.${extension}`, buffer });
+    drawingId += 1;
+    const scale = Math.min(maxWidthIn / widthPx, maxHeightIn / heightPx);
+    const cx = Math.round(widthPx * scale * EMU_PER_INCH);
+    const cy = Math.round(heightPx * scale * EMU_PER_INCH);
+    const rel = `rIdImage${media.length}`;
+    return `<w:r><w:drawing><wp:inline distT="0" distB="0" distL="0" distR="0"><wp:extent cx="${cx}" cy="${cy}"/><wp:docPr id="${drawingId}" name="Picture ${drawingId}"/>` +
+      '<a:graphic xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main"><a:graphicData uri="http://schemas.openxmlformats.org/drawingml/2006/picture">' +
+      `<pic:pic xmlns:pic="http://schemas.openxmlformats.org/drawingml/2006/picture"><pic:nvPicPr><pic:cNvPr id="${drawingId}" name="image${media.length}.${extension}"/><pic:cNvPicPr/></pic:nvPicPr>` +
+      `<pic:blipFill><a:blip r:embed="${rel}"/><a:stretch><a:fillRect/></a:stretch></pic:blipFill>` +
+      `<pic:spPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="${cx}" cy="${cy}"/></a:xfrm><a:prstGeom prst="rect"><a:avLst/></a:prstGeom></pic:spPr></pic:pic>` +
+      '</a:graphicData></a:graphic></wp:inline></w:drawing></w:r>';
+  };
+
+  const table = (columns, rows) => {
+    const border = '<w:top w:val="single" w:sz="4" w:color="BDBDBD"/><w:left w:val="single" w:sz="4" w:color="BDBDBD"/><w:bottom w:val="single" w:sz="4" w:color="BDBDBD"/><w:right w:val="single" w:sz="4" w:color="BDBDBD"/><w:insideH w:val="single" w:sz="4" w:color="BDBDBD"/><w:insideV w:val="single" w:sz="4" w:color="BDBDBD"/>';
+    const size = columns.length > 6 ? 16 : 18;
+    const cellXml = (text, header) => `<w:tc>${header ? '<w:tcPr><w:shd w:val="clear" w:color="auto" w:fill="F5F5F5"/></w:tcPr>' : ''}` +
+      `${paragraph(run(text, `${header ? '<w:b/>' : ''}<w:sz w:val="${size}"/>`), '<w:spacing w:after="0"/>')}</w:tc>`;
+
+    return `<w:tbl><w:tblPr><w:tblW w:w="5000" w:type="pct"/><w:tblBorders>${border}</w:tblBorders></w:tblPr>` +
+      `<w:tr><w:trPr><w:tblHeader/></w:trPr>${columns.map(column => cellXml(column, true)).join('')}</w:tr>` +
+      `${rows.map(row => `<w:tr>${row.map(value => cellXml(value, false)).join('')}</w:tr>`).join('')}</w:tbl>${paragraph('')}`;
+  };
+
+  // Cover page
+  const logo = doc.cover.logo && doc.cover.logo.raster;
+  if (logo) {
+    body.push(paragraph(image(doc.cover.logo.buffer, logo.format === 'png' ? 'png' : 'jpeg', logo.width, logo.height, 2.5, 1.5), '<w:jc w:val="center"/><w:spacing w:before="2400"/>'));
+  }
+  body.push(paragraph(run(doc.cover.businessName), `<w:pStyle w:val="Title"/>${logo ? '' : '<w:spacing w:before="3600"/>'}`));
+  if (doc.cover.tagline) body.push(paragraph(run(doc.cover.tagline), '<w:pStyle w:val="Subtitle"/>'));
+  body.push(paragraph(run(doc.plan.title, '<w:sz w:val="32"/>'), '<w:jc w:val="center"/><w:spacing w:before="960"/>'));
+  body.push(paragraph(run(`Prepared ${doc.preparedOn}`, '<w:color w:val="757575"/>'), '<w:jc w:val="center"/>'));
+  body.push(pageBreak);
+
+  // Contents, linked to bookmarks on each heading
+  body.push(heading('Contents'));
+  doc.contents.forEach((entry, index) => {
+    body.push(paragraph(`<w:hyperlink w:anchor="${entry.anchor.replace(/-/g, '_')}">${run(`${index + 1}. ${entry.title}`, '<w:rStyle w:val="Hyperlink"/>')}</w:hyperlink>`));
+  });
+  body.push(pageBreak);
+
+  for (const section of doc.sections) {
+    body.push(heading(section.title, section.anchor));
+
+    for (const block of section.blocks) {
+      if (block.type === 'heading') {
+        body.push(paragraph(run(block.text), '<w:pStyle w:val="Heading2"/>'));
+      } else if (block.type === 'list') {
+        block.items.forEach(item => body.push(paragraph(run(`•\t${item}`), '<w:ind w:left="720" w:hanging="360"/><w:spacing w:after="60"/>')));
+      } else {
+        body.push(paragraph(run(block.text)));
+      }
+    }
+  }
+
+  for (const model of doc.financials) {
+    body.push(pageBreak);
+    body.push(heading(`Financials: ${model.title}`, model.anchor));
+    if (model.description) body.push(paragraph(run(model.description)));
+
+    for (const entry of model.tables) {
+      body.push(paragraph(run(entry.title), '<w:pStyle w:val="Heading2"/>'));
+
+      if (entry.chart) {
+        const chartOptions = { width: 640, height: 300, colors: doc.cover.chartColors };
+        body.push(paragraph(image(renderBarChartPng(entry.chart, chartOptions), 'png', chartOptions.width, chartOptions.height, 6, 3)));
+        body.push(paragraph(run(`Chart: ${entry.chart.series.map(series => series.name).join(', ')} by ${entry.columns[0].toLowerCase()}`, '<w:i/><w:color w:val="757575"/><w:sz w:val="18"/>')));
+      }
+
+      body.push(table(entry.columns, entry.rows));
+    }
+  }
+
+  const document = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships" xmlns:wp="http://schemas.openxmlformats.org/drawingml/2006/wordprocessingDrawing">' +
+    `<w:body>${body.join('')}<w:sectPr><w:pgSz w:w="11906" w:h="16838"/><w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440" w:header="708" w:footer="708" w:gutter="0"/></w:sectPr></w:body></w:document>`;
+
+  const documentRels = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rIdStyles" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+    media.map((file, index) => `<Relationship Id="rIdImage${index + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/image" Target="media/${file.name}"/>`).join('') +
+    '</Relationships>';
+
+  return createZip([
+    {
+      name: '[Content_Types].xml',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Default Extension="png" ContentType="image/png"/>' +
+        '<Default Extension="jpeg" ContentType="image/jpeg"/>' +
+        '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>' +
+        '<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>' +
+        '<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>' +
+        '</Types>'
+    },
+    {
+      name: '_rels/.rels',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>' +
+        '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>' +
+        '</Relationships>'
+    },
+    {
+      name: 'docProps/core.xml',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/">' +
+        `<dc:title>${escapeXml(doc.plan.title)}</dc:title><dc:creator>${escapeXml(doc.cover.businessName)}</dc:creator>` +
+        '</cp:coreProperties>'
+    },
+    { name: 'word/document.xml', content: document },
+    { name: 'word/styles.xml', content: DOCX_STYLES(doc.cover.fonts, doc.cover.accentColor) },
+    { name: 'word/_rels/document.xml.rels', content: documentRels },
+    ...media.map(file => ({ name: `word/media/${file.name}`, content: file.buffer }))
+  ]);
+};
+
+const PDF_MARGIN = 56;
+const PDF_TOC_LINE = 20;
+
+/**
+ * Render as a PDF, laid out page by page
+ */
+const renderPdf = (doc) => {
+  const pdf = createPdfDocument({ title: doc.plan.title, author: doc.cover.businessName });
+  const { pageWidth, pageHeight } = pdf;
+  const contentWidth = pageWidth - PDF_MARGIN * 2;
+  const bottom = pageHeight - PDF_MARGIN;
+  const { accentColor, chartColors } = doc.cover;
+
+  // Cover page
+  const cover = pdf.addPage();
+  cover.rect(0, 0, pageWidth, 14, { fill: accentColor });
+  let coverY = 220;
+
+  const logo = doc.cover.logo && doc.cover.logo.raster;
+  if (logo) {
+    const scale = Math.min(180 / logo.width, 110 / logo.height);
+    const width = logo.width * scale;
+    const height = logo.height * scale;
+    cover.image(pdf.addImage(logo), (pageWidth - width) / 2, coverY - height, width, height);
+    coverY += 50;
+  }
+
+  const centered = (page, text, y, options) => {
+    for (const line of wrapText(text, contentWidth, options.size, options.bold)) {
+      page.text(line, (pageWidth - measureText(line, options.size, options.bold)) / 2, y, options);
+      y += options.size * 1.3;
+    }
+    return y;
+  };
+
+  coverY = centered(cover, doc.cover.businessName, coverY + 20, { size: 30, bold: true });
+  if (doc.cover.tagline) coverY = centered(cover, doc.cover.tagline, coverY + 6, { size: 14, color: '#616161' });
+  coverY = centered(cover, doc.plan.title, coverY + 60, { size: 18 });
+  centered(cover, `Prepared ${doc.preparedOn}`, coverY + 10, { size: 10, color: '#757575' });
+
+  // Contents pages are reserved now and filled in once page numbers are known
+  const tocPerPage = Math.floor((bottom - PDF_MARGIN - 40) / PDF_TOC_LINE);
+  const tocPages = Array.from({ length: Math.max(1, Math.ceil(doc.contents.length / tocPerPage)) }, () => pdf.addPage());
+  const destinations = {};
+
+  let page = null;
+  let y = 0;
+
+  const newPage = () => {
+    page = pdf.addPage();
+    y = PDF_MARGIN;
+  };
+
+  const ensure = (height) => {
+    if (!page || y + height > bottom) newPage();
+  };
+
+  const heading = (text, anchor) => {
+    ensure(60);
+    if (y > PDF_MARGIN) y += 16;
+    if (anchor) destinations[anchor] = { page: pdf.pages.length - 1, top: y };
+    for (const line of wrapText(text, contentWidth, 18, true)) {
+      page.text(line, PDF_MARGIN, y + 18, { size: 18, bold: true });
+      y += 24;
+    }
+    page.rect(PDF_MARGIN, y, contentWidth, 2, { fill: accentColor });
+    y += 14;
+  };
+
+  const textBlock = (text, { size = 11, bold = false, color = '#212121', indent = 0, bullet = false } = {}) => {
+    wrapText(text, contentWidth - indent, size, bold).forEach((line, index) => {
+      ensure(size * 1.45);
+      if (bullet && index === 0) page.text('•', PDF_MARGIN + indent - 10, y + size, { size, color });
+      page.text(line, PDF_MARGIN + indent, y + size, { size, bold, color });
+      y += size * 1.45;
+    });
+  };
+
+  const table = (columns, rows) => {
+    const size = columns.length > 6 ? 7.5 : 9;
+    const rowHeight = size + 7;
+    const columnWidth = contentWidth / columns.length;
+    const fit = (text, bold) => {
+      let value = String(text);
+      if (measureText(value, size, bold) <= columnWidth - 8) return value;
+      while (value.length > 1 && measureText(`${value}…`, size, bold) > columnWidth - 8) value = value.slice(0, -1);
+      return `${value}…`;
+    };
+    const drawRow = (cells, header) => {
+      page.rect(PDF_MARGIN, y, contentWidth, rowHeight, { fill: header ? '#F5F5F5' : null, stroke: '#E0E0E0', lineWidth: 0.5 });
+      cells.forEach((cell, index) => {
+        page.text(fit(cell, header), PDF_MARGIN + columnWidth * index + 4, y + size + 2.5, { size, bold: header });
+      });
+      y += rowHeight;
+    };
+
+    ensure(rowHeight * 2);
+    drawRow(columns, true);
+    for (const row of rows) {
+      if (y + rowHeight > bottom) {
+        newPage();
+        drawRow(columns, true);
+      }
+      drawRow(row, false);
+    }
+    y += 10;
+  };
+
+  const chart = (data) => {
+    const height = 220;
+    ensure(height + 10);
+    const layout = layoutBarChart(data, { width: contentWidth, height, colors: chartColors });
+    const left = PDF_MARGIN;
+    const top = y;
+    const { plot } = layout;
+
+    for (const line of layout.gridLines) {
+      page.line(left + plot.x, top + line.y, left + plot.x + plot.width, top + line.y, { color: '#E0E0E0', lineWidth: 0.5 });
+      page.text(line.label, left + plot.x - 6 - measureText(line.label, 7), top + line.y + 2.5, { size: 7, color: '#616161' });
+    }
+    for (const bar of layout.bars) {
+      page.rect(left + bar.x, top + bar.y, bar.width, Math.max(bar.height, 0.5), { fill: bar.color });
+    }
+    page.line(left + plot.x, top + layout.zeroY, left + plot.x + plot.width, top + layout.zeroY, { color: '#616161', lineWidth: 0.75 });
+    for (const label of layout.labels) {
+      page.text(label.text, left + label.x - measureText(label.text, 7) / 2, top + plot.y + plot.height + 12, { size: 7, color: '#616161' });
+    }
+    layout.legend.forEach((entry, index) => {
+      page.rect(left + plot.x + index * 140, top + 6, 9, 9, { fill: entry.color });
+      page.text(entry.name, left + plot.x + index * 140 + 14, top + 14, { size: 8 });
+    });
+
+    y += height + 10;
+  };
+
+  for (const section of doc.sections) {
+    heading(section.title, section.anchor);
+
+    for (const block of section.blocks) {
+      if (block.type === 'heading') {
+        ensure(40);
+        y += 6;
+        textBlock(block.text, { size: 13, bold: true });
+      } else if (block.type === 'list') {
+        block.items.forEach(item => textBlock(item, { indent: 16, bullet: true }));
+      } else {
+        textBlock(block.text);
+      }
+      y += 6;
+    }
+  }
+
+  for (const model of doc.financials) {
+    newPage();
+    heading(`Financials: ${model.title}`, model.anchor);
+    if (model.description) textBlock(model.description, { color: '#424242' });
+
+    for (const entry of model.tables) {
+      ensure(60);
+      y += 8;
+      textBlock(entry.title, { size: 13, bold: true });
+      y += 4;
+      if (entry.chart) chart(entry.chart);
+      table(entry.columns, entry.rows);
+    }
+  }
+
+  // Contents with page numbers, each entry linking to its heading
+  doc.contents.forEach((entry, index) => {
+    const tocPage = tocPages[Math.floor(index / tocPerPage)];
+    const destination = destinations[entry.anchor];
+    const lineY = PDF_MARGIN + 40 + (index % tocPerPage) * PDF_TOC_LINE;
+    const number = String(destination.page + 1);
+    const title = wrapText(`${index + 1}. ${entry.title}`, contentWidth - 40, 11)[0];
+
+    tocPage.text(title, PDF_MARGIN, lineY, { size: 11 });
+    tocPage.text(number, PDF_MARGIN + contentWidth - measureText(number, 11), lineY, { size: 11 });
+    tocPage.link(PDF_MARGIN, lineY - 12, contentWidth, PDF_TOC_LINE - 2, destination);
+  });
+  tocPages[0].text('Contents', PDF_MARGIN, PDF_MARGIN + 18, { size: 18, bold: true });
+  tocPages[0].rect(PDF_MARGIN, PDF_MARGIN + 24, contentWidth, 2, { fill: accentColor });
+
+  // Footers on every page after the cover
+  pdf.pages.forEach((pdfPage, index) => {
+    if (index === 0) return;
+    const footer = `${doc.cover.businessName} · ${doc.plan.title}`;
+    const number = `${index + 1} / ${pdf.pages.length}`;
+    pdfPage.text(wrapText(footer, contentWidth - 60, 8)[0], PDF_MARGIN, pageHeight - 30, { size: 8, color: '#9E9E9E' });
+    pdfPage.text(number, PDF_MARGIN + contentWidth - measureText(number, 8), pageHeight - 30, { size: 8, color: '#9E9E9E' });
+  });
+
+  return pdf.toBuffer();
+};
+
+const RENDERERS = {
+  pdf: renderPdf,
+  docx: renderDocx,
+  md: renderMarkdown,
+  html: renderHtml
+};
+
+/**
+ * Export a business plan the user can view
+ * @param {string} format - pdf, docx, md or html
+ * @returns {Promise<Object>} { fileName, contentType, content } where content is
+ *   a Buffer (pdf, docx) or string (md, html)
+ */
+const exportBusinessPlan = async (planId, userId, format = 'pdf') => {
+  const exportFormat = EXPORT_FORMATS[format];
+
+  if (!exportFormat) {
+    throw new Error(`Format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+
+  const doc = await getExportDocument(planId, userId);
+  const slug = doc.plan.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 80);
+
+  return {
+    fileName: `${slug || 'business-plan'}.${exportFormat.extension}`,
+    contentType: exportFormat.contentType,
+    content: RENDERERS[format](doc)
+  };
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  exportBusinessPlan
+};
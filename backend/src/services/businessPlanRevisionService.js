@@ -0,0 +1,542 @@
+/**
+ * Business Plan Revision Service
+ *
+ * Version history for business plan sections: a revision is recorded on every
+ * save, named snapshots pin the state of the whole plan, any two versions of a
+ * section can be compared and a section or the whole plan can be rolled back.
+ */
+const { query } = require('../config/db');
+const { assertAccess } = require('./sharingService');
+const { diffText } = require('../utils/textDiff');
+
+const REVISION_COLUMNS = `r.id, r.section_id, r.revision_number, r.section_type, r.title, r.sort_order,
+            r.author_id, u.first_name as author_first_name, u.last_name as author_last_name,
+            r.restored_from_revision_id, r.created_at`;
+
+/**
+ * Record the current state of a section as its next revision
+ * @param {number} sectionId
+ * @param {string} authorId - The user who saved it
+ * @param {number} restoredFromRevisionId - Set when the save was a restore
+ * @returns {Promise<number>} The revision ID
+ */
+const recordSectionRevision = async (sectionId, authorId, restoredFromRevisionId = null) => {
+  const sections = await query(
+    'SELECT id, plan_id, section_type, title, content, sort_order FROM business_plan_sections WHERE id = ?',
+    [sectionId]
+  );
+
+  if (!sections.length) {
+    throw new Error('Section not found');
+  }
+
+  const section = sections[0];
+  const latest = await query(
+    'SELECT COALESCE(MAX(revision_number), 0) as revision_number FROM business_plan_section_revisions WHERE section_id = ?',
+    [sectionId]
+  );
+
+  const result = await query(
+    `INSERT INTO business_plan_section_revisions
+      (plan_id, section_id, revision_number, section_type, title, content, sort_order, author_id, restored_from_revision_id)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      section.plan_id,
+      section.id,
+      Number(latest[0].revision_number) + 1,
+      section.section_type,
+      section.title,
+      section.content,
+      section.sort_order,
+      authorId,
+      restoredFromRevisionId
+    ]
+  );
+
+  return result.insertId;
+};
+
+/**
+ * Find the plan a section belongs to, including sections that have been deleted
+ */
+const getSectionPlanId = async (sectionId) => {
+  const sections = await query('SELECT plan_id FROM business_plan_sections WHERE id = ?', [sectionId]);
+
+  if (sections.length) {
+    return sections[0].plan_id;
+  }
+
+  const revisions = await query(
+    'SELECT plan_id FROM business_plan_section_revisions WHERE section_id = ? LIMIT 1',
+    [sectionId]
+  );
+
+  if (!revisions.length) {
+    throw new Error('Section not found');
+  }
+
+  return revisions[0].plan_id;
+};
+
+/**
+ * Get a snapshot of a plan
+ */
+const getSnapshotRow = async (planId, snapshotId) => {
+  const snapshots = await query(
+    `SELECT s.id, s.plan_id, s.name, s.description, s.plan_title, s.created_by,
+            u.first_name as created_by_first_name, u.last_name as created_by_last_name, s.created_at
+     FROM business_plan_snapshots s
+     LEFT JOIN users u ON s.created_by = u.id
+     WHERE s.id = ? AND s.plan_id = ?`,
+    [snapshotId, planId]
+  );
+
+  if (!snapshots.length) {
+    throw new Error('Snapshot not found');
+  }
+
+  return snapshots[0];
+};
+
+/**
+ * The section revisions pinned by a snapshot, in section order
+ */
+const getSnapshotRevisions = async (snapshotId) => query(
+  `SELECT r.id, r.section_id, r.revision_number, r.section_type, r.title, r.content, r.sort_order, r.created_at
+   FROM business_plan_snapshot_sections ss
+   JOIN business_plan_section_revisions r ON ss.revision_id = r.id
+   WHERE ss.snapshot_id = ?
+   ORDER BY r.sort_order, r.section_id`,
+  [snapshotId]
+);
+
+/**
+ * List a section's revisions, newest first (content is fetched per revision)
+ */
+const getSectionRevisions = async (sectionId, userId) => {
+  const planId = await getSectionPlanId(sectionId);
+  await assertAccess('business_plan', planId, userId, 'viewer', 'access');
+
+  const current = await query('SELECT id FROM business_plan_sections WHERE id = ?', [sectionId]);
+  const revisions = await query(
+    `SELECT ${REVISION_COLUMNS}
+     FROM business_plan_section_revisions r
+     LEFT JOIN users u ON r.author_id = u.id
+     WHERE r.section_id = ?
+     ORDER BY r.revision_number DESC`,
+    [sectionId]
+  );
+
+  return {
+    sectionId: Number(sectionId),
+    planId,
+    deleted: !current.length,
+    revisions
+  };
+};
+
+/**
+ * Get one revision of a section with its content
+ */
+const getSectionRevision = async (sectionId, revisionId, userId) => {
+  const planId = await getSectionPlanId(sectionId);
+  await assertAccess('business_plan', planId, userId, 'viewer', 'access');
+
+  const revisions = await query(
+    `SELECT ${REVISION_COLUMNS}, r.content
+     FROM business_plan_section_revisions r
+     LEFT JOIN users u ON r.author_id = u.id
+     WHERE r.id = ? AND r.section_id = ?`,
+    [revisionId, sectionId]
+  );
+
+  if (!revisions.length) {
+    throw new Error('Revision not found');
+  }
+
+  return revisions[0];
+};
+
+/**
+ * Resolve a version reference for a section: "current", "revision:<id>" or
+ * "snapshot:<id>" (the section as it was in that snapshot)
+ * @returns {Promise<Object>} { ref, label, exists, title, content, sortOrder, revisionId }
+ */
+const resolveSectionVersion = async (sectionId, planId, ref) => {
+  const value = String(ref || 'current').trim();
+  const [kind, id] = value.split(':');
+
+  if (value === 'current') {
+    const sections = await query(
+      'SELECT title, content, sort_order FROM business_plan_sections WHERE id = ?',
+      [sectionId]
+    );
+    const section = sections[0];
+
+    return {
+      ref: value,
+      label: 'Current',
+      exists: Boolean(section),
+      title: section ? section.title : null,
+      content: section ? section.content || '' : '',
+      sortOrder: section ? section.sort_order : null,
+      revisionId: null
+    };
+  }
+
+  if (!/^\d+$/.test(id || '') || !['revision', 'snapshot'].includes(kind)) {
+    throw new Error('Versions must be "current", "revision:<id>" or "snapshot:<id>"');
+  }
+
+  if (kind === 'revision') {
+    const revisions = await query(
+      'SELECT id, revision_number, title, content, sort_order FROM business_plan_section_revisions WHERE id = ? AND section_id = ?',
+      [id, sectionId]
+    );
+
+    if (!revisions.length) {
+      throw new Error('Revision not found');
+    }
+
+    return {
+      ref: value,
+      label: `Revision ${revisions[0].revision_number}`,
+      exists: true,
+      title: revisions[0].title,
+      content: revisions[0].content || '',
+      sortOrder: revisions[0].sort_order,
+      revisionId: revisions[0].id
+    };
+  }
+
+  const snapshot = await getSnapshotRow(planId, id);
+  const revisions = await query(
+    `SELECT r.id, r.title, r.content, r.sort_order
+     FROM business_plan_snapshot_sections ss
+     JOIN business_plan_section_revisions r ON ss.revision_id = r.id
+     WHERE ss.snapshot_id = ? AND r.section_id = ?`,
+    [snapshot.id, sectionId]
+  );
+  const revision = revisions[0];
+
+  // The section may have been added after the snapshot was taken
+  return {
+    ref: value,
+    label: `Snapshot "${snapshot.name}"`,
+    exists: Boolean(revision),
+    title: revision ? revision.title : null,
+    content: revision ? revision.content || '' : '',
+    sortOrder: revision ? revision.sort_order : null,
+    revisionId: revision ? revision.id : null
+  };
+};
+
+/**
+ * Compare two versions of a section
+ */
+const compareVersions = (sectionId, from, to) => ({
+  sectionId: Number(sectionId),
+  from: { ref: from.ref, label: from.label, exists: from.exists, title: from.title, revisionId: from.revisionId },
+  to: { ref: to.ref, label: to.label, exists: to.exists, title: to.title, revisionId: to.revisionId },
+  status: !from.exists && !to.exists
+    ? 'absent'
+    : !from.exists
+      ? 'added'
+      : !to.exists
+        ? 'removed'
+        : from.title === to.title && from.content === to.content
+          ? 'unchanged'
+          : 'changed',
+  titleChanged: from.exists && to.exists && from.title !== to.title,
+  ...diffText(from.content, to.content)
+});
+
+/**
+ * Diff two versions of a section
+ * @param {Object} refs - { from, to } version references (to defaults to current)
+ */
+const diffSectionVersions = async (sectionId, userId, { from, to = 'current' } = {}) => {
+  if (!from) {
+    throw new Error('Versions must be "current", "revision:<id>" or "snapshot:<id>"');
+  }
+
+  const planId = await getSectionPlanId(sectionId);
+  await assertAccess('business_plan', planId, userId, 'viewer', 'access');
+
+  const fromVersion = await resolveSectionVersion(sectionId, planId, from);
+  const toVersion = await resolveSectionVersion(sectionId, planId, to);
+
+  return compareVersions(sectionId, fromVersion, toVersion);
+};
+
+/**
+ * Take a named snapshot of a plan's current sections
+ * @param {Object} data - { name, description }
+ */
+const createPlanSnapshot = async (planId, userId, { name, description = '' } = {}) => {
+  const snapshotName = String(name || '').trim();
+
+  if (!snapshotName) {
+    throw new Error('Snapshot name is required');
+  }
+
+  await assertAccess('business_plan', planId, userId, 'editor', 'update');
+
+  const plans = await query('SELECT title FROM business_plans WHERE id = ?', [planId]);
+  const sections = await query(
+    'SELECT id, section_type, title, content, sort_order FROM business_plan_sections WHERE plan_id = ?',
+    [planId]
+  );
+
+  // Pin each section's latest revision, recording one first if the section has
+  // none yet or was changed without one
+  const revisionIds = [];
+
+  for (const section of sections) {
+    const latest = await query(
+      `SELECT id, section_type, title, content, sort_order FROM business_plan_section_revisions
+       WHERE section_id = ? ORDER BY revision_number DESC LIMIT 1`,
+      [section.id]
+    );
+    const revision = latest[0];
+    const current = revision &&
+      ['section_type', 'title', 'content', 'sort_order'].every(field => revision[field] === section[field]);
+
+    revisionIds.push(current ? revision.id : await recordSectionRevision(section.id, userId));
+  }
+
+  const result = await query(
+    'INSERT INTO business_plan_snapshots (plan_id, name, description, plan_title, created_by) VALUES (?, ?, ?, ?, ?)',
+    [planId, snapshotName.slice(0, 150), description || '', plans[0].title, userId]
+  );
+
+  for (const revisionId of revisionIds) {
+    await query(
+      'INSERT INTO business_plan_snapshot_sections (snapshot_id, revision_id) VALUES (?, ?)',
+      [result.insertId, revisionId]
+    );
+  }
+
+  return {
+    success: true,
+    message: 'Snapshot created successfully',
+    snapshotId: result.insertId
+  };
+};
+
+/**
+ * List a plan's snapshots, newest first
+ */
+const getPlanSnapshots = async (planId, userId) => {
+  await assertAccess('business_plan', planId, userId, 'viewer', 'access');
+
+  return query(
+    `SELECT s.id, s.name, s.description, s.plan_title, s.created_by,
+            u.first_name as created_by_first_name, u.last_name as created_by_last_name, s.created_at,
+            (SELECT COUNT(*) FROM business_plan_snapshot_sections ss WHERE ss.snapshot_id = s.id) as section_count
+     FROM business_plan_snapshots s
+     LEFT JOIN users u ON s.created_by = u.id
+     WHERE s.plan_id = ?
+     ORDER BY s.created_at DESC, s.id DESC`,
+    [planId]
+  );
+};
+
+/**
+ * Get a snapshot with the content of its sections
+ */
+const getPlanSnapshot = async (planId, snapshotId, userId) => {
+  await assertAccess('business_plan', planId, userId, 'viewer', 'access');
+
+  const snapshot = await getSnapshotRow(planId, snapshotId);
+  snapshot.sections = await getSnapshotRevisions(snapshot.id);
+
+  return snapshot;
+};
+
+/**
+ * Compare a snapshot with another snapshot or the current plan, section by section
+ * @param {string} against - A snapshot ID or "current"
+ */
+const diffPlanSnapshot = async (planId, snapshotId, userId, against = 'current') => {
+  await assertAccess('business_plan', planId, userId, 'viewer', 'access');
+
+  const snapshot = await getSnapshotRow(planId, snapshotId);
+  const toRef = against === 'current' ? 'current' : `snapshot:${against}`;
+
+  const fromSections = await getSnapshotRevisions(snapshot.id);
+  const toSections = toRef === 'current'
+    ? await query('SELECT id as section_id, sort_order FROM business_plan_sections WHERE plan_id = ? ORDER BY sort_order, id', [planId])
+    : await getSnapshotRevisions((await getSnapshotRow(planId, against)).id);
+
+  // Sections in the newer version's order, then any that were removed
+  const sectionIds = [...new Set([...toSections, ...fromSections].map(section => section.section_id))];
+  const sections = [];
+
+  for (const sectionId of sectionIds) {
+    const fromVersion = await resolveSectionVersion(sectionId, planId, `snapshot:${snapshot.id}`);
+    const toVersion = await resolveSectionVersion(sectionId, planId, toRef);
+    sections.push(compareVersions(sectionId, fromVersion, toVersion));
+  }
+
+  const count = (status) => sections.filter(section => section.status === status).length;
+
+  return {
+    from: { ref: `snapshot:${snapshot.id}`, name: snapshot.name, planTitle: snapshot.plan_title },
+    to: { ref: toRef },
+    summary: {
+      added: count('added'),
+      removed: count('removed'),
+      changed: count('changed'),
+      unchanged: count('unchanged')
+    },
+    sections
+  };
+};
+
+/**
+ * Write a revision's content back to its section, recreating the section if it
+ * was deleted, and record the restore as a new revision
+ * @param {Object} options - { keepPosition } keeps the section's current order and type
+ * @returns {Promise<Object>} { sectionId, revisionId } of the restored section
+ */
+const applyRevision = async (revision, userId, { keepPosition = false } = {}) => {
+  const sections = await query('SELECT id, plan_id FROM business_plan_sections WHERE id = ?', [revision.section_id]);
+  let sectionId = revision.section_id;
+
+  if (sections.length && sections[0].plan_id === revision.plan_id) {
+    if (keepPosition) {
+      await query(
+        'UPDATE business_plan_sections SET title = ?, content = ? WHERE id = ?',
+        [revision.title, revision.content, sectionId]
+      );
+    } else {
+      await query(
+        'UPDATE business_plan_sections SET section_type = ?, title = ?, content = ?, sort_order = ? WHERE id = ?',
+        [revision.section_type, revision.title, revision.content, revision.sort_order, sectionId]
+      );
+    }
+  } else {
+    // Reuse the original ID so the section keeps its history, unless it is taken
+    const result = await query(
+      `INSERT INTO business_plan_sections (${sections.length ? '' : 'id, '}plan_id, section_type, title, content, sort_order)
+       VALUES (${sections.length ? '' : '?, '}?, ?, ?, ?, ?)`,
+      [
+        ...(sections.length ? [] : [revision.section_id]),
+        revision.plan_id,
+        revision.section_type,
+        revision.title,
+        revision.content,
+        revision.sort_order
+      ]
+    );
+    sectionId = sections.length ? result.insertId : revision.section_id;
+  }
+
+  const revisionId = await recordSectionRevision(sectionId, userId, revision.id);
+
+  return { sectionId, revisionId };
+};
+
+/**
+ * Roll a section back to a revision, or to how it was in a snapshot
+ * @param {Object} version - { revisionId } or { snapshotId }
+ */
+const restoreSection = async (sectionId, userId, { revisionId, snapshotId } = {}) => {
+  if (!revisionId === !snapshotId) {
+    throw new Error('Provide either a revisionId or a snapshotId to restore');
+  }
+
+  const planId = await getSectionPlanId(sectionId);
+  await assertAccess('business_plan', planId, userId, 'editor', 'update');
+
+  const version = await resolveSectionVersion(
+    sectionId,
+    planId,
+    revisionId ? `revision:${revisionId}` : `snapshot:${snapshotId}`
+  );
+
+  if (!version.exists) {
+    throw new Error('Section is not part of that snapshot');
+  }
+
+  const revisions = await query('SELECT * FROM business_plan_section_revisions WHERE id = ?', [version.revisionId]);
+  const restored = await applyRevision(revisions[0], userId, { keepPosition: true });
+
+  return {
+    success: true,
+    message: `Section restored from ${version.label}`,
+    ...restored
+  };
+};
+
+/**
+ * Roll the whole plan back to a snapshot
+ *
+ * The current state is saved as a snapshot first so the rollback can be undone.
+ * Sections added since the snapshot are deleted (their history is kept) and
+ * deleted ones are brought back.
+ */
+const restorePlanSnapshot = async (planId, snapshotId, userId) => {
+  await assertAccess('business_plan', planId, userId, 'editor', 'update');
+
+  const snapshot = await getSnapshotRow(planId, snapshotId);
+  const backup = await createPlanSnapshot(planId, userId, {
+    name: `Before restoring "${snapshot.name}"`,
+    description: `Saved automatically before the plan was rolled back to "${snapshot.name}"`
+  });
+
+  const revisions = await query(
+    `SELECT r.* FROM business_plan_snapshot_sections ss
+     JOIN business_plan_section_revisions r ON ss.revision_id = r.id
+     WHERE ss.snapshot_id = ?`,
+    [snapshot.id]
+  );
+  const current = await query(
+    'SELECT id, section_type, title, content, sort_order FROM business_plan_sections WHERE plan_id = ?',
+    [planId]
+  );
+
+  const snapshotSectionIds = revisions.map(revision => revision.section_id);
+  const removed = current.filter(section => !snapshotSectionIds.includes(section.id));
+
+  for (const section of removed) {
+    await query('DELETE FROM business_plan_sections WHERE id = ?', [section.id]);
+  }
+
+  let restored = 0;
+
+  for (const revision of revisions) {
+    const section = current.find(item => item.id === revision.section_id);
+    const unchanged = section &&
+      ['section_type', 'title', 'content', 'sort_order'].every(field => revision[field] === section[field]);
+
+    if (!unchanged) {
+      await applyRevision(revision, userId);
+      restored++;
+    }
+  }
+
+  await query('UPDATE business_plans SET title = ? WHERE id = ?', [snapshot.plan_title, planId]);
+
+  return {
+    success: true,
+    message: `Business plan restored to snapshot "${snapshot.name}"`,
+    backupSnapshotId: backup.snapshotId,
+    restoredSections: restored,
+    removedSections: removed.length
+  };
+};
+
+module.exports = {
+  recordSectionRevision,
+  getSectionRevisions,
+  getSectionRevision,
+  diffSectionVersions,
+  restoreSection,
+  createPlanSnapshot,
+  getPlanSnapshots,
+  getPlanSnapshot,
+  diffPlanSnapshot,
+  restorePlanSnapshot
+};
@@ -4,6 +4,9 @@
  * Handles business plan creation, retrieval, and management
  */
 const { query } = require('../config/db');
+const { assertAccess, getSharedWithUser } = require('./sharingService');
+const { workspaceCondition } = require('./organizationService');
+const { recordSectionRevision } = require('./businessPlanRevisionService');
 
 /**
  * Get all business plan templates
@@ -49,7 +52,7 @@ const getTemplateDetails = async (templateId) => {
 /**
  * Create a new business plan from template
  */
-const createBusinessPlan = async (userId, planData) => {
+const createBusinessPlan = async (userId, planData, organizationId = null) => {
   const { title, templateId } = planData;
   
   if (!title) {
@@ -58,8 +61,8 @@ const createBusinessPlan = async (userId, planData) => {
   
   // Create business plan
   const result = await query(
-    'INSERT INTO business_plans (user_id, title, status) VALUES (?, ?, "draft")',
-    [userId, title]
+    'INSERT INTO business_plans (user_id, organization_id, title, status) VALUES (?, ?, ?, "draft")',
+    [userId, organizationId, title]
   );
   
   const planId = result.insertId;
@@ -75,7 +78,7 @@ const createBusinessPlan = async (userId, planData) => {
     );
     
     for (const section of templateSections) {
-      await query(
+      const sectionResult = await query(
         `INSERT INTO business_plan_sections 
           (plan_id, section_type, title, content, sort_order) 
          VALUES (?, ?, ?, ?, ?)`,
@@ -87,6 +90,8 @@ const createBusinessPlan = async (userId, planData) => {
           section.sort_order
         ]
       );
+      
+      await recordSectionRevision(sectionResult.insertId, userId);
     }
   }
   
@@ -99,37 +104,45 @@ const createBusinessPlan = async (userId, planData) => {
 };
 
 /**
- * Get user's business plans
+ * Get the business plans in a workspace (the user's own, or an organization's)
  */
-const getUserBusinessPlans = async (userId) => {
+const getUserBusinessPlans = async (userId, organizationId = null) => {
+  const workspace = workspaceCondition(userId, organizationId);
   const plans = await query(
-    `SELECT id, title, status, last_updated, created_at 
+    `SELECT id, organization_id, title, status, last_updated, created_at 
      FROM business_plans 
-     WHERE user_id = ? 
+     WHERE ${workspace.sql} 
      ORDER BY last_updated DESC`,
-    [userId]
+    workspace.params
   );
   
   return plans;
 };
 
+/**
+ * Get business plans other users have shared with a user
+ */
+const getSharedBusinessPlans = async (userId) => {
+  return getSharedWithUser('business_plan', userId);
+};
+
 /**
  * Get business plan details
  */
 const getBusinessPlanDetails = async (planId, userId) => {
+  // Check the user owns the plan or it has been shared with them
+  const accessRole = await assertAccess('business_plan', planId, userId, 'viewer', 'access');
+  
   // Get plan details
   const plans = await query(
     `SELECT id, title, status, last_updated, created_at 
      FROM business_plans 
-     WHERE id = ? AND user_id = ?`,
-    [planId, userId]
+     WHERE id = ?`,
+    [planId]
   );
   
-  if (!plans.length) {
-    throw new Error('Business plan not found or you do not have permission to access it');
-  }
-  
   const plan = plans[0];
+  plan.accessRole = accessRole;
   
   // Get plan sections
   const sections = await query(
@@ -151,15 +164,8 @@ const getBusinessPlanDetails = async (planId, userId) => {
 const updateBusinessPlan = async (planId, userId, planData) => {
   const { title, status } = planData;
   
-  // Check if plan exists and belongs to user
-  const plans = await query(
-    'SELECT id FROM business_plans WHERE id = ? AND user_id = ?',
-    [planId, userId]
-  );
-  
-  if (!plans.length) {
-    throw new Error('Business plan not found or you do not have permission to update it');
-  }
+  // Check the user owns the plan or is an editor
+  await assertAccess('business_plan', planId, userId, 'editor', 'update');
   
   // Update plan
   await query(
@@ -179,28 +185,30 @@ const updateBusinessPlan = async (planId, userId, planData) => {
 const updateBusinessPlanSection = async (sectionId, userId, sectionData) => {
   const { title, content } = sectionData;
   
-  // Check if section exists and belongs to user's plan
+  // Check if section exists and the user can edit its plan
   const sections = await query(
-    `SELECT bs.id 
-     FROM business_plan_sections bs
-     JOIN business_plans bp ON bs.plan_id = bp.id
-     WHERE bs.id = ? AND bp.user_id = ?`,
-    [sectionId, userId]
+    'SELECT plan_id FROM business_plan_sections WHERE id = ?',
+    [sectionId]
   );
   
   if (!sections.length) {
     throw new Error('Section not found or you do not have permission to update it');
   }
   
-  // Update section
+  await assertAccess('business_plan', sections[0].plan_id, userId, 'editor', 'update');
+  
+  // Update section, keeping the saved version in its history
   await query(
     'UPDATE business_plan_sections SET title = ?, content = ? WHERE id = ?',
     [title, content, sectionId]
   );
   
+  const revisionId = await recordSectionRevision(sectionId, userId);
+  
   return {
     success: true,
-    message: 'Section updated successfully'
+    message: 'Section updated successfully',
+    revisionId
   };
 };
 
@@ -210,15 +218,8 @@ const updateBusinessPlanSection = async (sectionId, userId, sectionData) => {
 const addBusinessPlanSection = async (planId, userId, sectionData) => {
   const { sectionType, title, content, sortOrder } = sectionData;
   
-  // Check if plan exists and belongs to user
-  const plans = await query(
-    'SELECT id FROM business_plans WHERE id = ? AND user_id = ?',
-    [planId, userId]
-  );
-  
-  if (!plans.length) {
-    throw new Error('Business plan not found or you do not have permission to update it');
-  }
+  // Check the user owns the plan or is an editor
+  await assertAccess('business_plan', planId, userId, 'editor', 'update');
   
   // Add section
   const result = await query(
@@ -228,6 +229,8 @@ const addBusinessPlanSection = async (planId, userId, sectionData) => {
     [planId, sectionType, title, content, sortOrder || 0]
   );
   
+  await recordSectionRevision(result.insertId, userId);
+  
   return {
     success: true,
     message: 'Section added successfully',
@@ -239,19 +242,18 @@ const addBusinessPlanSection = async (planId, userId, sectionData) => {
  * Delete business plan section
  */
 const deleteBusinessPlanSection = async (sectionId, userId) => {
-  // Check if section exists and belongs to user's plan
+  // Check if section exists and the user can edit its plan
   const sections = await query(
-    `SELECT bs.id 
-     FROM business_plan_sections bs
-     JOIN business_plans bp ON bs.plan_id = bp.id
-     WHERE bs.id = ? AND bp.user_id = ?`,
-    [sectionId, userId]
+    'SELECT plan_id FROM business_plan_sections WHERE id = ?',
+    [sectionId]
   );
   
   if (!sections.length) {
     throw new Error('Section not found or you do not have permission to delete it');
   }
   
+  await assertAccess('business_plan', sections[0].plan_id, userId, 'editor', 'update');
+  
   // Delete section
   await query(
     'DELETE FROM business_plan_sections WHERE id = ?',
@@ -268,15 +270,8 @@ const deleteBusinessPlanSection = async (sectionId, userId) => {
  * Delete business plan
  */
 const deleteBusinessPlan = async (planId, userId) => {
-  // Check if plan exists and belongs to user
-  const plans = await query(
-    'SELECT id FROM business_plans WHERE id = ? AND user_id = ?',
-    [planId, userId]
-  );
-  
-  if (!plans.length) {
-    throw new Error('Business plan not found or you do not have permission to delete it');
-  }
+  // Only the owner can delete a plan
+  await assertAccess('business_plan', planId, userId, 'owner', 'delete');
   
   // Delete plan
   await query(
@@ -295,6 +290,7 @@ module.exports = {
   getTemplateDetails,
   createBusinessPlan,
   getUserBusinessPlans,
+  getSharedBusinessPlans,
   getBusinessPlanDetails,
   updateBusinessPlan,
   updateBusinessPlanSection,
@@ -8,8 +8,11 @@ const notificationService = require('./notificationService');
 
 /**
  * Create a new chat channel
+ *
+ * Group channels created with an organization selected belong to it; direct
+ * messages are always personal.
  */
-const createChannel = async (userId, channelData) => {
+const createChannel = async (userId, channelData, organizationId = null) => {
   const { name, description, isDirect, participants } = channelData;
 
   if (isDirect && (!participants || participants.length !== 1)) {
@@ -45,9 +48,9 @@ const createChannel = async (userId, channelData) => {
     // Create the channel
     const channelResult = await query(
       `INSERT INTO chat_channels 
-       (name, description, is_direct, created_by) 
-       VALUES (?, ?, ?, ?)`,
-      [name, description, isDirect, userId]
+       (name, description, is_direct, created_by, organization_id) 
+       VALUES (?, ?, ?, ?, ?)`,
+      [name, description, isDirect, userId, isDirect ? null : organizationId]
     );
 
     const channelId = channelResult.insertId;
@@ -239,8 +242,16 @@ const getChannelMessages = async (userId, channelId, options = {}) => {
 
 /**
  * Get user's channels
+ *
+ * With an organization selected, lists its channels and the user's direct
+ * messages; otherwise the user's channels outside any organization.
  */
-const getUserChannels = async (userId) => {
+const getUserChannels = async (userId, organizationId = null) => {
+  const workspaceSql = organizationId
+    ? '(c.organization_id = ? OR c.is_direct = TRUE)'
+    : 'c.organization_id IS NULL';
+  const workspaceParams = organizationId ? [organizationId] : [];
+
   const channels = await query(
     `SELECT c.*, 
             cm.role as user_role,
@@ -251,9 +262,9 @@ const getUserChannels = async (userId) => {
              AND m.id > COALESCE(cm.last_read_message_id, 0)) as unread_count
      FROM chat_channels c
      JOIN chat_channel_members cm ON c.id = cm.channel_id
-     WHERE cm.user_id = ?
+     WHERE cm.user_id = ? AND ${workspaceSql}
      ORDER BY c.updated_at DESC`,
-    [userId]
+    [userId, ...workspaceParams]
   );
 
   // Get members for each channel
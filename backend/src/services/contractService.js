@@ -4,6 +4,7 @@
  * Handles contract creation, management, and payment processing
  */
 const { query } = require('../config/db');
+const { recordAuditEvent } = require('./auditLogService');
 
 /**
  * Create a new contract
@@ -121,7 +122,7 @@ const getContractDetails = async (contractId, userId) => {
 /**
  * Update contract status
  */
-const updateContractStatus = async (contractId, userId, status) => {
+const updateContractStatus = async (contractId, userId, status, auditContext = {}) => {
   // Check if user has permission to update contract
   const contracts = await query(
     `SELECT c.*, p.owner_id
@@ -143,6 +144,15 @@ const updateContractStatus = async (contractId, userId, status) => {
     [status, contractId]
   );
   
+  await recordAuditEvent({
+    action: 'contract.status_changed',
+    entityType: 'contract',
+    entityId: contractId,
+    projectId: contract.project_id,
+    before: { status: contract.status },
+    after: { status }
+  }, { ...auditContext, actorId: userId });
+  
   return {
     success: true,
     message: `Contract status updated to ${status}`
@@ -197,10 +207,10 @@ const addMilestone = async (contractId, userId, milestoneData) => {
 /**
  * Update milestone status
  */
-const updateMilestoneStatus = async (milestoneId, userId, status) => {
+const updateMilestoneStatus = async (milestoneId, userId, status, auditContext = {}) => {
   // Check if user has permission
   const milestones = await query(
-    `SELECT cm.*, c.freelancer_id, c.client_id, p.owner_id
+    `SELECT cm.*, c.freelancer_id, c.client_id, c.project_id, p.owner_id
      FROM contract_milestones cm
      JOIN contracts c ON cm.contract_id = c.id
      JOIN projects p ON c.project_id = p.id
@@ -227,6 +237,16 @@ const updateMilestoneStatus = async (milestoneId, userId, status) => {
     [status, milestoneId]
   );
   
+  await recordAuditEvent({
+    action: 'contract.milestone_status_changed',
+    entityType: 'contract_milestone',
+    entityId: milestoneId,
+    projectId: milestone.project_id,
+    before: { status: milestone.status },
+    after: { status },
+    metadata: { contractId: milestone.contract_id }
+  }, { ...auditContext, actorId: userId });
+  
   return {
     success: true,
     message: `Milestone status updated to ${status}`
@@ -237,7 +257,7 @@ const updateMilestoneStatus = async (milestoneId, userId, status) => {
  * Process payment
  * In a production environment, this would integrate with Stripe or other payment processor
  */
-const processPayment = async (contractId, userId, paymentData) => {
+const processPayment = async (contractId, userId, paymentData, auditContext = {}) => {
   // Check if user has permission (client or project owner)
   const contracts = await query(
     `SELECT c.*, p.owner_id
@@ -279,19 +299,33 @@ const processPayment = async (contractId, userId, paymentData) => {
   }
   
   // If full contract payment, update contract status
-  if (!milestoneId || contract.contract_type === 'fixed_price') {
+  const completesContract = !milestoneId || contract.contract_type === 'fixed_price';
+  
+  if (completesContract) {
     await query(
       'UPDATE contracts SET status = "completed", updated_at = NOW() WHERE id = ?',
       [contractId]
     );
   }
   
+  // In a real implementation, we would include transaction IDs from the payment processor
+  const transactionId = `mock-transaction-${Date.now()}`;
+  
+  await recordAuditEvent({
+    action: 'contract.payment_processed',
+    entityType: 'payment',
+    entityId: result.insertId,
+    projectId: contract.project_id,
+    before: { contractStatus: contract.status },
+    after: { contractStatus: completesContract ? 'completed' : contract.status },
+    metadata: { contractId, milestoneId: milestoneId || null, amount, paymentMethod, transactionId }
+  }, { ...auditContext, actorId: userId });
+  
   return {
     success: true,
     message: 'Payment processed successfully',
     paymentId: result.insertId,
-    // In a real implementation, we would include transaction IDs from the payment processor
-    transactionId: `mock-transaction-${Date.now()}`
+    transactionId
   };
 };
 
@@ -0,0 +1,51 @@
+/**
+ * Mock Domain Provider
+ *
+ * Offline stand-in for the registries (DOMAIN_PROVIDERS=mock): a predictable but
+ * seemingly random result from a hash of the name, with no network access.
+ */
+
+const name = 'mock';
+
+// Chance of a name being free, by TLD; common TLDs are less likely to be
+const availabilityThreshold = {
+  '.com': 0.2,
+  '.net': 0.4,
+  '.org': 0.5,
+  '.io': 0.6,
+  '.co': 0.4,
+  '.app': 0.7,
+  '.tech': 0.8,
+  '.ai': 0.7,
+  '.dev': 0.7,
+  '.me': 0.6
+};
+
+// Free names this short are treated as premium
+const PREMIUM_MAX_LENGTH = 4;
+
+/**
+ * Look up a domain
+ *
+ * @param {Object} domain - { domain, name, tld } (see domainService.parseDomain)
+ * @returns {Promise<Object>} { status }
+ */
+const lookup = async ({ name: domainName, tld }) => {
+  const hash = (domainName + tld).split('').reduce((acc, char) => acc + char.charCodeAt(0), 0);
+  const threshold = availabilityThreshold[tld] || 0.5;
+
+  // Shorter domains are less likely to be available
+  const lengthFactor = Math.min(domainName.length / 10, 1);
+  const adjustedThreshold = threshold * (0.5 + lengthFactor / 2);
+
+  if ((hash % 100) / 100 >= adjustedThreshold) {
+    return { status: 'registered' };
+  }
+
+  return { status: domainName.length <= PREMIUM_MAX_LENGTH ? 'premium' : 'available' };
+};
+
+module.exports = {
+  name,
+  lookup
+};
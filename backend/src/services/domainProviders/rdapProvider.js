@@ -0,0 +1,115 @@
+/**
+ * RDAP Domain Provider
+ *
+ * Asks the TLD's registry over RDAP, finding its server from the IANA bootstrap
+ * registry. RDAP_BASE_URL sends every lookup to one server instead, e.g. a stub
+ * registry in tests.
+ */
+require('dotenv').config();
+
+const name = 'rdap';
+
+const BOOTSTRAP_URL = 'https://data.iana.org/rdap/dns.json';
+const BOOTSTRAP_TTL_MS = 24 * 60 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 8000;
+
+// IANA bootstrap, by TLD without the dot
+let bootstrap = null;
+let bootstrapLoadedAt = 0;
+
+/**
+ * Load (or reuse) the IANA map of TLDs to RDAP servers
+ */
+const loadBootstrap = async () => {
+  if (bootstrap && Date.now() - bootstrapLoadedAt < BOOTSTRAP_TTL_MS) {
+    return bootstrap;
+  }
+
+  const response = await fetch(BOOTSTRAP_URL, { signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) });
+
+  if (!response.ok) {
+    throw new Error(`RDAP bootstrap request failed with status ${response.status}`);
+  }
+
+  const data = await response.json();
+  const servers = {};
+
+  for (const [tlds, urls] of data.services || []) {
+    for (const tld of tlds) {
+      servers[tld.toLowerCase()] = urls.find(url => url.startsWith('https://')) || urls[0];
+    }
+  }
+
+  bootstrap = servers;
+  bootstrapLoadedAt = Date.now();
+  return bootstrap;
+};
+
+/**
+ * Get the RDAP server for a TLD, or null if the registry has none
+ */
+const getServer = async (tld) => {
+  if (process.env.RDAP_BASE_URL) {
+    return process.env.RDAP_BASE_URL;
+  }
+
+  const servers = await loadBootstrap();
+  return servers[tld.slice(1)] || null;
+};
+
+/**
+ * Check an RDAP response body for a registry's premium-name notice
+ */
+const mentionsPremium = (body) => /premium/i.test(JSON.stringify(body || {}));
+
+/**
+ * Read the registration expiry from a domain record's events
+ */
+const getExpiry = (body) => {
+  const event = ((body && body.events) || []).find(item => item.eventAction === 'expiration');
+  const date = event ? new Date(event.eventDate) : null;
+
+  return date && !isNaN(date) ? date : null;
+};
+
+/**
+ * Look up a domain
+ *
+ * A record (200) means registered and no record (404) means available, unless the
+ * registry flags the name as premium. Anything else is unknown.
+ *
+ * @param {Object} domain - { domain, name, tld } (see domainService.parseDomain)
+ * @returns {Promise<Object>} { status, expiresAt } (expiresAt is the registration expiry, if known)
+ */
+const lookup = async ({ domain, tld }) => {
+  const server = await getServer(tld);
+
+  if (!server) {
+    return { status: 'unknown' };
+  }
+
+  const response = await fetch(`${server.replace(/\/+$/, '')}/domain/${encodeURIComponent(domain)}`, {
+    headers: { Accept: 'application/rdap+json' },
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+  });
+
+  const body = await response.json().catch(() => null);
+
+  if (response.status === 404) {
+    return { status: mentionsPremium(body) ? 'premium' : 'available' };
+  }
+
+  if (response.ok) {
+    return {
+      status: mentionsPremium(body && body.status) ? 'premium' : 'registered',
+      expiresAt: getExpiry(body)
+    };
+  }
+
+  return { status: 'unknown' };
+};
+
+module.exports = {
+  name,
+  lookup
+};
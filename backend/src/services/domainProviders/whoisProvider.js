@@ -0,0 +1,110 @@
+/**
+ * WHOIS Domain Provider
+ *
+ * Fallback for registries without RDAP: asks the TLD's WHOIS server (found through
+ * whois.iana.org) and reads the free-text reply. WHOIS_SERVER ("host" or
+ * "host:port") sends every lookup to one server instead, e.g. a stub in tests.
+ */
+const net = require('net');
+require('dotenv').config();
+
+const name = 'whois';
+
+const IANA_WHOIS_SERVER = 'whois.iana.org';
+const WHOIS_PORT = 43;
+const REQUEST_TIMEOUT_MS = 8000;
+
+// WHOIS server by TLD, as referred by IANA
+const servers = {};
+
+// Phrases registries use for names with no registration
+const AVAILABLE_PATTERNS = [
+  /no match for/i,
+  /^not found/im,
+  /no data found/i,
+  /no entries found/i,
+  /status:\s*(free|available)/i,
+  /domain not found/i,
+  /is available for registration/i
+];
+
+// Labels registries use for the registration expiry date
+const EXPIRY_PATTERN = /^\s*(?:registry expiry date|registrar registration expiration date|expiration date|expiry date|expires(?: on)?|paid-till):\s*(.+)$/im;
+
+/**
+ * Send a query to a WHOIS server and collect the reply
+ */
+const queryServer = (host, port, text) => new Promise((resolve, reject) => {
+  const socket = net.connect({ host, port });
+  const chunks = [];
+
+  socket.setTimeout(REQUEST_TIMEOUT_MS);
+  socket.on('connect', () => socket.write(`${text}\r\n`));
+  socket.on('data', chunk => chunks.push(chunk));
+  socket.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+  socket.on('timeout', () => socket.destroy(new Error(`WHOIS query to ${host} timed out`)));
+  socket.on('error', reject);
+});
+
+/**
+ * Get the WHOIS server for a TLD as { host, port }, or null if it has none
+ */
+const getServer = async (tld) => {
+  if (process.env.WHOIS_SERVER) {
+    const [host, port] = process.env.WHOIS_SERVER.split(':');
+    return { host, port: parseInt(port, 10) || WHOIS_PORT };
+  }
+
+  if (servers[tld] === undefined) {
+    const reply = await queryServer(IANA_WHOIS_SERVER, WHOIS_PORT, tld.slice(1));
+    const match = reply.match(/^(?:refer|whois):\s*(\S+)/im);
+    servers[tld] = match ? match[1] : null;
+  }
+
+  return servers[tld] ? { host: servers[tld], port: WHOIS_PORT } : null;
+};
+
+/**
+ * Read the registration expiry from a WHOIS reply
+ */
+const getExpiry = (reply) => {
+  const match = reply.match(EXPIRY_PATTERN);
+  const date = match ? new Date(match[1].trim()) : null;
+
+  return date && !isNaN(date) ? date : null;
+};
+
+/**
+ * Look up a domain
+ *
+ * @param {Object} domain - { domain, name, tld } (see domainService.parseDomain)
+ * @returns {Promise<Object>} { status, expiresAt } (expiresAt is the registration expiry, if known)
+ */
+const lookup = async ({ domain, tld }) => {
+  const server = await getServer(tld);
+
+  if (!server) {
+    return { status: 'unknown' };
+  }
+
+  const reply = await queryServer(server.host, server.port, domain);
+
+  if (/premium/i.test(reply) && !/^\s*domain name:/im.test(reply)) {
+    return { status: 'premium' };
+  }
+
+  if (AVAILABLE_PATTERNS.some(pattern => pattern.test(reply))) {
+    return { status: 'available' };
+  }
+
+  if (/^\s*domain name:/im.test(reply)) {
+    return { status: 'registered', expiresAt: getExpiry(reply) };
+  }
+
+  return { status: 'unknown' };
+};
+
+module.exports = {
+  name,
+  lookup
+};
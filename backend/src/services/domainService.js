@@ -1,114 +1,281 @@
 /**
  * Domain Availability Service
- * 
- * In a production environment, this would connect to a domain API like Namecheap or use WHOIS lookup
- * For now, we're using a mock implementation
+ *
+ * Looks domains up through the providers in DOMAIN_PROVIDERS (see domainProviders/),
+ * in order: RDAP first, then WHOIS for registries without it. DOMAIN_PROVIDERS=mock
+ * runs offline. Results are cached in domain_availability for
+ * DOMAIN_CACHE_TTL_MINUTES; "unknown" results are never cached.
  */
+const { query } = require('../config/db');
+require('dotenv').config();
+
+const registry = {
+  rdap: require('./domainProviders/rdapProvider'),
+  whois: require('./domainProviders/whoisProvider'),
+  mock: require('./domainProviders/mockProvider')
+};
+
+const DOMAIN_STATUSES = ['registered', 'available', 'premium', 'unknown'];
+
+const DEFAULT_PROVIDERS = ['rdap', 'whois'];
+const DEFAULT_CACHE_TTL_MINUTES = 60;
+
+// Most domains checked in one bulk request, and how many are looked up at once
+const MAX_BULK_DOMAINS = 100;
+const BULK_CONCURRENCY = 10;
 
 // Popular TLDs for domain suggestions
 const popularTLDs = [
   '.com', '.net', '.org', '.io', '.ai', '.co', '.app', '.tech', '.dev', '.me'
 ];
 
-// A mock implementation of domain availability checking
-const checkDomainAvailability = async (domain) => {
-  // Parse domain name and TLD
-  let domainName = domain;
-  let tld = '.com';
-  
-  // If domain includes a dot, extract the TLD
-  if (domain.includes('.')) {
-    const parts = domain.split('.');
-    tld = '.' + parts.pop();
-    domainName = parts.join('.');
+/**
+ * Get the configured providers, in the order they are tried
+ */
+const getProviders = () => {
+  const names = process.env.DOMAIN_PROVIDERS
+    ? process.env.DOMAIN_PROVIDERS.split(',').map(s => s.trim()).filter(Boolean)
+    : DEFAULT_PROVIDERS;
+
+  return names.map(providerName => {
+    if (!registry[providerName]) {
+      throw new Error(`Unknown domain provider: ${providerName}`);
+    }
+    return registry[providerName];
+  });
+};
+
+const getCacheTtlMinutes = () => parseInt(process.env.DOMAIN_CACHE_TTL_MINUTES, 10) || DEFAULT_CACHE_TTL_MINUTES;
+
+/**
+ * Normalize a domain (defaulting to .com) and split it into name and TLD
+ *
+ * @returns {Object} { domain, name, tld }
+ */
+const parseDomain = (input) => {
+  let domain = String(input || '').trim().toLowerCase()
+    .replace(/^[a-z]+:\/\//, '')
+    .replace(/^www\./, '')
+    .replace(/[/?#].*$/, '')
+    .replace(/\.$/, '');
+
+  if (!domain.includes('.')) {
+    domain = `${domain}.com`;
   }
-  
-  // Generate a predictable but seemingly random availability result
-  // In a real implementation, this would call an external API
-  const isAvailable = generateRandomAvailability(domainName, tld);
-  
-  return {
-    domain: `${domainName}${tld}`,
-    available: isAvailable,
-    tld
-  };
+
+  const labels = domain.split('.');
+
+  if (labels.some(label => !/^[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?$/.test(label)) || domain.length > 253) {
+    throw new Error('Invalid domain name');
+  }
+
+  const tld = '.' + labels.pop();
+
+  return { domain, name: labels.join('.'), tld };
+};
+
+/**
+ * Shape a domain_availability row for callers
+ */
+const formatResult = (row, cached) => ({
+  domain: row.domain_name,
+  tld: row.tld,
+  status: row.status,
+  available: row.status === 'available',
+  premium: row.status === 'premium',
+  registrationExpiresAt: row.registration_expires_at || null,
+  provider: row.provider,
+  checkedAt: row.checked_at,
+  cached
+});
+
+/**
+ * Ask each provider in turn until one gives a definite answer
+ */
+const lookupWithProviders = async (parsed) => {
+  let lastProvider = null;
+
+  for (const provider of getProviders()) {
+    lastProvider = provider.name;
+
+    try {
+      const result = await provider.lookup(parsed);
+
+      if (DOMAIN_STATUSES.includes(result.status) && result.status !== 'unknown') {
+        return { status: result.status, registrationExpiresAt: result.expiresAt || null, provider: provider.name };
+      }
+    } catch (error) {
+      console.error(`Error looking up ${parsed.domain} with the ${provider.name} provider:`, error.message);
+    }
+  }
+
+  return { status: 'unknown', registrationExpiresAt: null, provider: lastProvider };
 };
 
-// Generate domain suggestions based on a business name
-const generateDomainSuggestions = async (businessName) => {
+/**
+ * Check whether a domain can be registered
+ *
+ * Fresh cached results are reused. With a userId the check is also recorded in
+ * that user's domain history.
+ *
+ * @param {string} domain - Domain, e.g. 'example.com' (a bare name gets .com)
+ * @param {Object} options - { userId, skipCache }
+ * @returns {Promise<Object>} { domain, tld, status, available, premium, registrationExpiresAt, provider, checkedAt, cached }
+ */
+const checkDomainAvailability = async (domain, { userId = null, skipCache = false } = {}) => {
+  const parsed = parseDomain(domain);
+
+  if (!skipCache) {
+    const cachedRows = await query(
+      `SELECT domain_name, tld, status, registration_expires_at, provider, checked_at, expires_at
+       FROM domain_availability
+       WHERE domain_name = ? AND expires_at > NOW() AND status != 'unknown'
+       ORDER BY checked_at DESC
+       LIMIT 1`,
+      [parsed.domain]
+    );
+
+    if (cachedRows.length) {
+      const cachedRow = cachedRows[0];
+
+      if (userId) {
+        await query(
+          `INSERT INTO domain_availability
+            (user_id, domain_name, available, status, registration_expires_at, provider, tld, checked_at, expires_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            userId,
+            cachedRow.domain_name,
+            cachedRow.status === 'available',
+            cachedRow.status,
+            cachedRow.registration_expires_at,
+            cachedRow.provider,
+            cachedRow.tld,
+            cachedRow.checked_at,
+            cachedRow.expires_at
+          ]
+        );
+      }
+
+      return formatResult(cachedRow, true);
+    }
+  }
+
+  const result = await lookupWithProviders(parsed);
+  const checkedAt = new Date();
+  const expiresAt = result.status === 'unknown'
+    ? checkedAt
+    : new Date(checkedAt.getTime() + getCacheTtlMinutes() * 60 * 1000);
+
+  await query(
+    `INSERT INTO domain_availability
+      (user_id, domain_name, available, status, registration_expires_at, provider, tld, checked_at, expires_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      userId,
+      parsed.domain,
+      result.status === 'available',
+      result.status,
+      result.registrationExpiresAt,
+      result.provider,
+      parsed.tld,
+      checkedAt,
+      expiresAt
+    ]
+  );
+
+  return formatResult({
+    domain_name: parsed.domain,
+    tld: parsed.tld,
+    status: result.status,
+    registration_expires_at: result.registrationExpiresAt,
+    provider: result.provider,
+    checked_at: checkedAt
+  }, false);
+};
+
+/**
+ * Generate domain suggestions based on a business name, with their availability
+ *
+ * @param {string} businessName - Business name
+ * @param {Object} options - { userId } to record the checks in the user's history
+ * @returns {Promise<Object[]>} One result per suggestion; any that could not be checked are 'unknown'
+ */
+const generateDomainSuggestions = async (businessName, { userId = null } = {}) => {
   // Remove spaces and special characters
   const cleanName = businessName.toLowerCase()
     .replace(/[^\w\s]/gi, '')
-    .replace(/\s+/g, '');
-  
-  const suggestions = [];
-  
-  // Add variations with popular TLDs
-  popularTLDs.forEach(tld => {
-    suggestions.push({
-      domain: `${cleanName}${tld}`,
-      available: generateRandomAvailability(cleanName, tld),
-      tld
-    });
-  });
-  
+    .replace(/[\s_]+/g, '');
+
+  const domains = popularTLDs.map(tld => `${cleanName}${tld}`);
+
   // Add variations with prefixes/suffixes
-  const variations = [
-    { name: `get${cleanName}`, tld: '.com' },
-    { name: `join${cleanName}`, tld: '.com' },
-    { name: `try${cleanName}`, tld: '.com' },
-    { name: `${cleanName}app`, tld: '.com' },
-    { name: `${cleanName}hq`, tld: '.com' },
-    { name: `the${cleanName}`, tld: '.com' },
-    { name: `${cleanName}`, tld: '.io' },
-    { name: `${cleanName}`, tld: '.co' },
-    { name: `${cleanName}`, tld: '.app' },
-    { name: `${cleanName}`, tld: '.tech' }
-  ];
-  
-  variations.forEach(v => {
-    suggestions.push({
-      domain: `${v.name}${v.tld}`,
-      available: generateRandomAvailability(v.name, v.tld),
-      tld: v.tld
-    });
-  });
-  
-  return suggestions;
+  [`get${cleanName}`, `join${cleanName}`, `try${cleanName}`, `${cleanName}app`, `${cleanName}hq`, `the${cleanName}`]
+    .forEach(variation => domains.push(`${variation}.com`));
+
+  // One failing or invalid candidate is reported as unknown rather than failing the rest
+  return Promise.all(domains.map(domain => checkDomainAvailability(domain, { userId }).catch(error => {
+    if (error.message !== 'Invalid domain name') {
+      console.error(`Error checking domain ${domain}:`, error);
+    }
+
+    return formatResult({
+      domain_name: domain,
+      tld: domain.slice(domain.lastIndexOf('.')),
+      status: 'unknown',
+      provider: null,
+      checked_at: null
+    }, false);
+  })));
 };
 
-// Helper function to generate a pseudo-random but consistent availability result
-function generateRandomAvailability(name, tld) {
-  // Use a simple hash function to generate a predictable but seemingly random result
-  // This is just for the mock implementation
-  const hash = (name + tld).split('').reduce((acc, char) => {
-    return acc + char.charCodeAt(0);
-  }, 0);
-  
-  // Domains with common TLDs like .com should be less likely to be available
-  const availabilityThreshold = {
-    '.com': 0.2,   // 20% chance of availability
-    '.net': 0.4,
-    '.org': 0.5,
-    '.io': 0.6,
-    '.co': 0.4,
-    '.app': 0.7,
-    '.tech': 0.8,
-    '.ai': 0.7,
-    '.dev': 0.7,
-    '.me': 0.6
+/**
+ * Check up to MAX_BULK_DOMAINS domains at once
+ *
+ * Invalid names are reported in the results rather than failing the batch.
+ *
+ * @param {string[]} domains - Domains to check
+ * @param {Object} options - { userId } to record the checks in the user's history
+ * @returns {Promise<Object[]>} One result per domain, in order; invalid ones as { domain, error }
+ */
+const checkDomainsInBulk = async (domains, { userId = null } = {}) => {
+  if (!Array.isArray(domains) || !domains.length) {
+    throw new Error('Domains must be a non-empty list');
+  }
+
+  if (domains.length > MAX_BULK_DOMAINS) {
+    throw new Error(`A bulk check is limited to ${MAX_BULK_DOMAINS} domains`);
+  }
+
+  const results = new Array(domains.length);
+  let next = 0;
+
+  // A fixed pool of workers, so registries are not hit with 100 requests at once
+  const worker = async () => {
+    while (next < domains.length) {
+      const index = next++;
+
+      try {
+        results[index] = await checkDomainAvailability(domains[index], { userId });
+      } catch (error) {
+        if (error.message !== 'Invalid domain name') {
+          throw error;
+        }
+        results[index] = { domain: String(domains[index]), error: error.message };
+      }
+    }
   };
-  
-  const threshold = availabilityThreshold[tld] || 0.5;
-  
-  // Shorter domains are less likely to be available
-  const lengthFactor = Math.min(name.length / 10, 1);
-  const adjustedThreshold = threshold * (0.5 + lengthFactor / 2);
-  
-  return (hash % 100) / 100 < adjustedThreshold;
-}
+
+  await Promise.all(Array.from({ length: Math.min(BULK_CONCURRENCY, domains.length) }, worker));
+
+  return results;
+};
 
 module.exports = {
+  DOMAIN_STATUSES,
+  MAX_BULK_DOMAINS,
+  parseDomain,
   checkDomainAvailability,
+  checkDomainsInBulk,
   generateDomainSuggestions
-}; 
\ No newline at end of file
+};
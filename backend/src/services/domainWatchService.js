@@ -0,0 +1,217 @@
+/**
+ * Domain Watchlist Service
+ *
+ * Users watch domains they want (typically taken ones that may lapse). A scheduled
+ * job re-checks them through domainService and notifies the user when a domain's
+ * availability or registration expiry changes.
+ */
+const { query } = require('../config/db');
+const { checkDomainAvailability, checkDomainsInBulk, MAX_BULK_DOMAINS } = require('./domainService');
+const notificationService = require('./notificationService');
+require('dotenv').config();
+
+const WATCH_INTERVAL_MINUTES = parseInt(process.env.DOMAIN_WATCH_INTERVAL_MINUTES, 10) || 6 * 60;
+
+// Most watched domains re-checked per run of the job
+const WATCH_BATCH_SIZE = 200;
+
+/**
+ * Format a date for comparison and display (day precision is all registries give)
+ */
+const toDay = (date) => (date ? new Date(date).toISOString().slice(0, 10) : null);
+
+/**
+ * Get a user's watchlist
+ */
+const getWatchlist = async (userId) => {
+  return query(
+    `SELECT id, domain_name, tld, last_status, last_registration_expires_at, last_checked_at, last_changed_at, created_at
+     FROM domain_watchlist
+     WHERE user_id = ?
+     ORDER BY domain_name`,
+    [userId]
+  );
+};
+
+/**
+ * Add domains to a user's watchlist (up to MAX_BULK_DOMAINS at once)
+ *
+ * Each domain is checked straight away so later changes can be detected.
+ * @param {string[]} domains - Domains, e.g. from the user's domain history or suggestions
+ */
+const addToWatchlist = async (userId, domains) => {
+  if (!Array.isArray(domains) || !domains.length) {
+    throw new Error('Domains must be a non-empty list');
+  }
+
+  if (domains.length > MAX_BULK_DOMAINS) {
+    throw new Error(`At most ${MAX_BULK_DOMAINS} domains can be added at once`);
+  }
+
+  const results = await checkDomainsInBulk(domains, { userId });
+  const added = [];
+  const alreadyWatched = [];
+  const invalid = [];
+
+  for (const result of results) {
+    if (result.error) {
+      invalid.push(result.domain);
+      continue;
+    }
+
+    const inserted = await query(
+      `INSERT IGNORE INTO domain_watchlist
+        (user_id, domain_name, tld, last_status, last_registration_expires_at, last_checked_at)
+       VALUES (?, ?, ?, ?, ?, NOW())`,
+      [userId, result.domain, result.tld, result.status, result.registrationExpiresAt]
+    );
+
+    (inserted.affectedRows ? added : alreadyWatched).push(result.domain);
+  }
+
+  return {
+    success: true,
+    message: `${added.length} domain(s) added to your watchlist`,
+    added,
+    alreadyWatched,
+    invalid
+  };
+};
+
+/**
+ * Stop watching a domain
+ */
+const removeFromWatchlist = async (userId, watchId) => {
+  const result = await query(
+    'DELETE FROM domain_watchlist WHERE id = ? AND user_id = ?',
+    [watchId, userId]
+  );
+
+  if (!result.affectedRows) {
+    throw new Error('Watched domain not found');
+  }
+
+  return {
+    success: true,
+    message: 'Domain removed from your watchlist'
+  };
+};
+
+/**
+ * Describe what changed about a watched domain, or return null if nothing did
+ */
+const describeChange = (watch, result) => {
+  const changes = [];
+
+  if (result.status !== watch.last_status) {
+    changes.push(`it is now ${result.status} (was ${watch.last_status})`);
+  }
+
+  const previousExpiry = toDay(watch.last_registration_expires_at);
+  const expiry = toDay(result.registrationExpiresAt);
+
+  if (result.status === 'registered' && expiry !== previousExpiry) {
+    changes.push(expiry
+      ? `its registration now expires on ${expiry}${previousExpiry ? ` (was ${previousExpiry})` : ''}`
+      : 'its registration expiry date is no longer published');
+  }
+
+  return changes.length ? changes.join(' and ') : null;
+};
+
+/**
+ * Re-check watched domains that are due and alert their watchers to changes
+ *
+ * Run periodically (see server.js). Each domain is looked up once, however many
+ * users watch it; inconclusive ("unknown") lookups are not treated as changes.
+ * @returns {Promise<number>} Number of watchers notified
+ */
+const processDomainWatchlist = async () => {
+  const due = await query(
+    `SELECT id, user_id, domain_name, last_status, last_registration_expires_at
+     FROM domain_watchlist
+     WHERE last_checked_at IS NULL OR last_checked_at < DATE_SUB(NOW(), INTERVAL ${WATCH_INTERVAL_MINUTES} MINUTE)
+     ORDER BY last_checked_at
+     LIMIT ${WATCH_BATCH_SIZE}`,
+    []
+  );
+
+  const byDomain = new Map();
+  due.forEach(watch => {
+    byDomain.set(watch.domain_name, [...(byDomain.get(watch.domain_name) || []), watch]);
+  });
+
+  let notified = 0;
+
+  for (const [domain, watches] of byDomain) {
+    let result;
+
+    try {
+      result = await checkDomainAvailability(domain, { skipCache: true });
+    } catch (error) {
+      console.error(`Error re-checking watched domain ${domain}:`, error);
+      continue;
+    }
+
+    for (const watch of watches) {
+      if (result.status === 'unknown') {
+        await query('UPDATE domain_watchlist SET last_checked_at = NOW() WHERE id = ?', [watch.id]);
+        continue;
+      }
+
+      // The first conclusive result only sets the baseline
+      if (watch.last_status === 'unknown') {
+        await query(
+          `UPDATE domain_watchlist
+           SET last_status = ?, last_registration_expires_at = ?, last_checked_at = NOW()
+           WHERE id = ?`,
+          [result.status, result.registrationExpiresAt, watch.id]
+        );
+        continue;
+      }
+
+      const change = describeChange(watch, result);
+
+      if (!change) {
+        await query('UPDATE domain_watchlist SET last_checked_at = NOW() WHERE id = ?', [watch.id]);
+        continue;
+      }
+
+      await query(
+        `UPDATE domain_watchlist
+         SET last_status = ?, last_registration_expires_at = ?, last_checked_at = NOW(), last_changed_at = NOW()
+         WHERE id = ?`,
+        [result.status, result.registrationExpiresAt, watch.id]
+      );
+
+      try {
+        await notificationService.sendNotification({
+          userId: watch.user_id,
+          type: 'domain_watch_changed',
+          referenceId: watch.id,
+          referenceType: 'domain_watch',
+          data: {
+            domain,
+            status: result.status,
+            previous_status: watch.last_status,
+            registration_expires_at: toDay(result.registrationExpiresAt),
+            previous_registration_expires_at: toDay(watch.last_registration_expires_at),
+            change_summary: change
+          }
+        });
+        notified++;
+      } catch (error) {
+        console.error(`Error sending domain watch alert for ${domain}:`, error);
+      }
+    }
+  }
+
+  return notified;
+};
+
+module.exports = {
+  getWatchlist,
+  addToWatchlist,
+  removeFromWatchlist,
+  processDomainWatchlist
+};
@@ -88,6 +88,44 @@ const sendPasswordResetEmail = async (to, token) => {
   }
 };
 
+/**
+ * Send magic link sign-in email
+ * @param {string} to - Recipient email
+ * @param {string} token - Sign-in token
+ */
+const sendMagicLinkEmail = async (to, token) => {
+  const signInUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/magic-link?token=${token}`;
+  
+  const mailOptions = {
+    from: process.env.EMAIL_FROM,
+    to,
+    subject: 'Your Sign-In Link',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">Sign In to HeadStart</h2>
+        <p>Click the button below to sign in to your account:</p>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${signInUrl}" style="background-color: #4CAF50; color: white; padding: 12px 20px; text-decoration: none; border-radius: 4px; font-weight: bold;">Sign In</a>
+        </div>
+        <p>If the button above doesn't work, you can also click on the link below or copy and paste it into your browser:</p>
+        <p><a href="${signInUrl}">${signInUrl}</a></p>
+        <p>This link will expire in 15 minutes and can only be used once.</p>
+        <p>If you didn't request this link, you can safely ignore this email.</p>
+        <p>Thanks,<br>The HeadStart Team</p>
+      </div>
+    `,
+  };
+
+  try {
+    const info = await transporter.sendMail(mailOptions);
+    console.log('Magic link email sent:', info.messageId);
+    return info;
+  } catch (error) {
+    console.error('Error sending magic link email:', error);
+    throw error;
+  }
+};
+
 /**
  * Send OTP verification email
  * @param {string} to - Recipient email
@@ -122,8 +160,206 @@ const sendOTPEmail = async (to, otp) => {
   }
 };
 
+/**
+ * Send email change confirmation to the new address
+ * @param {string} to - New email address
+ * @param {string} token - Confirmation token
+ */
+const sendEmailChangeConfirmationEmail = async (to, token) => {
+  const confirmUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/confirm-email-change?token=${token}`;
+  
+  const mailOptions = {
+    from: process.env.EMAIL_FROM,
+    to,
+    subject: 'Confirm Your New Email Address',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">Confirm Your New Email Address</h2>
+        <p>You have requested to change the email address on your HeadStart account to this one. Please click the button below to confirm:</p>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${confirmUrl}" style="background-color: #4CAF50; color: white; padding: 12px 20px; text-decoration: none; border-radius: 4px; font-weight: bold;">Confirm Email</a>
+        </div>
+        <p>If the button above doesn't work, you can also click on the link below or copy and paste it into your browser:</p>
+        <p><a href="${confirmUrl}">${confirmUrl}</a></p>
+        <p>This link will expire in 24 hours. Your email address will not change until you confirm.</p>
+        <p>If you didn't request this change, you can safely ignore this email.</p>
+        <p>Thanks,<br>The HeadStart Team</p>
+      </div>
+    `,
+  };
+
+  try {
+    const info = await transporter.sendMail(mailOptions);
+    console.log('Email change confirmation sent:', info.messageId);
+    return info;
+  } catch (error) {
+    console.error('Error sending email change confirmation:', error);
+    throw error;
+  }
+};
+
+/**
+ * Send email change notice (with a revert link) to the old address
+ * @param {string} to - Current email address
+ * @param {string} newEmail - Requested new address
+ * @param {string} token - Revert token
+ */
+const sendEmailChangeNoticeEmail = async (to, newEmail, token) => {
+  const revertUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/revert-email-change?token=${token}`;
+  const safeNewEmail = String(newEmail).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+  
+  const mailOptions = {
+    from: process.env.EMAIL_FROM,
+    to,
+    subject: 'Your Email Address Is Being Changed',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">Your Email Address Is Being Changed</h2>
+        <p>A request was made to change the email address on your HeadStart account to <strong>${safeNewEmail}</strong>.</p>
+        <p>If this was you, no action is needed. If it wasn't, click the button below to keep your current address and sign out all devices:</p>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${revertUrl}" style="background-color: #d9534f; color: white; padding: 12px 20px; text-decoration: none; border-radius: 4px; font-weight: bold;">This Wasn't Me</a>
+        </div>
+        <p>If the button above doesn't work, you can also click on the link below or copy and paste it into your browser:</p>
+        <p><a href="${revertUrl}">${revertUrl}</a></p>
+        <p>This link will work for 7 days, even after the change has been confirmed.</p>
+        <p>Thanks,<br>The HeadStart Team</p>
+      </div>
+    `,
+  };
+
+  try {
+    const info = await transporter.sendMail(mailOptions);
+    console.log('Email change notice sent:', info.messageId);
+    return info;
+  } catch (error) {
+    console.error('Error sending email change notice:', error);
+    throw error;
+  }
+};
+
+/**
+ * Send account locked notice
+ * @param {string} to - Recipient email
+ * @param {Date} lockedUntil - When the lock expires
+ */
+const sendAccountLockedEmail = async (to, lockedUntil) => {
+  const resetUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/forgot-password`;
+  
+  const mailOptions = {
+    from: process.env.EMAIL_FROM,
+    to,
+    subject: 'Your Account Has Been Temporarily Locked',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">Your Account Has Been Temporarily Locked</h2>
+        <p>We noticed several unsuccessful attempts to sign in to your HeadStart account, so we have temporarily locked it to keep it safe.</p>
+        <p>You can try again after <strong>${lockedUntil.toUTCString()}</strong>.</p>
+        <p>If this wasn't you, we recommend resetting your password:</p>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${resetUrl}" style="background-color: #4CAF50; color: white; padding: 12px 20px; text-decoration: none; border-radius: 4px; font-weight: bold;">Reset Password</a>
+        </div>
+        <p>If you need access sooner, please contact customer support.</p>
+        <p>Thanks,<br>The HeadStart Team</p>
+      </div>
+    `,
+  };
+
+  try {
+    const info = await transporter.sendMail(mailOptions);
+    console.log('Account locked email sent:', info.messageId);
+    return info;
+  } catch (error) {
+    console.error('Error sending account locked email:', error);
+    throw error;
+  }
+};
+
+/**
+ * Send notice that an account is scheduled for deletion
+ * @param {string} to - Recipient email
+ * @param {Date} scheduledFor - When the deletion will be carried out
+ */
+const sendAccountDeletionScheduledEmail = async (to, scheduledFor) => {
+  const loginUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/login`;
+  
+  const mailOptions = {
+    from: process.env.EMAIL_FROM,
+    to,
+    subject: 'Your Account Is Scheduled for Deletion',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">Your Account Is Scheduled for Deletion</h2>
+        <p>We received a request to delete your HeadStart account. Your personal data will be permanently erased on <strong>${scheduledFor.toUTCString()}</strong>.</p>
+        <p>Changed your mind? Sign in before then and cancel the deletion from your account settings:</p>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${loginUrl}" style="background-color: #4CAF50; color: white; padding: 12px 20px; text-decoration: none; border-radius: 4px; font-weight: bold;">Sign In</a>
+        </div>
+        <p>If you didn't request this, sign in and cancel the deletion, then change your password.</p>
+        <p>Thanks,<br>The HeadStart Team</p>
+      </div>
+    `,
+  };
+
+  try {
+    const info = await transporter.sendMail(mailOptions);
+    console.log('Account deletion email sent:', info.messageId);
+    return info;
+  } catch (error) {
+    console.error('Error sending account deletion email:', error);
+    throw error;
+  }
+};
+
+/**
+ * Send an invitation to collaborate on a shared business plan or financial model
+ * @param {string} to - Invitee email address
+ * @param {Object} invitation - { inviterName, resourceLabel, title, role, token }
+ * @returns {Promise} - Nodemailer send result
+ */
+const sendShareInvitationEmail = async (to, invitation) => {
+  const { inviterName, resourceLabel, title, role, token } = invitation;
+  const acceptUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/accept-share?token=${token}`;
+  const safeTitle = String(title).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+  const safeInviter = String(inviterName).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+  
+  const mailOptions = {
+    from: process.env.EMAIL_FROM,
+    to,
+    subject: `${inviterName} shared a ${resourceLabel} with you`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">You've Been Invited to Collaborate</h2>
+        <p>${safeInviter} invited you to the ${resourceLabel} <strong>${safeTitle}</strong> on HeadStart as a <strong>${role}</strong>.</p>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${acceptUrl}" style="background-color: #4CAF50; color: white; padding: 12px 20px; text-decoration: none; border-radius: 4px; font-weight: bold;">Accept Invitation</a>
+        </div>
+        <p>Or copy and paste this link into your browser:</p>
+        <p style="word-break: break-all;"><a href="${acceptUrl}">${acceptUrl}</a></p>
+        <p>You'll need to sign in, or create an account, to accept. This invitation expires in 14 days.</p>
+        <p>Thanks,<br>The HeadStart Team</p>
+      </div>
+    `,
+  };
+
+  try {
+    const info = await transporter.sendMail(mailOptions);
+    console.log('Share invitation email sent:', info.messageId);
+    return info;
+  } catch (error) {
+    console.error('Error sending share invitation email:', error);
+    throw error;
+  }
+};
+
 module.exports = {
   sendVerificationEmail,
   sendPasswordResetEmail,
-  sendOTPEmail
+  sendOTPEmail,
+  sendMagicLinkEmail,
+  sendEmailChangeConfirmationEmail,
+  sendEmailChangeNoticeEmail,
+  sendAccountLockedEmail,
+  sendAccountDeletionScheduledEmail,
+  sendShareInvitationEmail
 }; 
\ No newline at end of file
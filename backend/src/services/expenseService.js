@@ -3,6 +3,7 @@ const { v4: uuidv4 } = require('uuid');
 const { createWorker } = require('tesseract.js');
 const { NotFoundError, ValidationError } = require('../utils/errors');
 const { uploadFile, getFileUrl } = require('../utils/fileStorage');
+const { workspaceCondition } = require('./organizationService');
 
 // Initialize Tesseract worker
 let ocrWorker = null;
@@ -20,14 +21,15 @@ const getExpenseCategories = async () => {
 };
 
 // Expenses
-const getExpenses = async (userId, filters = {}) => {
+const getExpenses = async (userId, filters = {}, organizationId = null) => {
+    const workspace = workspaceCondition(userId, organizationId, 'e.');
     let sql = `
         SELECT e.*, ec.name as category_name 
         FROM expenses e
         JOIN expense_categories ec ON e.category_id = ec.id
-        WHERE e.user_id = ?
+        WHERE ${workspace.sql}
     `;
-    const params = [userId];
+    const params = [...workspace.params];
 
     if (filters.startDate) {
         sql += ' AND e.date >= ?';
@@ -127,7 +129,7 @@ const processReceipt = async (receiptBuffer) => {
     }
 };
 
-const createExpense = async (userId, data, receiptFile = null) => {
+const createExpense = async (userId, data, receiptFile = null, organizationId = null) => {
     const { categoryId, amount, description, date } = data;
     const id = uuidv4();
     let receiptData = null;
@@ -148,11 +150,12 @@ const createExpense = async (userId, data, receiptFile = null) => {
     // Create expense record
     await query(
         `INSERT INTO expenses 
-         (id, user_id, category_id, amount, description, date, receipt_url, receipt_text, receipt_data)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+         (id, user_id, organization_id, category_id, amount, description, date, receipt_url, receipt_text, receipt_data)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
         [
             id,
             userId,
+            organizationId,
             categoryId,
             amount || receiptData?.total || 0,
             description,
@@ -4,11 +4,13 @@
  * Handles financial modeling, calculations, and projections
  */
 const { query } = require('../config/db');
+const { assertAccess, getSharedWithUser } = require('./sharingService');
+const { workspaceCondition } = require('./organizationService');
 
 /**
  * Create a new financial model
  */
-const createFinancialModel = async (userId, modelData) => {
+const createFinancialModel = async (userId, modelData, organizationId = null) => {
   const {
     planId,
     title,
@@ -22,13 +24,19 @@ const createFinancialModel = async (userId, modelData) => {
     throw new Error('Title and type are required');
   }
   
+  // Models can only be attached to plans the user can edit
+  if (planId) {
+    await assertAccess('business_plan', planId, userId, 'editor', 'update');
+  }
+  
   // Insert model
   const result = await query(
     `INSERT INTO financial_models 
-      (user_id, plan_id, title, description, type, data, assumptions) 
-     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      (user_id, organization_id, plan_id, title, description, type, data, assumptions) 
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
     [
       userId,
+      organizationId,
       planId || null,
       title,
       description || '',
@@ -46,49 +54,57 @@ const createFinancialModel = async (userId, modelData) => {
 };
 
 /**
- * Get all financial models for a user
+ * Get the financial models in a workspace (the user's own, or an organization's)
  */
-const getUserFinancialModels = async (userId, planId = null) => {
-  let query;
+const getUserFinancialModels = async (userId, planId = null, organizationId = null) => {
+  const workspace = workspaceCondition(userId, organizationId);
+  let sql;
   let params;
   
   if (planId) {
-    query = `
-      SELECT id, plan_id, title, description, type, created_at, updated_at 
+    sql = `
+      SELECT id, organization_id, plan_id, title, description, type, created_at, updated_at 
       FROM financial_models 
-      WHERE user_id = ? AND plan_id = ? 
+      WHERE ${workspace.sql} AND plan_id = ? 
       ORDER BY updated_at DESC
     `;
-    params = [userId, planId];
+    params = [...workspace.params, planId];
   } else {
-    query = `
-      SELECT id, plan_id, title, description, type, created_at, updated_at 
+    sql = `
+      SELECT id, organization_id, plan_id, title, description, type, created_at, updated_at 
       FROM financial_models 
-      WHERE user_id = ? 
+      WHERE ${workspace.sql} 
       ORDER BY updated_at DESC
     `;
-    params = [userId];
+    params = workspace.params;
   }
   
-  const models = await query(query, params);
+  const models = await query(sql, params);
   
   return models;
 };
 
+/**
+ * Get financial models other users have shared with a user
+ */
+const getSharedFinancialModels = async (userId) => {
+  return getSharedWithUser('financial_model', userId);
+};
+
 /**
  * Get financial model details
  */
 const getFinancialModelDetails = async (modelId, userId) => {
+  // Check the user owns the model or it has been shared with them
+  const accessRole = await assertAccess('financial_model', modelId, userId, 'viewer', 'access');
+  
   const models = await query(
-    `SELECT * FROM financial_models WHERE id = ? AND user_id = ?`,
-    [modelId, userId]
+    `SELECT * FROM financial_models WHERE id = ?`,
+    [modelId]
   );
   
-  if (!models.length) {
-    throw new Error('Financial model not found or you do not have permission to access it');
-  }
-  
   const model = models[0];
+  model.accessRole = accessRole;
   
   // Parse JSON data
   if (model.data) {
@@ -113,15 +129,8 @@ const updateFinancialModel = async (modelId, userId, modelData) => {
     assumptions
   } = modelData;
   
-  // Check if model exists and belongs to user
-  const models = await query(
-    'SELECT id FROM financial_models WHERE id = ? AND user_id = ?',
-    [modelId, userId]
-  );
-  
-  if (!models.length) {
-    throw new Error('Financial model not found or you do not have permission to update it');
-  }
+  // Check the user owns the model or is an editor
+  await assertAccess('financial_model', modelId, userId, 'editor', 'update');
   
   // Update model
   await query(
@@ -147,15 +156,8 @@ const updateFinancialModel = async (modelId, userId, modelData) => {
  * Delete financial model
  */
 const deleteFinancialModel = async (modelId, userId) => {
-  // Check if model exists and belongs to user
-  const models = await query(
-    'SELECT id FROM financial_models WHERE id = ? AND user_id = ?',
-    [modelId, userId]
-  );
-  
-  if (!models.length) {
-    throw new Error('Financial model not found or you do not have permission to delete it');
-  }
+  // Only the owner can delete a model
+  await assertAccess('financial_model', modelId, userId, 'owner', 'delete');
   
   // Delete model
   await query(
@@ -463,6 +465,7 @@ function getMonthName(monthNumber) {
 module.exports = {
   createFinancialModel,
   getUserFinancialModels,
+  getSharedFinancialModels,
   getFinancialModelDetails,
   updateFinancialModel,
   deleteFinancialModel,
@@ -4,6 +4,7 @@
  * Handles generation of financial reports and KPIs
  */
 const { query } = require('../config/db');
+const { workspaceCondition } = require('./organizationService');
 
 /**
  * Create a new financial report
@@ -112,7 +113,7 @@ const deleteFinancialReport = async (reportId, userId) => {
  * Get cash flow analysis
  * Shows inflow, outflow, and net flow by period (day, week, month, year)
  */
-const getCashFlowAnalysis = async (userId, { startDate, endDate, period = 'month' } = {}) => {
+const getCashFlowAnalysis = async (userId, { startDate, endDate, period = 'month' } = {}, organizationId = null) => {
   if (!startDate || !endDate) {
     endDate = new Date();
     startDate = new Date();
@@ -120,6 +121,8 @@ const getCashFlowAnalysis = async (userId, { startDate, endDate, period = 'month
     startDate.setDate(1);
   }
   
+  const workspace = workspaceCondition(userId, organizationId);
+  
   // Define the period format
   let periodFormat;
   switch (period) {
@@ -145,10 +148,10 @@ const getCashFlowAnalysis = async (userId, { startDate, endDate, period = 'month
        DATE_FORMAT(income_date, ?) as period,
        SUM(amount) as total_inflow
      FROM income_records
-     WHERE user_id = ? AND income_date BETWEEN ? AND ?
+     WHERE ${workspace.sql} AND income_date BETWEEN ? AND ?
      GROUP BY period
      ORDER BY period`,
-    [periodFormat, userId, startDate, endDate]
+    [periodFormat, ...workspace.params, startDate, endDate]
   );
   
   // Get expense data
@@ -157,10 +160,10 @@ const getCashFlowAnalysis = async (userId, { startDate, endDate, period = 'month
        DATE_FORMAT(expense_date, ?) as period,
        SUM(amount) as total_outflow
      FROM expenses
-     WHERE user_id = ? AND expense_date BETWEEN ? AND ?
+     WHERE ${workspace.sql} AND expense_date BETWEEN ? AND ?
      GROUP BY period
      ORDER BY period`,
-    [periodFormat, userId, startDate, endDate]
+    [periodFormat, ...workspace.params, startDate, endDate]
   );
   
   // Create a map of all periods
@@ -214,7 +217,7 @@ const getCashFlowAnalysis = async (userId, { startDate, endDate, period = 'month
 /**
  * Get financial KPIs
  */
-const getFinancialKPIs = async (userId, { startDate, endDate } = {}) => {
+const getFinancialKPIs = async (userId, { startDate, endDate } = {}, organizationId = null) => {
   if (!startDate || !endDate) {
     endDate = new Date();
     startDate = new Date();
@@ -222,20 +225,24 @@ const getFinancialKPIs = async (userId, { startDate, endDate } = {}) => {
     startDate.setDate(1);
   }
   
+  const workspace = workspaceCondition(userId, organizationId);
+  const expenseWorkspace = workspaceCondition(userId, organizationId, 'e.');
+  const incomeWorkspace = workspaceCondition(userId, organizationId, 'i.');
+  
   // Get total income
   const incomeResult = await query(
     `SELECT SUM(amount) as total_income
      FROM income_records
-     WHERE user_id = ? AND income_date BETWEEN ? AND ?`,
-    [userId, startDate, endDate]
+     WHERE ${workspace.sql} AND income_date BETWEEN ? AND ?`,
+    [...workspace.params, startDate, endDate]
   );
   
   // Get total expenses
   const expenseResult = await query(
     `SELECT SUM(amount) as total_expenses
      FROM expenses
-     WHERE user_id = ? AND expense_date BETWEEN ? AND ?`,
-    [userId, startDate, endDate]
+     WHERE ${workspace.sql} AND expense_date BETWEEN ? AND ?`,
+    [...workspace.params, startDate, endDate]
   );
   
   // Get expense breakdown by category
@@ -245,11 +252,11 @@ const getFinancialKPIs = async (userId, { startDate, endDate } = {}) => {
        SUM(e.amount) as total_amount
      FROM expenses e
      JOIN budget_categories bc ON e.category_id = bc.id
-     WHERE e.user_id = ? AND e.expense_date BETWEEN ? AND ?
+     WHERE ${expenseWorkspace.sql} AND e.expense_date BETWEEN ? AND ?
      GROUP BY bc.id, bc.name
      ORDER BY total_amount DESC
      LIMIT 5`,
-    [userId, startDate, endDate]
+    [...expenseWorkspace.params, startDate, endDate]
   );
   
   // Get income breakdown by category
@@ -259,11 +266,11 @@ const getFinancialKPIs = async (userId, { startDate, endDate } = {}) => {
        SUM(i.amount) as total_amount
      FROM income_records i
      JOIN budget_categories bc ON i.category_id = bc.id
-     WHERE i.user_id = ? AND i.income_date BETWEEN ? AND ?
+     WHERE ${incomeWorkspace.sql} AND i.income_date BETWEEN ? AND ?
      GROUP BY bc.id, bc.name
      ORDER BY total_amount DESC
      LIMIT 5`,
-    [userId, startDate, endDate]
+    [...incomeWorkspace.params, startDate, endDate]
   );
   
   // Calculate KPIs
@@ -282,16 +289,16 @@ const getFinancialKPIs = async (userId, { startDate, endDate } = {}) => {
   const prevIncomeResult = await query(
     `SELECT SUM(amount) as total_income
      FROM income_records
-     WHERE user_id = ? AND income_date BETWEEN ? AND ?`,
-    [userId, previousPeriodStart, previousPeriodEnd]
+     WHERE ${workspace.sql} AND income_date BETWEEN ? AND ?`,
+    [...workspace.params, previousPeriodStart, previousPeriodEnd]
   );
   
   // Previous period expenses
   const prevExpenseResult = await query(
     `SELECT SUM(amount) as total_expenses
      FROM expenses
-     WHERE user_id = ? AND expense_date BETWEEN ? AND ?`,
-    [userId, previousPeriodStart, previousPeriodEnd]
+     WHERE ${workspace.sql} AND expense_date BETWEEN ? AND ?`,
+    [...workspace.params, previousPeriodStart, previousPeriodEnd]
   );
   
   const prevTotalIncome = parseFloat(prevIncomeResult[0]?.total_income || 0);
@@ -395,7 +402,9 @@ const getSavingsGoalsProgress = async (userId) => {
  * Get expense forecast
  * Uses simple linear regression to forecast future expenses
  */
-const getExpenseForecast = async (userId, { months = 3 } = {}) => {
+const getExpenseForecast = async (userId, { months = 3 } = {}, organizationId = null) => {
+  const workspace = workspaceCondition(userId, organizationId);
+  
   // Get monthly expense data for the past 12 months
   const endDate = new Date();
   const startDate = new Date();
@@ -407,10 +416,10 @@ const getExpenseForecast = async (userId, { months = 3 } = {}) => {
        DATE_FORMAT(expense_date, '%Y-%m-01') as month,
        SUM(amount) as total_amount
      FROM expenses
-     WHERE user_id = ? AND expense_date BETWEEN ? AND ?
+     WHERE ${workspace.sql} AND expense_date BETWEEN ? AND ?
      GROUP BY month
      ORDER BY month`,
-    [userId, startDate, endDate]
+    [...workspace.params, startDate, endDate]
   );
   
   if (monthlyExpenses.length < 3) {
@@ -0,0 +1,49 @@
+/**
+ * App Store Name Provider
+ *
+ * Searches the iTunes Search API for an app with exactly the same name.
+ */
+
+const platform = 'appstore';
+const label = 'App Store';
+
+const REQUEST_TIMEOUT_MS = 8000;
+const SEARCH_LIMIT = 50;
+
+/**
+ * App names keep their spaces and capitals; only the length is limited (30)
+ */
+const toHandle = (name) => {
+  const handle = String(name).trim().replace(/\s+/g, ' ');
+  return handle && handle.length <= 30 ? handle : null;
+};
+
+const profileUrl = (handle) => `https://apps.apple.com/search?term=${encodeURIComponent(handle)}`;
+
+/**
+ * @returns {Promise<string>} 'available', 'taken' or 'unknown'
+ */
+const lookup = async (handle) => {
+  const params = new URLSearchParams({ term: handle, entity: 'software', limit: String(SEARCH_LIMIT) });
+  const response = await fetch(`https://itunes.apple.com/search?${params}`, {
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+  });
+
+  if (!response.ok) {
+    return 'unknown';
+  }
+
+  const body = await response.json();
+  const wanted = handle.toLowerCase();
+  const taken = (body.results || []).some(app => String(app.trackName || '').trim().toLowerCase() === wanted);
+
+  return taken ? 'taken' : 'available';
+};
+
+module.exports = {
+  platform,
+  label,
+  toHandle,
+  profileUrl,
+  lookup
+};
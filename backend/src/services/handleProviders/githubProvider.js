@@ -0,0 +1,52 @@
+/**
+ * GitHub Handle Provider
+ *
+ * Checks user and organization names through the GitHub REST API. GITHUB_TOKEN
+ * raises the rate limit but is optional.
+ */
+require('dotenv').config();
+
+const platform = 'github';
+const label = 'GitHub';
+
+const REQUEST_TIMEOUT_MS = 8000;
+
+/**
+ * Turn a business name into a GitHub handle (letters, digits and single hyphens, up to 39)
+ */
+const toHandle = (name) => {
+  const handle = String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  return handle && handle.length <= 39 ? handle : null;
+};
+
+const profileUrl = (handle) => `https://github.com/${handle}`;
+
+/**
+ * @returns {Promise<string>} 'available', 'taken' or 'unknown'
+ */
+const lookup = async (handle) => {
+  const headers = { Accept: 'application/vnd.github+json', 'User-Agent': 'HeadStart' };
+
+  if (process.env.GITHUB_TOKEN) {
+    headers.Authorization = `Bearer ${process.env.GITHUB_TOKEN}`;
+  }
+
+  const response = await fetch(`https://api.github.com/users/${encodeURIComponent(handle)}`, {
+    headers,
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+  });
+
+  if (response.status === 404) {
+    return 'available';
+  }
+
+  return response.ok ? 'taken' : 'unknown';
+};
+
+module.exports = {
+  platform,
+  label,
+  toHandle,
+  profileUrl,
+  lookup
+};
@@ -0,0 +1,45 @@
+/**
+ * Instagram Handle Provider
+ *
+ * Instagram has no public lookup API, so this requests the profile page: a 404
+ * means the handle is free. Login walls and rate limits come back as unknown.
+ */
+
+const platform = 'instagram';
+const label = 'Instagram';
+
+const REQUEST_TIMEOUT_MS = 8000;
+
+/**
+ * Turn a business name into an Instagram handle (letters, digits, periods and underscores, up to 30)
+ */
+const toHandle = (name) => {
+  const handle = String(name).toLowerCase().replace(/[^a-z0-9._]+/g, '').replace(/^\.+|\.+$/g, '');
+  return handle && handle.length <= 30 ? handle : null;
+};
+
+const profileUrl = (handle) => `https://www.instagram.com/${handle}/`;
+
+/**
+ * @returns {Promise<string>} 'available', 'taken' or 'unknown'
+ */
+const lookup = async (handle) => {
+  const response = await fetch(profileUrl(handle), {
+    redirect: 'manual',
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+  });
+
+  if (response.status === 404) {
+    return 'available';
+  }
+
+  return response.status === 200 ? 'taken' : 'unknown';
+};
+
+module.exports = {
+  platform,
+  label,
+  toHandle,
+  profileUrl,
+  lookup
+};
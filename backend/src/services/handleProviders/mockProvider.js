@@ -0,0 +1,33 @@
+/**
+ * Mock Handle Provider
+ *
+ * Offline stand-in for every platform (HANDLE_PROVIDERS=mock): a predictable but
+ * seemingly random result from a hash of the platform and handle.
+ */
+
+// Chance of a handle being free, by platform; busy platforms are less likely to be
+const availabilityThreshold = {
+  x: 0.3,
+  instagram: 0.3,
+  github: 0.5,
+  npm: 0.6,
+  appstore: 0.8
+};
+
+/**
+ * @returns {Promise<string>} 'available' or 'taken'
+ */
+const lookup = async (platform, handle) => {
+  const hash = `${platform}:${handle.toLowerCase()}`.split('').reduce((acc, char) => (acc * 31 + char.charCodeAt(0)) % 1000003, 7);
+  const threshold = availabilityThreshold[platform] || 0.5;
+
+  // Shorter handles are less likely to be available
+  const lengthFactor = Math.min(handle.length / 12, 1);
+
+  return (hash % 100) / 100 < threshold * (0.5 + lengthFactor / 2) ? 'available' : 'taken';
+};
+
+module.exports = {
+  name: 'mock',
+  lookup
+};
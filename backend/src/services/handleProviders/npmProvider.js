@@ -0,0 +1,44 @@
+/**
+ * npm Handle Provider
+ *
+ * Checks package names against the public npm registry.
+ */
+
+const platform = 'npm';
+const label = 'npm';
+
+const REQUEST_TIMEOUT_MS = 8000;
+
+/**
+ * Turn a business name into an npm package name (lowercase, URL-safe, up to 214)
+ */
+const toHandle = (name) => {
+  const handle = String(name).toLowerCase().replace(/[^a-z0-9._-]+/g, '-').replace(/^[-._]+|-+$/g, '');
+  return handle && handle.length <= 214 ? handle : null;
+};
+
+const profileUrl = (handle) => `https://www.npmjs.com/package/${handle}`;
+
+/**
+ * @returns {Promise<string>} 'available', 'taken' or 'unknown'
+ */
+const lookup = async (handle) => {
+  const response = await fetch(`https://registry.npmjs.org/${encodeURIComponent(handle)}`, {
+    method: 'HEAD',
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+  });
+
+  if (response.status === 404) {
+    return 'available';
+  }
+
+  return response.ok ? 'taken' : 'unknown';
+};
+
+module.exports = {
+  platform,
+  label,
+  toHandle,
+  profileUrl,
+  lookup
+};
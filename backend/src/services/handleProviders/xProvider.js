@@ -0,0 +1,52 @@
+/**
+ * X (Twitter) Handle Provider
+ *
+ * Checks usernames through the X API v2, which needs X_BEARER_TOKEN; without it
+ * every result is unknown.
+ */
+require('dotenv').config();
+
+const platform = 'x';
+const label = 'X';
+
+const REQUEST_TIMEOUT_MS = 8000;
+
+/**
+ * Turn a business name into an X handle (letters, digits and underscores, up to 15)
+ */
+const toHandle = (name) => {
+  const handle = String(name).replace(/[^a-z0-9_]+/gi, '');
+  return handle && handle.length <= 15 ? handle : null;
+};
+
+const profileUrl = (handle) => `https://x.com/${handle}`;
+
+/**
+ * @returns {Promise<string>} 'available', 'taken' or 'unknown'
+ */
+const lookup = async (handle) => {
+  if (!process.env.X_BEARER_TOKEN) {
+    return 'unknown';
+  }
+
+  const response = await fetch(`https://api.x.com/2/users/by/username/${encodeURIComponent(handle)}`, {
+    headers: { Authorization: `Bearer ${process.env.X_BEARER_TOKEN}` },
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+  });
+
+  if (!response.ok) {
+    return 'unknown';
+  }
+
+  // Unknown usernames come back as 200 with an error instead of data
+  const body = await response.json();
+  return body.data ? 'taken' : 'available';
+};
+
+module.exports = {
+  platform,
+  label,
+  toHandle,
+  profileUrl,
+  lookup
+};
@@ -0,0 +1,157 @@
+/**
+ * Handle Availability Service
+ *
+ * Checks whether a business name is free as a social handle, package or app name.
+ * Each platform is a plugin in handleProviders/; HANDLE_PLATFORMS picks which are
+ * checked and HANDLE_PROVIDERS=mock answers for all of them offline. Results are
+ * kept in memory for HANDLE_CACHE_TTL_MINUTES.
+ */
+const mockProvider = require('./handleProviders/mockProvider');
+require('dotenv').config();
+
+const registry = {
+  x: require('./handleProviders/xProvider'),
+  instagram: require('./handleProviders/instagramProvider'),
+  github: require('./handleProviders/githubProvider'),
+  npm: require('./handleProviders/npmProvider'),
+  appstore: require('./handleProviders/appStoreProvider')
+};
+
+const HANDLE_STATUSES = ['available', 'taken', 'invalid', 'unknown'];
+
+const DEFAULT_CACHE_TTL_MINUTES = 30;
+const MAX_CACHE_ENTRIES = 5000;
+
+// platform:handle -> { status, expiresAt }
+const cache = new Map();
+
+/**
+ * Get the platforms checked by default, in display order
+ */
+const getConfiguredPlatforms = () => {
+  const names = process.env.HANDLE_PLATFORMS
+    ? process.env.HANDLE_PLATFORMS.split(',').map(s => s.trim().toLowerCase()).filter(Boolean)
+    : Object.keys(registry);
+
+  return names.map(platform => {
+    if (!registry[platform]) {
+      throw new Error(`Unknown handle platform: ${platform}`);
+    }
+    return platform;
+  });
+};
+
+const isMockMode = () => process.env.HANDLE_PROVIDERS === 'mock';
+
+const getCacheTtlMs = () => (parseInt(process.env.HANDLE_CACHE_TTL_MINUTES, 10) || DEFAULT_CACHE_TTL_MINUTES) * 60 * 1000;
+
+/**
+ * Look a handle up on one platform, through the cache
+ */
+const lookupHandle = async (plugin, handle) => {
+  const key = `${plugin.platform}:${handle.toLowerCase()}`;
+  const cached = cache.get(key);
+
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.status;
+  }
+
+  let status;
+
+  try {
+    status = isMockMode()
+      ? await mockProvider.lookup(plugin.platform, handle)
+      : await plugin.lookup(handle);
+  } catch (error) {
+    console.error(`Error checking ${plugin.label} handle ${handle}:`, error.message);
+    status = 'unknown';
+  }
+
+  if (status !== 'unknown') {
+    // Drop the oldest entry once the cache is full
+    if (cache.size >= MAX_CACHE_ENTRIES) {
+      cache.delete(cache.keys().next().value);
+    }
+    cache.set(key, { status, expiresAt: Date.now() + getCacheTtlMs() });
+  }
+
+  return status;
+};
+
+/**
+ * Check a business name on each platform
+ *
+ * @param {string} name - Candidate business name
+ * @param {Object} options - { platforms } to check a subset of the configured platforms
+ * @returns {Promise<Object[]>} { platform, label, handle, status, url } per platform
+ */
+const checkHandles = async (name, { platforms } = {}) => {
+  const configured = getConfiguredPlatforms();
+  const selected = platforms && platforms.length
+    ? platforms.map(platform => String(platform).toLowerCase())
+    : configured;
+
+  const unsupported = selected.filter(platform => !configured.includes(platform));
+
+  if (unsupported.length) {
+    throw new Error(`Platform must be one of: ${configured.join(', ')}`);
+  }
+
+  return Promise.all(selected.map(async platform => {
+    const plugin = registry[platform];
+    const handle = plugin.toHandle(name);
+
+    if (!handle) {
+      return { platform, label: plugin.label, handle: null, status: 'invalid', url: null };
+    }
+
+    return {
+      platform,
+      label: plugin.label,
+      handle,
+      status: await lookupHandle(plugin, handle),
+      url: plugin.profileUrl(handle)
+    };
+  }));
+};
+
+/**
+ * Combine a name's domain and handle results into one availability summary
+ *
+ * @param {Object|null} domain - { name, status } from the name suggestion, if any
+ * @param {Object[]} handles - Results from checkHandles
+ * @returns {Object} { status, available, checked, domain, handles }, where status is
+ *   'available' (everything free), 'partial' (some free) or 'taken' (nothing free)
+ */
+const summarizeAvailability = (domain, handles) => {
+  const statuses = handles.map(handle => handle.status);
+
+  if (domain && domain.status) {
+    // A premium domain can be bought, so it counts as free
+    statuses.push(domain.status === 'premium' ? 'available' : domain.status === 'registered' ? 'taken' : domain.status);
+  }
+
+  const checked = statuses.filter(status => status === 'available' || status === 'taken').length;
+  const available = statuses.filter(status => status === 'available').length;
+
+  let status = 'unknown';
+
+  if (checked) {
+    status = available === checked ? 'available' : available ? 'partial' : 'taken';
+  }
+
+  return {
+    status,
+    available,
+    checked,
+    domain: domain || null,
+    handles: Object.fromEntries(handles.map(handle => [handle.platform, handle.status]))
+  };
+};
+
+module.exports = {
+  HANDLE_STATUSES,
+  getConfiguredPlatforms,
+  checkHandles,
+  summarizeAvailability
+};
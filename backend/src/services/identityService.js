@@ -0,0 +1,188 @@
+/**
+ * Identity Service
+ *
+ * Owns user credentials. In the default mode they live in Firebase Auth; with
+ * AUTH_MODE=local they are bcrypt hashes in users.password_hash, so the API can
+ * run without Firebase.
+ */
+const bcrypt = require('bcryptjs');
+const { v4: uuidv4 } = require('uuid');
+const { admin } = require('../config/firebase');
+const { isLocalMode } = require('../config/auth');
+const { query } = require('../config/db');
+
+const FIREBASE_SIGN_IN_URL = 'https://identitytoolkit.googleapis.com/v1/accounts:signInWithPassword';
+const FIREBASE_REQUEST_TIMEOUT_MS = 8000;
+
+// Firebase sign-in errors that mean the password is wrong (or the account cannot sign in)
+const WRONG_PASSWORD_ERRORS = ['INVALID_PASSWORD', 'INVALID_LOGIN_CREDENTIALS', 'EMAIL_NOT_FOUND', 'USER_DISABLED'];
+
+/**
+ * Build an error shaped like the Firebase Auth errors the controllers already handle
+ */
+const identityError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Create a credential record for a new user
+ *
+ * @returns {Promise<Object>} { uid, passwordHash } - passwordHash is only set in local mode
+ *   and must be stored on the new users row
+ */
+const createIdentity = async ({ email, password, displayName }) => {
+  if (!isLocalMode) {
+    const userRecord = await admin.auth().createUser({
+      email,
+      password,
+      displayName,
+      disabled: false
+    });
+
+    return { uid: userRecord.uid, passwordHash: null };
+  }
+
+  const existing = await query('SELECT id FROM users WHERE email = ?', [email]);
+
+  if (existing.length) {
+    throw identityError('auth/email-already-exists', 'Email already in use');
+  }
+
+  return {
+    uid: uuidv4(),
+    passwordHash: await bcrypt.hash(password, 10)
+  };
+};
+
+/**
+ * Remove a credential record (used to roll back a failed registration)
+ */
+const deleteIdentity = async (uid) => {
+  if (!isLocalMode) {
+    await admin.auth().deleteUser(uid);
+  }
+};
+
+/**
+ * Find a user's credential record by email
+ *
+ * @throws {Error} With code 'auth/user-not-found' if there is none
+ */
+const findIdentityByEmail = async (email) => {
+  if (!isLocalMode) {
+    const userRecord = await admin.auth().getUserByEmail(email);
+    return { uid: userRecord.uid, email: userRecord.email };
+  }
+
+  const users = await query('SELECT id, email FROM users WHERE email = ?', [email]);
+
+  if (!users.length) {
+    throw identityError('auth/user-not-found', 'User not found');
+  }
+
+  return { uid: users[0].id, email: users[0].email };
+};
+
+/**
+ * Check a user's password
+ *
+ * Firebase Admin cannot check passwords (clients sign in with the Firebase SDK),
+ * so this only enforces anything in local mode.
+ */
+const verifyPassword = async (uid, password) => {
+  if (!isLocalMode) {
+    return true;
+  }
+
+  const users = await query('SELECT password_hash FROM users WHERE id = ?', [uid]);
+
+  if (!users.length || !users[0].password_hash) {
+    return false;
+  }
+
+  return bcrypt.compare(String(password), users[0].password_hash);
+};
+
+/**
+ * Confirm a signed-in user's password before a sensitive account change
+ *
+ * Unlike verifyPassword this also checks in Firebase mode, by signing in through
+ * the Firebase Auth REST API with FIREBASE_WEB_API_KEY. Without that key the
+ * password cannot be checked, so the change is refused.
+ */
+const confirmPassword = async (uid, password) => {
+  if (isLocalMode) {
+    return verifyPassword(uid, password);
+  }
+
+  const apiKey = process.env.FIREBASE_WEB_API_KEY;
+
+  if (!apiKey) {
+    throw identityError('auth/password-check-unavailable', 'FIREBASE_WEB_API_KEY is required to confirm passwords');
+  }
+
+  if (!password) {
+    return false;
+  }
+
+  const { email } = await admin.auth().getUser(uid);
+  const response = await fetch(`${FIREBASE_SIGN_IN_URL}?key=${encodeURIComponent(apiKey)}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ email, password: String(password), returnSecureToken: false }),
+    signal: AbortSignal.timeout(FIREBASE_REQUEST_TIMEOUT_MS)
+  });
+  const body = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const reason = body.error && body.error.message ? body.error.message : `HTTP ${response.status}`;
+
+    if (WRONG_PASSWORD_ERRORS.some(code => reason.startsWith(code))) {
+      return false;
+    }
+
+    throw identityError('auth/password-check-failed', `Could not confirm password: ${reason}`);
+  }
+
+  return body.localId === uid;
+};
+
+/**
+ * Set a new password for a user
+ */
+const updatePassword = async (uid, newPassword) => {
+  if (!isLocalMode) {
+    await admin.auth().updateUser(uid, { password: newPassword });
+    return;
+  }
+
+  const passwordHash = await bcrypt.hash(newPassword, 10);
+
+  await query(
+    'UPDATE users SET password_hash = ?, updated_at = NOW() WHERE id = ?',
+    [passwordHash, uid]
+  );
+};
+
+/**
+ * Change a user's sign-in email
+ *
+ * In local mode the email lives on the users row, which the caller updates.
+ */
+const updateEmail = async (uid, newEmail, emailVerified) => {
+  if (!isLocalMode) {
+    await admin.auth().updateUser(uid, { email: newEmail, emailVerified });
+  }
+};
+
+module.exports = {
+  createIdentity,
+  deleteIdentity,
+  findIdentityByEmail,
+  verifyPassword,
+  confirmPassword,
+  updatePassword,
+  updateEmail
+};
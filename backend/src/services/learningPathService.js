@@ -0,0 +1,606 @@
+/**
+ * Learning Path Service
+ *
+ * Ordered paths through the video tutorials. A user starts a path once its
+ * prerequisite paths are complete, and works through the steps in order: a step
+ * is done when its tutorial is watched and its quiz (if it has one) passed.
+ * Finishing a path issues a certificate anyone can check by its verification code.
+ */
+const crypto = require('crypto');
+const Handlebars = require('handlebars');
+const { query } = require('../config/db');
+const { AUTO_COMPLETE_RATIO } = require('./tutorialService');
+require('dotenv').config();
+
+// Share of quiz answers that must be correct to pass
+const QUIZ_PASS_PERCENT = 70;
+
+// Wait after a failed quiz attempt before the next one
+const QUIZ_RETRY_COOLDOWN_MINUTES = 10;
+
+// Sample paths; steps and prerequisites refer to sample tutorials and paths by title and slug
+const samplePaths = [
+  {
+    slug: 'startup-foundations',
+    title: 'Startup foundations',
+    description: 'Plan your business and model its finances before you launch.',
+    audience: 'entrepreneur',
+    prerequisites: [],
+    steps: ['How to Create a Business Plan', 'Financial Modeling for Startups']
+  },
+  {
+    slug: 'go-to-market',
+    title: 'Take your startup to market',
+    description: 'Reach your first customers and build the team to serve them.',
+    audience: 'entrepreneur',
+    prerequisites: ['startup-foundations'],
+    steps: ['Digital Marketing Essentials', 'Effective Team Management']
+  },
+  {
+    slug: 'freelance-launch',
+    title: 'Launch your freelance career',
+    description: 'Win your first clients and learn to work well with teams.',
+    audience: 'freelancer',
+    prerequisites: [],
+    steps: ['Finding Your First Clients as a Freelancer', 'Effective Team Management']
+  }
+];
+
+// Sample quiz questions by tutorial title
+const sampleQuizzes = {
+  'How to Create a Business Plan': [
+    {
+      question: 'Which section of a business plan summarizes the whole plan for a reader in a hurry?',
+      options: ['Market analysis', 'Executive summary', 'Appendix', 'Operations plan'],
+      correct: 1,
+      explanation: 'The executive summary comes first and gives the key points of every other section.'
+    },
+    {
+      question: 'What does a market analysis mainly establish?',
+      options: ['Who the customers are and how big the opportunity is', 'How the office will be furnished', 'The company logo', 'Employee holiday policy'],
+      correct: 0,
+      explanation: 'It sizes the market and describes target customers and competitors.'
+    }
+  ],
+  'Financial Modeling for Startups': [
+    {
+      question: 'What is the break-even point?',
+      options: ['When the first customer pays', 'When revenue equals total costs', 'When the company raises funding', 'When costs are at their lowest'],
+      correct: 1,
+      explanation: 'At break-even the business makes neither a profit nor a loss.'
+    },
+    {
+      question: 'What does "runway" describe?',
+      options: ['How long the cash will last at the current burn rate', 'The length of a product launch', 'Time until the next hire', 'The sales pipeline'],
+      correct: 0,
+      explanation: 'Runway is cash on hand divided by the monthly net burn.'
+    }
+  ],
+  'Finding Your First Clients as a Freelancer': [
+    {
+      question: 'What most helps a new freelancer win a first client?',
+      options: ['Lowest possible rates', 'A focused portfolio showing relevant work', 'A long CV', 'A large social media following'],
+      correct: 1,
+      explanation: 'Clients hire on evidence that you can do their kind of work.'
+    },
+    {
+      question: 'Why agree the scope of work in writing before starting?',
+      options: ['It is legally required everywhere', 'It prevents misunderstandings about deliverables and payment', 'Clients expect long contracts', 'It speeds up invoicing software'],
+      correct: 1,
+      explanation: 'A written scope sets expectations for both sides.'
+    }
+  ],
+  'Effective Team Management': [
+    {
+      question: 'What is the main purpose of regular one-on-one meetings?',
+      options: ['Reviewing the company budget', 'Giving and receiving feedback and removing blockers', 'Announcing company news', 'Replacing team meetings'],
+      correct: 1,
+      explanation: 'One-on-ones build trust and surface problems early.'
+    },
+    {
+      question: 'Delegating a task well means...',
+      options: ['Handing it over without context', 'Agreeing the outcome, deadline and authority to decide', 'Checking every step yourself', 'Only delegating tasks you dislike'],
+      correct: 1,
+      explanation: 'Clear outcomes and authority let people own the work.'
+    }
+  ],
+  'Digital Marketing Essentials': [
+    {
+      question: 'What does the conversion rate measure?',
+      options: ['Share of visitors who take the desired action', 'Number of website pages', 'Cost of each advert', 'Email open times'],
+      correct: 0,
+      explanation: 'Conversions divided by visitors gives the conversion rate.'
+    },
+    {
+      question: 'Why define a target audience before running ads?',
+      options: ['Ads are cheaper on weekends', 'Messages and spend reach the people most likely to buy', 'Platforms require it by law', 'It improves page load speed'],
+      correct: 1,
+      explanation: 'Targeting focuses budget on likely customers.'
+    }
+  ]
+};
+
+const certificateTemplate = Handlebars.compile(`<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Certificate of completion: {{pathTitle}}</title>
+  <style>
+    body { font-family: Georgia, 'Times New Roman', serif; background: #f4f4f4; margin: 0; padding: 40px; }
+    .certificate { max-width: 800px; margin: 0 auto; background: #fff; border: 8px double #4CAF50; padding: 60px; text-align: center; }
+    h1 { font-size: 36px; color: #333; margin-bottom: 8px; }
+    .recipient { font-size: 30px; margin: 30px 0 10px; border-bottom: 1px solid #ccc; display: inline-block; padding: 0 40px 6px; }
+    .path { font-size: 22px; font-style: italic; }
+    .meta { margin-top: 40px; font-family: Arial, sans-serif; font-size: 13px; color: #666; }
+  </style>
+</head>
+<body>
+  <div class="certificate">
+    <h1>Certificate of Completion</h1>
+    <p>This certifies that</p>
+    <div class="recipient">{{recipientName}}</div>
+    <p>has completed the HeadStart learning path</p>
+    <p class="path">{{pathTitle}}</p>
+    <p>on {{issuedOn}}</p>
+    <div class="meta">
+      <p>Verification code: <strong>{{verificationCode}}</strong></p>
+      <p>Verify at <a href="{{verificationUrl}}">{{verificationUrl}}</a></p>
+    </div>
+  </div>
+</body>
+</html>
+`);
+
+/**
+ * Add the sample paths and quizzes if there are none yet
+ *
+ * Needs the sample tutorials (see tutorialService.initializeTutorials).
+ */
+const initializeLearningPaths = async () => {
+  const tutorials = await query('SELECT id, title FROM video_tutorials');
+  const tutorialIds = Object.fromEntries(tutorials.map(t => [t.title, t.id]));
+
+  const existingQuestions = await query('SELECT COUNT(*) as count FROM tutorial_quiz_questions');
+
+  if (existingQuestions[0].count === 0) {
+    for (const [title, questions] of Object.entries(sampleQuizzes)) {
+      if (!tutorialIds[title]) continue;
+
+      for (const [position, q] of questions.entries()) {
+        await query(
+          `INSERT INTO tutorial_quiz_questions (tutorial_id, position, question, options, correct_option, explanation)
+           VALUES (?, ?, ?, ?, ?, ?)`,
+          [tutorialIds[title], position, q.question, JSON.stringify(q.options), q.correct, q.explanation]
+        );
+      }
+    }
+  }
+
+  const existingPaths = await query('SELECT COUNT(*) as count FROM learning_paths');
+
+  if (existingPaths[0].count > 0) {
+    return { success: true, message: 'Learning paths already exist' };
+  }
+
+  const pathIds = {};
+
+  for (const path of samplePaths) {
+    const steps = path.steps.map(title => tutorialIds[title]).filter(Boolean);
+    if (!steps.length) continue;
+
+    const result = await query(
+      'INSERT INTO learning_paths (slug, title, description, audience) VALUES (?, ?, ?, ?)',
+      [path.slug, path.title, path.description, path.audience]
+    );
+    pathIds[path.slug] = result.insertId;
+
+    for (const [position, tutorialId] of steps.entries()) {
+      await query(
+        'INSERT INTO learning_path_steps (path_id, tutorial_id, position) VALUES (?, ?, ?)',
+        [result.insertId, tutorialId, position + 1]
+      );
+    }
+
+    for (const slug of path.prerequisites) {
+      if (pathIds[slug]) {
+        await query(
+          'INSERT INTO learning_path_prerequisites (path_id, prerequisite_path_id) VALUES (?, ?)',
+          [result.insertId, pathIds[slug]]
+        );
+      }
+    }
+  }
+
+  return { success: true, message: 'Sample learning paths added successfully' };
+};
+
+/**
+ * Work out a user's progress on every learning path
+ *
+ * Each path has a status: 'locked' (prerequisites incomplete), 'available' (not
+ * started), 'in_progress' or 'completed'. Steps are 'completed', 'available' (the
+ * next one to do) or 'locked' (an earlier step is unfinished).
+ * @param {Object} options - { pathId } to get one path
+ * @returns {Promise<Object[]>} Paths with their steps, progress and certificate
+ */
+const getPathProgress = async (userId, { pathId = null } = {}) => {
+  const paths = await query(
+    `SELECT lp.id, lp.slug, lp.title, lp.description, lp.audience,
+            e.started_at, e.completed_at,
+            c.id as certificate_id, c.verification_code, c.issued_at
+     FROM learning_paths lp
+     LEFT JOIN learning_path_enrollments e ON e.path_id = lp.id AND e.user_id = ?
+     LEFT JOIN learning_path_certificates c ON c.path_id = lp.id AND c.user_id = ?
+     ${pathId ? 'WHERE lp.id = ?' : ''}
+     ORDER BY lp.id`,
+    pathId ? [userId, userId, pathId] : [userId, userId]
+  );
+
+  if (!paths.length) {
+    return [];
+  }
+
+  const steps = await query(
+    `SELECT s.path_id, s.position, t.id as tutorial_id, t.title, t.duration, t.thumbnail_url,
+            COALESCE(p.completed, 0) as watched,
+            (SELECT COUNT(*) FROM tutorial_quiz_questions q WHERE q.tutorial_id = t.id) as question_count,
+            (SELECT MAX(a.passed) FROM tutorial_quiz_attempts a WHERE a.tutorial_id = t.id AND a.user_id = ?) as quiz_passed
+     FROM learning_path_steps s
+     JOIN video_tutorials t ON s.tutorial_id = t.id
+     LEFT JOIN user_tutorial_progress p ON p.tutorial_id = t.id AND p.user_id = ?
+     ORDER BY s.path_id, s.position`,
+    [userId, userId]
+  );
+
+  const prerequisites = await query(
+    `SELECT pr.path_id, lp.id, lp.title, (e.completed_at IS NOT NULL) as completed
+     FROM learning_path_prerequisites pr
+     JOIN learning_paths lp ON pr.prerequisite_path_id = lp.id
+     LEFT JOIN learning_path_enrollments e ON e.path_id = lp.id AND e.user_id = ?`,
+    [userId]
+  );
+
+  return paths.map(path => {
+    const pathPrerequisites = prerequisites
+      .filter(pr => pr.path_id === path.id)
+      .map(pr => ({ id: pr.id, title: pr.title, completed: !!Number(pr.completed) }));
+    const unlocked = pathPrerequisites.every(pr => pr.completed);
+
+    let previousDone = true;
+    const pathSteps = steps
+      .filter(step => step.path_id === path.id)
+      .map(step => {
+        const hasQuiz = Number(step.question_count) > 0;
+        const done = !!Number(step.watched) && (!hasQuiz || !!Number(step.quiz_passed));
+        const status = done ? 'completed' : previousDone ? 'available' : 'locked';
+
+        previousDone = previousDone && done;
+
+        return {
+          position: step.position,
+          tutorialId: step.tutorial_id,
+          title: step.title,
+          duration: step.duration,
+          thumbnailUrl: step.thumbnail_url,
+          watched: !!Number(step.watched),
+          hasQuiz,
+          quizPassed: !!Number(step.quiz_passed),
+          status
+        };
+      });
+
+    const completedSteps = pathSteps.filter(step => step.status === 'completed').length;
+
+    let status = 'locked';
+    if (path.completed_at) status = 'completed';
+    else if (path.started_at) status = 'in_progress';
+    else if (unlocked) status = 'available';
+
+    return {
+      id: path.id,
+      slug: path.slug,
+      title: path.title,
+      description: path.description,
+      audience: path.audience,
+      status,
+      startedAt: path.started_at,
+      completedAt: path.completed_at,
+      prerequisites: pathPrerequisites,
+      totalSteps: pathSteps.length,
+      completedSteps,
+      percentComplete: pathSteps.length ? Math.round((completedSteps / pathSteps.length) * 100) : 0,
+      nextStep: pathSteps.find(step => step.status === 'available') || null,
+      steps: pathSteps,
+      certificate: path.certificate_id
+        ? { id: path.certificate_id, verificationCode: path.verification_code, issuedAt: path.issued_at }
+        : null
+    };
+  });
+};
+
+/**
+ * Get one learning path with the user's progress
+ */
+const getLearningPath = async (pathId, userId) => {
+  const paths = await getPathProgress(userId, { pathId });
+
+  if (!paths.length) {
+    throw new Error('Learning path not found');
+  }
+
+  return paths[0];
+};
+
+/**
+ * Start a learning path; its prerequisite paths must be complete
+ */
+const startLearningPath = async (pathId, userId) => {
+  const path = await getLearningPath(pathId, userId);
+
+  if (path.status === 'locked') {
+    const missing = path.prerequisites.filter(pr => !pr.completed).map(pr => pr.title);
+    throw new Error(`Complete the prerequisite paths first: ${missing.join(', ')}`);
+  }
+
+  await query(
+    'INSERT IGNORE INTO learning_path_enrollments (user_id, path_id) VALUES (?, ?)',
+    [userId, path.id]
+  );
+
+  // Steps may already be done from watching the tutorials on their own
+  await completeFinishedPaths(userId);
+
+  return getLearningPath(path.id, userId);
+};
+
+/**
+ * Get a tutorial's quiz, without the answers
+ */
+const getTutorialQuiz = async (tutorialId, userId) => {
+  const questions = await query(
+    'SELECT id, question, options FROM tutorial_quiz_questions WHERE tutorial_id = ? ORDER BY position, id',
+    [tutorialId]
+  );
+
+  if (!questions.length) {
+    throw new Error('This tutorial has no quiz');
+  }
+
+  const lastAttempt = await getLastQuizAttempt(tutorialId, userId);
+
+  return {
+    tutorialId: Number(tutorialId),
+    passPercent: QUIZ_PASS_PERCENT,
+    questions: questions.map(q => ({
+      id: q.id,
+      question: q.question,
+      options: typeof q.options === 'string' ? JSON.parse(q.options) : q.options
+    })),
+    lastAttempt,
+    nextAttemptAt: lastAttempt ? getNextAttemptAt(lastAttempt) : null
+  };
+};
+
+/**
+ * Get the user's latest attempt at a tutorial's quiz, if any
+ */
+const getLastQuizAttempt = async (tutorialId, userId) => {
+  const attempts = await query(
+    `SELECT score, passed, created_at FROM tutorial_quiz_attempts
+     WHERE user_id = ? AND tutorial_id = ?
+     ORDER BY created_at DESC LIMIT 1`,
+    [userId, tutorialId]
+  );
+
+  return attempts.length ? { ...attempts[0], passed: !!attempts[0].passed } : null;
+};
+
+/**
+ * When the quiz can next be taken after an attempt (null if right away)
+ */
+const getNextAttemptAt = (attempt) => {
+  if (attempt.passed) return null;
+
+  const nextAttemptAt = new Date(new Date(attempt.created_at).getTime() + QUIZ_RETRY_COOLDOWN_MINUTES * 60 * 1000);
+  return nextAttemptAt > new Date() ? nextAttemptAt : null;
+};
+
+/**
+ * Grade a quiz attempt
+ *
+ * The tutorial must have been watched first, and a failed attempt can only be
+ * retried after QUIZ_RETRY_COOLDOWN_MINUTES. Results say which answers were right;
+ * the correct options and explanations are only revealed once the quiz is passed.
+ * Passing may finish a learning path, in which case its certificate is returned too.
+ * @param {Object} answers - Map of question ID to the chosen option index
+ * @returns {Promise<Object>} { score, passed, results, nextAttemptAt, certificates }
+ */
+const submitQuizAttempt = async (tutorialId, userId, answers) => {
+  if (!answers || typeof answers !== 'object' || Array.isArray(answers)) {
+    throw new Error('Answers must map question IDs to option indexes');
+  }
+
+  const questions = await query(
+    'SELECT id, correct_option, explanation FROM tutorial_quiz_questions WHERE tutorial_id = ? ORDER BY position, id',
+    [tutorialId]
+  );
+
+  if (!questions.length) {
+    throw new Error('This tutorial has no quiz');
+  }
+
+  // Marking a tutorial complete is not enough: enough of the video must have been watched
+  const progress = await query(
+    `SELECT p.completed, p.watched_seconds, t.duration
+     FROM user_tutorial_progress p
+     JOIN video_tutorials t ON p.tutorial_id = t.id
+     WHERE p.user_id = ? AND p.tutorial_id = ?`,
+    [userId, tutorialId]
+  );
+
+  if (!progress.length || !progress[0].completed ||
+      (progress[0].duration && progress[0].watched_seconds < progress[0].duration * AUTO_COMPLETE_RATIO)) {
+    throw new Error('Finish watching the tutorial before taking its quiz');
+  }
+
+  const lastAttempt = await getLastQuizAttempt(tutorialId, userId);
+  const waitUntil = lastAttempt && getNextAttemptAt(lastAttempt);
+
+  if (waitUntil) {
+    const minutes = Math.ceil((waitUntil - new Date()) / 60000);
+    throw new Error(`Wait ${minutes} minute${minutes === 1 ? '' : 's'} before retaking this quiz`);
+  }
+
+  const graded = questions.map(q => {
+    const answer = answers[q.id] === undefined ? null : parseInt(answers[q.id], 10);
+    return { question: q, answer, correct: answer === q.correct_option };
+  });
+
+  const score = Math.round((graded.filter(r => r.correct).length / questions.length) * 100);
+  const passed = score >= QUIZ_PASS_PERCENT;
+
+  const results = graded.map(({ question, answer, correct }) => (passed
+    ? { questionId: question.id, answer, correct, correctOption: question.correct_option, explanation: question.explanation }
+    : { questionId: question.id, answer, correct }));
+
+  await query(
+    'INSERT INTO tutorial_quiz_attempts (user_id, tutorial_id, answers, score, passed) VALUES (?, ?, ?, ?, ?)',
+    [userId, tutorialId, JSON.stringify(answers), score, passed]
+  );
+
+  return {
+    score,
+    passed,
+    passPercent: QUIZ_PASS_PERCENT,
+    results,
+    nextAttemptAt: passed ? null : new Date(Date.now() + QUIZ_RETRY_COOLDOWN_MINUTES * 60 * 1000),
+    certificates: passed ? await completeFinishedPaths(userId) : []
+  };
+};
+
+/**
+ * Create a verification code like 'A1B2-C3D4-E5F6-A7B8'
+ */
+const createVerificationCode = () => crypto.randomBytes(8).toString('hex').toUpperCase().match(/.{4}/g).join('-');
+
+/**
+ * Mark the user's started paths whose steps are all done as completed, and issue
+ * their certificates
+ *
+ * Call after a tutorial is completed or a quiz passed.
+ * @returns {Promise<Object[]>} Certificates issued now
+ */
+const completeFinishedPaths = async (userId) => {
+  const paths = await getPathProgress(userId);
+  const finished = paths.filter(path =>
+    path.status === 'in_progress' && path.totalSteps > 0 && path.completedSteps === path.totalSteps);
+
+  if (!finished.length) {
+    return [];
+  }
+
+  const users = await query('SELECT first_name, last_name, email FROM users WHERE id = ?', [userId]);
+  const user = users[0] || {};
+  const recipientName = [user.first_name, user.last_name].filter(Boolean).join(' ') || user.email || 'HeadStart learner';
+  const issued = [];
+
+  for (const path of finished) {
+    await query(
+      'UPDATE learning_path_enrollments SET completed_at = NOW() WHERE user_id = ? AND path_id = ? AND completed_at IS NULL',
+      [userId, path.id]
+    );
+
+    const verificationCode = createVerificationCode();
+    const result = await query(
+      `INSERT IGNORE INTO learning_path_certificates (user_id, path_id, verification_code, recipient_name, path_title)
+       VALUES (?, ?, ?, ?, ?)`,
+      [userId, path.id, verificationCode, recipientName, path.title]
+    );
+
+    if (result.affectedRows) {
+      issued.push({ id: result.insertId, pathId: path.id, pathTitle: path.title, verificationCode });
+    }
+  }
+
+  return issued;
+};
+
+/**
+ * Get a user's certificates
+ */
+const getUserCertificates = async (userId) => {
+  return query(
+    `SELECT id, path_id, path_title, recipient_name, verification_code, issued_at
+     FROM learning_path_certificates
+     WHERE user_id = ?
+     ORDER BY issued_at DESC`,
+    [userId]
+  );
+};
+
+const getVerificationUrl = (code) => `${process.env.FRONTEND_URL || 'http://localhost:3000'}/certificates/verify/${code}`;
+
+/**
+ * Render one of the user's certificates as an HTML document
+ *
+ * @returns {Promise<Object>} { fileName, html }
+ */
+const renderCertificate = async (certificateId, userId) => {
+  const certificates = await query(
+    'SELECT recipient_name, path_title, verification_code, issued_at FROM learning_path_certificates WHERE id = ? AND user_id = ?',
+    [certificateId, userId]
+  );
+
+  if (!certificates.length) {
+    throw new Error('Certificate not found');
+  }
+
+  const certificate = certificates[0];
+
+  return {
+    fileName: `certificate-${certificate.verification_code}.html`,
+    html: certificateTemplate({
+      recipientName: certificate.recipient_name,
+      pathTitle: certificate.path_title,
+      issuedOn: new Date(certificate.issued_at).toISOString().slice(0, 10),
+      verificationCode: certificate.verification_code,
+      verificationUrl: getVerificationUrl(certificate.verification_code)
+    })
+  };
+};
+
+/**
+ * Check a verification code (public; reveals only what is printed on the certificate)
+ */
+const verifyCertificate = async (code) => {
+  const certificates = await query(
+    'SELECT recipient_name, path_title, verification_code, issued_at FROM learning_path_certificates WHERE verification_code = ?',
+    [String(code || '').trim().toUpperCase()]
+  );
+
+  if (!certificates.length) {
+    return { valid: false };
+  }
+
+  return {
+    valid: true,
+    recipientName: certificates[0].recipient_name,
+    pathTitle: certificates[0].path_title,
+    verificationCode: certificates[0].verification_code,
+    issuedAt: certificates[0].issued_at
+  };
+};
+
+module.exports = {
+  QUIZ_PASS_PERCENT,
+  initializeLearningPaths,
+  getPathProgress,
+  getLearningPath,
+  startLearningPath,
+  getTutorialQuiz,
+  submitQuizAttempt,
+  completeFinishedPaths,
+  getUserCertificates,
+  renderCertificate,
+  verifyCertificate
+};
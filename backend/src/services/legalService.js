@@ -1,6 +1,7 @@
 const { query } = require('../config/db');
 const { v4: uuidv4 } = require('uuid');
 const { NotFoundError, ValidationError } = require('../utils/errors');
+const { workspaceCondition } = require('./organizationService');
 
 // Legal Resources
 const getLegalResources = async (category = null) => {
@@ -52,7 +53,7 @@ const getDocumentTemplateById = async (id) => {
     return template;
 };
 
-const generateDocument = async (templateId, userId, variables) => {
+const generateDocument = async (templateId, userId, variables, organizationId = null) => {
     const template = await getDocumentTemplateById(templateId);
     let filledContent = template.content;
     
@@ -68,8 +69,8 @@ const generateDocument = async (templateId, userId, variables) => {
     // Save the generated document
     const id = uuidv4();
     await query(
-        'INSERT INTO document_template_usage (id, user_id, template_id, filled_content) VALUES (?, ?, ?, ?)',
-        [id, userId, templateId, filledContent]
+        'INSERT INTO document_template_usage (id, user_id, organization_id, template_id, filled_content) VALUES (?, ?, ?, ?, ?)',
+        [id, userId, organizationId, templateId, filledContent]
     );
     
     return {
@@ -79,6 +80,19 @@ const generateDocument = async (templateId, userId, variables) => {
     };
 };
 
+// Documents generated in a workspace (the user's own, or an organization's)
+const getGeneratedDocuments = async (userId, organizationId = null) => {
+    const workspace = workspaceCondition(userId, organizationId, 'u.');
+    return await query(`
+        SELECT u.id, u.user_id, u.organization_id, u.template_id, u.filled_content, u.created_at,
+               t.title as template_title
+        FROM document_template_usage u
+        JOIN document_templates t ON u.template_id = t.id
+        WHERE ${workspace.sql}
+        ORDER BY u.created_at DESC
+    `, workspace.params);
+};
+
 // Compliance Management
 const getComplianceCategories = async () => {
     return await query('SELECT * FROM compliance_categories');
@@ -170,6 +184,7 @@ module.exports = {
     getDocumentTemplates,
     getDocumentTemplateById,
     generateDocument,
+    getGeneratedDocuments,
     
     // Compliance Management
     getComplianceCategories,
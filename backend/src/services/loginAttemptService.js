@@ -0,0 +1,186 @@
+/**
+ * Login Attempt Service
+ *
+ * Tracks failed authentication attempts per account and per IP in the database,
+ * so counters survive restarts and are shared between API processes.
+ */
+const { query } = require('../config/db');
+require('dotenv').config();
+
+const ATTEMPT_WINDOW_MINUTES = parseInt(process.env.AUTH_ATTEMPT_WINDOW_MINUTES, 10) || 15;
+const FREE_ATTEMPTS = parseInt(process.env.AUTH_FREE_ATTEMPTS, 10) || 3;
+const MAX_DELAY_SECONDS = parseInt(process.env.AUTH_MAX_DELAY_SECONDS, 10) || 60;
+const LOCKOUT_MINUTES = parseInt(process.env.AUTH_LOCKOUT_MINUTES, 10) || 15;
+
+// Failures before a temporary lockout, by key scope
+const LOCK_THRESHOLDS = {
+  account: parseInt(process.env.AUTH_ACCOUNT_LOCK_THRESHOLD, 10) || 10,
+  ip: parseInt(process.env.AUTH_IP_LOCK_THRESHOLD, 10) || 50
+};
+
+/**
+ * Build the storage key for a scope ('account' or 'ip') within a namespace
+ */
+const buildKey = (namespace, scope, identifier) => {
+  return `${namespace}:${scope}:${String(identifier).trim().toLowerCase()}`;
+};
+
+/**
+ * Progressive delay (in seconds) required after a number of failures
+ */
+const getDelaySeconds = (failureCount) => {
+  if (failureCount <= FREE_ATTEMPTS) {
+    return 0;
+  }
+
+  return Math.min(2 ** (failureCount - FREE_ATTEMPTS), MAX_DELAY_SECONDS);
+};
+
+/**
+ * Check whether another attempt is allowed for all of the given keys
+ *
+ * @param {string[]} keys - Attempt keys (see buildKey)
+ * @returns {Promise<Object>} { allowed, locked, retryAfter } - retryAfter in seconds
+ */
+const checkAttempt = async (keys) => {
+  if (!keys.length) {
+    return { allowed: true, locked: false, retryAfter: 0 };
+  }
+
+  const rows = await query(
+    `SELECT attempt_key, failure_count, last_failed_at, locked_until
+     FROM auth_attempts
+     WHERE attempt_key IN (${keys.map(() => '?').join(', ')})
+       AND (last_failed_at > NOW() - INTERVAL ${ATTEMPT_WINDOW_MINUTES} MINUTE OR locked_until > NOW())`,
+    keys
+  );
+
+  const now = Date.now();
+  let locked = false;
+  let retryAfter = 0;
+
+  for (const row of rows) {
+    if (row.locked_until && new Date(row.locked_until).getTime() > now) {
+      locked = true;
+      retryAfter = Math.max(retryAfter, Math.ceil((new Date(row.locked_until).getTime() - now) / 1000));
+      continue;
+    }
+
+    const nextAllowedAt = new Date(row.last_failed_at).getTime() + getDelaySeconds(row.failure_count) * 1000;
+
+    if (nextAllowedAt > now) {
+      retryAfter = Math.max(retryAfter, Math.ceil((nextAllowedAt - now) / 1000));
+    }
+  }
+
+  return { allowed: retryAfter === 0, locked, retryAfter };
+};
+
+/**
+ * Record a failed attempt against a key, locking it once the scope's threshold is hit
+ *
+ * @param {string} key - Attempt key
+ * @param {string} scope - 'account' or 'ip'
+ * @returns {Promise<Object>} { failureCount, lockedNow, lockedUntil }
+ */
+const recordFailure = async (key, scope) => {
+  // Failures outside the window start a fresh count
+  await query(
+    `INSERT INTO auth_attempts (attempt_key, failure_count, last_failed_at)
+     VALUES (?, 1, NOW())
+     ON DUPLICATE KEY UPDATE
+       failure_count = IF(last_failed_at > NOW() - INTERVAL ${ATTEMPT_WINDOW_MINUTES} MINUTE, failure_count + 1, 1),
+       locked_until = IF(locked_until > NOW(), locked_until, NULL),
+       last_failed_at = NOW()`,
+    [key]
+  );
+
+  const rows = await query(
+    'SELECT failure_count, locked_until FROM auth_attempts WHERE attempt_key = ?',
+    [key]
+  );
+
+  const { failure_count: failureCount, locked_until: currentLock } = rows[0];
+  const threshold = LOCK_THRESHOLDS[scope] || LOCK_THRESHOLDS.account;
+
+  if (failureCount >= threshold && !currentLock) {
+    const result = await query(
+      `UPDATE auth_attempts
+       SET locked_until = NOW() + INTERVAL ${LOCKOUT_MINUTES} MINUTE
+       WHERE attempt_key = ? AND locked_until IS NULL`,
+      [key]
+    );
+
+    // Only the process that set the lock reports it, so the user gets one email
+    if (result.affectedRows) {
+      const lockedUntil = new Date(Date.now() + LOCKOUT_MINUTES * 60 * 1000);
+      return { failureCount, lockedNow: true, lockedUntil };
+    }
+
+    // A concurrent failure set the lock first
+    const locks = await query('SELECT locked_until FROM auth_attempts WHERE attempt_key = ?', [key]);
+    return { failureCount, lockedNow: false, lockedUntil: locks.length ? locks[0].locked_until : null };
+  }
+
+  return { failureCount, lockedNow: false, lockedUntil: currentLock };
+};
+
+/**
+ * Count an attempt as failed before it runs, so parallel attempts cannot all get
+ * past the lockout check before any failure is recorded
+ *
+ * Release the reservation with releaseAttempt if the attempt does not fail.
+ * @returns {Promise<Object>} { allowed, failureCount, lockedNow, lockedUntil } - not
+ *   allowed when a concurrent attempt locked the key first
+ */
+const reserveAttempt = async (key, scope) => {
+  const result = await recordFailure(key, scope);
+
+  return { ...result, allowed: result.lockedNow || !result.lockedUntil };
+};
+
+/**
+ * Give back a reserved attempt that did not fail, lifting the lock it set, if any
+ */
+const releaseAttempt = async (key, { unlock = false } = {}) => {
+  await query(
+    `UPDATE auth_attempts
+     SET failure_count = GREATEST(failure_count - 1, 0)${unlock ? ', locked_until = NULL' : ''}
+     WHERE attempt_key = ?`,
+    [key]
+  );
+};
+
+/**
+ * Clear the counter for a key (after a successful attempt)
+ */
+const resetAttempts = async (key) => {
+  await query('DELETE FROM auth_attempts WHERE attempt_key = ?', [key]);
+};
+
+/**
+ * Remove every lock and counter held against an account
+ */
+const unlockAccount = async (email) => {
+  const identifier = String(email).trim().toLowerCase();
+
+  const result = await query(
+    'DELETE FROM auth_attempts WHERE attempt_key LIKE ?',
+    [`%:account:${identifier.replace(/[\\%_]/g, '\\$&')}`]
+  );
+
+  return {
+    success: true,
+    message: result.affectedRows ? 'Account unlocked successfully' : 'Account was not locked'
+  };
+};
+
+module.exports = {
+  buildKey,
+  checkAttempt,
+  recordFailure,
+  reserveAttempt,
+  releaseAttempt,
+  resetAttempts,
+  unlockAccount
+};
@@ -0,0 +1,101 @@
+/**
+ * LLM Name Provider
+ *
+ * Asks an OpenAI-compatible chat completions API for name candidates. Enabled
+ * with NAME_PROVIDER=llm and configured with NAME_LLM_API_KEY, NAME_LLM_API_URL
+ * and NAME_LLM_MODEL.
+ */
+require('dotenv').config();
+
+const name = 'llm';
+
+const DEFAULT_API_URL = 'https://api.openai.com/v1/chat/completions';
+const DEFAULT_MODEL = 'gpt-4o-mini';
+const REQUEST_TIMEOUT_MS = 15000;
+
+const STYLE_DESCRIPTIONS = {
+  compound: 'two real words joined together (e.g. "SnapChef")',
+  invented: 'a new, brandable word (e.g. "Zillow")',
+  descriptive: 'plain words that say what the business does (e.g. "Bright Dental Care")'
+};
+
+const isConfigured = () => !!process.env.NAME_LLM_API_KEY;
+
+/**
+ * Build the prompt for a generation request
+ */
+const buildPrompt = ({ industry, keywords, styles, count, seed }) => {
+  const styleLines = styles.map(style => `- ${style}: ${STYLE_DESCRIPTIONS[style]}`).join('\n');
+
+  return [
+    `Suggest ${count} business names for a company in the ${industry} industry.`,
+    `Keywords: ${keywords.join(', ')}.`,
+    `Use these styles:\n${styleLines}`,
+    `Variation seed: ${seed}.`,
+    'Reply with only a JSON array of objects with "name" and "style" fields.'
+  ].join('\n');
+};
+
+/**
+ * Extract the candidates from the model's reply
+ */
+const parseCandidates = (content, styles) => {
+  const match = String(content || '').match(/\[[\s\S]*\]/);
+
+  if (!match) {
+    throw new Error('Name provider returned no suggestions');
+  }
+
+  return JSON.parse(match[0])
+    .filter(candidate => candidate && typeof candidate.name === 'string' && candidate.name.trim())
+    .map(candidate => ({
+      name: candidate.name.trim(),
+      style: styles.includes(candidate.style) ? candidate.style : styles[0]
+    }));
+};
+
+/**
+ * Generate name candidates
+ *
+ * @param {Object} request - { industry, keywords, styles, count, seed }
+ * @returns {Promise<Object[]>} Candidates as { name, style }
+ */
+const generate = async (request) => {
+  if (!isConfigured()) {
+    throw new Error('LLM name provider is not configured');
+  }
+
+  const response = await fetch(process.env.NAME_LLM_API_URL || DEFAULT_API_URL, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${process.env.NAME_LLM_API_KEY}`
+    },
+    body: JSON.stringify({
+      model: process.env.NAME_LLM_MODEL || DEFAULT_MODEL,
+      temperature: 0.9,
+      messages: [
+        { role: 'system', content: 'You are a naming consultant for new businesses.' },
+        { role: 'user', content: buildPrompt(request) }
+      ]
+    }),
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+  });
+
+  if (!response.ok) {
+    throw new Error(`Name provider request failed with status ${response.status}`);
+  }
+
+  const data = await response.json();
+  const content = data.choices && data.choices[0] && data.choices[0].message
+    ? data.choices[0].message.content
+    : null;
+
+  return parseCandidates(content, request.styles).slice(0, request.count);
+};
+
+module.exports = {
+  name,
+  isConfigured,
+  generate
+};
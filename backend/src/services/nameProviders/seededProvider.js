@@ -0,0 +1,236 @@
+/**
+ * Seeded Name Provider
+ *
+ * The default name generator: combines industry prefixes and suffixes with the
+ * caller's keywords. Candidates are shuffled with a seeded generator, so the same
+ * industry, keywords and seed always produce the same names.
+ */
+
+const name = 'seeded';
+
+// Word lists by industry
+const industryPrefixes = {
+  'technology': ['Tech', 'Digi', 'Cyber', 'Quantum', 'Nexus'],
+  'food': ['Tasty', 'Savory', 'Fresh', 'Gourmet', 'Delish'],
+  'healthcare': ['Care', 'Heal', 'Vital', 'Well', 'Life'],
+  'education': ['Learn', 'Edu', 'Smart', 'Bright', 'Mind'],
+  'finance': ['Wealth', 'Capital', 'Prosper', 'Asset', 'Fund'],
+  'retail': ['Shop', 'Store', 'Market', 'Retail', 'Mart'],
+  'fitness': ['Fit', 'Active', 'Strong', 'Pulse', 'Core'],
+  'travel': ['Wander', 'Voyage', 'Roam', 'Journey', 'Atlas'],
+  'fashion': ['Style', 'Chic', 'Vogue', 'Thread', 'Luxe'],
+  'beauty': ['Glow', 'Pure', 'Radiant', 'Bloom', 'Silk'],
+  'real estate': ['Home', 'Nest', 'Haven', 'Key', 'Estate'],
+  'construction': ['Build', 'Stone', 'Solid', 'Forge', 'Beam'],
+  'automotive': ['Auto', 'Drive', 'Motor', 'Gear', 'Torque'],
+  'entertainment': ['Star', 'Stage', 'Spark', 'Encore', 'Vivid'],
+  'media': ['Pixel', 'Story', 'Signal', 'Frame', 'Echo'],
+  'marketing': ['Brand', 'Buzz', 'Reach', 'Launch', 'Amplify'],
+  'legal': ['Just', 'Lex', 'Counsel', 'Verdict', 'Charter'],
+  'agriculture': ['Harvest', 'Green', 'Field', 'Root', 'Grain'],
+  'energy': ['Volt', 'Solar', 'Power', 'Current', 'Flux'],
+  'logistics': ['Swift', 'Route', 'Cargo', 'Transit', 'Relay'],
+  'hospitality': ['Stay', 'Welcome', 'Host', 'Comfort', 'Lodge'],
+  'pets': ['Paw', 'Furry', 'Whisker', 'Tail', 'Happy'],
+  'gaming': ['Play', 'Level', 'Quest', 'Pixel', 'Arcade'],
+  'default': ['Nova', 'Prime', 'Elite', 'Peak', 'Apex']
+};
+
+const industrySuffixes = {
+  'technology': ['Systems', 'Solutions', 'Tech', 'Labs', 'AI'],
+  'food': ['Eats', 'Kitchen', 'Bites', 'Cuisine', 'Plate'],
+  'healthcare': ['Health', 'Care', 'Med', 'Clinic', 'Wellness'],
+  'education': ['Academy', 'School', 'Learning', 'Education', 'Institute'],
+  'finance': ['Finance', 'Invest', 'Wealth', 'Capital', 'Money'],
+  'retail': ['Shop', 'Mart', 'Store', 'Market', 'Retail'],
+  'fitness': ['Fitness', 'Gym', 'Training', 'Athletics', 'Studio'],
+  'travel': ['Travel', 'Trips', 'Tours', 'Getaways', 'Expeditions'],
+  'fashion': ['Wear', 'Apparel', 'Couture', 'Boutique', 'Threads'],
+  'beauty': ['Beauty', 'Cosmetics', 'Skin', 'Salon', 'Spa'],
+  'real estate': ['Realty', 'Properties', 'Homes', 'Estates', 'Living'],
+  'construction': ['Builders', 'Construction', 'Works', 'Contracting', 'Structures'],
+  'automotive': ['Motors', 'Auto', 'Garage', 'Cars', 'Mobility'],
+  'entertainment': ['Studios', 'Entertainment', 'Productions', 'Live', 'Shows'],
+  'media': ['Media', 'Studio', 'Press', 'Network', 'Stories'],
+  'marketing': ['Marketing', 'Agency', 'Digital', 'Growth', 'Creative'],
+  'legal': ['Law', 'Legal', 'Partners', 'Advisors', 'Counsel'],
+  'agriculture': ['Farms', 'Harvest', 'Growers', 'Agro', 'Fields'],
+  'energy': ['Energy', 'Power', 'Renewables', 'Grid', 'Electric'],
+  'logistics': ['Logistics', 'Freight', 'Shipping', 'Express', 'Delivery'],
+  'hospitality': ['Hotels', 'Inn', 'Suites', 'Hospitality', 'Resorts'],
+  'pets': ['Pets', 'Paws', 'Companions', 'Vet', 'Pals'],
+  'gaming': ['Games', 'Gaming', 'Play', 'Interactive', 'Arena'],
+  'default': ['Group', 'Co', 'Inc', 'Collective', 'Enterprise']
+};
+
+// Common names for the industries above
+const industryAliases = {
+  'tech': 'technology',
+  'software': 'technology',
+  'it': 'technology',
+  'saas': 'technology',
+  'restaurant': 'food',
+  'food and beverage': 'food',
+  'catering': 'food',
+  'health': 'healthcare',
+  'medical': 'healthcare',
+  'wellness': 'healthcare',
+  'edtech': 'education',
+  'training': 'education',
+  'fintech': 'finance',
+  'banking': 'finance',
+  'insurance': 'finance',
+  'ecommerce': 'retail',
+  'e-commerce': 'retail',
+  'sports': 'fitness',
+  'tourism': 'travel',
+  'apparel': 'fashion',
+  'cosmetics': 'beauty',
+  'property': 'real estate',
+  'realestate': 'real estate',
+  'cars': 'automotive',
+  'music': 'entertainment',
+  'film': 'entertainment',
+  'publishing': 'media',
+  'advertising': 'marketing',
+  'law': 'legal',
+  'farming': 'agriculture',
+  'renewables': 'energy',
+  'shipping': 'logistics',
+  'transport': 'logistics',
+  'hotels': 'hospitality',
+  'veterinary': 'pets',
+  'games': 'gaming'
+};
+
+// Endings that turn a keyword stem into an invented word
+const inventedEndings = ['ly', 'io', 'ify', 'ora', 'ova', 'eo', 'iq', 'ara', 'ix', 'um'];
+
+const capitalize = (word) => word.charAt(0).toUpperCase() + word.slice(1);
+
+/**
+ * Hash a string to a 32-bit seed (FNV-1a)
+ */
+const hashSeed = (text) => {
+  let hash = 0x811c9dc5;
+
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+
+  return hash >>> 0;
+};
+
+/**
+ * Seeded pseudo-random number generator (mulberry32), returning values in [0, 1)
+ */
+const createRandom = (seed) => {
+  let state = hashSeed(String(seed));
+
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Shuffle a copy of a list with the given random generator (Fisher-Yates)
+ */
+const shuffle = (items, random) => {
+  const shuffled = [...items];
+
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+
+  return shuffled;
+};
+
+/**
+ * Resolve an industry to the key of its word lists
+ */
+const resolveIndustry = (industry) => {
+  const key = String(industry || '').trim().toLowerCase();
+
+  if (industryPrefixes[key]) {
+    return key;
+  }
+
+  return industryAliases[key] || 'default';
+};
+
+/**
+ * Build every candidate for the given keywords, tagged with its style
+ */
+const buildCandidates = (industry, keywords) => {
+  const industryKey = resolveIndustry(industry);
+  const prefixes = industryPrefixes[industryKey];
+  const suffixes = industrySuffixes[industryKey];
+  const words = keywords.map(keyword => capitalize(keyword.replace(/[^a-z0-9]/gi, '').toLowerCase())).filter(Boolean);
+  const industryWord = capitalize(String(industry).trim().replace(/[^a-z0-9]/gi, '').toLowerCase());
+  const candidates = [];
+
+  words.forEach(word => {
+    // Compound: prefix + keyword, keyword + suffix
+    prefixes.forEach(prefix => candidates.push({ name: `${prefix}${word}`, style: 'compound' }));
+    suffixes.forEach(suffix => candidates.push({ name: `${word}${suffix}`, style: 'compound' }));
+
+    // Invented: keyword stem + an invented ending, or prefix + shortened keyword
+    const stem = word.length > 4 ? word.slice(0, 4).replace(/[aeiouy]+$/i, '') : word;
+    inventedEndings.forEach(ending => candidates.push({ name: `${stem}${ending}`, style: 'invented' }));
+    prefixes.forEach(prefix => candidates.push({ name: `${prefix}${word.slice(0, 3).toLowerCase()}`, style: 'invented' }));
+
+    // Descriptive: plain words that say what the business does
+    suffixes.forEach(suffix => candidates.push({ name: `${word} ${suffix}`, style: 'descriptive' }));
+    candidates.push({ name: `The ${word} ${suffixes[0]}`, style: 'descriptive' });
+  });
+
+  // Compound: two keywords blended together
+  for (let i = 0; i < words.length - 1; i++) {
+    candidates.push({ name: `${words[i].slice(0, 3)}${words[i + 1]}`, style: 'compound' });
+    candidates.push({ name: `${words[i]}${words[i + 1]}`, style: 'compound' });
+  }
+
+  if (industryWord) {
+    candidates.push({ name: `${industryWord}Hub`, style: 'compound' });
+    candidates.push({ name: `${industryWord}Pro`, style: 'compound' });
+    words.forEach(word => candidates.push({ name: `${word} ${industryWord}`, style: 'descriptive' }));
+  }
+
+  return candidates;
+};
+
+/**
+ * Generate name candidates
+ *
+ * @param {Object} request - { industry, keywords, styles, count, seed }
+ * @returns {Promise<Object[]>} Candidates as { name, style }
+ */
+const generate = async ({ industry, keywords, styles, count, seed }) => {
+  const random = createRandom(`${seed}|${String(industry).toLowerCase()}|${keywords.join(',').toLowerCase()}`);
+  const seen = new Set();
+
+  const candidates = buildCandidates(industry, keywords).filter(candidate => {
+    const key = candidate.name.toLowerCase();
+
+    if (seen.has(key) || (styles && !styles.includes(candidate.style))) {
+      return false;
+    }
+
+    seen.add(key);
+    return true;
+  });
+
+  return shuffle(candidates, random).slice(0, count);
+};
+
+module.exports = {
+  name,
+  isConfigured: () => true,
+  generate
+};
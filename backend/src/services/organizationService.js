@@ -0,0 +1,388 @@
+/**
+ * Organization Service
+ *
+ * Organizations are workspaces shared by several users. Projects, budgets,
+ * finances, business plans, legal documents and chat channels can belong to one;
+ * records without an organization belong to their creator's personal workspace.
+ */
+const { query } = require('../config/db');
+const { recordAuditEvent } = require('./auditLogService');
+
+const ORGANIZATION_ROLES = ['owner', 'admin', 'member', 'viewer'];
+
+// Roles that may change an organization's records (viewers are read-only)
+const WRITE_ROLES = ['owner', 'admin', 'member'];
+
+// Roles that may manage the organization itself
+const MANAGER_ROLES = ['owner', 'admin'];
+
+/**
+ * Get the organization selected for a request (see middleware/organization.js)
+ * @returns {number|null} Organization ID, or null for the personal workspace
+ */
+const getOrganizationId = (req) => (req.organization ? req.organization.id : null);
+
+/**
+ * SQL condition limiting a listing to a workspace
+ *
+ * @param {string} userId - Current user
+ * @param {number|null} organizationId - Selected organization, or null for personal records
+ * @param {string} alias - Table alias prefix, e.g. 'e.'
+ * @returns {Object} { sql, params }
+ */
+const workspaceCondition = (userId, organizationId, alias = '') => {
+  if (organizationId) {
+    return { sql: `${alias}organization_id = ?`, params: [organizationId] };
+  }
+
+  return { sql: `${alias}user_id = ? AND ${alias}organization_id IS NULL`, params: [userId] };
+};
+
+/**
+ * SQL condition for a single record a user may read (or, with write, change):
+ * their own personal records, or records of an organization they belong to
+ *
+ * @returns {Object} { sql, params }
+ */
+const recordAccessCondition = (userId, alias = '', { write = false } = {}) => {
+  const roles = write ? WRITE_ROLES : ORGANIZATION_ROLES;
+
+  return {
+    sql: `((${alias}organization_id IS NULL AND ${alias}user_id = ?)
+       OR ${alias}organization_id IN (
+         SELECT organization_id FROM organization_members
+         WHERE user_id = ? AND role IN (${roles.map(() => '?').join(', ')})
+       ))`,
+    params: [userId, userId, ...roles]
+  };
+};
+
+/**
+ * Get a user's membership of an organization
+ * @returns {Promise<Object|null>} { organizationId, role } or null if not a member
+ */
+const getMembership = async (organizationId, userId) => {
+  const members = await query(
+    'SELECT organization_id, role FROM organization_members WHERE organization_id = ? AND user_id = ?',
+    [organizationId, userId]
+  );
+
+  return members.length ? { organizationId: members[0].organization_id, role: members[0].role } : null;
+};
+
+/**
+ * Check that a user holds one of the given roles in an organization
+ */
+const assertRole = async (organizationId, userId, roles, message) => {
+  const membership = await getMembership(organizationId, userId);
+
+  if (!membership) {
+    throw new Error('Organization not found');
+  }
+
+  if (!roles.includes(membership.role)) {
+    throw new Error(message);
+  }
+
+  return membership;
+};
+
+/**
+ * Count an organization's owners
+ */
+const countOwners = async (organizationId) => {
+  const owners = await query(
+    "SELECT COUNT(*) as count FROM organization_members WHERE organization_id = ? AND role = 'owner'",
+    [organizationId]
+  );
+
+  return owners[0].count;
+};
+
+/**
+ * Create an organization with the creator as its owner
+ */
+const createOrganization = async (userId, organizationData, auditContext = {}) => {
+  const { name } = organizationData;
+
+  if (!name || !String(name).trim()) {
+    throw new Error('Organization name is required');
+  }
+
+  const result = await query(
+    'INSERT INTO organizations (name, created_by) VALUES (?, ?)',
+    [String(name).trim(), userId]
+  );
+
+  await query(
+    "INSERT INTO organization_members (organization_id, user_id, role) VALUES (?, ?, 'owner')",
+    [result.insertId, userId]
+  );
+
+  await recordAuditEvent({
+    action: 'organization.created',
+    entityType: 'organization',
+    entityId: result.insertId,
+    after: { name: String(name).trim() }
+  }, { ...auditContext, actorId: userId });
+
+  return {
+    success: true,
+    message: 'Organization created successfully',
+    organizationId: result.insertId
+  };
+};
+
+/**
+ * Get the organizations a user belongs to
+ */
+const getUserOrganizations = async (userId) => {
+  return query(
+    `SELECT o.id, o.name, o.created_at, om.role, om.joined_at,
+            (SELECT COUNT(*) FROM organization_members m WHERE m.organization_id = o.id) as member_count
+     FROM organization_members om
+     JOIN organizations o ON om.organization_id = o.id
+     WHERE om.user_id = ?
+     ORDER BY o.name`,
+    [userId]
+  );
+};
+
+/**
+ * Get an organization with its members (members only)
+ */
+const getOrganizationDetails = async (organizationId, userId) => {
+  const membership = await assertRole(organizationId, userId, ORGANIZATION_ROLES, 'Organization not found');
+
+  const organizations = await query(
+    'SELECT id, name, created_by, created_at, updated_at FROM organizations WHERE id = ?',
+    [organizationId]
+  );
+
+  const organization = organizations[0];
+
+  organization.role = membership.role;
+  organization.members = await query(
+    `SELECT om.user_id, om.role, om.joined_at, u.email, u.first_name, u.last_name, u.profile_picture
+     FROM organization_members om
+     JOIN users u ON om.user_id = u.id
+     WHERE om.organization_id = ?
+     ORDER BY FIELD(om.role, 'owner', 'admin', 'member', 'viewer'), u.first_name`,
+    [organizationId]
+  );
+
+  return organization;
+};
+
+/**
+ * Rename an organization (owners and admins)
+ */
+const updateOrganization = async (organizationId, userId, organizationData, auditContext = {}) => {
+  await assertRole(organizationId, userId, MANAGER_ROLES, 'You do not have permission to update this organization');
+
+  const { name } = organizationData;
+
+  if (!name || !String(name).trim()) {
+    throw new Error('Organization name is required');
+  }
+
+  const organizations = await query('SELECT name FROM organizations WHERE id = ?', [organizationId]);
+
+  await query(
+    'UPDATE organizations SET name = ?, updated_at = NOW() WHERE id = ?',
+    [String(name).trim(), organizationId]
+  );
+
+  await recordAuditEvent({
+    action: 'organization.updated',
+    entityType: 'organization',
+    entityId: organizationId,
+    before: { name: organizations[0].name },
+    after: { name: String(name).trim() }
+  }, { ...auditContext, actorId: userId });
+
+  return {
+    success: true,
+    message: 'Organization updated successfully'
+  };
+};
+
+/**
+ * Delete an organization (owners only); its records return to their creators
+ */
+const deleteOrganization = async (organizationId, userId, auditContext = {}) => {
+  await assertRole(organizationId, userId, ['owner'], 'You do not have permission to delete this organization');
+
+  const organizations = await query('SELECT name FROM organizations WHERE id = ?', [organizationId]);
+
+  await query('DELETE FROM organizations WHERE id = ?', [organizationId]);
+
+  await recordAuditEvent({
+    action: 'organization.deleted',
+    entityType: 'organization',
+    entityId: organizationId,
+    before: { name: organizations[0].name }
+  }, { ...auditContext, actorId: userId });
+
+  return {
+    success: true,
+    message: 'Organization deleted successfully'
+  };
+};
+
+/**
+ * Add an existing user to an organization by email (owners and admins)
+ */
+const addOrganizationMember = async (organizationId, userId, memberData, auditContext = {}) => {
+  const membership = await assertRole(organizationId, userId, MANAGER_ROLES, 'You do not have permission to manage members of this organization');
+  const { email, role = 'member' } = memberData;
+
+  if (!ORGANIZATION_ROLES.includes(role)) {
+    throw new Error(`Role must be one of: ${ORGANIZATION_ROLES.join(', ')}`);
+  }
+
+  if (role === 'owner' && membership.role !== 'owner') {
+    throw new Error('Only owners can add other owners');
+  }
+
+  const users = await query(
+    'SELECT id FROM users WHERE email = ? AND deleted_at IS NULL',
+    [String(email || '').trim().toLowerCase()]
+  );
+
+  if (!users.length) {
+    throw new Error('User not found');
+  }
+
+  const memberId = users[0].id;
+
+  if (await getMembership(organizationId, memberId)) {
+    throw new Error('User is already a member of this organization');
+  }
+
+  await query(
+    'INSERT INTO organization_members (organization_id, user_id, role) VALUES (?, ?, ?)',
+    [organizationId, memberId, role]
+  );
+
+  await recordAuditEvent({
+    action: 'organization.member_added',
+    entityType: 'user',
+    entityId: memberId,
+    after: { organizationId, role }
+  }, { ...auditContext, actorId: userId });
+
+  return {
+    success: true,
+    message: 'Member added successfully',
+    memberId
+  };
+};
+
+/**
+ * Change a member's role (owners and admins; only owners manage owners)
+ */
+const updateOrganizationMember = async (organizationId, userId, memberId, role, auditContext = {}) => {
+  const membership = await assertRole(organizationId, userId, MANAGER_ROLES, 'You do not have permission to manage members of this organization');
+
+  if (!ORGANIZATION_ROLES.includes(role)) {
+    throw new Error(`Role must be one of: ${ORGANIZATION_ROLES.join(', ')}`);
+  }
+
+  const target = await getMembership(organizationId, memberId);
+
+  if (!target) {
+    throw new Error('Member not found in this organization');
+  }
+
+  if ((role === 'owner' || target.role === 'owner') && membership.role !== 'owner') {
+    throw new Error('Only owners can change the owner role');
+  }
+
+  if (target.role === 'owner' && role !== 'owner' && await countOwners(organizationId) === 1) {
+    throw new Error('An organization must keep at least one owner');
+  }
+
+  await query(
+    'UPDATE organization_members SET role = ?, updated_at = NOW() WHERE organization_id = ? AND user_id = ?',
+    [role, organizationId, memberId]
+  );
+
+  await recordAuditEvent({
+    action: 'organization.member_role_changed',
+    entityType: 'user',
+    entityId: memberId,
+    before: { organizationId, role: target.role },
+    after: { organizationId, role }
+  }, { ...auditContext, actorId: userId });
+
+  return {
+    success: true,
+    message: 'Member role updated successfully'
+  };
+};
+
+/**
+ * Remove a member (owners and admins), or leave the organization
+ */
+const removeOrganizationMember = async (organizationId, userId, memberId, auditContext = {}) => {
+  const membership = await getMembership(organizationId, userId);
+
+  if (!membership) {
+    throw new Error('Organization not found');
+  }
+
+  const target = memberId === userId ? membership : await getMembership(organizationId, memberId);
+
+  if (!target) {
+    throw new Error('Member not found in this organization');
+  }
+
+  if (memberId !== userId) {
+    if (!MANAGER_ROLES.includes(membership.role)) {
+      throw new Error('You do not have permission to manage members of this organization');
+    }
+
+    if (target.role === 'owner' && membership.role !== 'owner') {
+      throw new Error('Only owners can remove other owners');
+    }
+  }
+
+  if (target.role === 'owner' && await countOwners(organizationId) === 1) {
+    throw new Error('An organization must keep at least one owner');
+  }
+
+  await query(
+    'DELETE FROM organization_members WHERE organization_id = ? AND user_id = ?',
+    [organizationId, memberId]
+  );
+
+  await recordAuditEvent({
+    action: memberId === userId ? 'organization.member_left' : 'organization.member_removed',
+    entityType: 'user',
+    entityId: memberId,
+    before: { organizationId, role: target.role }
+  }, { ...auditContext, actorId: userId });
+
+  return {
+    success: true,
+    message: memberId === userId ? 'You have left the organization' : 'Member removed successfully'
+  };
+};
+
+module.exports = {
+  ORGANIZATION_ROLES,
+  WRITE_ROLES,
+  getOrganizationId,
+  workspaceCondition,
+  recordAccessCondition,
+  getMembership,
+  createOrganization,
+  getUserOrganizations,
+  getOrganizationDetails,
+  updateOrganization,
+  deleteOrganization,
+  addOrganizationMember,
+  updateOrganizationMember,
+  removeOrganizationMember
+};
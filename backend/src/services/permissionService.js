@@ -4,9 +4,58 @@
  * Handles role-based access control (RBAC) checking and management
  */
 const { query } = require('../config/db');
+const { recordAuditEvent } = require('./auditLogService');
+
+// Lookups resolving the project an entity belongs to, used by requirePermission's `via` option
+const PROJECT_LOOKUPS = {
+  task: 'SELECT project_id FROM tasks WHERE id = ?',
+  subtask: `SELECT t.project_id FROM subtasks s
+     JOIN tasks t ON s.task_id = t.id
+     WHERE s.id = ?`,
+  taskComment: `SELECT t.project_id FROM task_comments c
+     JOIN tasks t ON c.task_id = t.id
+     WHERE c.id = ?`,
+  timeEntry: `SELECT t.project_id FROM time_entries te
+     JOIN tasks t ON te.task_id = t.id
+     WHERE te.id = ?`,
+  taskDependency: `SELECT t.project_id FROM task_dependencies td
+     JOIN tasks t ON td.task_id = t.id
+     WHERE td.id = ?`,
+  milestone: 'SELECT project_id FROM project_milestones WHERE id = ?',
+  board: 'SELECT project_id FROM kanban_boards WHERE id = ?',
+  column: `SELECT b.project_id FROM kanban_columns kc
+     JOIN kanban_boards b ON kc.board_id = b.id
+     WHERE kc.id = ?`,
+  contract: 'SELECT project_id FROM contracts WHERE id = ?',
+  contractMilestone: `SELECT c.project_id FROM contract_milestones cm
+     JOIN contracts c ON cm.contract_id = c.id
+     WHERE cm.id = ?`
+};
+
+/**
+ * Resolve the project an entity belongs to
+ * @param {string} entityType - Key of PROJECT_LOOKUPS (e.g. 'task')
+ * @param {string|number} entityId - Entity ID
+ * @returns {Promise<number|null>} Project ID, or null if the entity does not exist
+ */
+const resolveProjectId = async (entityType, entityId) => {
+  const sql = PROJECT_LOOKUPS[entityType];
+
+  if (!sql) {
+    throw new Error(`Unknown project lookup "${entityType}"`);
+  }
+
+  const rows = await query(sql, [entityId]);
+
+  return rows.length ? rows[0].project_id : null;
+};
 
 /**
  * Check if a user has a specific permission
+ *
+ * For project-scoped checks the project owner is always allowed, a project-specific
+ * override wins over everything else, a custom project role adds permissions, and
+ * (admins aside) role permissions only count for project members.
  */
 const hasPermission = async (userId, permissionName, projectId = null) => {
   // First, check if the user has the permission based on their role
@@ -26,8 +75,10 @@ const hasPermission = async (userId, permissionName, projectId = null) => {
   if (projectId) {
     // Check if user is the project owner (owner has all permissions)
     const isOwner = await query(
-      'SELECT 1 FROM projects WHERE id = ? AND owner_id = ?',
-      [projectId, userId]
+      `SELECT 1 FROM projects WHERE id = ? AND owner_id = ?
+       UNION
+       SELECT 1 FROM project_members WHERE project_id = ? AND user_id = ? AND role = 'owner'`,
+      [projectId, userId, projectId, userId]
     );
     
     if (isOwner.length > 0) {
@@ -47,6 +98,36 @@ const hasPermission = async (userId, permissionName, projectId = null) => {
     if (projectPermissions.length > 0) {
       return projectPermissions[0].granted === 1;
     }
+    
+    // A custom project role adds its permissions on top of the user's role
+    const customRolePermissions = await query(
+      `SELECT 1
+       FROM project_members pm
+       JOIN project_role_permissions prp ON pm.custom_role_id = prp.project_role_id
+       JOIN permissions p ON prp.permission_id = p.id
+       WHERE pm.project_id = ? AND pm.user_id = ? AND p.name = ?`,
+      [projectId, userId, permissionName]
+    );
+    
+    if (customRolePermissions.length > 0) {
+      return true;
+    }
+    
+    if (!hasRolePermission) {
+      return false;
+    }
+    
+    // Role permissions only apply to projects the user belongs to (admins excepted)
+    const access = await query(
+      `SELECT 1 FROM users u JOIN roles r ON u.role_id = r.id WHERE u.id = ? AND r.name = 'admin'
+       UNION
+       SELECT 1 FROM project_members WHERE project_id = ? AND user_id = ?
+       UNION
+       SELECT 1 FROM team_members WHERE project_id = ? AND user_id = ? AND status = 'active'`,
+      [userId, projectId, userId, projectId, userId]
+    );
+    
+    return access.length > 0;
   }
   
   // Otherwise, use the role-based permission
@@ -90,25 +171,53 @@ const getUserProjectPermissions = async (userId, projectId) => {
     [projectId, userId]
   );
   
+  // Get the custom project role assigned to the user, if any
+  const customRoles = await query(
+    `SELECT pr.id, pr.name
+     FROM project_members pm
+     JOIN project_roles pr ON pm.custom_role_id = pr.id
+     WHERE pm.project_id = ? AND pm.user_id = ?`,
+    [projectId, userId]
+  );
+  
+  let customRole = null;
+  
+  if (customRoles.length) {
+    customRole = {
+      ...customRoles[0],
+      permissions: (await getProjectRolePermissions(customRoles[0].id)).map(permission => permission.name)
+    };
+  }
+  
   return {
     isOwner: isOwner.length > 0,
+    customRole,
     projectPermissions
   };
 };
 
 /**
- * Grant a specific permission to a user for a project
+ * Check that a user owns a project
  */
-const grantProjectPermission = async (projectId, targetUserId, permissionName, granterId) => {
-  // Check if granter is the project owner or has permission to grant permissions
-  const hasAccess = await query(
-    'SELECT 1 FROM projects WHERE id = ? AND owner_id = ?',
-    [projectId, granterId]
+const assertProjectOwner = async (projectId, userId, message) => {
+  const owners = await query(
+    `SELECT 1 FROM projects WHERE id = ? AND owner_id = ?
+     UNION
+     SELECT 1 FROM project_members WHERE project_id = ? AND user_id = ? AND role = 'owner'`,
+    [projectId, userId, projectId, userId]
   );
   
-  if (!hasAccess.length) {
-    throw new Error('You do not have permission to modify project permissions');
+  if (!owners.length) {
+    throw new Error(message);
   }
+};
+
+/**
+ * Grant a specific permission to a user for a project
+ */
+const grantProjectPermission = async (projectId, targetUserId, permissionName, granterId, auditContext = {}) => {
+  // Check if granter is the project owner
+  await assertProjectOwner(projectId, granterId, 'You do not have permission to modify project permissions');
   
   // Get permission ID
   const permissions = await query(
@@ -124,7 +233,7 @@ const grantProjectPermission = async (projectId, targetUserId, permissionName, g
   
   // Check if permission mapping already exists
   const existingPermission = await query(
-    'SELECT id FROM project_user_permissions WHERE project_id = ? AND user_id = ? AND permission_id = ?',
+    'SELECT id, granted FROM project_user_permissions WHERE project_id = ? AND user_id = ? AND permission_id = ?',
     [projectId, targetUserId, permissionId]
   );
   
@@ -142,6 +251,15 @@ const grantProjectPermission = async (projectId, targetUserId, permissionName, g
     );
   }
   
+  await recordAuditEvent({
+    action: 'permission.granted',
+    entityType: 'user',
+    entityId: targetUserId,
+    projectId,
+    before: { permission: permissionName, granted: existingPermission.length ? !!existingPermission[0].granted : null },
+    after: { permission: permissionName, granted: true }
+  }, { ...auditContext, actorId: granterId });
+  
   return {
     success: true,
     message: `Permission "${permissionName}" granted successfully`
@@ -151,16 +269,9 @@ const grantProjectPermission = async (projectId, targetUserId, permissionName, g
 /**
  * Revoke a specific permission from a user for a project
  */
-const revokeProjectPermission = async (projectId, targetUserId, permissionName, revokerId) => {
-  // Check if revoker is the project owner or has permission to revoke permissions
-  const hasAccess = await query(
-    'SELECT 1 FROM projects WHERE id = ? AND owner_id = ?',
-    [projectId, revokerId]
-  );
-  
-  if (!hasAccess.length) {
-    throw new Error('You do not have permission to modify project permissions');
-  }
+const revokeProjectPermission = async (projectId, targetUserId, permissionName, revokerId, auditContext = {}) => {
+  // Check if revoker is the project owner
+  await assertProjectOwner(projectId, revokerId, 'You do not have permission to modify project permissions');
   
   // Get permission ID
   const permissions = await query(
@@ -176,7 +287,7 @@ const revokeProjectPermission = async (projectId, targetUserId, permissionName,
   
   // Check if permission mapping exists
   const existingPermission = await query(
-    'SELECT id FROM project_user_permissions WHERE project_id = ? AND user_id = ? AND permission_id = ?',
+    'SELECT id, granted FROM project_user_permissions WHERE project_id = ? AND user_id = ? AND permission_id = ?',
     [projectId, targetUserId, permissionId]
   );
   
@@ -194,6 +305,15 @@ const revokeProjectPermission = async (projectId, targetUserId, permissionName,
     );
   }
   
+  await recordAuditEvent({
+    action: 'permission.revoked',
+    entityType: 'user',
+    entityId: targetUserId,
+    projectId,
+    before: { permission: permissionName, granted: existingPermission.length ? !!existingPermission[0].granted : null },
+    after: { permission: permissionName, granted: false }
+  }, { ...auditContext, actorId: revokerId });
+  
   return {
     success: true,
     message: `Permission "${permissionName}" revoked successfully`
@@ -227,12 +347,260 @@ const getRolePermissions = async (roleName) => {
   return permissions;
 };
 
+/**
+ * Look up permission IDs by name, rejecting unknown names
+ */
+const getPermissionIds = async (permissionNames) => {
+  const names = [...new Set(permissionNames)];
+  
+  if (!names.length) {
+    return [];
+  }
+  
+  const permissions = await query(
+    `SELECT id, name FROM permissions WHERE name IN (${names.map(() => '?').join(', ')})`,
+    names
+  );
+  
+  const unknown = names.filter(name => !permissions.some(permission => permission.name === name));
+  
+  if (unknown.length) {
+    throw new Error(`Unknown permissions: ${unknown.join(', ')}`);
+  }
+  
+  return permissions.map(permission => permission.id);
+};
+
+/**
+ * Get the permissions bundled in a custom project role
+ */
+const getProjectRolePermissions = async (roleId) => {
+  return query(
+    `SELECT p.id, p.name, p.description
+     FROM project_role_permissions prp
+     JOIN permissions p ON prp.permission_id = p.id
+     WHERE prp.project_role_id = ?`,
+    [roleId]
+  );
+};
+
+/**
+ * Replace the permissions bundled in a custom project role
+ */
+const setProjectRolePermissions = async (roleId, permissionIds) => {
+  await query('DELETE FROM project_role_permissions WHERE project_role_id = ?', [roleId]);
+  
+  for (const permissionId of permissionIds) {
+    await query(
+      'INSERT INTO project_role_permissions (project_role_id, permission_id) VALUES (?, ?)',
+      [roleId, permissionId]
+    );
+  }
+};
+
+/**
+ * Get a project's custom roles with their permissions and member counts
+ */
+const getProjectRoles = async (projectId) => {
+  const roles = await query(
+    `SELECT pr.id, pr.name, pr.description, pr.created_by, pr.created_at, pr.updated_at,
+            (SELECT COUNT(*) FROM project_members pm WHERE pm.custom_role_id = pr.id) as member_count
+     FROM project_roles pr
+     WHERE pr.project_id = ?
+     ORDER BY pr.name`,
+    [projectId]
+  );
+  
+  for (const role of roles) {
+    role.permissions = (await getProjectRolePermissions(role.id)).map(permission => permission.name);
+  }
+  
+  return roles;
+};
+
+/**
+ * Create a custom project role
+ * @param {Object} roleData - { name, description, permissions } where permissions are permission names
+ */
+const createProjectRole = async (projectId, userId, roleData, auditContext = {}) => {
+  await assertProjectOwner(projectId, userId, 'You do not have permission to manage roles for this project');
+  
+  const { name, description = null, permissions = [] } = roleData;
+  
+  const existing = await query(
+    'SELECT 1 FROM project_roles WHERE project_id = ? AND name = ?',
+    [projectId, name]
+  );
+  
+  if (existing.length) {
+    throw new Error(`A role named "${name}" already exists in this project`);
+  }
+  
+  const permissionIds = await getPermissionIds(permissions);
+  
+  const result = await query(
+    'INSERT INTO project_roles (project_id, name, description, created_by) VALUES (?, ?, ?, ?)',
+    [projectId, name, description, userId]
+  );
+  
+  await setProjectRolePermissions(result.insertId, permissionIds);
+  
+  await recordAuditEvent({
+    action: 'project.role_created',
+    entityType: 'project_role',
+    entityId: result.insertId,
+    projectId,
+    after: { name, permissions: [...new Set(permissions)] }
+  }, { ...auditContext, actorId: userId });
+  
+  return {
+    success: true,
+    message: 'Project role created successfully',
+    roleId: result.insertId
+  };
+};
+
+/**
+ * Get a custom role, checking it belongs to the project
+ */
+const getProjectRole = async (projectId, roleId) => {
+  const roles = await query(
+    'SELECT * FROM project_roles WHERE id = ? AND project_id = ?',
+    [roleId, projectId]
+  );
+  
+  if (!roles.length) {
+    throw new Error('Project role not found');
+  }
+  
+  return roles[0];
+};
+
+/**
+ * Update a custom project role's name, description or permissions
+ */
+const updateProjectRole = async (projectId, roleId, userId, roleData, auditContext = {}) => {
+  await assertProjectOwner(projectId, userId, 'You do not have permission to manage roles for this project');
+  
+  const role = await getProjectRole(projectId, roleId);
+  const previousPermissions = (await getProjectRolePermissions(roleId)).map(permission => permission.name);
+  
+  const {
+    name = role.name,
+    description = role.description,
+    permissions
+  } = roleData;
+  
+  if (name !== role.name) {
+    const existing = await query(
+      'SELECT 1 FROM project_roles WHERE project_id = ? AND name = ? AND id != ?',
+      [projectId, name, roleId]
+    );
+    
+    if (existing.length) {
+      throw new Error(`A role named "${name}" already exists in this project`);
+    }
+  }
+  
+  await query(
+    'UPDATE project_roles SET name = ?, description = ?, updated_at = NOW() WHERE id = ?',
+    [name, description, roleId]
+  );
+  
+  if (permissions) {
+    await setProjectRolePermissions(roleId, await getPermissionIds(permissions));
+  }
+  
+  await recordAuditEvent({
+    action: 'project.role_updated',
+    entityType: 'project_role',
+    entityId: roleId,
+    projectId,
+    before: { name: role.name, permissions: previousPermissions },
+    after: { name, permissions: permissions ? [...new Set(permissions)] : previousPermissions }
+  }, { ...auditContext, actorId: userId });
+  
+  return {
+    success: true,
+    message: 'Project role updated successfully'
+  };
+};
+
+/**
+ * Delete a custom project role (members holding it keep their fixed role)
+ */
+const deleteProjectRole = async (projectId, roleId, userId, auditContext = {}) => {
+  await assertProjectOwner(projectId, userId, 'You do not have permission to manage roles for this project');
+  
+  const role = await getProjectRole(projectId, roleId);
+  
+  await query('DELETE FROM project_roles WHERE id = ?', [roleId]);
+  
+  await recordAuditEvent({
+    action: 'project.role_deleted',
+    entityType: 'project_role',
+    entityId: roleId,
+    projectId,
+    before: { name: role.name }
+  }, { ...auditContext, actorId: userId });
+  
+  return {
+    success: true,
+    message: 'Project role deleted successfully'
+  };
+};
+
+/**
+ * Assign a custom role to a project member, or clear it with a null roleId
+ */
+const assignProjectRole = async (projectId, memberId, roleId, userId, auditContext = {}) => {
+  await assertProjectOwner(projectId, userId, 'You do not have permission to manage roles for this project');
+  
+  const members = await query(
+    'SELECT custom_role_id FROM project_members WHERE project_id = ? AND user_id = ?',
+    [projectId, memberId]
+  );
+  
+  if (!members.length) {
+    throw new Error('Member not found in this project');
+  }
+  
+  if (roleId) {
+    await getProjectRole(projectId, roleId);
+  }
+  
+  await query(
+    'UPDATE project_members SET custom_role_id = ?, updated_at = NOW() WHERE project_id = ? AND user_id = ?',
+    [roleId || null, projectId, memberId]
+  );
+  
+  await recordAuditEvent({
+    action: 'project.member_custom_role_changed',
+    entityType: 'user',
+    entityId: memberId,
+    projectId,
+    before: { customRoleId: members[0].custom_role_id },
+    after: { customRoleId: roleId || null }
+  }, { ...auditContext, actorId: userId });
+  
+  return {
+    success: true,
+    message: roleId ? 'Project role assigned successfully' : 'Project role removed successfully'
+  };
+};
+
 module.exports = {
+  resolveProjectId,
   hasPermission,
   getUserPermissions,
   getUserProjectPermissions,
   grantProjectPermission,
   revokeProjectPermission,
   getAllPermissions,
-  getRolePermissions
+  getRolePermissions,
+  getProjectRoles,
+  createProjectRole,
+  updateProjectRole,
+  deleteProjectRole,
+  assignProjectRole
 }; 
\ No newline at end of file
@@ -4,6 +4,7 @@
  * Handles project management functionality
  */
 const { query } = require('../config/db');
+const { recordAuditEvent } = require('./auditLogService');
 
 /**
  * Get all project templates
@@ -56,7 +57,7 @@ const getProjectTemplateDetails = async (templateId) => {
 /**
  * Create a new project
  */
-const createProject = async (userId, projectData) => {
+const createProject = async (userId, projectData, organizationId = null) => {
   const { 
     title, 
     description, 
@@ -79,9 +80,9 @@ const createProject = async (userId, projectData) => {
     // Create the project
     const projectResult = await query(
       `INSERT INTO projects 
-       (user_id, title, description, status, priority, start_date, due_date, budget) 
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-      [userId, title, description || '', status, priority, startDate || null, dueDate || null, budget || null]
+       (user_id, organization_id, title, description, status, priority, start_date, due_date, budget) 
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [userId, organizationId, title, description || '', status, priority, startDate || null, dueDate || null, budget || null]
     );
     
     const projectId = projectResult.insertId;
@@ -178,16 +179,17 @@ const createProject = async (userId, projectData) => {
 };
 
 /**
- * Get all projects for a user (owned and member of)
+ * Get all projects for a user (owned and member of) in a workspace: the selected
+ * organization's projects, or those outside any organization
  */
-const getUserProjects = async (userId, status = null) => {
+const getUserProjects = async (userId, status = null, organizationId = null) => {
   let sql = `
     SELECT p.*, pm.role
     FROM projects p
     JOIN project_members pm ON p.id = pm.project_id
-    WHERE pm.user_id = ?
+    WHERE pm.user_id = ? AND ${organizationId ? 'p.organization_id = ?' : 'p.organization_id IS NULL'}
   `;
-  const params = [userId];
+  const params = organizationId ? [userId, organizationId] : [userId];
   
   if (status) {
     sql += ' AND p.status = ?';
@@ -254,9 +256,10 @@ const getProjectDetails = async (projectId, userId) => {
   
   // Get all project members
   project.members = await query(
-    `SELECT pm.*, u.name, u.email, u.profile_picture
+    `SELECT pm.*, pr.name as custom_role_name, u.name, u.email, u.profile_picture
      FROM project_members pm
      JOIN users u ON pm.user_id = u.id
+     LEFT JOIN project_roles pr ON pm.custom_role_id = pr.id
      WHERE pm.project_id = ?
      ORDER BY pm.role, u.name`,
     [projectId]
@@ -379,7 +382,7 @@ const deleteProject = async (projectId, userId) => {
 /**
  * Add a member to a project
  */
-const addProjectMember = async (projectId, userId, memberData) => {
+const addProjectMember = async (projectId, userId, memberData, auditContext = {}) => {
   // Check if user is a project owner or manager
   const members = await query(
     "SELECT * FROM project_members WHERE project_id = ? AND user_id = ? AND role IN ('owner', 'manager')",
@@ -422,6 +425,14 @@ const addProjectMember = async (projectId, userId, memberData) => {
     [projectId, memberId, role]
   );
   
+  await recordAuditEvent({
+    action: 'project.member_added',
+    entityType: 'user',
+    entityId: memberId,
+    projectId,
+    after: { role }
+  }, { ...auditContext, actorId: userId });
+  
   return {
     success: true,
     message: 'Member added successfully'
@@ -431,7 +442,7 @@ const addProjectMember = async (projectId, userId, memberData) => {
 /**
  * Update a project member's role
  */
-const updateProjectMember = async (projectId, userId, memberData) => {
+const updateProjectMember = async (projectId, userId, memberData, auditContext = {}) => {
   // Check if user is a project owner
   const members = await query(
     "SELECT * FROM project_members WHERE project_id = ? AND user_id = ? AND role = 'owner'",
@@ -453,12 +464,26 @@ const updateProjectMember = async (projectId, userId, memberData) => {
     throw new Error('Cannot change the role of the project owner');
   }
   
+  const targetMember = await query(
+    'SELECT role FROM project_members WHERE project_id = ? AND user_id = ?',
+    [projectId, memberId]
+  );
+  
   // Update the member
   await query(
     `UPDATE project_members SET role = ? WHERE project_id = ? AND user_id = ?`,
     [role, projectId, memberId]
   );
   
+  await recordAuditEvent({
+    action: 'project.member_role_changed',
+    entityType: 'user',
+    entityId: memberId,
+    projectId,
+    before: { role: targetMember.length ? targetMember[0].role : null },
+    after: { role }
+  }, { ...auditContext, actorId: userId });
+  
   return {
     success: true,
     message: 'Member role updated successfully'
@@ -468,7 +493,7 @@ const updateProjectMember = async (projectId, userId, memberData) => {
 /**
  * Remove a member from a project
  */
-const removeProjectMember = async (projectId, userId, memberId) => {
+const removeProjectMember = async (projectId, userId, memberId, auditContext = {}) => {
   // Check if user is a project owner or manager
   const members = await query(
     "SELECT * FROM project_members WHERE project_id = ? AND user_id = ? AND role IN ('owner', 'manager')",
@@ -495,6 +520,14 @@ const removeProjectMember = async (projectId, userId, memberId) => {
     [projectId, memberId]
   );
   
+  await recordAuditEvent({
+    action: 'project.member_removed',
+    entityType: 'user',
+    entityId: memberId,
+    projectId,
+    before: { role: targetMember.length ? targetMember[0].role : null }
+  }, { ...auditContext, actorId: userId });
+  
   return {
     success: true,
     message: 'Member removed successfully'
@@ -0,0 +1,306 @@
+/**
+ * Session Service
+ *
+ * Issues short-lived access tokens and rotating refresh tokens, one session per device
+ */
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const { query } = require('../config/db');
+require('dotenv').config();
+
+const ACCESS_TOKEN_EXPIRY = process.env.ACCESS_TOKEN_EXPIRY || '15m';
+const REFRESH_TOKEN_EXPIRY_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRY_DAYS, 10) || 30;
+const IMPERSONATION_MAX_MINUTES = parseInt(process.env.IMPERSONATION_MAX_MINUTES, 10) || 60;
+
+/**
+ * Hash a refresh token for storage (tokens are high-entropy, so SHA-256 is enough)
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Fit a User-Agent header into the user_agent column
+ */
+const truncateUserAgent = (userAgent) => (userAgent ? String(userAgent).slice(0, 255) : null);
+
+/**
+ * Generate a new opaque refresh token
+ */
+const generateRefreshToken = () => crypto.randomBytes(48).toString('hex');
+
+/**
+ * Sign an access token bound to a session
+ *
+ * @param {Object} [impersonation] - { impersonatorId, expiresIn } for impersonation tokens
+ */
+const signAccessToken = (user, sessionId, impersonation = null) => {
+  const payload = {
+    uid: user.id,
+    email: user.email,
+    role: user.role,
+    email_verified: !!user.emailVerified,
+    sid: sessionId
+  };
+
+  // "act" names the real actor behind the token (as in RFC 8693)
+  if (impersonation) {
+    payload.act = { sub: impersonation.impersonatorId };
+  }
+
+  return jwt.sign(
+    payload,
+    process.env.JWT_SECRET,
+    { expiresIn: impersonation ? impersonation.expiresIn : ACCESS_TOKEN_EXPIRY }
+  );
+};
+
+/**
+ * Create a session for a device and issue its first token pair
+ *
+ * @param {Object} user - { id, email, role, emailVerified }
+ * @param {Object} device - { userAgent, ipAddress }
+ */
+const createSession = async (user, device = {}) => {
+  const sessionId = uuidv4();
+  const refreshToken = generateRefreshToken();
+  const expiresAt = new Date();
+  expiresAt.setDate(expiresAt.getDate() + REFRESH_TOKEN_EXPIRY_DAYS);
+
+  await query(
+    `INSERT INTO user_sessions
+     (id, user_id, refresh_token_hash, user_agent, ip_address, expires_at, last_seen_at)
+     VALUES (?, ?, ?, ?, ?, ?, NOW())`,
+    [sessionId, user.id, hashToken(refreshToken), truncateUserAgent(device.userAgent), device.ipAddress || null, expiresAt]
+  );
+
+  return {
+    sessionId,
+    accessToken: signAccessToken(user, sessionId),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_EXPIRY
+  };
+};
+
+/**
+ * Create a time-limited session in which an admin acts as another user
+ *
+ * Only an access token is issued; impersonation sessions cannot be refreshed.
+ *
+ * @param {string} impersonatorId - Admin starting the session
+ * @param {Object} user - Target user { id, email, role, emailVerified }
+ * @param {Object} options - { durationMinutes, reason, userAgent, ipAddress }
+ */
+const createImpersonationSession = async (impersonatorId, user, options = {}) => {
+  const durationMinutes = Math.min(
+    Math.max(parseInt(options.durationMinutes, 10) || 30, 1),
+    IMPERSONATION_MAX_MINUTES
+  );
+  const sessionId = uuidv4();
+  const expiresAt = new Date(Date.now() + durationMinutes * 60 * 1000);
+
+  await query(
+    `INSERT INTO user_sessions
+     (id, user_id, impersonator_id, impersonation_reason, refresh_token_hash, user_agent, ip_address, expires_at, last_seen_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+    [
+      sessionId,
+      user.id,
+      impersonatorId,
+      options.reason || null,
+      // Unusable placeholder: the column is required, but no refresh token is handed out
+      hashToken(generateRefreshToken()),
+      truncateUserAgent(options.userAgent),
+      options.ipAddress || null,
+      expiresAt
+    ]
+  );
+
+  return {
+    sessionId,
+    accessToken: signAccessToken(user, sessionId, { impersonatorId, expiresIn: durationMinutes * 60 }),
+    expiresAt
+  };
+};
+
+/**
+ * End an impersonation session
+ *
+ * @returns {Promise<Object|null>} The ended session { id, user_id, impersonator_id }, or null if not found
+ */
+const endImpersonationSession = async (sessionId) => {
+  const sessions = await query(
+    'SELECT id, user_id, impersonator_id FROM user_sessions WHERE id = ? AND impersonator_id IS NOT NULL AND revoked_at IS NULL',
+    [sessionId]
+  );
+
+  if (!sessions.length) {
+    return null;
+  }
+
+  await query('UPDATE user_sessions SET revoked_at = NOW() WHERE id = ?', [sessionId]);
+
+  return sessions[0];
+};
+
+/**
+ * Exchange a refresh token for a new token pair, rotating the refresh token
+ */
+const rotateSession = async (refreshToken, device = {}) => {
+  const tokenHash = hashToken(refreshToken);
+
+  const sessions = await query(
+    `SELECT s.*, u.email, u.email_verified, r.name AS role
+     FROM user_sessions s
+     JOIN users u ON s.user_id = u.id
+     LEFT JOIN roles r ON u.role_id = r.id
+     WHERE (s.refresh_token_hash = ? OR s.previous_token_hash = ?) AND s.impersonator_id IS NULL`,
+    [tokenHash, tokenHash]
+  );
+
+  if (!sessions.length) {
+    throw new Error('Invalid refresh token');
+  }
+
+  const session = sessions[0];
+
+  // A rotated-out token being replayed means it leaked: end the whole session
+  if (session.refresh_token_hash !== tokenHash) {
+    await query(
+      'UPDATE user_sessions SET revoked_at = NOW() WHERE id = ? AND revoked_at IS NULL',
+      [session.id]
+    );
+    throw new Error('Refresh token reuse detected. Session revoked.');
+  }
+
+  if (session.revoked_at || new Date(session.expires_at) <= new Date()) {
+    throw new Error('Session has expired or been revoked');
+  }
+
+  const newRefreshToken = generateRefreshToken();
+
+  // Only one of several concurrent refreshes with the same token can rotate it
+  const result = await query(
+    `UPDATE user_sessions
+     SET refresh_token_hash = ?, previous_token_hash = ?, user_agent = ?, ip_address = ?, last_seen_at = NOW()
+     WHERE id = ? AND refresh_token_hash = ? AND revoked_at IS NULL`,
+    [
+      hashToken(newRefreshToken),
+      tokenHash,
+      truncateUserAgent(device.userAgent) || session.user_agent,
+      device.ipAddress || session.ip_address,
+      session.id,
+      tokenHash
+    ]
+  );
+
+  if (result.affectedRows === 0) {
+    await query(
+      'UPDATE user_sessions SET revoked_at = NOW() WHERE id = ? AND revoked_at IS NULL',
+      [session.id]
+    );
+    throw new Error('Refresh token reuse detected. Session revoked.');
+  }
+
+  const user = {
+    id: session.user_id,
+    email: session.email,
+    role: session.role,
+    emailVerified: session.email_verified === 1
+  };
+
+  return {
+    sessionId: session.id,
+    accessToken: signAccessToken(user, session.id),
+    refreshToken: newRefreshToken,
+    expiresIn: ACCESS_TOKEN_EXPIRY
+  };
+};
+
+/**
+ * Check that a session is still live and record activity on it
+ */
+const touchSession = async (sessionId) => {
+  const sessions = await query(
+    'SELECT id FROM user_sessions WHERE id = ? AND revoked_at IS NULL AND expires_at > NOW()',
+    [sessionId]
+  );
+
+  if (!sessions.length) {
+    return false;
+  }
+
+  // Only write once a minute to avoid an UPDATE on every request
+  await query(
+    'UPDATE user_sessions SET last_seen_at = NOW() WHERE id = ? AND last_seen_at < NOW() - INTERVAL 1 MINUTE',
+    [sessionId]
+  );
+
+  return true;
+};
+
+/**
+ * List a user's active sessions
+ */
+const getUserSessions = async (userId, currentSessionId = null) => {
+  const sessions = await query(
+    `SELECT id, user_agent, ip_address, created_at, last_seen_at, expires_at
+     FROM user_sessions
+     WHERE user_id = ? AND impersonator_id IS NULL AND revoked_at IS NULL AND expires_at > NOW()
+     ORDER BY last_seen_at DESC`,
+    [userId]
+  );
+
+  return sessions.map(session => ({
+    id: session.id,
+    userAgent: session.user_agent,
+    ipAddress: session.ip_address,
+    createdAt: session.created_at,
+    lastSeenAt: session.last_seen_at,
+    expiresAt: session.expires_at,
+    current: session.id === currentSessionId
+  }));
+};
+
+/**
+ * Revoke one of a user's sessions
+ */
+const revokeSession = async (userId, sessionId) => {
+  const result = await query(
+    'UPDATE user_sessions SET revoked_at = NOW() WHERE id = ? AND user_id = ? AND revoked_at IS NULL',
+    [sessionId, userId]
+  );
+
+  if (!result.affectedRows) {
+    throw new Error('Session not found');
+  }
+
+  return { success: true, message: 'Session revoked successfully' };
+};
+
+/**
+ * Revoke all of a user's sessions, optionally keeping one (e.g. the current device)
+ */
+const revokeAllSessions = async (userId, exceptSessionId = null) => {
+  let sql = 'UPDATE user_sessions SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL';
+  const params = [userId];
+
+  if (exceptSessionId) {
+    sql += ' AND id != ?';
+    params.push(exceptSessionId);
+  }
+
+  const result = await query(sql, params);
+
+  return { success: true, revoked: result.affectedRows };
+};
+
+module.exports = {
+  createSession,
+  createImpersonationSession,
+  endImpersonationSession,
+  rotateSession,
+  touchSession,
+  getUserSessions,
+  revokeSession,
+  revokeAllSessions
+};
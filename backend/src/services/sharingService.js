@@ -0,0 +1,514 @@
+/**
+ * Sharing Service
+ *
+ * Collaborator access to business plans and financial models. The owner invites
+ * people by email as a viewer, commenter or editor; the invitation is bound to
+ * whichever account accepts it and can be revoked at any time.
+ */
+const crypto = require('crypto');
+const { query } = require('../config/db');
+const { sendShareInvitationEmail } = require('./emailService');
+const { recordAuditEvent } = require('./auditLogService');
+const { WRITE_ROLES } = require('./organizationService');
+
+const INVITATION_EXPIRY_DAYS = 14;
+
+const SHARE_ROLES = ['viewer', 'commenter', 'editor'];
+
+// Access levels, lowest first; each level includes the ones before it
+const ACCESS_LEVELS = ['viewer', 'commenter', 'editor', 'owner'];
+
+// Shareable resource types and where their rows live
+const RESOURCES = {
+  business_plan: {
+    label: 'business plan',
+    notFound: 'Business plan not found',
+    table: 'business_plans',
+    shareTable: 'business_plan_shares',
+    commentTable: 'business_plan_comments',
+    foreignKey: 'plan_id',
+    listColumns: 'r.id, r.title, r.status, r.last_updated, r.created_at',
+    listOrder: 'r.last_updated DESC'
+  },
+  financial_model: {
+    label: 'financial model',
+    notFound: 'Financial model not found',
+    table: 'financial_models',
+    shareTable: 'financial_model_shares',
+    commentTable: 'financial_model_comments',
+    foreignKey: 'model_id',
+    listColumns: 'r.id, r.plan_id, r.title, r.description, r.type, r.created_at, r.updated_at',
+    listOrder: 'r.updated_at DESC'
+  }
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Get the configuration for a resource type
+ */
+const getResource = (resourceType) => {
+  const resource = RESOURCES[resourceType];
+
+  if (!resource) {
+    throw new Error(`Unknown shared resource type "${resourceType}"`);
+  }
+
+  return resource;
+};
+
+/**
+ * Get a user's access level on a resource
+ *
+ * Members of the organization a resource belongs to can edit it (viewers can read it),
+ * in addition to anything shared with them directly.
+ * @returns {Promise<string|null>} 'owner', 'editor', 'commenter', 'viewer', or null if none
+ */
+const getAccessRole = async (resourceType, resourceId, userId) => {
+  const resource = getResource(resourceType);
+
+  const rows = await query(
+    `SELECT r.user_id, s.role, om.role as organization_role
+     FROM ${resource.table} r
+     LEFT JOIN ${resource.shareTable} s
+       ON s.${resource.foreignKey} = r.id AND s.user_id = ? AND s.accepted_at IS NOT NULL AND s.revoked_at IS NULL
+     LEFT JOIN organization_members om
+       ON om.organization_id = r.organization_id AND om.user_id = ?
+     WHERE r.id = ?`,
+    [userId, userId, resourceId]
+  );
+
+  if (!rows.length) {
+    return null;
+  }
+
+  if (rows[0].user_id === userId) {
+    return 'owner';
+  }
+
+  const roles = [rows[0].role];
+
+  if (rows[0].organization_role) {
+    roles.push(WRITE_ROLES.includes(rows[0].organization_role) ? 'editor' : 'viewer');
+  }
+
+  return roles
+    .filter(Boolean)
+    .reduce((best, role) => (ACCESS_LEVELS.indexOf(role) > ACCESS_LEVELS.indexOf(best) ? role : best), null);
+};
+
+/**
+ * Check that a user has at least the given access level on a resource
+ *
+ * @param {string} action - Used in the error message, e.g. 'update'
+ * @returns {Promise<string>} The user's access level
+ */
+const assertAccess = async (resourceType, resourceId, userId, minimumRole, action = 'access') => {
+  const resource = getResource(resourceType);
+  const role = await getAccessRole(resourceType, resourceId, userId);
+
+  if (!role || ACCESS_LEVELS.indexOf(role) < ACCESS_LEVELS.indexOf(minimumRole)) {
+    throw new Error(`${resource.notFound} or you do not have permission to ${action} it`);
+  }
+
+  return role;
+};
+
+/**
+ * List the resources of a type that have been shared with a user
+ */
+const getSharedWithUser = async (resourceType, userId) => {
+  const resource = getResource(resourceType);
+
+  return query(
+    `SELECT ${resource.listColumns}, s.role as access_role, s.accepted_at as shared_at,
+            u.email as owner_email, u.first_name as owner_first_name, u.last_name as owner_last_name
+     FROM ${resource.shareTable} s
+     JOIN ${resource.table} r ON s.${resource.foreignKey} = r.id
+     JOIN users u ON r.user_id = u.id
+     WHERE s.user_id = ? AND s.accepted_at IS NOT NULL AND s.revoked_at IS NULL
+     ORDER BY ${resource.listOrder}`,
+    [userId]
+  );
+};
+
+/**
+ * Invite someone by email to collaborate on a resource (owner only)
+ *
+ * Re-inviting an address with an open share updates its role and sends a fresh link.
+ * @param {Object} shareData - { email, role }
+ */
+const shareResource = async (resourceType, resourceId, ownerId, shareData, auditContext = {}) => {
+  const resource = getResource(resourceType);
+  const { role = 'viewer' } = shareData;
+  const email = String(shareData.email || '').trim().toLowerCase();
+
+  if (!SHARE_ROLES.includes(role)) {
+    throw new Error(`Role must be one of: ${SHARE_ROLES.join(', ')}`);
+  }
+
+  await assertAccess(resourceType, resourceId, ownerId, 'owner', 'share');
+
+  const owners = await query(
+    `SELECT r.title, u.email, u.first_name, u.last_name
+     FROM ${resource.table} r
+     JOIN users u ON r.user_id = u.id
+     WHERE r.id = ?`,
+    [resourceId]
+  );
+
+  const owner = owners[0];
+
+  if (owner.email.toLowerCase() === email) {
+    throw new Error(`You cannot share a ${resource.label} with yourself`);
+  }
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + INVITATION_EXPIRY_DAYS * 24 * 60 * 60 * 1000);
+
+  const existing = await query(
+    `SELECT id, role, accepted_at FROM ${resource.shareTable}
+     WHERE ${resource.foreignKey} = ? AND email = ? AND revoked_at IS NULL`,
+    [resourceId, email]
+  );
+
+  let shareId;
+
+  if (existing.length) {
+    shareId = existing[0].id;
+
+    // Accepted shares only change role; pending ones also get a new link
+    if (existing[0].accepted_at) {
+      await query(
+        `UPDATE ${resource.shareTable} SET role = ?, updated_at = NOW() WHERE id = ?`,
+        [role, shareId]
+      );
+    } else {
+      await query(
+        `UPDATE ${resource.shareTable}
+         SET role = ?, token_hash = ?, token_expires_at = ?, updated_at = NOW()
+         WHERE id = ?`,
+        [role, hashToken(token), expiresAt, shareId]
+      );
+    }
+  } else {
+    const result = await query(
+      `INSERT INTO ${resource.shareTable}
+        (${resource.foreignKey}, email, role, invited_by, token_hash, token_expires_at)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [resourceId, email, role, ownerId, hashToken(token), expiresAt]
+    );
+
+    shareId = result.insertId;
+  }
+
+  if (!existing.length || !existing[0].accepted_at) {
+    await sendShareInvitationEmail(email, {
+      inviterName: [owner.first_name, owner.last_name].filter(Boolean).join(' ') || owner.email,
+      resourceLabel: resource.label,
+      title: owner.title,
+      role,
+      token
+    });
+  }
+
+  await recordAuditEvent({
+    action: 'share.invited',
+    entityType: resourceType,
+    entityId: resourceId,
+    before: existing.length ? { email, role: existing[0].role } : null,
+    after: { email, role }
+  }, { ...auditContext, actorId: ownerId });
+
+  return {
+    success: true,
+    message: existing.length && existing[0].accepted_at
+      ? 'Collaborator role updated successfully'
+      : 'Invitation sent successfully',
+    shareId
+  };
+};
+
+/**
+ * Accept a share invitation, binding it to the signed-in user
+ */
+const acceptShareInvitation = async (token, userId, auditContext = {}) => {
+  const tokenHash = hashToken(String(token));
+
+  for (const [resourceType, resource] of Object.entries(RESOURCES)) {
+    const shares = await query(
+      `SELECT s.id, s.${resource.foreignKey} as resource_id, s.role, s.token_expires_at, r.user_id as owner_id
+       FROM ${resource.shareTable} s
+       JOIN ${resource.table} r ON s.${resource.foreignKey} = r.id
+       WHERE s.token_hash = ? AND s.revoked_at IS NULL`,
+      [tokenHash]
+    );
+
+    if (!shares.length) {
+      continue;
+    }
+
+    const share = shares[0];
+
+    if (new Date(share.token_expires_at) < new Date()) {
+      throw new Error('Invitation has expired');
+    }
+
+    if (share.owner_id === userId) {
+      throw new Error(`You cannot accept an invitation to your own ${resource.label}`);
+    }
+
+    // Drop any other open share this user already holds on the resource
+    await query(
+      `UPDATE ${resource.shareTable} SET revoked_at = NOW()
+       WHERE ${resource.foreignKey} = ? AND user_id = ? AND id != ? AND revoked_at IS NULL`,
+      [share.resource_id, userId, share.id]
+    );
+
+    await query(
+      `UPDATE ${resource.shareTable}
+       SET user_id = ?, accepted_at = NOW(), token_hash = NULL, token_expires_at = NULL, updated_at = NOW()
+       WHERE id = ?`,
+      [userId, share.id]
+    );
+
+    await recordAuditEvent({
+      action: 'share.accepted',
+      entityType: resourceType,
+      entityId: share.resource_id,
+      after: { role: share.role }
+    }, { ...auditContext, actorId: userId });
+
+    return {
+      success: true,
+      message: 'Invitation accepted successfully',
+      resourceType,
+      resourceId: share.resource_id,
+      role: share.role
+    };
+  }
+
+  throw new Error('Invalid or expired invitation');
+};
+
+/**
+ * List a resource's collaborators and pending invitations (owner only)
+ */
+const getResourceShares = async (resourceType, resourceId, ownerId) => {
+  const resource = getResource(resourceType);
+
+  await assertAccess(resourceType, resourceId, ownerId, 'owner', 'manage sharing for');
+
+  return query(
+    `SELECT s.id, s.email, s.user_id, s.role, s.created_at, s.accepted_at, s.token_expires_at,
+            u.first_name, u.last_name,
+            CASE WHEN s.accepted_at IS NOT NULL THEN 'accepted'
+                 WHEN s.token_expires_at < NOW() THEN 'expired'
+                 ELSE 'pending' END as status
+     FROM ${resource.shareTable} s
+     LEFT JOIN users u ON s.user_id = u.id
+     WHERE s.${resource.foreignKey} = ? AND s.revoked_at IS NULL
+     ORDER BY s.created_at`,
+    [resourceId]
+  );
+};
+
+/**
+ * Get an open share on a resource
+ */
+const getOpenShare = async (resource, resourceId, shareId) => {
+  const shares = await query(
+    `SELECT id, email, role FROM ${resource.shareTable}
+     WHERE id = ? AND ${resource.foreignKey} = ? AND revoked_at IS NULL`,
+    [shareId, resourceId]
+  );
+
+  if (!shares.length) {
+    throw new Error('Share not found');
+  }
+
+  return shares[0];
+};
+
+/**
+ * Change a collaborator's role (owner only)
+ */
+const updateShareRole = async (resourceType, resourceId, shareId, ownerId, role, auditContext = {}) => {
+  const resource = getResource(resourceType);
+
+  if (!SHARE_ROLES.includes(role)) {
+    throw new Error(`Role must be one of: ${SHARE_ROLES.join(', ')}`);
+  }
+
+  await assertAccess(resourceType, resourceId, ownerId, 'owner', 'manage sharing for');
+
+  const share = await getOpenShare(resource, resourceId, shareId);
+
+  await query(
+    `UPDATE ${resource.shareTable} SET role = ?, updated_at = NOW() WHERE id = ?`,
+    [role, shareId]
+  );
+
+  await recordAuditEvent({
+    action: 'share.role_changed',
+    entityType: resourceType,
+    entityId: resourceId,
+    before: { email: share.email, role: share.role },
+    after: { email: share.email, role }
+  }, { ...auditContext, actorId: ownerId });
+
+  return {
+    success: true,
+    message: 'Collaborator role updated successfully'
+  };
+};
+
+/**
+ * Revoke a collaborator's access or a pending invitation
+ *
+ * The owner can revoke any share; a collaborator can revoke their own (leave).
+ */
+const revokeShare = async (resourceType, resourceId, shareId, userId, auditContext = {}) => {
+  const resource = getResource(resourceType);
+  const accessRole = await getAccessRole(resourceType, resourceId, userId);
+
+  if (!accessRole) {
+    throw new Error(`${resource.notFound} or you do not have permission to manage sharing for it`);
+  }
+
+  const share = await getOpenShare(resource, resourceId, shareId);
+
+  if (accessRole !== 'owner') {
+    const own = await query(
+      `SELECT 1 FROM ${resource.shareTable} WHERE id = ? AND user_id = ?`,
+      [shareId, userId]
+    );
+
+    if (!own.length) {
+      throw new Error('You do not have permission to revoke this share');
+    }
+  }
+
+  await query(
+    `UPDATE ${resource.shareTable} SET revoked_at = NOW(), token_hash = NULL, updated_at = NOW() WHERE id = ?`,
+    [shareId]
+  );
+
+  await recordAuditEvent({
+    action: 'share.revoked',
+    entityType: resourceType,
+    entityId: resourceId,
+    before: { email: share.email, role: share.role }
+  }, { ...auditContext, actorId: userId });
+
+  return {
+    success: true,
+    message: 'Access revoked successfully'
+  };
+};
+
+/**
+ * Get the comments on a resource (any collaborator)
+ */
+const getComments = async (resourceType, resourceId, userId) => {
+  const resource = getResource(resourceType);
+
+  await assertAccess(resourceType, resourceId, userId, 'viewer', 'access');
+
+  const sectionColumn = resourceType === 'business_plan' ? 'c.section_id, ' : '';
+
+  return query(
+    `SELECT c.id, ${sectionColumn}c.user_id, c.comment, c.created_at,
+            u.first_name, u.last_name, u.profile_picture
+     FROM ${resource.commentTable} c
+     JOIN users u ON c.user_id = u.id
+     WHERE c.${resource.foreignKey} = ?
+     ORDER BY c.created_at`,
+    [resourceId]
+  );
+};
+
+/**
+ * Comment on a resource (commenters, editors and the owner)
+ * @param {Object} commentData - { comment, sectionId } (sectionId for business plans only)
+ */
+const addComment = async (resourceType, resourceId, userId, commentData) => {
+  const resource = getResource(resourceType);
+  const { comment, sectionId } = commentData;
+
+  await assertAccess(resourceType, resourceId, userId, 'commenter', 'comment on');
+
+  let result;
+
+  if (resourceType === 'business_plan') {
+    if (sectionId) {
+      const sections = await query(
+        'SELECT 1 FROM business_plan_sections WHERE id = ? AND plan_id = ?',
+        [sectionId, resourceId]
+      );
+
+      if (!sections.length) {
+        throw new Error('Section not found');
+      }
+    }
+
+    result = await query(
+      'INSERT INTO business_plan_comments (plan_id, section_id, user_id, comment) VALUES (?, ?, ?, ?)',
+      [resourceId, sectionId || null, userId, comment]
+    );
+  } else {
+    result = await query(
+      `INSERT INTO ${resource.commentTable} (${resource.foreignKey}, user_id, comment) VALUES (?, ?, ?)`,
+      [resourceId, userId, comment]
+    );
+  }
+
+  return {
+    success: true,
+    message: 'Comment added successfully',
+    commentId: result.insertId
+  };
+};
+
+/**
+ * Delete a comment (its author, or the resource owner)
+ */
+const deleteComment = async (resourceType, resourceId, commentId, userId) => {
+  const resource = getResource(resourceType);
+  const accessRole = await assertAccess(resourceType, resourceId, userId, 'viewer', 'access');
+
+  const comments = await query(
+    `SELECT user_id FROM ${resource.commentTable} WHERE id = ? AND ${resource.foreignKey} = ?`,
+    [commentId, resourceId]
+  );
+
+  if (!comments.length) {
+    throw new Error('Comment not found');
+  }
+
+  if (comments[0].user_id !== userId && accessRole !== 'owner') {
+    throw new Error('You do not have permission to delete this comment');
+  }
+
+  await query(`DELETE FROM ${resource.commentTable} WHERE id = ?`, [commentId]);
+
+  return {
+    success: true,
+    message: 'Comment deleted successfully'
+  };
+};
+
+module.exports = {
+  SHARE_ROLES,
+  getAccessRole,
+  assertAccess,
+  getSharedWithUser,
+  shareResource,
+  acceptShareInvitation,
+  getResourceShares,
+  updateShareRole,
+  revokeShare,
+  getComments,
+  addComment,
+  deleteComment
+};
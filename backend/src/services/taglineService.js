@@ -1,16 +1,29 @@
 /**
  * Tagline Generation Service
- * 
- * In a production environment, this would connect to an NLP API
- * For now, we're using a mock implementation
+ *
+ * Generates taglines from templates in a chosen tone and length. Suggestions made
+ * with an organization selected are shared with its members, who vote on and
+ * favorite taglines to build a shortlist before one is selected.
  */
+const { query } = require('../config/db');
+const { workspaceCondition, recordAccessCondition } = require('./organizationService');
 
-// A simple algorithm to generate tagline suggestions based on business name and keywords
-const generateTaglines = async (businessName, keywords) => {
-  const keywordList = keywords.split(',').map(k => k.trim());
-  
-  // Templates for tagline generation
-  const templates = [
+const TAGLINE_TONES = ['neutral', 'playful', 'premium', 'technical'];
+
+// Word counts for each length
+const TAGLINE_LENGTHS = {
+  short: { min: 1, max: 4 },
+  medium: { min: 5, max: 7 },
+  long: { min: 8, max: Infinity }
+};
+
+const DEFAULT_COUNT = 10;
+const MAX_COUNT = 30;
+
+// Templates by tone; {keyword} and {businessName} are replaced everywhere they appear.
+// Each tone needs templates in every length band even with a one-word name and keyword.
+const templates = {
+  neutral: [
     "Your partner in {keyword}",
     "Revolutionizing {keyword} for tomorrow",
     "The future of {keyword} is here",
@@ -30,49 +43,461 @@ const generateTaglines = async (businessName, keywords) => {
     "The smart choice for {keyword}",
     "{keyword} for the modern world",
     "We make {keyword} better",
-    "Experience the {businessName} difference in {keyword}"
-  ];
-  
-  // Business-specific templates
-  const businessTemplates = [
-    `${businessName}: Where quality meets excellence`,
-    `${businessName}: Redefining standards`,
-    `Discover the ${businessName} advantage`,
-    `${businessName}: Beyond expectations`,
-    `Your success, our mission at ${businessName}`,
-    `${businessName}: Innovation that matters`,
-    `Elevate your experience with ${businessName}`,
-    `${businessName}: Solutions for tomorrow`,
-    `Trust ${businessName} for excellence`,
-    `${businessName}: Making a difference`
-  ];
-  
+    "Experience the {businessName} difference in {keyword}",
+    "{businessName}: Where quality meets excellence",
+    "{businessName}: Redefining standards",
+    "Discover the {businessName} advantage",
+    "{businessName}: Beyond expectations",
+    "Your success, our mission at {businessName}",
+    "{businessName}: Innovation that matters",
+    "Elevate your experience with {businessName}",
+    "{businessName}: Solutions for tomorrow",
+    "Trust {businessName} for excellence",
+    "{businessName}: Making a difference",
+    "Everything you need for {keyword}, all in one place",
+    "At {businessName}, we believe {keyword} should work for everyone"
+  ],
+  playful: [
+    "{keyword}? Nailed it.",
+    "Seriously good {keyword}",
+    "{keyword}, but make it fun",
+    "Happiness, served with {keyword}",
+    "Go on, treat yourself to {keyword}",
+    "{keyword} that makes you smile",
+    "Who knew {keyword} could be this fun?",
+    "Little {keyword}, big grin",
+    "{businessName}: {keyword} with a wink",
+    "Life's too short for boring {keyword}",
+    "Come for the {keyword}, stay for the fun",
+    "{businessName} makes {keyword} a little more awesome",
+    "Hello, {keyword}. Hello, {businessName}.",
+    "{keyword} so good, you'll tell your friends",
+    "Put a little {businessName} in your day",
+    "We put the fun back into {keyword}, and then some",
+    "Warning: {keyword} from {businessName} may cause spontaneous happy dances"
+  ],
+  premium: [
+    "The art of {keyword}",
+    "{keyword}, perfected",
+    "Uncompromising {keyword}",
+    "Crafted for those who expect more",
+    "{businessName}. Nothing less.",
+    "Where {keyword} becomes an experience",
+    "Refined {keyword} for a discerning few",
+    "The standard by which {keyword} is measured",
+    "{businessName}: Timeless {keyword}",
+    "Exceptional {keyword}, effortlessly delivered",
+    "Quietly exceptional",
+    "Because {keyword} should be extraordinary",
+    "{businessName}: The finest in {keyword}",
+    "Elegance in every detail of {keyword}",
+    "Distinction, by {businessName}",
+    "For those who know the difference, there is only {businessName}",
+    "Every detail considered, every expectation exceeded: {keyword} by {businessName}",
+    "A rare standard of {keyword}, reserved for those who notice"
+  ],
+  technical: [
+    "{keyword}, engineered",
+    "Precision {keyword} at scale",
+    "Built for reliable {keyword}",
+    "The platform for {keyword}",
+    "{keyword} infrastructure you can trust",
+    "Data-driven {keyword}",
+    "{businessName}: {keyword} without the complexity",
+    "Automate your {keyword} workflow",
+    "Measurable results in {keyword}",
+    "{keyword} that integrates with everything you use",
+    "{businessName}: The {keyword} stack, simplified",
+    "Scalable {keyword} from day one",
+    "Secure, fast, dependable {keyword}",
+    "Engineered by {businessName} for {keyword} at scale",
+    "Ship better {keyword}, faster",
+    "{businessName} gives your team the tools to run {keyword} at scale",
+    "From prototype to production, {keyword} that keeps up with you",
+    "Monitor, measure and improve your {keyword} with {businessName}"
+  ]
+};
+
+const countWords = (text) => text.split(/\s+/).filter(Boolean).length;
+
+/**
+ * Fill in a template and capitalize the start of the tagline
+ */
+const renderTemplate = (template, keyword, businessName) => {
+  const text = template
+    .split('{keyword}').join(keyword.toLowerCase())
+    .split('{businessName}').join(businessName);
+
+  return text.charAt(0).toUpperCase() + text.slice(1);
+};
+
+/**
+ * Generate tagline suggestions
+ *
+ * @param {string} businessName - Business name
+ * @param {string} keywords - Comma-separated keywords
+ * @param {Object} options
+ * @param {string} options.tone - One of TAGLINE_TONES (default 'neutral')
+ * @param {string} options.length - 'short', 'medium' or 'long' (default any)
+ * @param {number} options.count - Number of taglines (default 10, max 30)
+ * @returns {Promise<string[]>} Distinct taglines
+ */
+const generateTaglines = async (businessName, keywords, options = {}) => {
+  const keywordList = keywords.split(',').map(k => k.trim()).filter(Boolean);
+  const tone = options.tone ? String(options.tone).toLowerCase() : 'neutral';
+  const length = options.length ? String(options.length).toLowerCase() : null;
+  const count = Math.min(Math.max(parseInt(options.count, 10) || DEFAULT_COUNT, 1), MAX_COUNT);
+
+  if (!TAGLINE_TONES.includes(tone)) {
+    throw new Error(`Tone must be one of: ${TAGLINE_TONES.join(', ')}`);
+  }
+
+  if (length && !TAGLINE_LENGTHS[length]) {
+    throw new Error(`Length must be one of: ${Object.keys(TAGLINE_LENGTHS).join(', ')}`);
+  }
+
+  const seen = new Set();
   const taglines = [];
-  
-  // Generate taglines using keywords and templates
-  keywordList.forEach(keyword => {
-    // Choose 3 random templates for each keyword
-    const randomIndices = Array.from({length: templates.length}, (_, i) => i)
-      .sort(() => 0.5 - Math.random())
-      .slice(0, 3);
-    
-    randomIndices.forEach(index => {
-      const template = templates[index];
-      taglines.push(template
-        .replace('{keyword}', keyword.toLowerCase())
-        .replace('{businessName}', businessName));
+
+  // Every template with every keyword; templates without {keyword} once
+  templates[tone].forEach(template => {
+    const keywordsForTemplate = template.includes('{keyword}') ? keywordList : [''];
+
+    keywordsForTemplate.forEach(keyword => {
+      const tagline = renderTemplate(template, keyword, businessName);
+      const key = tagline.toLowerCase();
+      const words = countWords(tagline);
+
+      if (seen.has(key) || (length && (words < TAGLINE_LENGTHS[length].min || words > TAGLINE_LENGTHS[length].max))) {
+        return;
+      }
+
+      seen.add(key);
+      taglines.push(tagline);
     });
   });
-  
-  // Add business-specific taglines
-  businessTemplates.forEach(template => {
-    taglines.push(template);
+
+  // Randomize the order (Fisher-Yates) and return the requested number
+  for (let i = taglines.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [taglines[i], taglines[j]] = [taglines[j], taglines[i]];
+  }
+
+  return taglines.slice(0, count);
+};
+
+/**
+ * Get a tagline suggestion the user can see (or, with write, act on)
+ */
+const getAccessibleSuggestion = async (suggestionId, userId, { write = false } = {}) => {
+  const access = recordAccessCondition(userId, '', { write });
+  const suggestions = await query(
+    `SELECT id, user_id, organization_id, business_name, keywords, tone, length, generated_taglines, selected_tagline, created_at
+     FROM tagline_suggestions
+     WHERE id = ? AND ${access.sql}`,
+    [suggestionId, ...access.params]
+  );
+
+  if (!suggestions.length) {
+    throw new Error('Suggestion not found or you do not have access to it');
+  }
+
+  const suggestion = suggestions[0];
+
+  if (typeof suggestion.generated_taglines === 'string') {
+    suggestion.generated_taglines = JSON.parse(suggestion.generated_taglines);
+  }
+
+  return suggestion;
+};
+
+/**
+ * Check that an index refers to one of a suggestion's taglines
+ */
+const assertTaglineIndex = (suggestion, taglineIndex) => {
+  const index = parseInt(taglineIndex, 10);
+
+  if (isNaN(index) || index < 0 || index >= (suggestion.generated_taglines || []).length) {
+    throw new Error('Tagline not found in this suggestion');
+  }
+
+  return index;
+};
+
+/**
+ * Get vote and favorite tallies for each tagline of the given suggestions
+ *
+ * @returns {Promise<Object>} Map of "suggestionId:index" to tallies
+ */
+const getTallies = async (suggestionIds, userId) => {
+  if (!suggestionIds.length) {
+    return {};
+  }
+
+  const placeholders = suggestionIds.map(() => '?').join(', ');
+
+  const votes = await query(
+    `SELECT suggestion_id, tagline_index,
+            SUM(vote = 1) as upvotes, SUM(vote = -1) as downvotes,
+            MAX(CASE WHEN user_id = ? THEN vote END) as my_vote
+     FROM tagline_votes
+     WHERE suggestion_id IN (${placeholders})
+     GROUP BY suggestion_id, tagline_index`,
+    [userId, ...suggestionIds]
+  );
+
+  const favorites = await query(
+    `SELECT suggestion_id, tagline_index, COUNT(*) as favorites, MAX(user_id = ?) as is_favorite
+     FROM tagline_favorites
+     WHERE suggestion_id IN (${placeholders})
+     GROUP BY suggestion_id, tagline_index`,
+    [userId, ...suggestionIds]
+  );
+
+  const tallies = {};
+  const tallyFor = (row) => {
+    const key = `${row.suggestion_id}:${row.tagline_index}`;
+    tallies[key] = tallies[key] || { upvotes: 0, downvotes: 0, myVote: 0, favorites: 0, isFavorite: false };
+    return tallies[key];
+  };
+
+  votes.forEach(row => {
+    const tally = tallyFor(row);
+    tally.upvotes = Number(row.upvotes);
+    tally.downvotes = Number(row.downvotes);
+    tally.myVote = Number(row.my_vote) || 0;
+  });
+
+  favorites.forEach(row => {
+    const tally = tallyFor(row);
+    tally.favorites = Number(row.favorites);
+    tally.isFavorite = !!Number(row.is_favorite);
+  });
+
+  return tallies;
+};
+
+/**
+ * Attach per-tagline tallies to a suggestion
+ */
+const withTallies = (suggestion, tallies) => ({
+  ...suggestion,
+  taglines: (suggestion.generated_taglines || []).map((text, index) => {
+    const tally = tallies[`${suggestion.id}:${index}`] || { upvotes: 0, downvotes: 0, myVote: 0, favorites: 0, isFavorite: false };
+
+    return {
+      index,
+      text,
+      ...tally,
+      score: tally.upvotes - tally.downvotes
+    };
+  })
+});
+
+/**
+ * Save generated taglines to the user's workspace
+ */
+const saveTaglineSuggestion = async (userId, suggestionData, organizationId = null) => {
+  const { businessName, keywords, tone, length, taglines } = suggestionData;
+
+  const result = await query(
+    `INSERT INTO tagline_suggestions
+      (user_id, organization_id, business_name, keywords, tone, length, generated_taglines)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [userId, organizationId, businessName, keywords, tone || 'neutral', length || null, JSON.stringify(taglines)]
+  );
+
+  return result.insertId;
+};
+
+/**
+ * Get the tagline suggestions in a workspace, with vote and favorite tallies
+ */
+const getTaglineHistory = async (userId, organizationId = null) => {
+  const workspace = workspaceCondition(userId, organizationId);
+
+  const suggestions = await query(
+    `SELECT id, user_id, organization_id, business_name, keywords, tone, length, generated_taglines, selected_tagline, created_at
+     FROM tagline_suggestions
+     WHERE ${workspace.sql}
+     ORDER BY created_at DESC`,
+    workspace.params
+  );
+
+  suggestions.forEach(suggestion => {
+    if (typeof suggestion.generated_taglines === 'string') {
+      suggestion.generated_taglines = JSON.parse(suggestion.generated_taglines);
+    }
+  });
+
+  const tallies = await getTallies(suggestions.map(suggestion => suggestion.id), userId);
+
+  return suggestions.map(suggestion => withTallies(suggestion, tallies));
+};
+
+/**
+ * Upvote (1) or downvote (-1) a tagline, or clear the user's vote (0)
+ */
+const voteOnTagline = async (suggestionId, taglineIndex, userId, vote) => {
+  const suggestion = await getAccessibleSuggestion(suggestionId, userId, { write: true });
+  const index = assertTaglineIndex(suggestion, taglineIndex);
+  const value = parseInt(vote, 10);
+
+  if (![1, 0, -1].includes(value)) {
+    throw new Error('Vote must be 1, -1 or 0');
+  }
+
+  if (value === 0) {
+    await query(
+      'DELETE FROM tagline_votes WHERE suggestion_id = ? AND tagline_index = ? AND user_id = ?',
+      [suggestion.id, index, userId]
+    );
+  } else {
+    await query(
+      `INSERT INTO tagline_votes (suggestion_id, tagline_index, user_id, vote)
+       VALUES (?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE vote = VALUES(vote)`,
+      [suggestion.id, index, userId, value]
+    );
+  }
+
+  return {
+    success: true,
+    message: value === 0 ? 'Vote removed' : 'Vote recorded'
+  };
+};
+
+/**
+ * Mark or unmark a tagline as one of the user's favorites
+ */
+const setTaglineFavorite = async (suggestionId, taglineIndex, userId, favorite) => {
+  const suggestion = await getAccessibleSuggestion(suggestionId, userId, { write: true });
+  const index = assertTaglineIndex(suggestion, taglineIndex);
+
+  if (favorite) {
+    await query(
+      'INSERT IGNORE INTO tagline_favorites (suggestion_id, tagline_index, user_id) VALUES (?, ?, ?)',
+      [suggestion.id, index, userId]
+    );
+  } else {
+    await query(
+      'DELETE FROM tagline_favorites WHERE suggestion_id = ? AND tagline_index = ? AND user_id = ?',
+      [suggestion.id, index, userId]
+    );
+  }
+
+  return {
+    success: true,
+    message: favorite ? 'Tagline added to favorites' : 'Tagline removed from favorites'
+  };
+};
+
+/**
+ * Get the shortlist for a suggestion: taglines someone favorited or with a positive
+ * score, best first, with who voted for and favorited each
+ */
+const getTaglineShortlist = async (suggestionId, userId) => {
+  const suggestion = await getAccessibleSuggestion(suggestionId, userId);
+  const tallies = await getTallies([suggestion.id], userId);
+
+  const supporters = await query(
+    `SELECT s.tagline_index, s.kind, u.id as user_id, u.first_name, u.last_name
+     FROM (
+       SELECT tagline_index, user_id, 'upvote' as kind FROM tagline_votes WHERE suggestion_id = ? AND vote = 1
+       UNION ALL
+       SELECT tagline_index, user_id, 'favorite' as kind FROM tagline_favorites WHERE suggestion_id = ?
+     ) s
+     JOIN users u ON s.user_id = u.id
+     ORDER BY u.first_name, u.last_name`,
+    [suggestion.id, suggestion.id]
+  );
+
+  const shortlist = withTallies(suggestion, tallies).taglines
+    .filter(tagline => tagline.favorites > 0 || tagline.score > 0)
+    .map(tagline => {
+      const people = supporters.filter(row => row.tagline_index === tagline.index);
+      const toName = (row) => [row.first_name, row.last_name].filter(Boolean).join(' ') || row.user_id;
+
+      return {
+        ...tagline,
+        upvotedBy: people.filter(row => row.kind === 'upvote').map(toName),
+        favoritedBy: people.filter(row => row.kind === 'favorite').map(toName),
+        selected: tagline.text === suggestion.selected_tagline
+      };
+    })
+    .sort((a, b) => b.score - a.score || b.favorites - a.favorites || a.index - b.index);
+
+  return {
+    suggestionId: suggestion.id,
+    businessName: suggestion.business_name,
+    tone: suggestion.tone,
+    selectedTagline: suggestion.selected_tagline,
+    shortlist
+  };
+};
+
+/**
+ * Escape a value for CSV, neutralising spreadsheet formulas
+ */
+const toCsvValue = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Export a suggestion's shortlist as CSV
+ */
+const exportTaglineShortlistCsv = async (suggestionId, userId) => {
+  const { shortlist } = await getTaglineShortlist(suggestionId, userId);
+
+  const lines = [['tagline', 'score', 'upvotes', 'downvotes', 'favorites', 'upvoted_by', 'favorited_by', 'selected'].join(',')];
+
+  shortlist.forEach(tagline => {
+    lines.push([
+      tagline.text,
+      tagline.score,
+      tagline.upvotes,
+      tagline.downvotes,
+      tagline.favorites,
+      tagline.upvotedBy.join('; '),
+      tagline.favoritedBy.join('; '),
+      tagline.selected ? 'yes' : 'no'
+    ].map(toCsvValue).join(','));
   });
-  
-  // Randomize the order and return top 10
-  return taglines.sort(() => 0.5 - Math.random()).slice(0, 10);
+
+  return lines.join('\r\n');
+};
+
+/**
+ * Select the final tagline for a suggestion
+ */
+const selectTagline = async (suggestionId, userId, selectedTagline) => {
+  const suggestion = await getAccessibleSuggestion(suggestionId, userId, { write: true });
+
+  await query(
+    'UPDATE tagline_suggestions SET selected_tagline = ? WHERE id = ?',
+    [selectedTagline, suggestion.id]
+  );
+
+  return {
+    success: true,
+    message: 'Selected tagline saved successfully'
+  };
 };
 
 module.exports = {
-  generateTaglines
-}; 
\ No newline at end of file
+  TAGLINE_TONES,
+  generateTaglines,
+  saveTaglineSuggestion,
+  getTaglineHistory,
+  voteOnTagline,
+  setTaglineFavorite,
+  getTaglineShortlist,
+  exportTaglineShortlistCsv,
+  selectTagline
+};
@@ -4,11 +4,12 @@
  * Handles team creation, invitations, and AI-based team matching
  */
 const { query } = require('../config/db');
+const { recordAuditEvent } = require('./auditLogService');
 
 /**
  * Create a new project
  */
-const createProject = async (userId, projectData) => {
+const createProject = async (userId, projectData, organizationId = null) => {
   const {
     name,
     description,
@@ -20,9 +21,9 @@ const createProject = async (userId, projectData) => {
   // Insert project record
   const result = await query(
     `INSERT INTO projects 
-      (name, description, owner_id, budget, start_date, end_date, status) 
-     VALUES (?, ?, ?, ?, ?, ?, 'planning')`,
-    [name, description, userId, budget, startDate, endDate]
+      (name, description, owner_id, organization_id, budget, start_date, end_date, status) 
+     VALUES (?, ?, ?, ?, ?, ?, ?, 'planning')`,
+    [name, description, userId, organizationId, budget, startDate, endDate]
   );
   
   const projectId = result.insertId;
@@ -254,7 +255,7 @@ const getUserInvitations = async (userId) => {
 /**
  * Respond to an invitation
  */
-const respondToInvitation = async (invitationId, userId, accept) => {
+const respondToInvitation = async (invitationId, userId, accept, auditContext = {}) => {
   // Check if invitation exists and belongs to user
   const invitations = await query(
     'SELECT * FROM team_invitations WHERE id = ? AND invitee_id = ? AND status = "pending"',
@@ -281,6 +282,15 @@ const respondToInvitation = async (invitationId, userId, accept) => {
        VALUES (?, ?, ?, 'active', NOW())`,
       [invitation.project_id, userId, invitation.role]
     );
+    
+    await recordAuditEvent({
+      action: 'project.member_added',
+      entityType: 'user',
+      entityId: userId,
+      projectId: invitation.project_id,
+      after: { role: invitation.role, status: 'active' },
+      metadata: { invitationId, invitedBy: invitation.inviter_id }
+    }, { ...auditContext, actorId: userId });
   }
   
   return {
@@ -292,7 +302,7 @@ const respondToInvitation = async (invitationId, userId, accept) => {
 /**
  * Remove a team member
  */
-const removeTeamMember = async (projectId, ownerId, memberId) => {
+const removeTeamMember = async (projectId, ownerId, memberId, auditContext = {}) => {
   // Check if user is project owner
   const projects = await query(
     'SELECT * FROM projects WHERE id = ? AND owner_id = ?',
@@ -303,12 +313,26 @@ const removeTeamMember = async (projectId, ownerId, memberId) => {
     throw new Error('Project not found or you do not have permission');
   }
   
+  const members = await query(
+    'SELECT role, status FROM team_members WHERE project_id = ? AND user_id = ?',
+    [projectId, memberId]
+  );
+  
   // Remove team member
   await query(
     'UPDATE team_members SET status = "removed", updated_at = NOW() WHERE project_id = ? AND user_id = ?',
     [projectId, memberId]
   );
   
+  await recordAuditEvent({
+    action: 'project.member_removed',
+    entityType: 'user',
+    entityId: memberId,
+    projectId,
+    before: members.length ? { role: members[0].role, status: members[0].status } : null,
+    after: { status: 'removed' }
+  }, { ...auditContext, actorId: ownerId });
+  
   return {
     success: true,
     message: 'Team member removed successfully'
@@ -0,0 +1,134 @@
+/**
+ * Tutorial Analytics Service
+ *
+ * Engagement reports for the content team, built from watch tracking in
+ * user_tutorial_progress: how far viewers get through each tutorial, how long
+ * they watch and where those who never finish stopped.
+ */
+const { query } = require('../config/db');
+
+// Points in a tutorial, as a share of its duration, counted in the funnel
+const FUNNEL_MILESTONES = [0.25, 0.5, 0.75];
+
+// Drop-off positions are grouped into this many equal parts of the tutorial
+const DROP_OFF_BUCKETS = 10;
+
+// A tutorial is flagged for rework when at least this many viewers started it
+// and fewer than NEEDS_ATTENTION_COMPLETION_RATE of them completed it
+const NEEDS_ATTENTION_MIN_VIEWERS = 10;
+const NEEDS_ATTENTION_COMPLETION_RATE = 0.4;
+
+const rate = (count, total) => (total ? Math.round((count / total) * 1000) / 1000 : 0);
+
+/**
+ * Report engagement for each tutorial, least completed first
+ *
+ * @param {Object} filters
+ * @param {number} filters.tutorialId - Report on one tutorial
+ * @param {string} filters.since - Only count viewers who started on or after this date
+ * @returns {Promise<Object[]>} Per tutorial: funnel, completion rate, average watch
+ *   time, drop-off histogram and whether it needs attention
+ */
+const getTutorialEngagement = async ({ tutorialId = null, since = null } = {}) => {
+  if (since && isNaN(new Date(since))) {
+    throw new Error('Since must be a valid date');
+  }
+
+  const joinConditions = ['p.tutorial_id = t.id'];
+  const joinParams = [];
+
+  if (since) {
+    joinConditions.push('p.created_at >= ?');
+    joinParams.push(new Date(since));
+  }
+
+  const where = tutorialId ? 'WHERE t.id = ?' : '';
+  const whereParams = tutorialId ? [tutorialId] : [];
+
+  // A viewer has started once they watched anything (older rows only have a position)
+  const started = '(p.watched_seconds > 0 OR p.last_watched_position > 0 OR p.completed = 1)';
+
+  const rows = await query(
+    `SELECT t.id, t.title, t.category, t.duration,
+            SUM(${started}) as started,
+            ${FUNNEL_MILESTONES.map((share, index) => `SUM(p.furthest_position >= t.duration * ${share}) as reached_${index}`).join(',\n            ')},
+            SUM(p.completed = 1) as completed,
+            AVG(CASE WHEN ${started} THEN p.watched_seconds END) as avg_watched_seconds,
+            AVG(CASE WHEN ${started} THEN p.total_watch_seconds END) as avg_total_watch_seconds
+     FROM video_tutorials t
+     LEFT JOIN user_tutorial_progress p ON ${joinConditions.join(' AND ')}
+     ${where}
+     GROUP BY t.id, t.title, t.category, t.duration`,
+    [...joinParams, ...whereParams]
+  );
+
+  // Where viewers who have not completed a tutorial stopped
+  const dropOffs = await query(
+    `SELECT t.id as tutorial_id,
+            LEAST(FLOOR(p.last_watched_position * ${DROP_OFF_BUCKETS} / t.duration), ${DROP_OFF_BUCKETS - 1}) as bucket,
+            COUNT(*) as viewers
+     FROM video_tutorials t
+     JOIN user_tutorial_progress p ON ${joinConditions.join(' AND ')}
+     WHERE t.duration > 0 AND p.completed = 0 AND ${started}${tutorialId ? ' AND t.id = ?' : ''}
+     GROUP BY t.id, bucket`,
+    [...joinParams, ...whereParams]
+  );
+
+  return rows.map(row => {
+    const startedCount = Number(row.started) || 0;
+    const completedCount = Number(row.completed) || 0;
+    const duration = row.duration || null;
+
+    const funnel = [
+      { stage: 'started', viewers: startedCount, rate: startedCount ? 1 : 0 },
+      ...FUNNEL_MILESTONES.map((share, index) => {
+        const viewers = duration ? Number(row[`reached_${index}`]) || 0 : null;
+        return { stage: `reached_${share * 100}_percent`, viewers, rate: viewers === null ? null : rate(viewers, startedCount) };
+      }),
+      { stage: 'completed', viewers: completedCount, rate: rate(completedCount, startedCount) }
+    ];
+
+    const stopped = dropOffs.filter(dropOff => dropOff.tutorial_id === row.id);
+    const stoppedTotal = stopped.reduce((sum, dropOff) => sum + Number(dropOff.viewers), 0);
+    const dropOff = duration
+      ? Array.from({ length: DROP_OFF_BUCKETS }, (_, bucket) => {
+        const match = stopped.find(dropOff => Number(dropOff.bucket) === bucket);
+        const viewers = match ? Number(match.viewers) : 0;
+        return {
+          fromSeconds: Math.round((duration * bucket) / DROP_OFF_BUCKETS),
+          toSeconds: Math.round((duration * (bucket + 1)) / DROP_OFF_BUCKETS),
+          viewers,
+          share: rate(viewers, stoppedTotal)
+        };
+      })
+      : [];
+
+    const biggestDropOff = dropOff.reduce((max, bucket) => (bucket.viewers > (max ? max.viewers : 0) ? bucket : max), null);
+    const averageWatchSeconds = row.avg_watched_seconds === null ? 0 : Math.round(Number(row.avg_watched_seconds));
+    const completionRate = rate(completedCount, startedCount);
+
+    return {
+      tutorialId: row.id,
+      title: row.title,
+      category: row.category,
+      duration,
+      viewers: startedCount,
+      funnel,
+      completionRate,
+      averageWatchSeconds,
+      averageWatchShare: duration ? rate(averageWatchSeconds, duration) : null,
+      averageTotalWatchSeconds: row.avg_total_watch_seconds === null ? 0 : Math.round(Number(row.avg_total_watch_seconds)),
+      dropOff,
+      biggestDropOff,
+      needsAttention: startedCount >= NEEDS_ATTENTION_MIN_VIEWERS && completionRate < NEEDS_ATTENTION_COMPLETION_RATE
+    };
+  }).sort((a, b) =>
+    Number(b.needsAttention) - Number(a.needsAttention) ||
+    Number(b.viewers > 0) - Number(a.viewers > 0) ||
+    a.completionRate - b.completionRate ||
+    a.title.localeCompare(b.title));
+};
+
+module.exports = {
+  getTutorialEngagement
+};
@@ -0,0 +1,399 @@
+/**
+ * Tutorial Recommendation Service
+ *
+ * Ranks video tutorials against what the user is actually working on. Each signal
+ * (open compliance items, empty business plan sections, budgets without items,
+ * overdue tasks, profile skills, watch history, learning paths, role) adds weight
+ * to tutorials on a topic or to specific tutorials, with a reason the user sees.
+ */
+const { query } = require('../config/db');
+const { workspaceCondition } = require('./organizationService');
+const { getPathProgress } = require('./learningPathService');
+
+const DEFAULT_LIMIT = 5;
+
+// Topics tutorials are matched to, by category or by keywords in the title and description
+const TOPICS = {
+  business_planning: {
+    categories: ['Business Planning'],
+    keywords: ['business plan', 'strategy', 'pitch', 'business model']
+  },
+  finance: {
+    categories: ['Finance'],
+    keywords: ['financ', 'budget', 'cash flow', 'accounting', 'revenue', 'pricing', 'funding']
+  },
+  marketing: {
+    categories: ['Marketing'],
+    keywords: ['marketing', 'sales', 'customer', 'brand', 'growth']
+  },
+  legal: {
+    categories: ['Legal', 'Compliance'],
+    keywords: ['legal', 'compliance', 'contract', 'incorporat', 'tax', 'regulat', 'licens']
+  },
+  project_management: {
+    categories: ['Project Management'],
+    keywords: ['project management', 'projects', 'task', 'deadline', 'productiv', 'time management']
+  },
+  team: {
+    categories: ['Team Collaboration', 'Leadership', 'Communication'],
+    keywords: ['team', 'leader', 'hiring', 'communicat']
+  },
+  freelancing: {
+    categories: ['Freelancing', 'Client Management', 'Portfolio Building'],
+    keywords: ['freelanc', 'client', 'portfolio']
+  }
+};
+
+// Topic of each business plan section type (others count as business planning)
+const SECTION_TOPICS = {
+  market_analysis: 'marketing',
+  marketing_sales: 'marketing',
+  customer_segments: 'marketing',
+  organization_management: 'team',
+  financial_projections: 'finance',
+  funding_request: 'finance',
+  revenue_streams: 'finance',
+  cost_structure: 'finance',
+  key_metrics: 'finance'
+};
+
+// Categories recommended to everyone with a role, as before signals existed
+const ROLE_CATEGORIES = {
+  entrepreneur: ['Business Planning', 'Marketing', 'Finance', 'Leadership'],
+  freelancer: ['Freelancing', 'Client Management', 'Portfolio Building', 'Skill Development']
+};
+const DEFAULT_ROLE_CATEGORIES = ['Team Collaboration', 'Project Management', 'Communication'];
+
+// How much each signal adds to a matching tutorial's score
+const WEIGHTS = {
+  learningPath: 50,
+  resume: 40,
+  compliance: 30,
+  businessPlan: 25,
+  overdueTasks: 25,
+  emptyBudget: 20,
+  skill: 10,
+  watchHistory: 8,
+  role: 5
+};
+
+// Tutorials that match a topic only by keyword get this share of the weight
+const KEYWORD_MATCH_FACTOR = 0.6;
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+const formatPosition = (seconds) => {
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Find the topics a piece of text (a skill, a compliance category) is about
+ */
+const topicsForText = (text) => {
+  const lower = String(text || '').toLowerCase();
+
+  return Object.entries(TOPICS)
+    .filter(([, topic]) =>
+      topic.categories.some(category => category.toLowerCase() === lower) ||
+      topic.keywords.some(keyword => lower.includes(keyword)))
+    .map(([name]) => name);
+};
+
+/**
+ * How strongly a tutorial belongs to a topic: 1 by category, KEYWORD_MATCH_FACTOR by keyword, else 0
+ */
+const topicMatch = (tutorial, topicName) => {
+  const topic = TOPICS[topicName];
+
+  if (topic.categories.includes(tutorial.category)) {
+    return 1;
+  }
+
+  const text = `${tutorial.title} ${tutorial.description || ''}`.toLowerCase();
+  return topic.keywords.some(keyword => text.includes(keyword)) ? KEYWORD_MATCH_FACTOR : 0;
+};
+
+/**
+ * Open compliance checklist items
+ */
+const complianceSignals = async ({ userId }) => {
+  const items = await query(
+    `SELECT ci.title, cc.name as category_name
+     FROM user_compliance_progress ucp
+     JOIN compliance_items ci ON ucp.compliance_item_id = ci.id
+     JOIN compliance_categories cc ON ci.category_id = cc.id
+     WHERE ucp.user_id = ? AND (ucp.status IS NULL OR ucp.status != 'completed')
+     ORDER BY FIELD(ci.priority, 'high', 'medium', 'low'), ci.title`,
+    [userId]
+  );
+
+  if (!items.length) {
+    return [];
+  }
+
+  const topics = new Set(['legal', ...items.flatMap(item => topicsForText(item.category_name))]);
+  const reason = `You have ${plural(items.length, 'open compliance item')}, including "${items[0].title}"`;
+
+  return [...topics].map(topic => ({ code: 'compliance', topic, weight: WEIGHTS.compliance, reason }));
+};
+
+/**
+ * Business plan sections that are empty or still hold the template text
+ */
+const businessPlanSignals = async ({ userId, organizationId }) => {
+  const workspace = workspaceCondition(userId, organizationId, 'bp.');
+  const sections = await query(
+    `SELECT bp.title as plan_title, bps.section_type, bps.title
+     FROM business_plan_sections bps
+     JOIN business_plans bp ON bps.plan_id = bp.id
+     WHERE ${workspace.sql} AND bp.status != 'archived'
+       AND (TRIM(COALESCE(bps.content, '')) = ''
+         OR EXISTS (
+           SELECT 1 FROM business_plan_template_sections t
+           WHERE t.section_type = bps.section_type AND t.content_template = bps.content
+         ))
+     ORDER BY bp.last_updated DESC, bps.sort_order`,
+    workspace.params
+  );
+
+  const byTopic = {};
+  sections.forEach(section => {
+    const topic = SECTION_TOPICS[section.section_type] || 'business_planning';
+    byTopic[topic] = [...(byTopic[topic] || []), section];
+  });
+
+  return Object.entries(byTopic).map(([topic, topicSections]) => ({
+    code: 'business_plan',
+    topic,
+    weight: WEIGHTS.businessPlan,
+    reason: topicSections.length === 1
+      ? `The "${topicSections[0].title}" section of your business plan "${topicSections[0].plan_title}" is still empty`
+      : `${topicSections.length} sections of your business plans are still empty, including "${topicSections[0].title}"`
+  }));
+};
+
+/**
+ * Active budgets with no line items
+ */
+const budgetSignals = async ({ userId, organizationId }) => {
+  const workspace = workspaceCondition(userId, organizationId, 'b.');
+  const budgets = await query(
+    `SELECT b.title
+     FROM budgets b
+     WHERE ${workspace.sql} AND b.is_active = 1
+       AND NOT EXISTS (SELECT 1 FROM budget_items bi WHERE bi.budget_id = b.id)
+     ORDER BY b.start_date DESC`,
+    workspace.params
+  );
+
+  if (!budgets.length) {
+    return [];
+  }
+
+  return [{
+    code: 'empty_budget',
+    topic: 'finance',
+    weight: WEIGHTS.emptyBudget,
+    reason: budgets.length === 1
+      ? `Your budget "${budgets[0].title}" has no line items yet`
+      : `${budgets.length} of your budgets have no line items yet, including "${budgets[0].title}"`
+  }];
+};
+
+/**
+ * Overdue tasks assigned to the user
+ */
+const taskSignals = async ({ userId }) => {
+  const overdue = await query(
+    `SELECT COUNT(*) as count
+     FROM tasks
+     WHERE assignee_id = ? AND due_date < CURDATE() AND status NOT IN ('done', 'cancelled')`,
+    [userId]
+  );
+  const count = Number(overdue[0].count);
+
+  if (!count) {
+    return [];
+  }
+
+  return [{
+    code: 'overdue_tasks',
+    topic: 'project_management',
+    weight: WEIGHTS.overdueTasks,
+    reason: `You have ${plural(count, 'overdue task')}`
+  }];
+};
+
+/**
+ * Skills on the user's profile
+ */
+const skillSignals = async ({ userId }) => {
+  const skills = await query(
+    `SELECT s.name, s.category
+     FROM user_skills us
+     JOIN skills s ON us.skill_id = s.id
+     WHERE us.user_id = ?`,
+    [userId]
+  );
+
+  const signals = [];
+  const seen = new Set();
+
+  skills.forEach(skill => {
+    new Set([...topicsForText(skill.name), ...topicsForText(skill.category)]).forEach(topic => {
+      if (seen.has(topic)) return;
+      seen.add(topic);
+      signals.push({ code: 'skill', topic, weight: WEIGHTS.skill, reason: `Builds on your ${skill.name} skill` });
+    });
+  });
+
+  return signals;
+};
+
+/**
+ * Watch history: unfinished tutorials to resume, and categories of finished ones
+ */
+const watchHistorySignals = async ({ progress, tutorials }) => {
+  const signals = [];
+  const byId = Object.fromEntries(tutorials.map(tutorial => [tutorial.id, tutorial]));
+  const watchedCategories = new Set();
+
+  progress.forEach(row => {
+    const tutorial = byId[row.tutorial_id];
+    if (!tutorial) return;
+
+    if (!row.completed && row.last_watched_position > 0) {
+      signals.push({
+        code: 'resume',
+        tutorialId: tutorial.id,
+        weight: WEIGHTS.resume,
+        reason: `Continue where you left off at ${formatPosition(row.last_watched_position)}`
+      });
+    }
+
+    if (row.completed && tutorial.category && !watchedCategories.has(tutorial.category)) {
+      watchedCategories.add(tutorial.category);
+      tutorials
+        .filter(other => other.category === tutorial.category && other.id !== tutorial.id)
+        .forEach(other => signals.push({
+          code: 'watch_history',
+          tutorialId: other.id,
+          weight: WEIGHTS.watchHistory,
+          reason: `Because you watched "${tutorial.title}"`
+        }));
+    }
+  });
+
+  return signals;
+};
+
+/**
+ * Next steps of the learning paths the user has started
+ */
+const learningPathSignals = async ({ userId, learningPaths }) => {
+  const paths = learningPaths || await getPathProgress(userId);
+
+  return paths
+    .filter(path => path.status === 'in_progress' && path.nextStep)
+    .map(path => ({
+      code: 'learning_path',
+      tutorialId: path.nextStep.tutorialId,
+      weight: WEIGHTS.learningPath,
+      reason: `Next step in your "${path.title}" learning path`
+    }));
+};
+
+/**
+ * The user's role, as a weak default
+ */
+const roleSignals = async ({ role, tutorials }) => {
+  if (!role) {
+    return [];
+  }
+
+  const categories = ROLE_CATEGORIES[role] || DEFAULT_ROLE_CATEGORIES;
+  const label = ROLE_CATEGORIES[role] ? `${role}s` : 'people in your role';
+
+  return tutorials
+    .filter(tutorial => categories.includes(tutorial.category))
+    .map(tutorial => ({
+      code: 'role',
+      tutorialId: tutorial.id,
+      weight: WEIGHTS.role,
+      reason: `Popular with ${label}`
+    }));
+};
+
+const SIGNALS = [
+  learningPathSignals,
+  watchHistorySignals,
+  complianceSignals,
+  businessPlanSignals,
+  budgetSignals,
+  taskSignals,
+  skillSignals,
+  roleSignals
+];
+
+/**
+ * Get recommended tutorials for a user, best first
+ *
+ * Completed tutorials are left out. Each recommendation carries a score, the
+ * reason that contributed most ("reason") and every reason that applied.
+ * @param {Object} options
+ * @param {number} options.organizationId - Workspace for business plans and budgets
+ * @param {Object[]} options.learningPaths - Path progress, if the caller already has it
+ * @param {number} options.limit - Most recommendations returned (default 5)
+ */
+const getRecommendedTutorials = async (userId, { organizationId = null, learningPaths = null, limit = DEFAULT_LIMIT } = {}) => {
+  const users = await query(
+    'SELECT r.name as role FROM users u LEFT JOIN roles r ON u.role_id = r.id WHERE u.id = ?',
+    [userId]
+  );
+
+  if (!users.length) {
+    return [];
+  }
+
+  const tutorials = await query(
+    'SELECT id, title, description, video_url, category, duration, thumbnail_url FROM video_tutorials'
+  );
+  const progress = await query(
+    'SELECT tutorial_id, completed, last_watched_position FROM user_tutorial_progress WHERE user_id = ? ORDER BY updated_at DESC',
+    [userId]
+  );
+
+  const context = { userId, organizationId, role: users[0].role, tutorials, progress, learningPaths };
+  const signals = (await Promise.all(SIGNALS.map(signal => signal(context)))).flat();
+  const completed = new Set(progress.filter(row => row.completed).map(row => row.tutorial_id));
+
+  return tutorials
+    .filter(tutorial => !completed.has(tutorial.id))
+    .map(tutorial => {
+      const reasons = signals
+        .map(signal => ({
+          ...signal,
+          weight: signal.tutorialId !== undefined
+            ? (signal.tutorialId === tutorial.id ? signal.weight : 0)
+            : signal.weight * topicMatch(tutorial, signal.topic)
+        }))
+        .filter(signal => signal.weight > 0)
+        .sort((a, b) => b.weight - a.weight);
+
+      return {
+        ...tutorial,
+        score: Math.round(reasons.reduce((sum, signal) => sum + signal.weight, 0)),
+        reason: reasons.length ? reasons[0].reason : null,
+        reasons: [...new Set(reasons.map(signal => signal.reason))],
+        signals: [...new Set(reasons.map(signal => signal.code))]
+      };
+    })
+    .filter(tutorial => tutorial.score > 0)
+    .sort((a, b) => b.score - a.score || a.title.localeCompare(b.title))
+    .slice(0, limit);
+};
+
+module.exports = {
+  getRecommendedTutorials
+};
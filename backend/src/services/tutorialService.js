@@ -39,82 +39,159 @@ const getTutorialById = async (id) => {
   return tutorials.length ? tutorials[0] : null;
 };
 
-// Get user progress for a tutorial
+// Share of a tutorial that must be watched for it to count as completed
+const AUTO_COMPLETE_RATIO = 0.9;
+
+// Most segments accepted in one progress update
+const MAX_SEGMENTS_PER_UPDATE = 100;
+
+const parseSegments = (value) => {
+  if (!value) return [];
+  return typeof value === 'string' ? JSON.parse(value) : value;
+};
+
+// Merge overlapping or touching [start, end] ranges
+const mergeSegments = (segments) => {
+  const sorted = [...segments].sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  
+  for (const [start, end] of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1] + 1) {
+      last[1] = Math.max(last[1], end);
+    } else {
+      merged.push([start, end]);
+    }
+  }
+  
+  return merged;
+};
+
+// Validate segments reported by the player, clamped to the tutorial's duration
+const normalizeSegments = (segments, duration) => {
+  if (segments === undefined || segments === null) {
+    return [];
+  }
+  
+  if (!Array.isArray(segments) || segments.length > MAX_SEGMENTS_PER_UPDATE) {
+    throw new Error(`Segments must be a list of at most ${MAX_SEGMENTS_PER_UPDATE} [start, end] pairs in seconds`);
+  }
+  
+  return segments.map(segment => {
+    const [start, end] = Array.isArray(segment) ? segment.map(Number) : [NaN, NaN];
+    
+    if (!Number.isFinite(start) || !Number.isFinite(end) || start < 0 || end < start) {
+      throw new Error(`Segments must be a list of at most ${MAX_SEGMENTS_PER_UPDATE} [start, end] pairs in seconds`);
+    }
+    
+    const limit = duration || Infinity;
+    return [Math.floor(Math.min(start, limit)), Math.ceil(Math.min(end, limit))];
+  }).filter(([start, end]) => end > start);
+};
+
+const segmentsLength = (segments) => segments.reduce((sum, [start, end]) => sum + (end - start), 0);
+
+// Get user progress for a tutorial, including where to resume and what was watched
 const getUserProgress = async (userId, tutorialId) => {
   const progress = await query(
-    'SELECT completed, last_watched_position, completed_at FROM user_tutorial_progress WHERE user_id = ? AND tutorial_id = ?',
+    `SELECT completed, last_watched_position, watched_segments, watched_seconds, total_watch_seconds,
+            furthest_position, last_watched_at, completed_at
+     FROM user_tutorial_progress WHERE user_id = ? AND tutorial_id = ?`,
     [userId, tutorialId]
   );
-  return progress.length ? progress[0] : { completed: false, last_watched_position: 0, completed_at: null };
+  
+  if (!progress.length) {
+    return {
+      completed: false,
+      last_watched_position: 0,
+      watched_segments: [],
+      watched_seconds: 0,
+      total_watch_seconds: 0,
+      furthest_position: 0,
+      last_watched_at: null,
+      completed_at: null
+    };
+  }
+  
+  return {
+    ...progress[0],
+    completed: !!progress[0].completed,
+    watched_segments: parseSegments(progress[0].watched_segments)
+  };
 };
 
-// Update user progress
-const updateUserProgress = async (userId, tutorialId, position, completed) => {
+// Update user progress.
+// position is the resume point; segments are the [start, end] ranges (in seconds)
+// watched since the last update. Completion is kept once reached, and is set
+// automatically when AUTO_COMPLETE_RATIO of the tutorial has been watched.
+const updateUserProgress = async (userId, tutorialId, position, completed, segments) => {
+  const tutorials = await query('SELECT id, duration FROM video_tutorials WHERE id = ?', [tutorialId]);
+  
+  if (!tutorials.length) {
+    throw new Error('Tutorial not found');
+  }
+  
+  const duration = tutorials[0].duration || null;
+  const resumePosition = Math.max(0, Math.min(parseInt(position, 10) || 0, duration || Infinity));
+  const newSegments = normalizeSegments(segments, duration);
+  
   // Check if entry exists
   const existing = await query(
-    'SELECT id FROM user_tutorial_progress WHERE user_id = ? AND tutorial_id = ?',
+    'SELECT id, completed, completed_at, watched_segments, total_watch_seconds, furthest_position FROM user_tutorial_progress WHERE user_id = ? AND tutorial_id = ?',
     [userId, tutorialId]
   );
+  const previous = existing.length ? existing[0] : null;
   
-  const completedAt = completed ? new Date() : null;
+  const watchedSegments = mergeSegments([...parseSegments(previous && previous.watched_segments), ...newSegments]);
+  const watchedSeconds = segmentsLength(watchedSegments);
+  const totalWatchSeconds = (previous ? previous.total_watch_seconds : 0) + segmentsLength(newSegments);
+  const furthestPosition = Math.max(
+    previous ? previous.furthest_position : 0,
+    resumePosition,
+    ...newSegments.map(([, end]) => end)
+  );
+  
+  const isCompleted = !!completed || !!(previous && previous.completed) ||
+    (!!duration && watchedSeconds >= duration * AUTO_COMPLETE_RATIO);
+  const completedAt = previous && previous.completed ? previous.completed_at : (isCompleted ? new Date() : null);
   
-  if (existing.length) {
+  if (previous) {
     // Update existing progress
     await query(
-      'UPDATE user_tutorial_progress SET last_watched_position = ?, completed = ?, completed_at = ?, updated_at = NOW() WHERE user_id = ? AND tutorial_id = ?',
-      [position, completed, completedAt, userId, tutorialId]
+      `UPDATE user_tutorial_progress
+       SET last_watched_position = ?, watched_segments = ?, watched_seconds = ?, total_watch_seconds = ?,
+           furthest_position = ?, last_watched_at = NOW(), completed = ?, completed_at = ?, updated_at = NOW()
+       WHERE id = ?`,
+      [resumePosition, JSON.stringify(watchedSegments), watchedSeconds, totalWatchSeconds,
+        furthestPosition, isCompleted, completedAt, previous.id]
     );
   } else {
     // Create new progress entry
     await query(
-      'INSERT INTO user_tutorial_progress (user_id, tutorial_id, last_watched_position, completed, completed_at) VALUES (?, ?, ?, ?, ?)',
-      [userId, tutorialId, position, completed, completedAt]
+      `INSERT INTO user_tutorial_progress
+        (user_id, tutorial_id, last_watched_position, watched_segments, watched_seconds, total_watch_seconds,
+         furthest_position, last_watched_at, completed, completed_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, NOW(), ?, ?)`,
+      [userId, tutorialId, resumePosition, JSON.stringify(watchedSegments), watchedSeconds, totalWatchSeconds,
+        furthestPosition, isCompleted, completedAt]
     );
   }
   
   return { 
     success: true, 
-    message: 'Progress updated successfully' 
+    message: 'Progress updated successfully',
+    progress: {
+      completed: isCompleted,
+      last_watched_position: resumePosition,
+      watched_segments: watchedSegments,
+      watched_seconds: watchedSeconds,
+      total_watch_seconds: totalWatchSeconds,
+      furthest_position: furthestPosition,
+      completed_at: completedAt
+    }
   };
 };
 
-// Get recommended tutorials for a user based on their role and progress
-const getRecommendedTutorials = async (userId) => {
-  // Get user's role
-  const userRole = await query(
-    'SELECT r.name as role FROM users u JOIN roles r ON u.role_id = r.id WHERE u.id = ?',
-    [userId]
-  );
-  
-  if (!userRole.length) {
-    return [];
-  }
-  
-  const role = userRole[0].role;
-  
-  // Get relevant categories based on role
-  let categories = [];
-  if (role === 'entrepreneur') {
-    categories = ['Business Planning', 'Marketing', 'Finance', 'Leadership'];
-  } else if (role === 'freelancer') {
-    categories = ['Freelancing', 'Client Management', 'Portfolio Building', 'Skill Development'];
-  } else {
-    categories = ['Team Collaboration', 'Project Management', 'Communication'];
-  }
-  
-  // Get tutorials in those categories that the user hasn't completed yet
-  const recommendations = await query(`
-    SELECT t.id, t.title, t.description, t.video_url, t.category, t.duration, t.thumbnail_url
-    FROM video_tutorials t
-    LEFT JOIN user_tutorial_progress p ON t.id = p.tutorial_id AND p.user_id = ?
-    WHERE t.category IN (?) AND (p.completed IS NULL OR p.completed = 0)
-    ORDER BY t.category, t.title
-    LIMIT 5
-  `, [userId, categories]);
-  
-  return recommendations;
-};
-
 // Sample tutorials to populate the database
 const sampleTutorials = [
   {
@@ -186,12 +263,12 @@ const initializeTutorials = async () => {
 };
 
 module.exports = {
+  AUTO_COMPLETE_RATIO,
   getCategories,
   getTutorialsByCategory,
   getAllTutorials,
   getTutorialById,
   getUserProgress,
   updateUserProgress,
-  getRecommendedTutorials,
   initializeTutorials
 }; 
\ No newline at end of file
@@ -0,0 +1,348 @@
+/**
+ * Two-Factor Authentication Service
+ *
+ * Handles authenticator-app (RFC 6238 TOTP) enrollment and verification,
+ * plus single-use recovery codes. Email OTP remains in authController.
+ */
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { query } = require('../config/db');
+require('dotenv').config();
+
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD = 30; // Seconds per time step
+const TOTP_WINDOW = parseInt(process.env.TOTP_WINDOW, 10) || 1; // Steps accepted either side for clock skew
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'HeadStart';
+const RECOVERY_CODE_COUNT = 10;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Encode a buffer as an unpadded base32 string (RFC 4648)
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode a base32 string into a buffer, ignoring padding, spaces and case
+ */
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+
+    if (index === -1) {
+      throw new Error('Invalid base32 secret');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate an HOTP value (RFC 4226) for a counter
+ */
+const generateHOTP = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+
+  // Dynamic truncation
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return (binary % 10 ** TOTP_DIGITS).toString().padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Get the TOTP time step for a timestamp
+ */
+const getTimeStep = (timestamp = Date.now()) => Math.floor(timestamp / 1000 / TOTP_PERIOD);
+
+/**
+ * Find the time step a code belongs to within the skew window
+ *
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {number|null} lastUsedStep - Last accepted step, rejected to prevent replay
+ * @returns {number|null} The matching time step, or null if the code is invalid
+ */
+const findMatchingStep = (secret, code, lastUsedStep = null) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+
+  if (!/^\d+$/.test(normalized) || normalized.length !== TOTP_DIGITS) {
+    return null;
+  }
+
+  const currentStep = getTimeStep();
+
+  for (let offset = -TOTP_WINDOW; offset <= TOTP_WINDOW; offset++) {
+    const step = currentStep + offset;
+
+    if (lastUsedStep !== null && step <= lastUsedStep) {
+      continue;
+    }
+
+    const expected = generateHOTP(secret, step);
+
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build the otpauth:// provisioning URI understood by authenticator apps
+ */
+const buildProvisioningUri = (secret, accountName) => {
+  const label = `${encodeURIComponent(TOTP_ISSUER)}:${encodeURIComponent(accountName)}`;
+  const params = new URLSearchParams({
+    secret,
+    issuer: TOTP_ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * Get the two_factor_auth row for a user
+ */
+const getTwoFactorRecord = async (userId) => {
+  const records = await query(
+    'SELECT * FROM two_factor_auth WHERE user_id = ?',
+    [userId]
+  );
+
+  return records.length ? records[0] : null;
+};
+
+/**
+ * Start TOTP enrollment by generating a new (unconfirmed) secret
+ */
+const beginTOTPEnrollment = async (userId, accountName) => {
+  const record = await getTwoFactorRecord(userId);
+
+  if (record && record.totp_enabled) {
+    throw new Error('Authenticator app is already enabled');
+  }
+
+  const secret = base32Encode(crypto.randomBytes(20));
+
+  if (record) {
+    await query(
+      'UPDATE two_factor_auth SET totp_secret = ?, totp_enabled = false, totp_last_step = NULL, updated_at = NOW() WHERE user_id = ?',
+      [secret, userId]
+    );
+  } else {
+    await query(
+      'INSERT INTO two_factor_auth (user_id, otp_enabled, totp_secret, totp_enabled) VALUES (?, false, ?, false)',
+      [userId, secret]
+    );
+  }
+
+  return {
+    secret,
+    otpauthUrl: buildProvisioningUri(secret, accountName)
+  };
+};
+
+/**
+ * Confirm TOTP enrollment with the first code from the authenticator app
+ *
+ * @returns {Promise<string[]|null>} Fresh recovery codes, or null if the code is invalid
+ */
+const confirmTOTPEnrollment = async (userId, code) => {
+  const record = await getTwoFactorRecord(userId);
+
+  if (!record || !record.totp_secret) {
+    throw new Error('No authenticator app enrollment in progress');
+  }
+
+  if (record.totp_enabled) {
+    throw new Error('Authenticator app is already enabled');
+  }
+
+  const step = findMatchingStep(record.totp_secret, code);
+
+  if (step === null) {
+    return null;
+  }
+
+  await query(
+    'UPDATE two_factor_auth SET totp_enabled = true, totp_last_step = ?, totp_confirmed_at = NOW() WHERE user_id = ?',
+    [step, userId]
+  );
+
+  return generateRecoveryCodes(userId);
+};
+
+/**
+ * Verify a TOTP code for a user with an enabled authenticator app
+ */
+const verifyTOTP = async (userId, code) => {
+  const record = await getTwoFactorRecord(userId);
+
+  if (!record || !record.totp_enabled || !record.totp_secret) {
+    return false;
+  }
+
+  const lastStep = record.totp_last_step === null ? null : Number(record.totp_last_step);
+  const step = findMatchingStep(record.totp_secret, code, lastStep);
+
+  if (step === null) {
+    return false;
+  }
+
+  // Remember the step so the same code cannot be replayed; only one concurrent
+  // sign-in can move it forward
+  const result = await query(
+    'UPDATE two_factor_auth SET totp_last_step = ? WHERE user_id = ? AND (totp_last_step IS NULL OR totp_last_step < ?)',
+    [step, userId, step]
+  );
+
+  return result.affectedRows === 1;
+};
+
+/**
+ * Disable the authenticator app and discard its recovery codes
+ */
+const disableTOTP = async (userId) => {
+  await query(
+    'UPDATE two_factor_auth SET totp_secret = NULL, totp_enabled = false, totp_last_step = NULL, totp_confirmed_at = NULL WHERE user_id = ?',
+    [userId]
+  );
+
+  await query(
+    'DELETE FROM two_factor_recovery_codes WHERE user_id = ?',
+    [userId]
+  );
+};
+
+/**
+ * Replace a user's recovery codes with a new set
+ *
+ * @returns {Promise<string[]>} The plain-text codes, shown to the user only once
+ */
+const generateRecoveryCodes = async (userId) => {
+  await query(
+    'DELETE FROM two_factor_recovery_codes WHERE user_id = ?',
+    [userId]
+  );
+
+  const codes = [];
+
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    const code = `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    const codeHash = await bcrypt.hash(code, 10);
+
+    await query(
+      'INSERT INTO two_factor_recovery_codes (user_id, code_hash) VALUES (?, ?)',
+      [userId, codeHash]
+    );
+
+    codes.push(code);
+  }
+
+  return codes;
+};
+
+/**
+ * Use a recovery code, marking it as spent if it matches
+ */
+const consumeRecoveryCode = async (userId, code) => {
+  const normalized = String(code || '').trim().toLowerCase();
+
+  if (!normalized) {
+    return false;
+  }
+
+  const unusedCodes = await query(
+    'SELECT id, code_hash FROM two_factor_recovery_codes WHERE user_id = ? AND used_at IS NULL',
+    [userId]
+  );
+
+  for (const recoveryCode of unusedCodes) {
+    if (await bcrypt.compare(normalized, recoveryCode.code_hash)) {
+      // Only one concurrent sign-in can spend the code
+      const result = await query(
+        'UPDATE two_factor_recovery_codes SET used_at = NOW() WHERE id = ? AND used_at IS NULL',
+        [recoveryCode.id]
+      );
+      return result.affectedRows === 1;
+    }
+  }
+
+  return false;
+};
+
+/**
+ * Get the second-factor methods a user has enrolled
+ */
+const getTwoFactorMethods = async (userId) => {
+  const record = await getTwoFactorRecord(userId);
+
+  const remaining = await query(
+    'SELECT COUNT(*) AS count FROM two_factor_recovery_codes WHERE user_id = ? AND used_at IS NULL',
+    [userId]
+  );
+
+  return {
+    email: !!(record && record.otp_enabled),
+    totp: !!(record && record.totp_enabled),
+    recoveryCodesRemaining: remaining[0].count
+  };
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateHOTP,
+  buildProvisioningUri,
+  beginTOTPEnrollment,
+  confirmTOTPEnrollment,
+  verifyTOTP,
+  disableTOTP,
+  generateRecoveryCodes,
+  consumeRecoveryCode,
+  getTwoFactorMethods
+};
@@ -3,7 +3,19 @@
  * 
  * Handles user profile management for all user types (entrepreneurs, freelancers, team members)
  */
+const crypto = require('crypto');
 const { query } = require('../config/db');
+const { confirmPassword, updateEmail } = require('./identityService');
+const { revokeAllSessions } = require('./sessionService');
+const {
+  sendEmailChangeConfirmationEmail,
+  sendEmailChangeNoticeEmail
+} = require('./emailService');
+
+const EMAIL_CHANGE_CONFIRM_HOURS = 24;
+const EMAIL_CHANGE_REVERT_DAYS = 7;
+
+const hashEmailChangeToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
 
 /**
  * Get a user's basic profile
@@ -337,6 +349,166 @@ const searchUsersBySkills = async (skillIds, role = null) => {
   return users;
 };
 
+/**
+ * Apply an email address to both the credentials record and the users row
+ */
+const applyEmail = async (userId, email, previousEmail) => {
+  await updateEmail(userId, email, true);
+  
+  try {
+    await query(
+      'UPDATE users SET email = ?, email_verified = true, updated_at = NOW() WHERE id = ?',
+      [email, userId]
+    );
+  } catch (error) {
+    // Keep the two records in step if the database update fails
+    await updateEmail(userId, previousEmail, true);
+    throw error;
+  }
+};
+
+/**
+ * Start an email change: confirm link to the new address, revert link to the old one
+ */
+const requestEmailChange = async (userId, newEmail, currentPassword) => {
+  const users = await query('SELECT id, email FROM users WHERE id = ?', [userId]);
+  
+  if (!users.length) {
+    throw new Error('User not found');
+  }
+  
+  const oldEmail = users[0].email;
+  
+  if (!(await confirmPassword(userId, currentPassword))) {
+    throw new Error('Current password is incorrect');
+  }
+  
+  if (newEmail.toLowerCase() === oldEmail.toLowerCase()) {
+    throw new Error('New email must be different from the current email');
+  }
+  
+  const existing = await query('SELECT id FROM users WHERE email = ?', [newEmail]);
+  
+  if (existing.length) {
+    throw new Error('Email already in use');
+  }
+  
+  const confirmToken = crypto.randomBytes(32).toString('hex');
+  const revertToken = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date();
+  expiresAt.setHours(expiresAt.getHours() + EMAIL_CHANGE_CONFIRM_HOURS);
+  const revertExpiresAt = new Date();
+  revertExpiresAt.setDate(revertExpiresAt.getDate() + EMAIL_CHANGE_REVERT_DAYS);
+  
+  // Only one pending change at a time
+  await query(
+    'DELETE FROM email_change_requests WHERE user_id = ? AND confirmed_at IS NULL AND reverted_at IS NULL',
+    [userId]
+  );
+  
+  await query(
+    `INSERT INTO email_change_requests 
+      (user_id, old_email, new_email, confirm_token_hash, revert_token_hash, expires_at, revert_expires_at) 
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [
+      userId,
+      oldEmail,
+      newEmail,
+      hashEmailChangeToken(confirmToken),
+      hashEmailChangeToken(revertToken),
+      expiresAt,
+      revertExpiresAt
+    ]
+  );
+  
+  await sendEmailChangeConfirmationEmail(newEmail, confirmToken);
+  await sendEmailChangeNoticeEmail(oldEmail, newEmail, revertToken);
+  
+  return {
+    success: true,
+    message: `A confirmation link has been sent to ${newEmail}. Your email will change once it is confirmed.`
+  };
+};
+
+/**
+ * Commit a pending email change from its confirmation link
+ */
+const confirmEmailChange = async (token) => {
+  const requests = await query(
+    `SELECT * FROM email_change_requests 
+     WHERE confirm_token_hash = ? AND confirmed_at IS NULL AND reverted_at IS NULL AND expires_at > NOW()`,
+    [hashEmailChangeToken(token)]
+  );
+  
+  if (!requests.length) {
+    throw new Error('Invalid or expired confirmation link');
+  }
+  
+  const request = requests[0];
+  
+  // The address may have been taken since the request was made
+  const existing = await query(
+    'SELECT id FROM users WHERE email = ? AND id != ?',
+    [request.new_email, request.user_id]
+  );
+  
+  if (existing.length) {
+    throw new Error('Email already in use');
+  }
+  
+  await applyEmail(request.user_id, request.new_email, request.old_email);
+  
+  await query(
+    'UPDATE email_change_requests SET confirmed_at = NOW() WHERE id = ?',
+    [request.id]
+  );
+  
+  return { success: true, message: 'Email address updated successfully' };
+};
+
+/**
+ * Undo an email change (or cancel a pending one) from the link sent to the old address
+ *
+ * Signs the user out everywhere, since an unexpected change suggests the account was compromised.
+ */
+const revertEmailChange = async (token) => {
+  const requests = await query(
+    `SELECT * FROM email_change_requests 
+     WHERE revert_token_hash = ? AND reverted_at IS NULL AND revert_expires_at > NOW()`,
+    [hashEmailChangeToken(token)]
+  );
+  
+  if (!requests.length) {
+    throw new Error('Invalid or expired revert link');
+  }
+  
+  const request = requests[0];
+  
+  if (request.confirmed_at) {
+    const users = await query('SELECT email FROM users WHERE id = ?', [request.user_id]);
+    
+    if (!users.length) {
+      throw new Error('User not found');
+    }
+    
+    await applyEmail(request.user_id, request.old_email, users[0].email);
+  }
+  
+  await query(
+    'UPDATE email_change_requests SET reverted_at = NOW() WHERE id = ?',
+    [request.id]
+  );
+  
+  await revokeAllSessions(request.user_id);
+  
+  return {
+    success: true,
+    message: request.confirmed_at
+      ? 'Your email address has been restored. Please sign in again and change your password.'
+      : 'The email change has been cancelled. Please sign in again and change your password.'
+  };
+};
+
 module.exports = {
   getUserProfile,
   getExtendedProfile,
@@ -348,5 +520,8 @@ module.exports = {
   addPortfolioItem,
   updatePortfolioItem,
   deletePortfolioItem,
-  searchUsersBySkills
+  searchUsersBySkills,
+  requestEmailChange,
+  confirmEmailChange,
+  revertEmailChange
 }; 
\ No newline at end of file
@@ -0,0 +1,185 @@
+/**
+ * Bar Chart Utility
+ *
+ * Lays out grouped bar charts once and draws them as SVG or PNG; other renderers
+ * (such as the PDF writer) can draw the same layout themselves.
+ */
+const { encodePng } = require('./rasterImage');
+
+const DEFAULT_COLORS = ['#4CAF50', '#2196F3', '#FF9800', '#9C27B0'];
+
+// Space around the plot area for the legend, axis labels and category labels
+const MARGIN = { top: 28, right: 12, bottom: 36, left: 64 };
+
+/**
+ * Round a tick interval up to 1, 2 or 5 times a power of ten
+ */
+const niceStep = (range, ticks) => {
+  const rough = range / ticks;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+  const step = [1, 2, 5, 10].find(factor => factor * magnitude >= rough);
+  return step * magnitude;
+};
+
+/**
+ * Short axis label for a value (1.5k, 2M)
+ */
+const formatAxisValue = (value) => {
+  const abs = Math.abs(value);
+  if (abs >= 1e9) return `${+(value / 1e9).toFixed(1)}B`;
+  if (abs >= 1e6) return `${+(value / 1e6).toFixed(1)}M`;
+  if (abs >= 1e3) return `${+(value / 1e3).toFixed(1)}k`;
+  return `${+value.toFixed(2)}`;
+};
+
+/**
+ * Lay out a grouped bar chart
+ * @param {Object} chart - { labels: string[], series: [{ name, values: number[] }] }
+ * @param {Object} options - { width, height, colors }
+ * @returns {Object} Plot area, bars, grid lines, category labels and legend, in
+ *   coordinates with the origin at the top left
+ */
+const layoutBarChart = (chart, { width = 640, height = 300, colors = DEFAULT_COLORS } = {}) => {
+  const values = chart.series.flatMap(series => series.values).filter(Number.isFinite);
+  const low = Math.min(0, ...values);
+  const high = Math.max(0, ...values);
+  const step = niceStep(high - low || 1, 5);
+  const min = Math.floor(low / step) * step;
+  const max = Math.ceil(high / step) * step || step;
+
+  const plot = {
+    x: MARGIN.left,
+    y: MARGIN.top,
+    width: width - MARGIN.left - MARGIN.right,
+    height: height - MARGIN.top - MARGIN.bottom
+  };
+  const toY = (value) => plot.y + ((max - value) / (max - min)) * plot.height;
+  const zeroY = toY(0);
+
+  const groupWidth = plot.width / Math.max(chart.labels.length, 1);
+  const barWidth = (groupWidth * 0.8) / Math.max(chart.series.length, 1);
+
+  const bars = [];
+  chart.series.forEach((series, seriesIndex) => {
+    series.values.forEach((value, index) => {
+      if (!Number.isFinite(value)) return;
+      const y = toY(value);
+      bars.push({
+        x: plot.x + groupWidth * index + groupWidth * 0.1 + barWidth * seriesIndex,
+        y: Math.min(y, zeroY),
+        width: barWidth,
+        height: Math.abs(zeroY - y),
+        color: colors[seriesIndex % colors.length],
+        value
+      });
+    });
+  });
+
+  const gridLines = [];
+  for (let value = min; value <= max + step / 2; value += step) {
+    gridLines.push({ y: toY(value), label: formatAxisValue(value) });
+  }
+
+  // Thin out category labels so they do not overlap
+  const every = Math.ceil(chart.labels.length / Math.max(Math.floor(plot.width / 48), 1));
+  const labels = chart.labels
+    .map((text, index) => ({ x: plot.x + groupWidth * (index + 0.5), text: String(text), index }))
+    .filter(label => label.index % every === 0);
+
+  const legend = chart.series.map((series, index) => ({
+    name: series.name,
+    color: colors[index % colors.length]
+  }));
+
+  return { width, height, plot, zeroY, bars, gridLines, labels, legend };
+};
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Draw a grouped bar chart as an SVG element
+ */
+const renderBarChartSvg = (chart, options) => {
+  const layout = layoutBarChart(chart, options);
+  const { plot } = layout;
+  const parts = [];
+
+  for (const line of layout.gridLines) {
+    parts.push(`<line x1="${plot.x}" y1="${line.y.toFixed(1)}" x2="${plot.x + plot.width}" y2="${line.y.toFixed(1)}" stroke="#e0e0e0"/>`);
+    parts.push(`<text x="${plot.x - 6}" y="${(line.y + 4).toFixed(1)}" text-anchor="end">${escapeXml(line.label)}</text>`);
+  }
+
+  for (const bar of layout.bars) {
+    parts.push(`<rect x="${bar.x.toFixed(1)}" y="${bar.y.toFixed(1)}" width="${bar.width.toFixed(1)}" height="${bar.height.toFixed(1)}" fill="${bar.color}"/>`);
+  }
+
+  parts.push(`<line x1="${plot.x}" y1="${layout.zeroY.toFixed(1)}" x2="${plot.x + plot.width}" y2="${layout.zeroY.toFixed(1)}" stroke="#616161"/>`);
+
+  for (const label of layout.labels) {
+    parts.push(`<text x="${label.x.toFixed(1)}" y="${plot.y + plot.height + 18}" text-anchor="middle">${escapeXml(label.text)}</text>`);
+  }
+
+  layout.legend.forEach((entry, index) => {
+    const x = plot.x + index * 140;
+    parts.push(`<rect x="${x}" y="6" width="12" height="12" fill="${entry.color}"/>`);
+    parts.push(`<text x="${x + 18}" y="16">${escapeXml(entry.name)}</text>`);
+  });
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${layout.width}" height="${layout.height}" viewBox="0 0 ${layout.width} ${layout.height}" font-family="Arial, sans-serif" font-size="11" fill="#424242">${parts.join('')}</svg>`;
+};
+
+/**
+ * Draw a grouped bar chart as a PNG (bars and grid only; PNGs carry no text, so
+ * callers print the legend and values alongside)
+ */
+const renderBarChartPng = (chart, options) => {
+  const layout = layoutBarChart(chart, options);
+  const { width, height, plot } = layout;
+  const pixels = Buffer.alloc(width * height * 3, 255);
+
+  const fill = (x, y, w, h, hex) => {
+    const [r, g, b] = [1, 3, 5].map(offset => parseInt(hex.slice(offset, offset + 2), 16));
+    const left = Math.max(0, Math.round(x));
+    const right = Math.min(width, Math.round(x + w));
+    const top = Math.max(0, Math.round(y));
+    const bottom = Math.min(height, Math.max(Math.round(y + h), top + 1));
+
+    for (let row = top; row < bottom; row++) {
+      for (let col = left; col < right; col++) {
+        const offset = (row * width + col) * 3;
+        pixels[offset] = r;
+        pixels[offset + 1] = g;
+        pixels[offset + 2] = b;
+      }
+    }
+  };
+
+  for (const line of layout.gridLines) {
+    fill(plot.x, line.y, plot.width, 1, '#e0e0e0');
+  }
+
+  for (const bar of layout.bars) {
+    fill(bar.x, bar.y, bar.width, bar.height, bar.color);
+  }
+
+  fill(plot.x, layout.zeroY, plot.width, 1, '#616161');
+  fill(plot.x, plot.y, 1, plot.height, '#616161');
+
+  layout.legend.forEach((entry, index) => {
+    fill(plot.x + index * 140, 6, 12, 12, entry.color);
+  });
+
+  return encodePng(width, height, pixels);
+};
+
+module.exports = {
+  DEFAULT_COLORS,
+  formatAxisValue,
+  layoutBarChart,
+  renderBarChartSvg,
+  renderBarChartPng
+};
@@ -48,6 +48,17 @@ const getFileUrl = (filepath) => {
     return `/uploads/${filepath}`;
 };
 
+/**
+ * Get the absolute path of a stored file, e.g. to send it in a response
+ * @param {string} filepath - The relative file path
+ * @returns {string|null} The absolute path, or null if it is outside the upload directory
+ */
+const getFilePath = (filepath) => {
+    if (!filepath) return null;
+    const fullPath = path.resolve(UPLOAD_DIR, filepath);
+    return fullPath.startsWith(UPLOAD_DIR + path.sep) ? fullPath : null;
+};
+
 /**
  * Delete a file from storage
  * @param {string} filepath - The relative file path
@@ -66,5 +77,6 @@ const deleteFile = async (filepath) => {
 module.exports = {
     uploadFile,
     getFileUrl,
+    getFilePath,
     deleteFile
 }; 
\ No newline at end of file
@@ -0,0 +1,280 @@
+/**
+ * PDF Document Utility
+ *
+ * Writes simple PDF files (text in the standard Helvetica fonts, rectangles,
+ * lines, PNG/JPEG images and internal links) without a PDF library. Callers do
+ * their own layout; coordinates are in points from the top-left corner of an
+ * A4 page and text is positioned by its baseline.
+ */
+const zlib = require('zlib');
+
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+
+// Advance widths (per 1000 units of font size) of printable ASCII, from the
+// Helvetica and Helvetica-Bold font metrics
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+// Characters outside Latin-1 that WinAnsiEncoding places in 0x80-0x9F
+const WIN_ANSI_EXTRAS = {
+  '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85, '†': 0x86, '‡': 0x87,
+  'ˆ': 0x88, '‰': 0x89, 'Š': 0x8a, '‹': 0x8b, 'Œ': 0x8c, 'Ž': 0x8e, '‘': 0x91,
+  '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '˜': 0x98,
+  '™': 0x99, 'š': 0x9a, '›': 0x9b, 'œ': 0x9c, 'ž': 0x9e, 'Ÿ': 0x9f
+};
+
+/**
+ * Encode text in WinAnsiEncoding, replacing characters it lacks with '?'
+ */
+const toWinAnsi = (text) => Buffer.from(Array.from(String(text), char => {
+  const code = char.codePointAt(0);
+  if (code === 9) return 32;
+  if ((code >= 32 && code <= 126) || (code >= 160 && code <= 255)) return code;
+  return WIN_ANSI_EXTRAS[char] || 63;
+}));
+
+/**
+ * Width of a line of text in points
+ */
+const measureText = (text, size, bold = false) => {
+  const widths = bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+  let total = 0;
+
+  for (const byte of toWinAnsi(text)) {
+    total += byte >= 32 && byte <= 126 ? widths[byte - 32] : 556;
+  }
+
+  return (total * size) / 1000;
+};
+
+/**
+ * Break text into lines no wider than maxWidth, splitting long words if needed
+ * @returns {string[]} Lines (an empty string for an empty paragraph)
+ */
+const wrapText = (text, maxWidth, size, bold = false) => {
+  const lines = [];
+  let line = '';
+
+  for (const word of String(text).split(/\s+/).filter(Boolean)) {
+    const candidate = line ? `${line} ${word}` : word;
+
+    if (measureText(candidate, size, bold) <= maxWidth) {
+      line = candidate;
+      continue;
+    }
+
+    if (line) lines.push(line);
+    line = '';
+
+    let rest = word;
+    while (measureText(rest, size, bold) > maxWidth) {
+      let cut = rest.length - 1;
+      while (cut > 1 && measureText(rest.slice(0, cut), size, bold) > maxWidth) cut--;
+      lines.push(rest.slice(0, cut));
+      rest = rest.slice(cut);
+    }
+    line = rest;
+  }
+
+  if (line || !lines.length) lines.push(line);
+
+  return lines;
+};
+
+const escapeString = (text) => {
+  let out = '';
+  for (const byte of toWinAnsi(text)) {
+    if (byte === 0x28 || byte === 0x29 || byte === 0x5c) {
+      out += `\\${String.fromCharCode(byte)}`;
+    } else if (byte < 32 || byte > 126) {
+      out += `\\${byte.toString(8).padStart(3, '0')}`;
+    } else {
+      out += String.fromCharCode(byte);
+    }
+  }
+  return `(${out})`;
+};
+
+const toRgb = (hex) => [1, 3, 5]
+  .map(offset => (parseInt(hex.slice(offset, offset + 2), 16) / 255).toFixed(3))
+  .join(' ');
+
+const num = (value) => (+value.toFixed(2)).toString();
+
+/**
+ * Create a page that records drawing operations
+ */
+const createPage = () => {
+  const ops = [];
+  const links = [];
+  const images = new Set();
+  const flip = (y) => PAGE_HEIGHT - y;
+
+  return {
+    ops,
+    links,
+    images,
+
+    text(text, x, y, { size = 11, bold = false, color = '#212121' } = {}) {
+      ops.push(`BT /${bold ? 'F2' : 'F1'} ${num(size)} Tf ${toRgb(color)} rg ${num(x)} ${num(flip(y))} Td ${escapeString(text)} Tj ET`);
+    },
+
+    rect(x, y, width, height, { fill = null, stroke = null, lineWidth = 1 } = {}) {
+      const parts = [];
+      if (fill) parts.push(`${toRgb(fill)} rg`);
+      if (stroke) parts.push(`${toRgb(stroke)} RG ${num(lineWidth)} w`);
+      parts.push(`${num(x)} ${num(flip(y + height))} ${num(width)} ${num(height)} re`);
+      parts.push(fill && stroke ? 'B' : fill ? 'f' : 'S');
+      ops.push(parts.join(' '));
+    },
+
+    line(x1, y1, x2, y2, { color = '#000000', lineWidth = 1 } = {}) {
+      ops.push(`${toRgb(color)} RG ${num(lineWidth)} w ${num(x1)} ${num(flip(y1))} m ${num(x2)} ${num(flip(y2))} l S`);
+    },
+
+    /**
+     * Draw an image added with document.addImage
+     */
+    image(name, x, y, width, height) {
+      images.add(name);
+      ops.push(`q ${num(width)} 0 0 ${num(height)} ${num(x)} ${num(flip(y + height))} cm /${name} Do Q`);
+    },
+
+    /**
+     * Make an area link to a position on another page of the document
+     */
+    link(x, y, width, height, { page, top = 0 }) {
+      links.push({ rect: [x, flip(y + height), x + width, flip(y)].map(num), page, top: num(flip(top)) });
+    }
+  };
+};
+
+/**
+ * Create a PDF document
+ * @param {Object} info - { title, author } for the document properties
+ * @returns {Object} { addPage, addImage, toBuffer, pages, pageWidth, pageHeight }
+ */
+const createPdfDocument = ({ title = '', author = '' } = {}) => {
+  const pages = [];
+  const images = [];
+
+  return {
+    pageWidth: PAGE_WIDTH,
+    pageHeight: PAGE_HEIGHT,
+    pages,
+
+    addPage() {
+      const page = createPage();
+      pages.push(page);
+      return page;
+    },
+
+    /**
+     * Add an image read with rasterImage.readRasterImage
+     * @returns {string} The name to draw it with
+     */
+    addImage(image) {
+      images.push(image);
+      return `Im${images.length}`;
+    },
+
+    toBuffer() {
+      const objects = [];
+      const reserve = () => objects.push(null);
+      const set = (id, body) => { objects[id - 1] = body; };
+      const add = (body) => objects.push(body);
+      const stream = (dictionary, data) => Buffer.concat([
+        Buffer.from(`<< ${dictionary} /Length ${data.length} >>\nstream\n`, 'latin1'),
+        data,
+        Buffer.from('\nendstream', 'latin1')
+      ]);
+
+      reserve(); // 1: catalog
+      reserve(); // 2: page tree
+      const regularFont = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+      const boldFont = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+      const info = add(`<< /Title ${escapeString(title)} /Author ${escapeString(author)} /Producer (HeadStart) >>`);
+
+      const imageIds = images.map(image => {
+        if (image.format === 'jpeg') {
+          const colorSpace = { 1: '/DeviceGray', 3: '/DeviceRGB', 4: '/DeviceCMYK' }[image.colorChannels];
+          return add(stream(`/Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} /ColorSpace ${colorSpace} /BitsPerComponent 8 /Filter /DCTDecode`, image.data));
+        }
+
+        const common = `/Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} /BitsPerComponent 8 /Filter /FlateDecode`;
+        const mask = image.alpha ? add(stream(`${common} /ColorSpace /DeviceGray`, zlib.deflateSync(image.alpha))) : null;
+        const colorSpace = image.colorChannels === 1 ? '/DeviceGray' : '/DeviceRGB';
+        return add(stream(`${common} /ColorSpace ${colorSpace}${mask ? ` /SMask ${mask} 0 R` : ''}`, zlib.deflateSync(image.color)));
+      });
+
+      // Page ids are needed by links before every page is written
+      const firstPageId = objects.length + 1;
+      const pageId = (index) => firstPageId + index * 2;
+
+      pages.forEach((page, index) => {
+        const xObjects = [...page.images].map(name => `/${name} ${imageIds[Number(name.slice(2)) - 1]} 0 R`).join(' ');
+        const annotations = page.links
+          .filter(link => pages[link.page])
+          .map(link => `<< /Type /Annot /Subtype /Link /Rect [${link.rect.join(' ')}] /Border [0 0 0] /Dest [${pageId(link.page)} 0 R /XYZ null ${link.top} null] >>`);
+
+        add(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+          `/Resources << /Font << /F1 ${regularFont} 0 R /F2 ${boldFont} 0 R >>${xObjects ? ` /XObject << ${xObjects} >>` : ''} >> ` +
+          `/Contents ${pageId(index) + 1} 0 R${annotations.length ? ` /Annots [${annotations.join(' ')}]` : ''} >>`);
+        add(stream('/Filter /FlateDecode', zlib.deflateSync(Buffer.from(page.ops.join('\n'), 'latin1'))));
+      });
+
+      set(1, '<< /Type /Catalog /Pages 2 0 R >>');
+      set(2, `<< /Type /Pages /Kids [${pages.map((_, index) => `${pageId(index)} 0 R`).join(' ')}] /Count ${pages.length} >>`);
+
+      const parts = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+      const offsets = [];
+      let length = parts[0].length;
+
+      objects.forEach((body, index) => {
+        const chunk = Buffer.concat([
+          Buffer.from(`${index + 1} 0 obj\n`, 'latin1'),
+          Buffer.isBuffer(body) ? body : Buffer.from(body, 'latin1'),
+          Buffer.from('\nendobj\n', 'latin1')
+        ]);
+        offsets.push(length);
+        parts.push(chunk);
+        length += chunk.length;
+      });
+
+      const xref = [
+        'xref',
+        `0 ${objects.length + 1}`,
+        '0000000000 65535 f ',
+        ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+        'trailer',
+        `<< /Size ${objects.length + 1} /Root 1 0 R /Info ${info} 0 R >>`,
+        'startxref',
+        String(length),
+        '%%EOF'
+      ].join('\n');
+
+      return Buffer.concat([...parts, Buffer.from(`${xref}\n`, 'latin1')]);
+    }
+  };
+};
+
+module.exports = {
+  measureText,
+  wrapText,
+  createPdfDocument
+};
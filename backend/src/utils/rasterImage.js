@@ -0,0 +1,225 @@
+/**
+ * Raster Image Utility
+ *
+ * Reads the size and pixels of PNG and JPEG files and encodes simple PNGs, for
+ * embedding images in generated documents without an image library
+ */
+const zlib = require('zlib');
+const { crc32 } = require('./zipArchive');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Channels per PNG color type (0 gray, 2 RGB, 3 palette, 4 gray + alpha, 6 RGBA)
+const PNG_CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+/**
+ * Read the chunks of a PNG file
+ */
+const readPngChunks = (buffer) => {
+  const chunks = [];
+  let offset = PNG_SIGNATURE.length;
+
+  while (offset + 8 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    chunks.push({ type, data: buffer.subarray(offset + 8, offset + 8 + length) });
+    offset += length + 12;
+    if (type === 'IEND') break;
+  }
+
+  return chunks;
+};
+
+/**
+ * Undo PNG scanline filters
+ * @returns {Buffer} Raw pixel rows without filter bytes
+ */
+const unfilterPng = (data, width, height, bytesPerPixel) => {
+  const stride = width * bytesPerPixel;
+  const pixels = Buffer.alloc(stride * height);
+
+  for (let y = 0; y < height; y++) {
+    const filter = data[y * (stride + 1)];
+    const row = data.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    const out = y * stride;
+    const previous = y * stride - stride;
+
+    for (let x = 0; x < stride; x++) {
+      const left = x >= bytesPerPixel ? pixels[out + x - bytesPerPixel] : 0;
+      const up = y > 0 ? pixels[previous + x] : 0;
+      const upLeft = y > 0 && x >= bytesPerPixel ? pixels[previous + x - bytesPerPixel] : 0;
+      let value = row[x];
+
+      if (filter === 1) {
+        value += left;
+      } else if (filter === 2) {
+        value += up;
+      } else if (filter === 3) {
+        value += Math.floor((left + up) / 2);
+      } else if (filter === 4) {
+        const estimate = left + up - upLeft;
+        const toLeft = Math.abs(estimate - left);
+        const toUp = Math.abs(estimate - up);
+        const toUpLeft = Math.abs(estimate - upLeft);
+        value += toLeft <= toUp && toLeft <= toUpLeft ? left : toUp <= toUpLeft ? up : upLeft;
+      }
+
+      pixels[out + x] = value & 0xff;
+    }
+  }
+
+  return pixels;
+};
+
+/**
+ * Decode a PNG into RGB or gray pixels and an optional alpha channel
+ *
+ * Only 8-bit, non-interlaced images are supported, which covers logos exported
+ * from design tools; anything else returns null.
+ */
+const decodePng = (buffer) => {
+  const chunks = readPngChunks(buffer);
+  const header = chunks.find(chunk => chunk.type === 'IHDR');
+
+  if (!header) return null;
+
+  const width = header.data.readUInt32BE(0);
+  const height = header.data.readUInt32BE(4);
+  const bitDepth = header.data[8];
+  const colorType = header.data[9];
+  const interlaced = header.data[12] === 1;
+  const channels = PNG_CHANNELS[colorType];
+
+  if (bitDepth !== 8 || interlaced || !channels || !width || !height) {
+    return null;
+  }
+
+  const data = zlib.inflateSync(Buffer.concat(chunks.filter(chunk => chunk.type === 'IDAT').map(chunk => chunk.data)));
+  const pixels = unfilterPng(data, width, height, channels);
+  const count = width * height;
+
+  if (colorType === 0 || colorType === 2) {
+    return { width, height, colorChannels: channels, color: pixels, alpha: null };
+  }
+
+  const palette = colorType === 3 ? chunks.find(chunk => chunk.type === 'PLTE') : null;
+  const transparency = colorType === 3 ? chunks.find(chunk => chunk.type === 'tRNS') : null;
+
+  if (colorType === 3 && !palette) return null;
+
+  const colorChannels = colorType === 4 ? 1 : 3;
+  const color = Buffer.alloc(count * colorChannels);
+  const alpha = Buffer.alloc(count, 255);
+
+  for (let i = 0; i < count; i++) {
+    if (colorType === 3) {
+      const index = pixels[i];
+      palette.data.copy(color, i * 3, index * 3, index * 3 + 3);
+      if (transparency && index < transparency.data.length) alpha[i] = transparency.data[index];
+    } else {
+      pixels.copy(color, i * colorChannels, i * channels, i * channels + colorChannels);
+      alpha[i] = pixels[i * channels + colorChannels];
+    }
+  }
+
+  return { width, height, colorChannels, color, alpha: alpha.every(value => value === 255) ? null : alpha };
+};
+
+/**
+ * Read the size and color channels of a JPEG from its start-of-frame marker
+ */
+const readJpegFrame = (buffer) => {
+  let offset = 2;
+
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) {
+      offset++;
+      continue;
+    }
+
+    const marker = buffer[offset + 1];
+    const length = buffer.readUInt16BE(offset + 2);
+
+    // SOF0-SOF15 except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return {
+        height: buffer.readUInt16BE(offset + 5),
+        width: buffer.readUInt16BE(offset + 7),
+        colorChannels: buffer[offset + 9]
+      };
+    }
+
+    offset += 2 + length;
+  }
+
+  return null;
+};
+
+/**
+ * Read a PNG or JPEG image
+ * @param {Buffer} buffer - File contents
+ * @returns {Object|null} { format, width, height, ... } or null when unsupported
+ */
+const readRasterImage = (buffer) => {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 16) return null;
+
+  try {
+    if (buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+      const png = decodePng(buffer);
+      return png ? { format: 'png', ...png } : null;
+    }
+
+    if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+      const frame = readJpegFrame(buffer);
+      return frame && [1, 3, 4].includes(frame.colorChannels) ? { format: 'jpeg', ...frame, data: buffer } : null;
+    }
+  } catch (error) {
+    // Corrupt files are treated like unsupported ones
+    return null;
+  }
+
+  return null;
+};
+
+/**
+ * Encode RGB pixels as a PNG
+ * @param {number} width
+ * @param {number} height
+ * @param {Buffer} rgb - width * height * 3 bytes, row by row
+ * @returns {Buffer} The PNG file
+ */
+const encodePng = (width, height, rgb) => {
+  const stride = width * 3;
+  const raw = Buffer.alloc((stride + 1) * height);
+
+  for (let y = 0; y < height; y++) {
+    rgb.copy(raw, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+  }
+
+  const chunk = (type, data) => {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+    const checksum = Buffer.alloc(4);
+    checksum.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, checksum]);
+  };
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // Bit depth
+  header[9] = 2; // RGB
+
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(raw)),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+};
+
+module.exports = {
+  readRasterImage,
+  encodePng
+};
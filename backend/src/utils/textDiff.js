@@ -0,0 +1,121 @@
+/**
+ * Text Diff Utility
+ *
+ * Word-level differences between two texts, using Myers' O(ND) algorithm
+ */
+
+// Beyond this many inserted plus deleted tokens (words and the spaces between them)
+// the texts are treated as rewritten, which keeps time and memory bounded
+const MAX_EDITS = 2000;
+
+/**
+ * Split text into words and the whitespace between them
+ */
+const tokenize = (text) => String(text || '').match(/\s+|[^\s]+/g) || [];
+
+/**
+ * Shortest edit script between two token lists
+ * @returns {Array<Object>|null} [{ type, token }] or null if there are more than maxEdits edits
+ */
+const diffTokens = (a, b, maxEdits) => {
+  const n = a.length;
+  const m = b.length;
+  const limit = Math.min(n + m, maxEdits);
+  const offset = limit + 1;
+  const v = new Int32Array(2 * limit + 3);
+  const trace = [];
+
+  // trace[d] holds v for diagonals -(d + 1)..(d + 1) before step d
+  const at = (d, k) => trace[d][k + d + 1];
+
+  for (let d = 0; d <= limit; d++) {
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+
+      v[offset + k] = x;
+
+      if (x >= n && y >= m) {
+        return backtrack(a, b, trace, at);
+      }
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Walk the trace back from the end to recover the edits
+ */
+const backtrack = (a, b, trace, at) => {
+  const edits = [];
+  let x = a.length;
+  let y = b.length;
+
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const k = x - y;
+    const previousK = k === -d || (k !== d && at(d, k - 1) < at(d, k + 1)) ? k + 1 : k - 1;
+    const previousX = at(d, previousK);
+    const previousY = previousX - previousK;
+
+    while (x > previousX && y > previousY) {
+      edits.push({ type: 'equal', token: a[x - 1] });
+      x--;
+      y--;
+    }
+
+    if (d > 0) {
+      edits.push(x === previousX ? { type: 'insert', token: b[y - 1] } : { type: 'delete', token: a[x - 1] });
+    }
+
+    x = previousX;
+    y = previousY;
+  }
+
+  return edits.reverse();
+};
+
+/**
+ * Compare two texts word by word
+ * @returns {Object} { changes: [{ type: 'equal'|'insert'|'delete', text }], insertedWords, deletedWords }
+ */
+const diffText = (before, after) => {
+  const a = tokenize(before);
+  const b = tokenize(after);
+  const edits = diffTokens(a, b, MAX_EDITS) || [
+    ...a.map(token => ({ type: 'delete', token })),
+    ...b.map(token => ({ type: 'insert', token }))
+  ];
+
+  // Merge runs of the same kind into one change
+  const changes = [];
+  for (const edit of edits) {
+    const last = changes[changes.length - 1];
+    if (last && last.type === edit.type) {
+      last.text += edit.token;
+    } else {
+      changes.push({ type: edit.type, text: edit.token });
+    }
+  }
+
+  const countWords = (type) => edits.filter(edit => edit.type === type && /\S/.test(edit.token)).length;
+
+  return {
+    changes,
+    insertedWords: countWords('insert'),
+    deletedWords: countWords('delete')
+  };
+};
+
+module.exports = {
+  diffText
+};